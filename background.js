@@ -3,6 +3,19 @@
  * Orchestrates page capture and embedding processing
  */
 
+import { VectorStore } from './lib/vector-store.js';
+import { HnswIndex } from './lib/hnsw-index.js';
+import { LexicalIndex } from './lib/lexical-index.js';
+import { SearchQuery } from './lib/search-query.js';
+import { CaptureQueue } from './lib/capture-queue.js';
+import { Backfill } from './lib/backfill.js';
+import { RechunkJob } from './lib/rechunk-job.js';
+import { validateChunkingConfig, isChunkedWith, mergeChunkTexts } from './lib/chunking.js';
+import { parseVocab } from './lib/wordpiece-tokenizer.js';
+import { UrlRules } from './lib/url-rules.js';
+import { diffLines } from './lib/text-diff.js';
+import { normalizeUrl, resolvePageUrl, getStablePageId } from './lib/url-normalizer.js';
+
 class BackgroundService {
   constructor() {
     this.initialized = false;
@@ -11,6 +24,45 @@ class BackgroundService {
     this.offscreenReady = false;
     this.pendingRequests = new Map();
     this.requestId = 0;
+    this.vectorStore = new VectorStore(); // Read-only here; the offscreen document writes
+    this.annIndex = null; // HNSW graph, loaded lazily on first search
+    this.annIndexLoading = null;
+    this.annSaveTimer = null;
+
+    // Below this many vectors an exact scan is as fast as the graph and always exact
+    this.ANN_MIN_VECTORS = 5000;
+    this.ANN_SAVE_DELAY = 2000;
+    this.lexicalIndex = new LexicalIndex(); // BM25 index, written by the offscreen document
+    this.SEARCH_MODES = ['semantic', 'lexical', 'hybrid'];
+    // Reciprocal rank fusion constant and how deep each ranking is read in hybrid mode
+    this.RRF_K = 60;
+    this.FUSION_CANDIDATE_FACTOR = 5;
+    // Page grouping: chunk candidates read per requested page slot, and the decay weight
+    this.RESULT_AGGREGATIONS = ['max', 'mean', 'decay'];
+    this.GROUP_CANDIDATE_FACTOR = 3;
+    this.AGGREGATION_DECAY = 0.5;
+    // MMR re-ranking picks from this many candidates per result
+    this.MMR_CANDIDATE_FACTOR = 4;
+    // Optional cross-encoder re-ranker, copied into OPFS on first use
+    this.RERANKER_MODEL = 'ms-marco-MiniLM-L-6-v2';
+    this.rerankerAvailable = null;
+    // Passage highlighting: sentences highlighted per chunk, and how many distinct sentences one
+    // search may embed (in a single batch) for chunks that share no terms with the query
+    this.HIGHLIGHT_SENTENCES = 2;
+    this.HIGHLIGHT_EMBED_LIMIT = 16;
+    this.MAX_SENTENCE_WORDS = 40;
+    this.queryEmbeddingCache = null;
+    // Omnibox ("pi <query>"): wait for typing to pause, and ignore answers to outdated input
+    this.OMNIBOX_DEBOUNCE_MS = 250;
+    this.OMNIBOX_SUGGESTIONS = 5;
+    this.OMNIBOX_SNIPPET_LENGTH = 90;
+    this.omniboxTimer = null;
+    this.omniboxRequest = 0;
+    // Manual captures show their progress on the toolbar icon for a few seconds
+    this.BADGE_CLEAR_DELAY = 4000;
+    // History entries read for one backfill
+    this.MAX_BACKFILL_ITEMS = 5000;
+    this.captureWaiters = new Map(); // Capture job ID -> resolve, for backfill tabs
     this.settings = {
       autoIndexing: true,
       chunkSize: 512,
@@ -21,7 +73,45 @@ class BackgroundService {
       storePageContent: true,
       enableDebugLogging: false,
       enableVisualization: false,
+      annSearchEf: 64,
+      vectorQuantization: 'none',
+      enableReranking: false,
+      rerankTopN: 20,
+      rerankBudgetMs: 300,
+      captureConcurrency: 2,
+      urlRules: [], // See lib/url-rules.js
+      urlRulesDefaultAction: 'index',
+      sensitivePageAction: 'skip', // Pages with login/payment forms or noindex: skip, redact or index
+      redactPii: true,
+      refreshAfterHours: 24, // Revisited pages older than this are checked for changes; 0 never
+      revisionsToKeep: 5, // Older versions kept per changed page
+      backfillMaxTabs: 2, // Background tabs a history/bookmarks backfill opens at once
     };
+    this.urlRules = new UrlRules();
+    // Captures wait here, persisted, so a burst of tabs is processed a few at a time
+    this.captureQueue = new CaptureQueue({
+      run: (job, setState) => this.runCaptureJob(job, setState),
+      onChange: job => this.reportCaptureProgress(job),
+      concurrency: this.settings.captureConcurrency,
+    });
+    // Pages from history or bookmarks, opened in background tabs and fed to the capture queue
+    this.backfill = new Backfill({
+      check: url => this.getBackfillSkipReason(url),
+      capture: tab => this.captureBackfillTab(tab),
+      onChange: progress => {
+        chrome.runtime.sendMessage({ type: 'BACKFILL_PROGRESS', data: progress }).catch(() => {}); // Nobody is listening when no extension page is open
+      },
+      maxTabs: this.settings.backfillMaxTabs,
+    });
+    // Pages chunked with other chunk size or overlap settings, or whose vectors were quantized
+    // more coarsely than the current setting, re-chunked from their stored source
+    this.rechunkJob = new RechunkJob({
+      listPages: () => this.getPagesToRechunk(),
+      rechunk: pageId => this.rechunkPage(pageId),
+      onChange: progress => {
+        chrome.runtime.sendMessage({ type: 'RECHUNK_PROGRESS', data: progress }).catch(() => {}); // Nobody is listening when no extension page is open
+      },
+    });
   }
 
   /**
@@ -36,10 +126,22 @@ class BackgroundService {
 
       // Load settings
       await this.loadSettings();
+      this.loadUrlRules();
 
       // No mock data - extension works only with real indexed pages
 
       this.initialized = true;
+
+      // Resume captures left over from before the worker stopped
+      this.captureQueue.setConcurrency(this.settings.captureConcurrency);
+      this.captureQueue.load();
+      this.backfill.setMaxTabs(this.settings.backfillMaxTabs);
+      this.backfill.load();
+      // Listing the pages to re-embed reads the vector store's index
+      this.vectorStore
+        .open()
+        .catch(error => console.warn('Failed to open vector store:', error))
+        .then(() => this.rechunkJob.load());
     } catch (error) {
       console.error('Failed to initialize background service:', error);
       throw error;
@@ -146,7 +248,7 @@ class BackgroundService {
       }
 
       const vocabText = await response.text();
-      const vocab = vocabText.split('\n').filter(line => line.trim());
+      const vocab = parseVocab(vocabText);
 
       console.log('Loaded vocab from bundle, size:', vocab.length);
       return vocab;
@@ -266,7 +368,12 @@ class BackgroundService {
 
       if (data && data.pages) {
         for (const [pageId, page] of Object.entries(data.pages)) {
-          this.pages.set(pageId, page);
+          // Pages indexed before URL normalization match their normalized variants too
+          const normalized = { ...page, pageId, url: normalizeUrl(page.url) };
+          if (page.parentUrl) {
+            normalized.parentUrl = normalizeUrl(page.parentUrl);
+          }
+          this.pages.set(pageId, normalized);
         }
       }
     } catch (error) {
@@ -283,6 +390,18 @@ class BackgroundService {
       if (result.offlineIndexerSettings) {
         this.settings = { ...this.settings, ...result.offlineIndexerSettings };
       }
+
+      try {
+        validateChunkingConfig(this.getChunkingConfig());
+      } catch (error) {
+        // 1024-token chunks, longer than the model's input, used to be offered
+        console.warn(`Resetting chunking settings: ${error.message}`);
+        Object.assign(this.settings, { chunkSize: 512, overlapSize: 50 });
+      }
+      if (!VectorStore.QUANTIZATIONS.includes(this.settings.vectorQuantization)) {
+        // The former binary setting stored int8 vectors
+        this.settings.vectorQuantization = 'int8';
+      }
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
@@ -304,8 +423,31 @@ class BackgroundService {
    * @param {number} tabId - Tab ID to capture
    * @param {string} url - Page URL
    * @param {string} title - Page title
+   * @param {Object} options - Optional settings
+   * @param {Function} options.onState - Reports progress ('embedding')
+   * @param {string[]} options.signals - Sensitive page signals seen by the content script
+   * @param {boolean} options.reindex - Replace the page if it is already indexed
+   * @param {boolean} options.refresh - Re-check a stale page; it is re-embedded only if its
+   *   content changed
+   * @param {Object} options.clip - { text, headings } of a selection to index as a clip
+   *   instead of capturing the page
+   * @param {string} options.pageUrl - Normalized URL the page is stored under (see
+   *   resolvePageUrl); defaults to the normalized capture URL
+   * @returns {Promise<Object|undefined>} { skipped } when the page was not indexed
    */
-  async captureAndProcess(tabId, url, title) {
+  async captureAndProcess(
+    tabId,
+    url,
+    title,
+    {
+      onState = async () => {},
+      signals = [],
+      reindex = false,
+      refresh = false,
+      clip = null,
+      pageUrl = normalizeUrl(url),
+    } = {}
+  ) {
     try {
       if (!this.initialized) {
         await this.init();
@@ -315,36 +457,128 @@ class BackgroundService {
       await this.ensureModelAvailable();
 
       // Check if page is already indexed
-      const existingPage = Array.from(this.pages.values()).find(p => p.url === url);
-      if (existingPage) {
-        return;
+      const existingPage = clip ? null : this.findPageByUrl(pageUrl);
+      if (existingPage && !reindex && !refresh) {
+        return { skipped: 'already indexed' };
+      }
+      // Re-indexing always re-embeds; a refresh stops offscreen if the content hash matches
+      const previousHash = existingPage && !reindex ? existingPage.contentHash : null;
+
+      const { action, rule } = this.urlRules.evaluate(url);
+      if (action === 'skip') {
+        console.log(`Not capturing ${url}: skipped by rule`, rule?.pattern ?? '(default)');
+        return { skipped: 'indexing rule' };
+      }
+
+      // Known sensitive pages are not even captured; the captured HTML is checked again offscreen
+      if (signals.length > 0 && this.settings.sensitivePageAction === 'skip') {
+        console.log(`Not capturing ${url}: sensitive page`, signals);
+        return { skipped: `sensitive page (${signals.join(', ')})` };
       }
 
-      // Capture page as MHTML
-      const mhtmlBlob = await this.capturePage(tabId);
-      if (!mhtmlBlob) {
-        throw new Error('Failed to capture page');
+      // A page keeps the ID derived from its URL across versions; a new version is processed
+      // next to the current one and takes the ID over once it is ready
+      const identityUrl = existingPage?.url || pageUrl;
+      const stableId = getStablePageId(identityUrl);
+      let pageId = stableId;
+      if (clip) {
+        pageId = this.generatePageId(pageUrl, 'clip');
+      } else if (existingPage?.pageId === stableId) {
+        pageId = `${stableId}_next`;
       }
 
-      // Process the MHTML using the embedding worker
-      const pageId = this.generatePageId(url);
-      const result = await this.processPageWithWorker(mhtmlBlob, url, title, pageId);
+      let result;
+      if (clip) {
+        // Clips skip MHTML; the heading context is embedded along with the selected text
+        await onState('embedding');
+        result = await this.processPageWithWorker(null, url, title, pageId, {
+          text: [clip.headings.join(' > '), clip.text].filter(Boolean).join('\n\n'),
+        });
+      } else if (action === 'title-only') {
+        // Only the title and URL are embedded; the page itself is never captured
+        await onState('embedding');
+        result = await this.processPageWithWorker(null, url, title, pageId, {
+          text: `${title}\n${url}`,
+          previousHash,
+        });
+      } else {
+        // Capture page as MHTML
+        const mhtmlBlob = await this.capturePage(tabId);
+        if (!mhtmlBlob) {
+          throw new Error('Failed to capture page');
+        }
+
+        // Process the MHTML using the embedding worker
+        await onState('embedding');
+        result = await this.processPageWithWorker(mhtmlBlob, url, title, pageId, {
+          signals,
+          previousHash,
+          duplicateCandidates: existingPage ? [] : this.getDuplicateCandidates(pageUrl),
+        });
+      }
+
+      if (result.skipped === 'unchanged') {
+        existingPage.checkedAt = Date.now();
+        await this.savePageToStorage(existingPage);
+        return { skipped: 'unchanged' };
+      }
+      if (result.skipped === 'duplicate') {
+        const original = await this.addPageAlias(result.duplicateOf, pageUrl);
+        console.log(`Not indexing ${url}: same content as ${original.url}`);
+        return { skipped: `same content as ${original.url}` };
+      }
+      if (result.skipped) {
+        console.log(`Not indexing ${url}: ${result.skipped}`);
+        return { skipped: result.skipped };
+      }
+
+      // The new version is ready; the old one becomes a revision (or goes, if it was identical)
+      const changed = existingPage ? await this.retirePage(existingPage, result.contentHash) : true;
 
       // Store the processed page data
+      const aliases = new Set(existingPage?.aliases || []);
+      if (!clip && normalizeUrl(url) !== identityUrl) {
+        aliases.add(normalizeUrl(url));
+      }
       const pageData = {
         pageId,
-        url,
+        url: identityUrl,
         title,
         timestamp: Date.now(),
         chunkCount: result.chunks.length,
         dimensions: result.dimensions,
+        contentStored: this.settings.storePageContent && action !== 'title-only',
+        indexMode: action,
+        sensitivity: result.sensitivity,
+        metadata: result.metadata || {}, // Author, dates, site name, language (lib/page-metadata.js)
+        contentHash: result.contentHash,
+        chunking: result.chunking, // Chunker version, chunk size and overlap (lib/chunking.js)
+        checkedAt: Date.now(),
+        revision: existingPage ? (existingPage.revision || 1) + (changed ? 1 : 0) : 1,
       };
+      if (aliases.size > 0) {
+        pageData.aliases = Array.from(aliases);
+      }
+      if (result.simhash) {
+        pageData.simhash = result.simhash;
+      }
+      if (clip) {
+        // Clips are children of the page at their URL, whether or not that page is indexed
+        Object.assign(pageData, { kind: 'clip', parentUrl: pageUrl, headings: clip.headings });
+      }
 
       this.pages.set(pageId, pageData);
       await this.savePageToStorage(pageData);
 
-      // Store chunks and embeddings in OPFS
-      await this.storePageData(pageId, result.chunks, result.embeddings);
+      // Store chunks in OPFS (embeddings are already in the vector store)
+      await this.storePageData(pageId, result.chunks, result.source);
+
+      // Add the new vectors to the nearest-neighbour index
+      await this.addPageToAnnIndex(pageId);
+
+      if (pageId !== stableId && !clip) {
+        await this.renamePage(pageId, stableId);
+      }
     } catch (error) {
       console.error('Failed to capture and process page:', error);
       console.error('Error details:', {
@@ -358,497 +592,1983 @@ class BackgroundService {
   }
 
   /**
-   * Process page using offscreen document and embedding worker
-   * @param {Blob} mhtmlBlob - MHTML blob
+   * Queue a page capture
+   * @param {number} tabId - Tab ID
    * @param {string} url - Page URL
    * @param {string} title - Page title
-   * @param {string} pageId - Page ID
-   * @returns {Promise<Object>} Processing result
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.incognito - Whether the tab is in an incognito window
+   * @param {string[]} options.signals - Sensitive page signals seen by the content script
+   * @param {string} options.source - 'auto' (content script), 'manual' (user action) or
+   *   'backfill' (history/bookmarks backfill)
+   * @param {boolean} options.reindex - Replace the page if it is already indexed
+   * @param {Object} options.clip - { text, headings } of a selection to index as a clip
+   * @param {string} options.canonicalUrl - Canonical link reported by the page
+   * @returns {Promise<Object>} { job } when queued, or { job: null, skipped } with the reason
    */
-  async processPageWithWorker(mhtmlBlob, url, title, pageId) {
-    try {
-      // Convert Blob to Uint8Array for transmission
-      const mhtmlArrayBuffer = await mhtmlBlob.arrayBuffer();
-      const mhtmlData = new Uint8Array(mhtmlArrayBuffer);
+  async enqueueCapture(
+    tabId,
+    url,
+    title,
+    {
+      incognito = false,
+      signals = [],
+      source = 'auto',
+      reindex = false,
+      clip = null,
+      canonicalUrl = null,
+    } = {}
+  ) {
+    if (!this.initialized) {
+      await this.init();
+    }
 
-      // Send to offscreen document for processing
-      const result = await this.sendToOffscreen({
-        type: 'PROCESS_PAGE',
-        data: {
-          mhtmlData: Array.from(mhtmlData), // Convert to serializable array
-          url,
-          title,
-          pageId,
-        },
-      });
+    // Backfill tabs are queued by the backfill itself once they have loaded
+    if (source === 'auto' && this.backfill.ownsTab(tabId)) {
+      return { job: null, skipped: 'opened by the backfill' };
+    }
 
-      if (result && result.chunks) {
-        // If embeddings are stored separately in OPFS, load them
-        if (result.embeddingsStored && !result.embeddings) {
-          result.embeddings = await this.loadEmbeddingsFromOPFS(result.pageId);
-        }
+    const skipReason = this.getCaptureSkipReason(url, incognito, source);
+    if (skipReason) {
+      console.log(`Not capturing ${url}: ${skipReason}`);
+      return { job: null, skipped: skipReason };
+    }
 
-        return result;
-      } else {
-        throw new Error('Page processing failed - invalid result format');
-      }
-    } catch (error) {
-      console.error('Failed to process page via worker:', error);
-      throw error;
+    // Variants of a URL (tracking parameters, anchors, canonical links) are one page
+    const pageUrl = resolvePageUrl(url, canonicalUrl);
+
+    // Indexed pages are captured again only once they are due for a change check
+    const existingPage = clip || reindex ? null : this.findPageByUrl(pageUrl);
+    if (existingPage && !this.isPageStale(existingPage)) {
+      return { job: null, skipped: 'already indexed' };
     }
+
+    const job = await this.captureQueue.enqueue({
+      url,
+      pageUrl,
+      key: clip ? `${pageUrl}\n${clip.text}` : pageUrl,
+      tabId,
+      title,
+      incognito,
+      signals,
+      source,
+      reindex,
+      refresh: Boolean(existingPage),
+      clip,
+    });
+    return { job };
   }
 
   /**
-   * Load embeddings from OPFS
-   * @param {string} pageId - Page ID
-   * @returns {Float32Array[]} Array of embedding vectors
+   * Whether an indexed page is due to be checked for changes (see refreshAfterHours)
+   * @param {Object} page - Page metadata
+   * @returns {boolean} True if the page should be captured again
    */
-  async loadEmbeddingsFromOPFS(pageId) {
-    try {
-      const opfsRoot = await navigator.storage.getDirectory();
-      const embeddingsDir = await opfsRoot.getDirectoryHandle('embeddings');
-
-      const embeddings = [];
-      let chunkIndex = 0;
+  isPageStale(page) {
+    const hours = this.settings.refreshAfterHours;
+    if (!(hours > 0)) {
+      return false;
+    }
+    return Date.now() - (page.checkedAt || page.timestamp) >= hours * 60 * 60 * 1000;
+  }
 
-      // Load embeddings for this page
-      while (true) {
-        try {
-          // Sanitize pageId to ensure valid filename
-          const sanitizedPageId = pageId ? pageId.replace(/[^a-zA-Z0-9_-]/g, '_') : 'unknown';
-          const fileName = `${sanitizedPageId}_chunk_${chunkIndex}.json`;
-          const fileHandle = await embeddingsDir.getFileHandle(fileName);
-          const file = await fileHandle.getFile();
-          const text = await file.text();
-          const data = JSON.parse(text);
-
-          // Convert back to Float32Array
-          // Log the raw data to debug
-
-          let embeddingArray;
-          if (Array.isArray(data.embedding)) {
-            embeddingArray = data.embedding;
-          } else if (typeof data.embedding === 'object' && data.embedding !== null) {
-            // Convert object with numeric keys to array
-            const keys = Object.keys(data.embedding).sort((a, b) => Number(a) - Number(b));
-            embeddingArray = keys.map(key => data.embedding[key]);
-          } else {
-            console.error(
-              `Invalid embedding data for chunk ${chunkIndex}, type: ${typeof data.embedding}`
-            );
-            break;
-          }
+  /**
+   * Replace the current version of a page that has been indexed again
+   * A changed page is kept as a numbered revision (`<page ID>_r<revision>`), up to
+   * revisionsToKeep per URL; an identical one (e.g. after a forced re-index) is simply deleted.
+   * @param {Object} page - Page metadata of the version being replaced
+   * @param {string} contentHash - Content hash of the new version
+   * @returns {Promise<boolean>} True if the content changed, making the new version a new revision
+   */
+  async retirePage(page, contentHash) {
+    const changed = !page.contentHash || page.contentHash !== contentHash;
+    if (!changed || this.settings.revisionsToKeep < 1) {
+      await this.deletePage(page.pageId);
+      return changed;
+    }
 
-          const embedding = new Float32Array(embeddingArray);
-          embeddings.push(embedding);
-          chunkIndex++;
-        } catch (error) {
-          // No more chunks for this page
-          break;
-        }
-      }
+    const revision = page.revision || 1;
+    await this.renamePage(page.pageId, `${getStablePageId(page.url)}_r${revision}`, {
+      kind: 'revision',
+      revision,
+    });
+    await this.pruneRevisions(page.url);
+    return true;
+  }
 
-      return embeddings;
-    } catch (error) {
-      console.error('Failed to load embeddings from OPFS:', error);
-      return [];
+  /**
+   * Delete the oldest revisions of a page beyond revisionsToKeep
+   * @param {string} url - Page URL
+   */
+  async pruneRevisions(url) {
+    const revisions = (await this.getRevisions(url)).filter(page => page.kind === 'revision');
+    for (const revision of revisions.slice(Math.max(0, this.settings.revisionsToKeep))) {
+      await this.deletePage(revision.pageId);
     }
   }
 
   /**
-   * Simple hash function for deterministic values
-   * @param {string} str - String to hash
-   * @returns {number} Hash value
+   * List the versions of a page
+   * @param {string} url - Page URL
+   * @returns {Promise<Object[]>} Current version (if indexed) and revisions, newest first
    */
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash);
+  async getRevisions(url) {
+    return Array.from(this.pages.values())
+      .filter(page => page.url === url && (page.kind || 'page') !== 'clip')
+      .sort((a, b) => (b.revision || 1) - (a.revision || 1));
   }
 
   /**
-   * Count tokens in text using a simple approximation
-   * @param {string} text - Text to count tokens for
-   * @returns {number} Approximate token count
+   * Compare two versions of a page sentence by sentence
+   * @param {string} beforeId - Page ID of the older version
+   * @param {string} afterId - Page ID of the newer version
+   * @returns {Promise<Object>} { before, after, contentStored, edits } where edits are
+   *   { type: 'equal' | 'removed' | 'added', lines } runs
    */
-  countTokens(text) {
-    if (!text || text.length === 0) return 0;
+  async diffRevisions(beforeId, afterId) {
+    const versions = [this.pages.get(beforeId), this.pages.get(afterId)];
+    if (versions.some(page => !page)) {
+      throw new Error('Revision not found');
+    }
 
-    // More accurate token counting based on BERT-style tokenization
-    // Split by whitespace and common punctuation
-    const tokens = text
-      .split(/(\s+|[.,!?;:()\[\]{}"'`~@#$%^&*+=|\\/<>-])/)
-      .filter(token => token.trim().length > 0);
+    const [beforeLines, afterLines] = await Promise.all(
+      versions.map(async page => {
+        const chunks = await this.getPageChunks(page.pageId);
+        return chunks.flatMap(chunk =>
+          this.splitSentences(chunk.text || '').map(sentence => sentence.text.trim())
+        );
+      })
+    );
 
-    let tokenCount = 0;
+    const describe = ({ pageId, revision, timestamp }) => ({
+      pageId,
+      revision: revision || 1,
+      timestamp,
+    });
+    return {
+      before: describe(versions[0]),
+      after: describe(versions[1]),
+      // Without stored content only snippets remain, so the diff is partial
+      contentStored: versions.every(page => page.contentStored !== false),
+      edits: diffLines(beforeLines, afterLines),
+    };
+  }
 
-    for (const token of tokens) {
-      if (token.trim()) {
-        // Each word-like token counts as 1
-        if (/^\w+$/.test(token)) {
-          tokenCount += 1;
-        } else if (/^\s+$/.test(token)) {
-          // Whitespace doesn't count
-          continue;
-        } else {
-          // Punctuation and special characters count as 1 each
-          tokenCount += 1;
+  /**
+   * Delete a page along with its revisions, or a single revision
+   * @param {string} pageId - Page ID
+   */
+  async deletePageWithRevisions(pageId) {
+    const page = this.pages.get(pageId);
+    if (page && (page.kind || 'page') === 'page') {
+      for (const revision of await this.getRevisions(page.url)) {
+        if (revision.pageId !== pageId) {
+          await this.deletePage(revision.pageId);
         }
       }
     }
-
-    return Math.max(1, tokenCount); // At least 1 token
+    await this.deletePage(pageId);
   }
 
   /**
-   * Store page data in OPFS
-   * @param {string} pageId - Page ID
-   * @param {Array} chunks - Page chunks
-   * @param {Array} embeddings - Page embeddings
+   * Capture a tab on request (context menu, keyboard shortcut or popup)
+   * @param {Object} tab - Tab to capture
+   * @param {Object} options - { reindex, clip } (see enqueueCapture)
+   * @returns {Promise<Object>} { job } or { job: null, skipped }
    */
-  async storePageData(pageId, chunks, embeddings) {
-    try {
-      const opfsRoot = await navigator.storage.getDirectory();
+  async captureTab(tab, { reindex = false, clip = null } = {}) {
+    if (!tab?.url || !/^https?:/.test(tab.url)) {
+      return { job: null, skipped: 'only web pages can be indexed' };
+    }
 
-      // Store chunks
-      const chunksDir = await opfsRoot.getDirectoryHandle('chunks', { create: true });
-      const pageChunksDir = await chunksDir.getDirectoryHandle(pageId, { create: true });
-      const chunksFile = await pageChunksDir.getFileHandle('chunks.json', { create: true });
-      const chunksWritable = await chunksFile.createWritable();
-      await chunksWritable.write(JSON.stringify(chunks));
-      await chunksWritable.close();
+    // Pages opened before the extension was loaded have no content script to ask
+    const pageInfo = await chrome.tabs
+      .sendMessage(tab.id, { type: 'GET_PAGE_INFO' })
+      .catch(() => null);
+
+    return await this.enqueueCapture(tab.id, tab.url, tab.title || tab.url, {
+      incognito: tab.incognito,
+      source: 'manual',
+      reindex,
+      clip,
+      canonicalUrl: pageInfo?.canonicalUrl || null,
+    });
+  }
 
-      // Store embeddings as binary data
-      const vectorsDir = await opfsRoot.getDirectoryHandle('vectors', { create: true });
-      const pageVectorsDir = await vectorsDir.getDirectoryHandle(pageId, { create: true });
-      const vectorsFile = await pageVectorsDir.getFileHandle('vectors.bin', { create: true });
-      const vectorsWritable = await vectorsFile.createWritable();
-
-      // Convert embeddings to binary format
-      const vectorCount = embeddings.length;
-      const vectorSize = embeddings[0]?.length || 384;
-      const buffer = new ArrayBuffer(8 + vectorCount * vectorSize * 4); // 8 bytes header + data
-      const dataView = new DataView(buffer);
-
-      // Write header
-      dataView.setUint32(0, vectorCount);
-      dataView.setUint32(4, vectorSize);
-
-      // Write vectors
-      let offset = 8;
-      for (const embedding of embeddings) {
-        for (let i = 0; i < vectorSize; i++) {
-          dataView.setFloat32(offset, embedding[i] || 0);
-          offset += 4;
+  /**
+   * Report the outcome of a capture started from the context menu or keyboard shortcut
+   * Captures skipped or failing before they were queued are reported like finished jobs, so
+   * the badge and the page tell why nothing was indexed.
+   * @param {Object} tab - Tab being captured
+   * @param {Promise<Object>} capture - captureTab or clipSelection result
+   */
+  async reportManualCapture(tab, capture) {
+    const job = { id: null, tabId: tab?.id, url: tab?.url, title: tab?.title, source: 'manual' };
+    try {
+      const result = await capture;
+      if (!result.job && result.skipped) {
+        console.log(`Not capturing ${job.url}: ${result.skipped}`);
+        if (tab) {
+          this.reportCaptureProgress({ ...job, state: 'done', skipped: result.skipped });
         }
       }
-
-      await vectorsWritable.write(buffer);
-      await vectorsWritable.close();
     } catch (error) {
-      console.error(`Failed to store page data for ${pageId}:`, error);
-      throw error;
+      console.error('Manual capture failed:', error);
+      if (tab) {
+        this.reportCaptureProgress({ ...job, state: 'failed', error: error.message });
+      }
     }
   }
 
   /**
-   * Capture page as MHTML using chrome.pageCapture
-   * @param {number} tabId - Tab ID to capture
-   * @returns {Promise<Blob>} MHTML blob
+   * Index the selection in a tab as a clip
+   * The content script supplies the selected text and its heading context; if it is not
+   * available, the plain selection text from the context menu is used without headings.
+   * @param {Object} tab - Tab with the selection
+   * @param {string} selectionText - Selection text reported by the context menu
+   * @returns {Promise<Object>} { job } or { job: null, skipped }
    */
-  async capturePage(tabId) {
-    return new Promise((resolve, reject) => {
-      chrome.pageCapture.saveAsMHTML(
-        {
-          tabId: tabId,
-        },
-        mhtmlBlob => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else if (mhtmlBlob) {
-            resolve(mhtmlBlob);
-          } else {
-            reject(new Error('No MHTML data received'));
+  async clipSelection(tab, selectionText = '') {
+    const response = await chrome.tabs
+      .sendMessage(tab.id, { type: 'GET_SELECTION_CLIP' })
+      .catch(() => null);
+    const clip = response?.clip || { text: selectionText.trim(), headings: [] };
+    if (!clip.text) {
+      return { job: null, skipped: 'nothing selected' };
+    }
+
+    return await this.captureTab(tab, { clip });
+  }
+
+  /**
+   * Start indexing pages from history or bookmarks
+   * @param {Object} options - What to index
+   * @param {string} options.source - 'history' or 'bookmarks'
+   * @param {number} options.startTime - History: earliest visit (ms since epoch)
+   * @param {number} options.endTime - History: latest visit (ms since epoch)
+   * @param {string[]} options.folderIds - Bookmarks: folders to index, with their subfolders
+   * @returns {Promise<Object>} Backfill progress
+   */
+  async startBackfill({ source, startTime = 0, endTime = Date.now(), folderIds = [] }) {
+    if (!this.initialized) {
+      await this.init();
+    }
+
+    let items;
+    if (source === 'history') {
+      items = (
+        await chrome.history.search({
+          text: '',
+          startTime,
+          endTime,
+          maxResults: this.MAX_BACKFILL_ITEMS,
+        })
+      ).map(({ url, title }) => ({ url, title }));
+    } else if (source === 'bookmarks') {
+      items = [];
+      for (const folderId of folderIds) {
+        const collect = node => {
+          if (node.url) {
+            items.push({ url: node.url, title: node.title });
           }
-        }
-      );
+          (node.children || []).forEach(collect);
+        };
+        (await chrome.bookmarks.getSubTree(folderId)).forEach(collect);
+      }
+    } else {
+      throw new Error(`Unknown backfill source: ${source}`);
+    }
+
+    // One entry per page, web pages only
+    const seen = new Set();
+    items = items.filter(({ url }) => {
+      const pageUrl = normalizeUrl(url);
+      if (!/^https?:/.test(url) || seen.has(pageUrl)) return false;
+      seen.add(pageUrl);
+      return true;
     });
+
+    await this.backfill.start(items, { source, startTime, endTime, folderIds });
+    return await this.backfill.getSnapshot();
   }
 
   /**
-   * Generate unique page ID
+   * Check whether a backfill should open a URL at all
    * @param {string} url - Page URL
-   * @returns {string} Unique page ID
+   * @returns {string|null} Why the URL is skipped, or null to open it
    */
-  generatePageId(url) {
-    let hash = 0;
-    for (let i = 0; i < url.length; i++) {
-      const char = url.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  getBackfillSkipReason(url) {
+    const skipReason = this.getCaptureSkipReason(url, false, 'backfill');
+    if (skipReason) {
+      return skipReason;
     }
-    return `page_${Math.abs(hash)}_${Date.now()}`;
+
+    const page = this.findPageByUrl(normalizeUrl(url));
+    return page && !this.isPageStale(page) ? 'already indexed' : null;
   }
 
   /**
-   * Save page to chrome.storage
-   * @param {Object} pageData - Page data to save
+   * Queue a loaded backfill tab and wait for its capture to finish
+   * @param {Object} tab - Loaded tab
+   * @returns {Promise<Object>} { skipped } when the page was not indexed
    */
-  async savePageToStorage(pageData) {
-    try {
-      const result = await chrome.storage.local.get(['offlineIndexer']);
-      const data = result.offlineIndexer || { pages: {}, urlIndex: {} };
+  async captureBackfillTab(tab) {
+    const pageInfo = await chrome.tabs
+      .sendMessage(tab.id, { type: 'GET_PAGE_INFO' })
+      .catch(() => null);
+
+    const { job, skipped } = await this.enqueueCapture(tab.id, tab.url, tab.title || tab.url, {
+      incognito: tab.incognito,
+      source: 'backfill',
+      canonicalUrl: pageInfo?.canonicalUrl || null,
+    });
+    if (!job) {
+      return { skipped };
+    }
 
-      data.pages[pageData.pageId] = {
-        url: pageData.url,
-        title: pageData.title,
-        timestamp: pageData.timestamp,
-        chunkCount: pageData.chunkCount,
-        dimensions: pageData.dimensions,
-      };
+    const finished = await new Promise(resolve => this.captureWaiters.set(job.id, resolve));
+    if (finished.state === 'failed') {
+      throw new Error(finished.error || 'Capture failed');
+    }
+    return { skipped: finished.skipped };
+  }
 
-      data.urlIndex[pageData.url] = pageData.pageId;
+  /**
+   * List bookmark folders for choosing what to backfill
+   * @returns {Promise<Object[]>} { id, title, path, count } in tree order, where count is the
+   *   number of bookmarks in the folder and its subfolders
+   */
+  async getBookmarkFolders() {
+    const folders = [];
+    const visit = (node, path) => {
+      const folder = { id: node.id, title: node.title, path, count: 0 };
+      if (node.title) {
+        folders.push(folder);
+      }
+      for (const child of node.children || []) {
+        if (child.url) {
+          folder.count++;
+        } else {
+          const childPath = node.title ? `${path} / ${child.title}` : child.title;
+          folder.count += visit(child, childPath);
+        }
+      }
+      return folder.count;
+    };
 
-      await chrome.storage.local.set({ offlineIndexer: data });
-    } catch (error) {
-      console.error('Failed to save page to storage:', error);
-      throw error;
-    }
+    const [root] = await chrome.bookmarks.getTree();
+    visit(root, '');
+    return folders;
   }
 
   /**
-   * Get all pages
-   * @returns {Array} Array of all pages
+   * Find the current version of the page for a URL (clips and revisions excluded)
+   * URLs merged into a page as duplicates find that page.
+   * @param {string} url - Normalized page URL
+   * @returns {Object|undefined} Page metadata
    */
-  async getAllPages() {
-    return Array.from(this.pages.values());
+  findPageByUrl(url) {
+    return Array.from(this.pages.values()).find(
+      page => (page.kind || 'page') === 'page' && (page.url === url || page.aliases?.includes(url))
+    );
   }
 
   /**
-   * Get recent pages
-   * @param {number} limit - Number of pages to return
-   * @returns {Array} Array of recent pages
+   * List the pages a new page on the same site could be a near-duplicate of
+   * @param {string} url - Normalized page URL
+   * @returns {Object[]} { pageId, simhash } of current pages with a content fingerprint
    */
-  async getRecentPages(limit = 5) {
-    const pages = Array.from(this.pages.values())
-      .sort((a, b) => b.timestamp - a.timestamp)
-      .slice(0, limit);
-    return pages;
+  getDuplicateCandidates(url) {
+    const site = value => {
+      try {
+        return new URL(value).hostname.replace(/^www\./, '');
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const pageSite = site(url);
+    return Array.from(this.pages.values())
+      .filter(
+        page => (page.kind || 'page') === 'page' && page.simhash && site(page.url) === pageSite
+      )
+      .map(({ pageId, simhash }) => ({ pageId, simhash }));
   }
 
   /**
-   * Get page detail
+   * Record another URL for an indexed page, so captures of it find the page
    * @param {string} pageId - Page ID
-   * @returns {Object} Page details
+   * @param {string} url - Normalized URL with the same content
+   * @returns {Promise<Object>} Page metadata
    */
-  async getPageDetail(pageId) {
+  async addPageAlias(pageId, url) {
     const page = this.pages.get(pageId);
     if (!page) {
       throw new Error(`Page not found: ${pageId}`);
     }
+
+    if (page.url !== url && !page.aliases?.includes(url)) {
+      page.aliases = [...(page.aliases || []), url];
+      await this.savePageToStorage(page);
+    }
     return page;
   }
 
   /**
-   * Get page chunks from OPFS storage
-   * @param {string} pageId - Page ID
-   * @returns {Array} Page chunks
+   * Move a page to another page ID, along with its chunks and vectors
+   * @param {string} fromId - Current page ID
+   * @param {string} toId - New page ID; a page stored there is replaced
+   * @param {Object} changes - Metadata fields to change at the same time
+   * @returns {Promise<Object>} Page metadata under the new ID
    */
-  async getPageChunks(pageId) {
-    const page = this.pages.get(pageId);
-    if (!page) return [];
+  async renamePage(fromId, toId, changes = {}) {
+    const page = this.pages.get(fromId);
+    if (!page) {
+      throw new Error(`Page not found: ${fromId}`);
+    }
 
+    await this.sendToOffscreen({ type: 'RENAME_PAGE_VECTORS', data: { fromId, toId } });
+    await this.storePageData(
+      toId,
+      await this.getPageChunks(fromId),
+      await this.getPageSource(fromId)
+    );
+    await this.removePageChunks(fromId);
+
+    if (this.annIndex) {
+      this.annIndex.removePage(fromId);
+      this.scheduleAnnIndexSave();
+    }
+
+    const renamed = { ...page, ...changes, pageId: toId };
+    this.pages.delete(fromId);
+    this.pages.set(toId, renamed);
     try {
-      // Access OPFS directly (no dynamic imports in service worker)
-      const opfsRoot = await navigator.storage.getDirectory();
-      const chunksDir = await opfsRoot.getDirectoryHandle('chunks');
-      const pageDir = await chunksDir.getDirectoryHandle(pageId);
-      const chunksFile = await pageDir.getFileHandle('chunks.json');
-      const file = await chunksFile.getFile();
-      const chunksText = await file.text();
-      const chunks = JSON.parse(chunksText);
-      return chunks || [];
+      const result = await chrome.storage.local.get(['offlineIndexer']);
+      const data = result.offlineIndexer || { pages: {}, urlIndex: {} };
+      delete data.pages[fromId];
+      await chrome.storage.local.set({ offlineIndexer: data });
     } catch (error) {
-      console.error(`Failed to load chunks for page ${pageId}:`, error);
+      console.error('Failed to remove renamed page from storage:', error);
+      throw error;
+    }
+    await this.savePageToStorage(renamed);
+
+    await this.addPageToAnnIndex(toId);
+    return renamed;
+  }
+
+  /**
+   * List the clips taken from a page
+   * @param {string} url - Page URL
+   * @returns {Promise<Object[]>} Clip metadata, newest first
+   */
+  async getClips(url) {
+    return Array.from(this.pages.values())
+      .filter(page => page.kind === 'clip' && page.parentUrl === url)
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Delete a clip, leaving its page alone
+   * @param {string} clipId - Clip page ID
+   */
+  async deleteClip(clipId) {
+    if (this.pages.get(clipId)?.kind !== 'clip') {
+      throw new Error(`Clip not found: ${clipId}`);
+    }
+    await this.deletePage(clipId);
+  }
+
+  /**
+   * Tell listeners how a capture job is doing
+   * Open extension pages get CAPTURE_PROGRESS messages; manual captures also update the
+   * toolbar badge and the page's content script.
+   * @param {Object} job - Capture job
+   */
+  reportCaptureProgress(job) {
+    const { id, url, title, state, error, skipped, source } = job;
+    if ((state === 'done' || state === 'failed') && this.captureWaiters.has(id)) {
+      this.captureWaiters.get(id)(job);
+      this.captureWaiters.delete(id);
+    }
+    chrome.runtime
+      .sendMessage({
+        type: 'CAPTURE_PROGRESS',
+        data: { id, url, title, state, error, skipped, source },
+      })
+      .catch(() => {}); // Nobody is listening when no extension page is open
+
+    if (source !== 'manual') {
+      return;
+    }
+
+    const finished = state === 'done' || state === 'failed';
+    const badge = {
+      queued: '…',
+      capturing: '…',
+      embedding: '…',
+      done: skipped ? '–' : '✓',
+      failed: '!',
+    }[state];
+    chrome.action.setBadgeBackgroundColor({
+      tabId: job.tabId,
+      color: state === 'failed' ? '#ef4444' : '#3b82f6',
+    });
+    chrome.action.setBadgeText({ tabId: job.tabId, text: badge || '' }).catch(() => {});
+    if (!finished) {
+      return;
+    }
+
+    setTimeout(() => {
+      chrome.action.setBadgeText({ tabId: job.tabId, text: '' }).catch(() => {});
+    }, this.BADGE_CLEAR_DELAY);
+
+    let status = 'INDEXING_COMPLETE';
+    if (state === 'failed') {
+      status = 'INDEXING_ERROR';
+    } else if (skipped === 'already indexed') {
+      status = 'ALREADY_INDEXED';
+    } else if (skipped) {
+      status = 'INDEXING_SKIPPED';
+    }
+    chrome.tabs
+      .sendMessage(job.tabId, { type: 'INDEXING_STATUS', data: { status, url, error, skipped } })
+      .catch(() => {}); // The tab may be gone or have no content script
+  }
+
+  /**
+   * Check the capture settings for a page
+   * @param {string} url - Page URL
+   * @param {boolean} incognito - Whether the tab is in an incognito window
+   * @param {string} source - 'auto', 'manual' or 'backfill'; only automatic captures are
+   *   affected by autoIndexing
+   * @returns {string|null} Why the page must not be captured, or null to capture it
+   */
+  getCaptureSkipReason(url, incognito, source = 'auto') {
+    if (source === 'auto' && !this.settings.autoIndexing) {
+      return 'automatic indexing is disabled';
+    }
+    if (!this.settings.indexPrivatePages && (incognito || this.isPrivateUrl(url))) {
+      return 'private pages are not indexed';
+    }
+    if (this.urlRules.evaluate(url).action === 'skip') {
+      return 'skipped by an indexing rule';
+    }
+    return null;
+  }
+
+  /**
+   * Rebuild the indexing rules from settings
+   * Invalid stored rules are dropped with a warning rather than blocking capture.
+   */
+  loadUrlRules() {
+    try {
+      this.urlRules = new UrlRules(this.settings.urlRules, this.settings.urlRulesDefaultAction);
+    } catch (error) {
+      console.warn('Ignoring invalid indexing rules:', error);
+      this.urlRules = new UrlRules([], this.settings.urlRulesDefaultAction);
+    }
+  }
+
+  /**
+   * Check whether a URL points at the local machine or a private network
+   * @param {string} url - Page URL
+   * @returns {boolean} True for file:, localhost, .local/.internal hosts and private IP ranges
+   */
+  isPrivateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+    if (parsed.protocol === 'file:') return true;
+
+    const host = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    return (
+      host === 'localhost' ||
+      /\.(localhost|local|internal|lan)$/.test(host) ||
+      /^(127|10)\./.test(host) ||
+      /^192\.168\./.test(host) ||
+      /^172\.(1[6-9]|2\d|3[01])\./.test(host) ||
+      /^169\.254\./.test(host) ||
+      host === '::1' ||
+      /^f[cd][0-9a-f]{2}:/.test(host) ||
+      /^fe80:/.test(host)
+    );
+  }
+
+  /**
+   * Run one attempt of a queued capture
+   * The tab must still show the queued page, since MHTML capture reads the live tab.
+   * @param {Object} job - Capture job
+   * @param {Function} setState - Reports the job's progress
+   */
+  async runCaptureJob(job, setState) {
+    // Settings may have changed while the job waited
+    const skipReason = this.getCaptureSkipReason(job.url, job.incognito, job.source);
+    if (skipReason) {
+      const error = new Error(`Skipped: ${skipReason}`);
+      error.permanent = true;
+      throw error;
+    }
+
+    // Clips travel with the job; everything else is read from the live tab
+    if (!job.clip) {
+      const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+      if (!tab || normalizeUrl(tab.url || '') !== normalizeUrl(job.url)) {
+        const error = new Error('Tab was closed or navigated away before capture');
+        error.permanent = true;
+        throw error;
+      }
+    }
+
+    return await this.captureAndProcess(job.tabId, job.url, job.title, {
+      onState: setState,
+      signals: job.signals || [],
+      reindex: job.reindex,
+      refresh: job.refresh,
+      clip: job.clip,
+      pageUrl: job.pageUrl,
+    });
+  }
+
+  /**
+   * Process page using offscreen document and embedding worker
+   * @param {Blob} mhtmlBlob - MHTML blob
+   * @param {string} url - Page URL
+   * @param {string} title - Page title
+   * @param {string} pageId - Page ID
+   * @param {Object} options - Optional settings
+   * @param {string} options.text - Text to index instead of the MHTML
+   * @param {string[]} options.signals - Sensitive page signals seen by the content script
+   * @param {string} options.previousHash - Content hash of the indexed version, if any
+   * @param {Object[]} options.duplicateCandidates - { pageId, simhash } of pages this one may
+   *   duplicate
+   * @returns {Promise<Object>} Processing result, or { skipped } for a sensitive, unchanged or
+   *   duplicate page
+   */
+  async processPageWithWorker(
+    mhtmlBlob,
+    url,
+    title,
+    pageId,
+    { text = null, signals = [], previousHash = null, duplicateCandidates = [] } = {}
+  ) {
+    try {
+      // Convert Blob to Uint8Array for transmission
+      const mhtmlData = mhtmlBlob ? new Uint8Array(await mhtmlBlob.arrayBuffer()) : null;
+
+      // Send to offscreen document for processing
+      const result = await this.sendToOffscreen({
+        type: 'PROCESS_PAGE',
+        data: {
+          mhtmlData: mhtmlData && Array.from(mhtmlData), // Convert to serializable array
+          text,
+          url,
+          title,
+          pageId,
+          vectorQuantization: this.settings.vectorQuantization,
+          storePageContent: this.settings.storePageContent,
+          previousHash,
+          duplicateCandidates,
+          chunking: this.getChunkingConfig(),
+          sensitivity: {
+            action: this.settings.sensitivePageAction,
+            redactPii: this.settings.redactPii,
+            signals,
+          },
+        },
+      });
+
+      if (result && (result.chunks || result.skipped)) {
+        return result;
+      } else {
+        throw new Error('Page processing failed - invalid result format');
+      }
+    } catch (error) {
+      console.error('Failed to process page via worker:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load embeddings for a page from the vector store
+   * @param {string} pageId - Page ID
+   * @returns {Float32Array[]} Array of embedding vectors
+   */
+  async loadEmbeddingsFromOPFS(pageId) {
+    try {
+      await this.vectorStore.open();
+      return await this.vectorStore.readPage(pageId);
+    } catch (error) {
+      console.error('Failed to load embeddings from OPFS:', error);
       return [];
     }
   }
 
   /**
-   * Get page vectors from OPFS storage
-   * @param {string} pageId - Page ID
-   * @param {number} dimensions - Vector dimensions
-   * @returns {Array} Page vectors
+   * Simple hash function for deterministic values
+   * @param {string} str - String to hash
+   * @returns {number} Hash value
+   */
+  simpleHash(str) {
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = (hash << 5) - hash + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return Math.abs(hash);
+  }
+
+  /**
+   * Count tokens in text using a simple approximation
+   * @param {string} text - Text to count tokens for
+   * @returns {number} Approximate token count
+   */
+  countTokens(text) {
+    if (!text || text.length === 0) return 0;
+
+    // More accurate token counting based on BERT-style tokenization
+    // Split by whitespace and common punctuation
+    const tokens = text
+      .split(/(\s+|[.,!?;:()\[\]{}"'`~@#$%^&*+=|\\/<>-])/)
+      .filter(token => token.trim().length > 0);
+
+    let tokenCount = 0;
+
+    for (const token of tokens) {
+      if (token.trim()) {
+        // Each word-like token counts as 1
+        if (/^\w+$/.test(token)) {
+          tokenCount += 1;
+        } else if (/^\s+$/.test(token)) {
+          // Whitespace doesn't count
+          continue;
+        } else {
+          // Punctuation and special characters count as 1 each
+          tokenCount += 1;
+        }
+      }
+    }
+
+    return Math.max(1, tokenCount); // At least 1 token
+  }
+
+  /**
+   * Store page data in OPFS
+   * @param {string} pageId - Page ID
+   * @param {Array} chunks - Page chunks
+   * @param {Object|null} source - { blocks } or { text } the chunks were made from, kept for
+   *   re-chunking; null when page content is not stored
+   */
+  async storePageData(pageId, chunks, source = null) {
+    try {
+      const opfsRoot = await navigator.storage.getDirectory();
+
+      // Store chunks
+      const chunksDir = await opfsRoot.getDirectoryHandle('chunks', { create: true });
+      const pageChunksDir = await chunksDir.getDirectoryHandle(pageId, { create: true });
+      const chunksFile = await pageChunksDir.getFileHandle('chunks.json', { create: true });
+      const chunksWritable = await chunksFile.createWritable();
+      await chunksWritable.write(JSON.stringify(chunks));
+      await chunksWritable.close();
+
+      if (source) {
+        const sourceFile = await pageChunksDir.getFileHandle('source.json', { create: true });
+        const sourceWritable = await sourceFile.createWritable();
+        await sourceWritable.write(JSON.stringify(source));
+        await sourceWritable.close();
+      } else {
+        // A page replacing one with stored content must not keep its source
+        await pageChunksDir.removeEntry('source.json').catch(error => {
+          if (error.name !== 'NotFoundError') throw error;
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to store page data for ${pageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Capture page as MHTML using chrome.pageCapture
+   * @param {number} tabId - Tab ID to capture
+   * @returns {Promise<Blob>} MHTML blob
+   */
+  async capturePage(tabId) {
+    return new Promise((resolve, reject) => {
+      chrome.pageCapture.saveAsMHTML(
+        {
+          tabId: tabId,
+        },
+        mhtmlBlob => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else if (mhtmlBlob) {
+            resolve(mhtmlBlob);
+          } else {
+            reject(new Error('No MHTML data received'));
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Generate unique page ID
+   * @param {string} url - Page URL
+   * @param {string} prefix - 'page', or 'clip' for clips
+   * @returns {string} Unique page ID
+   */
+  generatePageId(url, prefix = 'page') {
+    let hash = 0;
+    for (let i = 0; i < url.length; i++) {
+      const char = url.charCodeAt(i);
+      hash = (hash << 5) - hash + char;
+      hash = hash & hash; // Convert to 32-bit integer
+    }
+    return `${prefix}_${Math.abs(hash)}_${Date.now()}`;
+  }
+
+  /**
+   * Save page to chrome.storage
+   * @param {Object} pageData - Page data to save
+   */
+  async savePageToStorage(pageData) {
+    try {
+      const result = await chrome.storage.local.get(['offlineIndexer']);
+      const data = result.offlineIndexer || { pages: {}, urlIndex: {} };
+
+      // Keep every metadata field (index mode, privacy decisions) across restarts
+      data.pages[pageData.pageId] = { ...pageData };
+
+      // Clips and revisions share their page's URL, so only current pages are indexed by URL
+      if ((pageData.kind || 'page') === 'page') {
+        data.urlIndex[pageData.url] = pageData.pageId;
+      }
+
+      await chrome.storage.local.set({ offlineIndexer: data });
+    } catch (error) {
+      console.error('Failed to save page to storage:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all pages
+   * @returns {Array} Array of all pages
+   */
+  async getAllPages() {
+    return Array.from(this.pages.values());
+  }
+
+  /**
+   * Get recent pages
+   * @param {number} limit - Number of pages to return
+   * @returns {Array} Array of recent pages
+   */
+  async getRecentPages(limit = 5) {
+    const pages = Array.from(this.pages.values())
+      .filter(page => page.kind !== 'revision')
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+    return pages;
+  }
+
+  /**
+   * Get page detail
+   * @param {string} pageId - Page ID
+   * @returns {Object} Page details
+   */
+  async getPageDetail(pageId) {
+    const page = this.pages.get(pageId);
+    if (!page) {
+      throw new Error(`Page not found: ${pageId}`);
+    }
+    return page;
+  }
+
+  /**
+   * Get page chunks from OPFS storage
+   * @param {string} pageId - Page ID
+   * @returns {Array} Page chunks
+   */
+  async getPageChunks(pageId) {
+    const page = this.pages.get(pageId);
+    if (!page) return [];
+
+    try {
+      // Access OPFS directly (no dynamic imports in service worker)
+      const opfsRoot = await navigator.storage.getDirectory();
+      const chunksDir = await opfsRoot.getDirectoryHandle('chunks');
+      const pageDir = await chunksDir.getDirectoryHandle(pageId);
+      const chunksFile = await pageDir.getFileHandle('chunks.json');
+      const file = await chunksFile.getFile();
+      const chunksText = await file.text();
+      const chunks = JSON.parse(chunksText);
+      return chunks || [];
+    } catch (error) {
+      console.error(`Failed to load chunks for page ${pageId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the blocks or text a page was chunked from
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Object|null>} { blocks } or { text }, or null if none is stored
+   */
+  async getPageSource(pageId) {
+    try {
+      const opfsRoot = await navigator.storage.getDirectory();
+      const chunksDir = await opfsRoot.getDirectoryHandle('chunks');
+      const pageDir = await chunksDir.getDirectoryHandle(pageId);
+      const file = await (await pageDir.getFileHandle('source.json')).getFile();
+      return JSON.parse(await file.text());
+    } catch (error) {
+      // Pages indexed before sources were stored, or without stored content, have none
+      if (error.name !== 'NotFoundError') {
+        console.warn(`Failed to load source for page ${pageId}:`, error);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Chunking settings sent with every page job
+   * @returns {Object} { chunkSize, overlapSize } in tokens
+   */
+  getChunkingConfig() {
+    return { chunkSize: this.settings.chunkSize, overlapSize: this.settings.overlapSize };
+  }
+
+  /**
+   * Pages chunked by another chunker version or with other chunk size or overlap settings, and
+   * pages whose stored vectors are coarser than the quantization setting keeps
+   * @returns {string[]} Page IDs
+   */
+  getPagesToRechunk() {
+    const config = this.getChunkingConfig();
+    const encoding = this.settings.vectorQuantization;
+    const storedPages = this.vectorStore.index?.pages || {};
+    return Array.from(this.pages.values())
+      .filter(
+        page =>
+          !isChunkedWith(page.chunking, config) ||
+          VectorStore.isCoarser(storedPages[page.pageId]?.encoding, encoding)
+      )
+      .map(page => page.pageId);
+  }
+
+  /**
+   * Chunk and embed a stored page again with the current chunking settings
+   * Pages indexed before their source was stored are rebuilt from the text of their chunks.
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Object|undefined>} { skipped } when the page cannot be re-chunked
+   */
+  async rechunkPage(pageId) {
+    const page = this.pages.get(pageId);
+    if (!page) {
+      return { skipped: 'page was deleted' };
+    }
+
+    let source = await this.getPageSource(pageId);
+    if (!source) {
+      if (page.contentStored === false) {
+        return { skipped: 'page content is not stored, re-index the page instead' };
+      }
+      const text = mergeChunkTexts(await this.getPageChunks(pageId));
+      if (!text) {
+        return { skipped: 'no stored chunks' };
+      }
+      source = { text };
+    }
+
+    await this.ensureModelAvailable();
+    const result = await this.sendToOffscreen({
+      type: 'RECHUNK_PAGE',
+      data: {
+        pageId,
+        source,
+        chunking: this.getChunkingConfig(),
+        vectorQuantization: this.settings.vectorQuantization,
+      },
+    });
+    // The page's vectors were rewritten, possibly in another encoding; getPagesToRechunk reads
+    // the encodings from the store index
+    await this.vectorStore.open();
+
+    if (!this.pages.has(pageId)) {
+      // Deleted while it was being embedded; its new vectors must go too
+      await this.sendToOffscreen({ type: 'DELETE_PAGE_VECTORS', data: { pageId } });
+      return { skipped: 'page was deleted' };
+    }
+
+    await this.storePageData(pageId, result.chunks, source);
+    const updated = {
+      ...this.pages.get(pageId),
+      chunkCount: result.chunks.length,
+      dimensions: result.dimensions,
+      chunking: result.chunking,
+    };
+    this.pages.set(pageId, updated);
+    await this.savePageToStorage(updated);
+    await this.addPageToAnnIndex(pageId);
+  }
+
+  /**
+   * Start re-chunking the pages chunked with other settings
+   * @returns {Promise<Object>} Progress snapshot
+   */
+  async startRechunk() {
+    if (!this.initialized) {
+      await this.init();
+    }
+    await this.rechunkJob.start();
+    return this.rechunkJob.getSnapshot();
+  }
+
+  /**
+   * Re-chunk progress, including how many pages are chunked with other settings
+   * @returns {Promise<Object>} Progress snapshot
+   */
+  async getRechunkProgress() {
+    if (!this.initialized) {
+      await this.init();
+    }
+    return this.rechunkJob.getSnapshot();
+  }
+
+  /**
+   * Get page vectors from the vector store
+   * @param {string} pageId - Page ID
+   * @param {number} dimensions - Vector dimensions
+   * @returns {Array} Page vectors
+   */
+  async getPageVectors(pageId, dimensions) {
+    const page = this.pages.get(pageId);
+    if (!page) return [];
+
+    return this.loadEmbeddingsFromOPFS(pageId);
+  }
+
+  /**
+   * Get complete page data including chunks and embeddings
+   * @param {string} pageId - Page ID
+   * @returns {Object} Page data with chunks and embeddings
+   */
+  async getPageData(pageId) {
+    try {
+      // Get chunks and embeddings in parallel
+      const [chunks, embeddings] = await Promise.all([
+        this.getPageChunks(pageId),
+        this.loadEmbeddingsFromOPFS(pageId),
+      ]);
+
+      // Ensure chunks have token counts
+      const chunksWithTokens = chunks.map(chunk => {
+        if (!chunk.tokenCount) {
+          chunk.tokenCount = this.countTokens(chunk.text || '');
+        }
+        return chunk;
+      });
+
+      return {
+        chunks: chunksWithTokens,
+        embeddings,
+      };
+    } catch (error) {
+      console.error(`Failed to get page data for ${pageId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Search indexed chunks
+   * @param {string} query - Search query, optionally with filters (see SearchQuery)
+   * @param {number} limit - Number of results (pages when grouping, chunks otherwise)
+   * @param {Object} options - Search options
+   * @param {string} options.mode - 'semantic' (embeddings), 'lexical' (BM25) or 'hybrid' (both, fused)
+   * @param {boolean} options.groupByPage - Return pages holding their best chunks instead of chunks
+   * @param {string} options.aggregation - Page score: 'max', 'mean' (of its top chunks) or 'decay'
+   * @param {number} options.chunksPerPage - Chunks kept per page when grouping
+   * @param {number|null} options.mmrLambda - Enables MMR diversification when set; 1 ranks by
+   *   relevance only, 0 by novelty only
+   * @returns {Array} Search results
+   */
+  async semanticSearch(
+    query,
+    limit = 10,
+    {
+      mode = 'hybrid',
+      groupByPage = false,
+      aggregation = 'max',
+      chunksPerPage = 3,
+      mmrLambda = null,
+    } = {}
+  ) {
+    try {
+      if (!this.SEARCH_MODES.includes(mode)) {
+        throw new Error(`Unknown search mode: ${mode}`);
+      }
+      if (mmrLambda !== null && !(mmrLambda >= 0 && mmrLambda <= 1)) {
+        throw new Error(`MMR lambda must be between 0 and 1, got ${mmrLambda}`);
+      }
+
+      const searchQuery = SearchQuery.parse(query);
+      if (!groupByPage) {
+        const results = await this.searchWithWorker(searchQuery, limit, mode, mmrLambda);
+        await this.highlightResults(searchQuery.text, results);
+        return results;
+      }
+
+      if (!this.RESULT_AGGREGATIONS.includes(aggregation)) {
+        throw new Error(`Unknown result aggregation: ${aggregation}`);
+      }
+      chunksPerPage = Math.max(1, chunksPerPage);
+
+      // Read deep enough that a few long pages cannot use up every page slot
+      const chunks = await this.searchWithWorker(
+        searchQuery,
+        limit * chunksPerPage * this.GROUP_CANDIDATE_FACTOR,
+        mode,
+        mmrLambda
+      );
+      const pages = this.groupResultsByPage(chunks, aggregation, chunksPerPage).slice(0, limit);
+      await this.highlightResults(
+        searchQuery.text,
+        pages.flatMap(page => page.chunks)
+      );
+      pages.forEach(page => {
+        page.fragmentUrl = page.chunks[0].fragmentUrl;
+      });
+      return pages;
+    } catch (error) {
+      console.error('Semantic search failed:', error);
+      throw error;
+    } finally {
+      await this.releaseSearchCaches();
+    }
+  }
+
+  /**
+   * Search using embeddings via the embedding worker and/or the BM25 index
+   * @param {SearchQuery} searchQuery - Parsed search query
+   * @param {number} limit - Number of results
+   * @param {string} mode - Search mode
+   * @param {number|null} mmrLambda - MMR trade-off, or null to rank by relevance only
+   * @returns {Array} Search results
+   */
+  async searchWithWorker(searchQuery, limit = 10, mode = 'hybrid', mmrLambda = null) {
+    try {
+      const query = searchQuery.text;
+      // Chunks loaded while filtering are reused when building results
+      const chunksByPage = new Map();
+      // Filters are applied inside the index scans, before anything is ranked
+      const isKnownPage = await this.buildSearchFilter(searchQuery, chunksByPage);
+      // Re-ranking, diversification and fusion need deeper rankings than the final result list
+      const diversify = mmrLambda !== null;
+      const rerank = this.settings.enableReranking && Boolean(query);
+      const poolSize = rerank ? Math.max(limit, this.settings.rerankTopN) : limit;
+      const rankedCount = diversify ? poolSize * this.MMR_CANDIDATE_FACTOR : poolSize;
+      const candidateCount =
+        mode === 'hybrid' ? rankedCount * this.FUSION_CANDIDATE_FACTOR : rankedCount;
+
+      let queryEmbedding = null;
+      let annIndex = null;
+      let semanticMatches = [];
+      let lexicalMatches = [];
+
+      if (!query) {
+        // Filters only: list matching pages, newest first
+        mode = 'filter';
+      } else if (mode !== 'lexical') {
+        queryEmbedding = await this.computeQueryEmbedding(query);
+        annIndex = await this.getAnnIndex();
+        semanticMatches = this.findNearestChunks(
+          annIndex,
+          queryEmbedding,
+          candidateCount,
+          isKnownPage
+        );
+      }
+
+      if (mode === 'lexical' || mode === 'hybrid') {
+        await this.lexicalIndex.open();
+        lexicalMatches = this.lexicalIndex
+          .search(query, candidateCount, isKnownPage)
+          .map(({ pageId, chunkIndex, score }) => ({ pageId, chunkIndex, lexicalScore: score }));
+      }
+
+      let matches;
+      if (mode === 'filter') {
+        matches = this.listFilteredChunks(isKnownPage, limit);
+      } else if (mode === 'hybrid') {
+        matches = this.fuseRankings([semanticMatches, lexicalMatches]).slice(0, rankedCount);
+        // Lexical-only hits still get a cosine similarity for display
+        for (const match of matches) {
+          if (match.similarity === undefined) {
+            match.similarity = annIndex.similarity(queryEmbedding, match.pageId, match.chunkIndex);
+          }
+        }
+      } else if (mode === 'lexical') {
+        matches = lexicalMatches.map(match => ({ ...match, score: match.lexicalScore }));
+      } else {
+        matches = semanticMatches.map(match => ({ ...match, score: match.similarity }));
+      }
+
+      if (diversify && mode !== 'filter') {
+        matches = this.diversifyMatches(
+          matches,
+          annIndex || (await this.getAnnIndex()),
+          poolSize,
+          mmrLambda
+        );
+      }
+
+      // Attach chunk text and page metadata, loading each page's chunks once
+      const results = [];
+
+      for (const match of matches) {
+        const page = this.pages.get(match.pageId);
+        try {
+          if (!chunksByPage.has(match.pageId)) {
+            chunksByPage.set(match.pageId, await this.getPageChunks(match.pageId));
+          }
+          const chunk = chunksByPage.get(match.pageId)[match.chunkIndex];
+          if (!chunk) {
+            continue;
+          }
+
+          results.push({
+            pageId: match.pageId,
+            pageTitle: page.title,
+            pageUrl: page.url,
+            kind: page.kind || 'page',
+            metadata: page.metadata || {},
+            chunkId: chunk.id,
+            chunkText: chunk.text,
+            headingPath: chunk.headingPath || [],
+            similarity: match.similarity ?? null,
+            lexicalScore: match.lexicalScore ?? null,
+            rerankScore: null,
+            score: match.score,
+            timestamp: page.timestamp,
+          });
+        } catch (error) {
+          console.warn(`Failed to load search result for page ${match.pageId}:`, error);
+          // Continue with other results
+        }
+      }
+
+      // Sort by score and return top results (diversified results keep their MMR order)
+      let sortedResults = diversify ? results : results.sort((a, b) => b.score - a.score);
+      if (rerank) {
+        sortedResults = await this.rerankResults(query, sortedResults);
+      }
+      sortedResults = sortedResults.slice(0, limit);
+
+      return sortedResults;
+    } catch (error) {
+      console.error('Real embedding search failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Suggest matching pages as the user types in the omnibox
+   * @param {string} text - Text typed after the keyword
+   * @param {Function} suggest - Chrome suggest callback
+   */
+  handleOmniboxInput(text, suggest) {
+    clearTimeout(this.omniboxTimer);
+    const request = ++this.omniboxRequest;
+    const query = text.trim();
+
+    if (!query) {
+      chrome.omnibox.setDefaultSuggestion({ description: 'Search indexed pages' });
+      return;
+    }
+
+    chrome.omnibox.setDefaultSuggestion({
+      description: `Search indexed pages for <match>${this.escapeOmniboxXml(query)}</match>`,
+    });
+
+    this.omniboxTimer = setTimeout(async () => {
+      try {
+        const pages = await this.semanticSearch(query, this.OMNIBOX_SUGGESTIONS, {
+          groupByPage: true,
+          chunksPerPage: 1,
+        });
+        if (request !== this.omniboxRequest) return;
+
+        suggest(
+          pages.map(page => ({
+            content: page.fragmentUrl || page.pageUrl,
+            description: this.formatOmniboxDescription(page),
+          }))
+        );
+      } catch (error) {
+        console.error('Omnibox search failed:', error);
+      }
+    }, this.OMNIBOX_DEBOUNCE_MS);
+  }
+
+  /**
+   * Open the chosen suggestion, or the search view when the typed text is entered as is
+   * @param {string} text - Suggestion content or typed text
+   * @param {string} disposition - currentTab, newForegroundTab or newBackgroundTab
+   */
+  async handleOmniboxEnter(text, disposition) {
+    clearTimeout(this.omniboxTimer);
+    this.omniboxRequest++;
+
+    // Suggestion contents are page URLs; anything else is a query
+    const url = /^https?:\/\//i.test(text)
+      ? text
+      : chrome.runtime.getURL(`sidepanel.html?view=search&q=${encodeURIComponent(text.trim())}`);
+
+    try {
+      if (disposition === 'currentTab') {
+        await chrome.tabs.update({ url });
+      } else {
+        await chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+      }
+    } catch (error) {
+      console.error('Failed to open omnibox selection:', error);
+    }
+  }
+
+  /**
+   * Describe a page result as omnibox suggestion markup
+   * @param {Object} page - Grouped search result
+   * @returns {string} Description with <match>, <dim> and <url> styles
+   */
+  formatOmniboxDescription(page) {
+    const chunk = page.chunks[0];
+    const passage = chunk.highlights?.[0]
+      ? chunk.chunkText.slice(chunk.highlights[0].start, chunk.highlights[0].end)
+      : chunk.chunkText || '';
+    let snippet = passage.replace(/\s+/g, ' ').trim();
+    if (snippet.length > this.OMNIBOX_SNIPPET_LENGTH) {
+      snippet = `${snippet.slice(0, this.OMNIBOX_SNIPPET_LENGTH).trimEnd()}…`;
+    }
+
+    const title = this.escapeOmniboxXml(page.pageTitle || page.pageUrl);
+    return `<match>${title}</match> <dim>${this.escapeOmniboxXml(snippet)}</dim> - <url>${this.escapeOmniboxXml(page.pageUrl)}</url>`;
+  }
+
+  /**
+   * Escape text for omnibox description XML
+   * Control characters are dropped since they are not valid XML either.
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  escapeOmniboxXml(text) {
+    return (text || '')
+      .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Find the sentences of each result that best match the query and link to them
+   * Sentences are scored by the BM25 weight of the query terms they contain. Chunks that share
+   * no terms with the query fall back to embedding similarity: their distinct sentences are
+   * embedded in one batch, within HIGHLIGHT_EMBED_LIMIT.
+   * Sets `highlights` ({ start, end } offsets into chunkText) and `fragmentUrl` on each result.
+   * @param {string} query - Free-text query
+   * @param {Object[]} results - Chunk results
+   */
+  async highlightResults(query, results) {
+    const queryTerms = [...new Set(LexicalIndex.tokenize(query))];
+    const semanticPending = [];
+
+    for (const result of results) {
+      result.highlights = [];
+      const sentences = this.splitSentences(result.chunkText || '');
+      if (queryTerms.length === 0 || sentences.length === 0) continue;
+
+      // A chunk found by the lexical index, or holding a query term, has matching sentences
+      const chunkTerms =
+        result.lexicalScore > 0 ? null : new Set(LexicalIndex.tokenize(result.chunkText));
+      if (chunkTerms && !queryTerms.some(term => chunkTerms.has(term))) {
+        semanticPending.push({ result, sentences });
+        continue;
+      }
+
+      for (const sentence of sentences) {
+        const terms = new Set(LexicalIndex.tokenize(sentence.text));
+        sentence.score = queryTerms.reduce(
+          (sum, term) => (terms.has(term) ? sum + (this.lexicalIndex.idf(term) || 1) : sum),
+          0
+        );
+      }
+      result.highlights = this.pickHighlights(sentences);
+    }
+
+    // Embed the sentences of the best-ranked chunks without term overlap, within the budget.
+    // Overlapping chunks repeat sentences, so each distinct sentence is embedded once.
+    const toEmbed = [];
+    const texts = new Map(); // sentence text -> position in the batch
+    for (const pending of semanticPending) {
+      const added = new Set(pending.sentences.map(s => s.text).filter(text => !texts.has(text)));
+      if (texts.size + added.size > this.HIGHLIGHT_EMBED_LIMIT) break;
+      added.forEach(text => texts.set(text, texts.size));
+      toEmbed.push(pending);
+    }
+
+    if (toEmbed.length > 0) {
+      try {
+        const queryEmbedding = await this.computeQueryEmbedding(query);
+        const { embeddings } = await this.sendToOffscreen({
+          type: 'EMBED_TEXTS',
+          data: { texts: [...texts.keys()] },
+        });
+
+        for (const { result, sentences } of toEmbed) {
+          for (const sentence of sentences) {
+            sentence.score = this.cosineSimilarity(
+              queryEmbedding,
+              embeddings[texts.get(sentence.text)]
+            );
+          }
+          result.highlights = this.pickHighlights(sentences);
+        }
+      } catch (error) {
+        console.warn('Failed to embed sentences for highlighting:', error);
+      }
+    }
+
+    for (const result of results) {
+      const target = result.highlights[0];
+      result.fragmentUrl = target
+        ? this.buildTextFragmentUrl(
+            result.pageUrl,
+            result.chunkText.slice(target.start, target.end)
+          )
+        : result.pageUrl;
+    }
+  }
+
+  /**
+   * Pick the best sentence, plus runners-up that score nearly as well
+   * @param {Object[]} sentences - Scored sentences
+   * @returns {Object[]} { start, end } ranges in text order
+   */
+  pickHighlights(sentences) {
+    const ranked = [...sentences].sort((a, b) => b.score - a.score);
+    return ranked
+      .slice(0, this.HIGHLIGHT_SENTENCES)
+      .filter(sentence => sentence.score > 0 && sentence.score >= ranked[0].score * 0.8)
+      .map(({ start, end }) => ({ start, end }))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Split text into sentences, breaking unpunctuated runs into MAX_SENTENCE_WORDS windows
+   * Only punctuation followed by whitespace ends a sentence, so `3.14` or `foo.bar()` stay whole.
+   * @param {string} text - Chunk text
+   * @returns {Object[]} { start, end, text } sentences
+   */
+  splitSentences(text) {
+    const sentences = [];
+
+    for (const match of text.matchAll(/\S[^]*?(?:[.!?]+["')\]]*(?=\s|$)|$)/g)) {
+      const words = [...match[0].matchAll(/\S+/g)];
+      for (let i = 0; i < words.length; i += this.MAX_SENTENCE_WORDS) {
+        const first = words[i];
+        const last = words[Math.min(i + this.MAX_SENTENCE_WORDS, words.length) - 1];
+        const start = match.index + first.index;
+        const end = match.index + last.index + last[0].length;
+        sentences.push({ start, end, text: text.slice(start, end) });
+      }
+    }
+
+    return sentences;
+  }
+
+  /**
+   * Build a scroll-to-text fragment link (#:~:text=start,end) for a passage
+   * Long passages are matched by their first and last few words.
+   * @param {string} url - Page URL
+   * @param {string} passage - Passage text
+   * @returns {string} URL with text fragment
+   */
+  buildTextFragmentUrl(url, passage) {
+    const words = passage.split(/\s+/).filter(Boolean);
+    if (!url || words.length === 0) {
+      return url;
+    }
+
+    // encodeURIComponent leaves '-', which text fragments use as a delimiter
+    const encode = value => encodeURIComponent(value).replace(/-/g, '%2D');
+    const directive =
+      words.length <= 8
+        ? encode(words.join(' '))
+        : `${encode(words.slice(0, 4).join(' '))},${encode(words.slice(-4).join(' '))}`;
+
+    return `${url}${url.includes('#') ? '' : '#'}:~:text=${directive}`;
+  }
+
+  /**
+   * Re-score the top results with the cross-encoder, within the latency budget
+   * Re-ranked results are scored sigmoid(logit); results the re-ranker did not reach keep their
+   * order below them. Any failure keeps the first-stage order.
+   * @param {string} query - Free-text query
+   * @param {Object[]} results - Results in first-stage order
+   * @returns {Promise<Object[]>} Reordered results
+   */
+  async rerankResults(query, results) {
+    const count = Math.min(results.length, this.settings.rerankTopN);
+    if (count === 0 || !(await this.ensureRerankerAvailable())) {
+      return results;
+    }
+
+    try {
+      const { scores } = await this.sendToOffscreen({
+        type: 'RERANK',
+        data: {
+          query,
+          passages: results.slice(0, count).map(result => result.chunkText),
+          budgetMs: this.settings.rerankBudgetMs,
+        },
+      });
+
+      const scored = [];
+      const unscored = [];
+      results.forEach((result, index) => {
+        if (index < count && scores[index] !== null) {
+          result.rerankScore = 1 / (1 + Math.exp(-scores[index]));
+          scored.push(result);
+        } else {
+          unscored.push(result);
+        }
+      });
+      if (scored.length === 0) {
+        return results;
+      }
+
+      scored.sort((a, b) => b.rerankScore - a.rerankScore);
+      scored.forEach(result => {
+        result.score = result.rerankScore;
+      });
+      const floor = scored[scored.length - 1].score;
+      unscored.forEach((result, index) => {
+        result.score = floor * (1 - (index + 1) / (unscored.length + 1));
+      });
+
+      return [...scored, ...unscored];
+    } catch (error) {
+      console.warn('Re-ranking failed, keeping first-stage order:', error);
+      return results;
+    }
+  }
+
+  /**
+   * Make sure the re-ranker model is in OPFS, copying it from the bundled files once
+   * @returns {Promise<boolean>} True if the model can be loaded
+   */
+  async ensureRerankerAvailable() {
+    if (this.rerankerAvailable !== null) {
+      return this.rerankerAvailable;
+    }
+
+    try {
+      const opfsRoot = await navigator.storage.getDirectory();
+      const modelDir = await opfsRoot.getDirectoryHandle('models', { create: true });
+      const modelSubDir = await modelDir.getDirectoryHandle(this.RERANKER_MODEL, { create: true });
+
+      try {
+        const file = await (await modelSubDir.getFileHandle('model.onnx')).getFile();
+        this.rerankerAvailable = file.size > 0;
+      } catch (error) {
+        this.rerankerAvailable = false;
+      }
+
+      if (!this.rerankerAvailable) {
+        await this.copyBundledFileToOPFS(
+          `generated/models/${this.RERANKER_MODEL}/model.onnx`,
+          modelSubDir,
+          'model.onnx'
+        );
+        this.rerankerAvailable = true;
+      }
+    } catch (error) {
+      console.warn(
+        `Re-ranker model ${this.RERANKER_MODEL} is not available (run npm run setup:models):`,
+        error
+      );
+      this.rerankerAvailable = false;
+    }
+
+    return this.rerankerAvailable;
+  }
+
+  /**
+   * Re-rank matches with Maximal Marginal Relevance
+   * Each pick maximizes lambda * relevance - (1 - lambda) * redundancy, where relevance is the
+   * match score scaled to the best score and redundancy is the highest cosine similarity to an
+   * already picked chunk. Neighbouring chunks of the same page share their overlap window, so
+   * they count as fully redundant.
+   * @param {Object[]} matches - Matches sorted by score
+   * @param {HnswIndex} annIndex - Loaded nearest-neighbour index (source of chunk vectors)
+   * @param {number} count - Number of matches to pick
+   * @param {number} lambda - Relevance/novelty trade-off between 0 and 1
+   * @returns {Object[]} Picked matches in MMR order
+   */
+  diversifyMatches(matches, annIndex, count, lambda) {
+    const maxScore = Math.max(...matches.map(match => match.score));
+    const candidates = matches.map(match => ({
+      match,
+      relevance: maxScore > 0 ? match.score / maxScore : 0,
+      vector: annIndex.getVector(match.pageId, match.chunkIndex),
+      redundancy: 0,
+    }));
+    const picked = [];
+
+    while (picked.length < count && candidates.length > 0) {
+      let bestIndex = 0;
+      let bestValue = -Infinity;
+      candidates.forEach((candidate, index) => {
+        const value = lambda * candidate.relevance - (1 - lambda) * candidate.redundancy;
+        if (value > bestValue) {
+          bestValue = value;
+          bestIndex = index;
+        }
+      });
+
+      const [chosen] = candidates.splice(bestIndex, 1);
+      picked.push(chosen.match);
+
+      // Redundancy only grows, so update it against the newest pick
+      for (const candidate of candidates) {
+        let similarity = 0;
+        if (
+          candidate.match.pageId === chosen.match.pageId &&
+          Math.abs(candidate.match.chunkIndex - chosen.match.chunkIndex) === 1
+        ) {
+          similarity = 1;
+        } else if (candidate.vector && chosen.vector) {
+          for (let i = 0; i < candidate.vector.length; i++) {
+            similarity += candidate.vector[i] * chosen.vector[i];
+          }
+        }
+        candidate.redundancy = Math.max(candidate.redundancy, similarity);
+      }
+    }
+
+    return picked;
+  }
+
+  /**
+   * Group chunk results by page and score each page from its chunks
+   * @param {Object[]} chunks - Chunk results sorted by score
+   * @param {string} aggregation - 'max', 'mean' of the top chunksPerPage scores, or 'decay'
+   *   (sum of scores weighted by AGGREGATION_DECAY ^ rank within the page)
+   * @param {number} chunksPerPage - Chunks kept per page
+   * @returns {Object[]} Page results sorted by aggregated score
+   */
+  groupResultsByPage(chunks, aggregation, chunksPerPage) {
+    const byPage = new Map();
+    for (const chunk of chunks) {
+      if (!byPage.has(chunk.pageId)) {
+        byPage.set(chunk.pageId, []);
+      }
+      byPage.get(chunk.pageId).push(chunk);
+    }
+
+    const pages = [];
+    for (const pageChunks of byPage.values()) {
+      // Chunks may arrive in diversified rather than score order
+      const scores = pageChunks.map(chunk => chunk.score).sort((a, b) => b - a);
+      let score;
+      if (aggregation === 'mean') {
+        const top = scores.slice(0, chunksPerPage);
+        score = top.reduce((sum, value) => sum + value, 0) / top.length;
+      } else if (aggregation === 'decay') {
+        score = scores.reduce(
+          (sum, value, rank) => sum + value * this.AGGREGATION_DECAY ** rank,
+          0
+        );
+      } else {
+        score = scores[0];
+      }
+
+      const best = pageChunks[0];
+      pages.push({
+        pageId: best.pageId,
+        pageTitle: best.pageTitle,
+        pageUrl: best.pageUrl,
+        kind: best.kind,
+        metadata: best.metadata,
+        timestamp: best.timestamp,
+        similarity: best.similarity,
+        lexicalScore: best.lexicalScore,
+        score,
+        matchCount: pageChunks.length,
+        chunks: pageChunks.slice(0, chunksPerPage),
+      });
+    }
+
+    return pages.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Build the label predicate used by the index scans from the parsed query filters
+   * Page filters use metadata only. Phrase and exclusion filters first narrow the chunks
+   * through the BM25 postings, then check the text of those chunks.
+   * @param {SearchQuery} searchQuery - Parsed search query
+   * @param {Map} chunksByPage - Cache of loaded page chunks
+   * @returns {Promise<Function>} (label) => boolean predicate
+   */
+  async buildSearchFilter(searchQuery, chunksByPage) {
+    // Skip vectors and postings whose page metadata is gone
+    const pageFilter = label => {
+      const page = this.pages.get(label.pageId);
+      return Boolean(page) && searchQuery.matchesPage(page);
+    };
+
+    if (!searchQuery.hasChunkFilters) {
+      return pageFilter;
+    }
+
+    await this.lexicalIndex.open();
+
+    // With phrases, only chunks holding every phrase term can match; otherwise only chunks
+    // holding an excluded term can fail
+    let candidates;
+    if (searchQuery.phrases.length > 0) {
+      candidates = this.lexicalIndex.findChunks(
+        searchQuery.phrases.flatMap(phrase => LexicalIndex.tokenize(phrase))
+      );
+    } else {
+      candidates = new Map();
+      for (const term of searchQuery.excludedTerms) {
+        for (const [pageId, chunks] of this.lexicalIndex.findChunks(LexicalIndex.tokenize(term))) {
+          candidates.set(pageId, new Set([...(candidates.get(pageId) || []), ...chunks]));
+        }
+      }
+    }
+
+    const passing = new Set();
+    for (const [pageId, chunkIndexes] of candidates) {
+      if (!pageFilter({ pageId })) continue;
+
+      if (!chunksByPage.has(pageId)) {
+        chunksByPage.set(pageId, await this.getPageChunks(pageId));
+      }
+      const chunks = chunksByPage.get(pageId);
+      for (const chunkIndex of chunkIndexes) {
+        if (chunks[chunkIndex] && searchQuery.matchesChunkText(chunks[chunkIndex].text)) {
+          passing.add(`${pageId}\u0000${chunkIndex}`);
+        }
+      }
+    }
+
+    if (searchQuery.phrases.length > 0) {
+      return label => pageFilter(label) && passing.has(`${label.pageId}\u0000${label.chunkIndex}`);
+    }
+    return label =>
+      pageFilter(label) &&
+      (!candidates.get(label.pageId)?.has(label.chunkIndex) ||
+        passing.has(`${label.pageId}\u0000${label.chunkIndex}`));
+  }
+
+  /**
+   * List the first matching chunk of each matching page, newest page first
+   * Used when a query has filters but no free text to rank by.
+   * @param {Function} filter - (label) => boolean predicate
+   * @param {number} limit - Number of results
+   * @returns {Object[]} { pageId, chunkIndex, score } matches
    */
-  async getPageVectors(pageId, dimensions) {
-    const page = this.pages.get(pageId);
-    if (!page) return [];
+  listFilteredChunks(filter, limit) {
+    const matches = [];
+    const pages = Array.from(this.pages.values()).sort((a, b) => b.timestamp - a.timestamp);
 
-    try {
-      // Access OPFS directly (no dynamic imports in service worker)
-      const opfsRoot = await navigator.storage.getDirectory();
-      const vectorsDir = await opfsRoot.getDirectoryHandle('vectors');
-      const pageDir = await vectorsDir.getDirectoryHandle(pageId);
-      const vectorsFile = await pageDir.getFileHandle('vectors.bin');
-      const file = await vectorsFile.getFile();
-      const arrayBuffer = await file.arrayBuffer();
-
-      // Convert binary data back to Float32Array vectors
-      const vectors = [];
-      const dataView = new DataView(arrayBuffer);
-      const vectorCount = dataView.getUint32(0);
-      const vectorSize = dataView.getUint32(4);
-
-      for (let i = 0; i < vectorCount; i++) {
-        const vector = new Float32Array(vectorSize);
-        const offset = 8 + i * vectorSize * 4;
-        for (let j = 0; j < vectorSize; j++) {
-          vector[j] = dataView.getFloat32(offset + j * 4);
+    for (const page of pages) {
+      if (matches.length >= limit) break;
+
+      for (let chunkIndex = 0; chunkIndex < page.chunkCount; chunkIndex++) {
+        if (filter({ pageId: page.pageId, chunkIndex })) {
+          matches.push({ pageId: page.pageId, chunkIndex, score: page.timestamp });
+          break;
         }
-        vectors.push(vector);
       }
-
-      return vectors;
-    } catch (error) {
-      console.error(`Failed to load vectors for page ${pageId}:`, error);
-      return [];
     }
+
+    return matches;
   }
 
   /**
-   * Get complete page data including chunks and embeddings
-   * @param {string} pageId - Page ID
-   * @returns {Object} Page data with chunks and embeddings
+   * Compute a query embedding via the embedding worker
+   * @param {string} query - Search query
+   * @returns {Promise<Float32Array>} Query embedding
    */
-  async getPageData(pageId) {
-    try {
-      // Get chunks and embeddings in parallel
-      const [chunks, embeddings] = await Promise.all([
-        this.getPageChunks(pageId),
-        this.loadEmbeddingsFromOPFS(pageId),
-      ]);
+  async computeQueryEmbedding(query) {
+    // Highlighting reuses the embedding of the query that was just searched
+    if (this.queryEmbeddingCache?.query === query) {
+      return this.queryEmbeddingCache.embedding;
+    }
 
-      // Ensure chunks have token counts
-      const chunksWithTokens = chunks.map(chunk => {
-        if (!chunk.tokenCount) {
-          chunk.tokenCount = this.countTokens(chunk.text || '');
-        }
-        return chunk;
-      });
+    const queryResult = await this.sendToOffscreen({
+      type: 'COMPUTE_QUERY_EMBEDDING',
+      data: { query },
+    });
 
-      return {
-        chunks: chunksWithTokens,
-        embeddings,
-      };
-    } catch (error) {
-      console.error(`Failed to get page data for ${pageId}:`, error);
-      throw error;
+    if (!queryResult || !queryResult.embedding) {
+      throw new Error('Failed to compute query embedding - invalid result format');
+    }
+
+    // Convert the embedding object back to Float32Array (it gets serialized as plain object)
+    let queryEmbedding = queryResult.embedding;
+    if (!(queryEmbedding instanceof Float32Array)) {
+      // Convert plain object back to Float32Array
+      const embeddingArray = Object.values(queryEmbedding);
+      queryEmbedding = new Float32Array(embeddingArray);
     }
+    this.queryEmbeddingCache = { query, embedding: queryEmbedding };
+    return queryEmbedding;
   }
 
   /**
-   * Perform semantic search using embeddings via search worker
-   * @param {string} query - Search query
-   * @param {number} limit - Number of results
-   * @returns {Array} Search results
+   * Find the chunks closest to a query embedding
+   * @param {HnswIndex} annIndex - Loaded nearest-neighbour index
+   * @param {Float32Array} queryEmbedding - Query embedding
+   * @param {number} count - Number of matches
+   * @param {Function} filter - (label) => boolean predicate
+   * @returns {Object[]} { pageId, chunkIndex, similarity } sorted by similarity
    */
-  async semanticSearch(query, limit = 10) {
-    try {
-      // Use search worker for embedding search
-      return await this.searchWithWorker(query, limit);
-    } catch (error) {
-      console.error('Semantic search failed:', error);
-      throw error;
+  findNearestChunks(annIndex, queryEmbedding, count, filter) {
+    const useApproximate = this.settings.annSearchEf > 0 && annIndex.size >= this.ANN_MIN_VECTORS;
+    if (useApproximate) {
+      const matches = annIndex.search(
+        queryEmbedding,
+        count,
+        Math.max(this.settings.annSearchEf, count),
+        filter
+      );
+      // Selective filters can starve the graph walk; fall back to scanning everything
+      if (matches.length >= count) {
+        return matches;
+      }
     }
+    return annIndex.searchExact(queryEmbedding, count, filter);
   }
 
   /**
-   * Search using real embeddings with cosine similarity via embedding worker
-   * @param {string} query - Search query
-   * @param {number} limit - Number of results
-   * @returns {Array} Search results
+   * Merge ranked match lists with reciprocal rank fusion
+   * Each chunk scores the sum of 1 / (RRF_K + rank) over the lists it appears in.
+   * @param {Object[][]} rankings - Match lists, each sorted best first
+   * @returns {Object[]} Merged matches with a fused `score`, sorted best first
    */
-  async searchWithWorker(query, limit = 10) {
-    try {
-      // Compute query embedding via embedding worker
-      const queryResult = await this.sendToOffscreen({
-        type: 'COMPUTE_QUERY_EMBEDDING',
-        data: { query },
+  fuseRankings(rankings) {
+    const fused = new Map();
+
+    for (const ranking of rankings) {
+      ranking.forEach((match, rank) => {
+        const key = `${match.pageId}\u0000${match.chunkIndex}`;
+        const entry = fused.get(key) || { score: 0 };
+        fused.set(key, {
+          ...entry,
+          ...match,
+          score: entry.score + 1 / (this.RRF_K + rank + 1),
+        });
       });
+    }
 
-      if (!queryResult || !queryResult.embedding) {
-        throw new Error('Failed to compute query embedding - invalid result format');
-      }
-
-      // Convert the embedding object back to Float32Array (it gets serialized as plain object)
-      let queryEmbedding = queryResult.embedding;
-      if (!(queryEmbedding instanceof Float32Array)) {
-        // Convert plain object back to Float32Array
-        const embeddingArray = Object.values(queryEmbedding);
-        queryEmbedding = new Float32Array(embeddingArray);
-      }
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+  }
 
-      // Get all pages (entries with pageId and page data)
-      const pageEntries = Array.from(this.pages.entries());
-      const results = [];
+  /**
+   * Get the nearest-neighbour index, loading and reconciling it with the vector store on first use
+   * @returns {Promise<HnswIndex>} Loaded index
+   */
+  async getAnnIndex() {
+    if (this.annIndex) {
+      return this.annIndex;
+    }
 
-      // Search through all pages and their chunks
-      for (const [pageId, page] of pageEntries) {
-        try {
-          if (!pageId) {
-            console.warn('Skipping page with undefined pageId:', page);
-            continue;
-          }
+    if (!this.annIndexLoading) {
+      this.annIndexLoading = (async () => {
+        const annIndex = new HnswIndex();
+        await this.vectorStore.open();
+        const changed = await annIndex.load(this.vectorStore);
+        this.annIndex = annIndex;
+        if (changed) {
+          this.scheduleAnnIndexSave();
+        }
+        return annIndex;
+      })().finally(() => {
+        this.annIndexLoading = null;
+      });
+    }
 
-          const pageData = await this.getPageData(pageId);
+    return this.annIndexLoading;
+  }
 
-          if (pageData.chunks && pageData.embeddings) {
-            // Search through chunks using real embeddings
-            for (let i = 0; i < pageData.chunks.length; i++) {
-              const chunk = pageData.chunks[i];
-              let embedding = pageData.embeddings[i];
+  /**
+   * Insert a freshly processed page into the nearest-neighbour index
+   * If the index is not loaded yet, the page is picked up when it is reconciled on load.
+   * @param {string} pageId - Page ID
+   */
+  async addPageToAnnIndex(pageId) {
+    if (!this.annIndex) {
+      return;
+    }
 
-              // Convert embedding to Float32Array if needed
-              if (embedding && !(embedding instanceof Float32Array)) {
-                embedding = new Float32Array(Object.values(embedding));
-              }
+    try {
+      const embeddings = await this.loadEmbeddingsFromOPFS(pageId);
+      this.annIndex.addPage(pageId, embeddings);
+      this.scheduleAnnIndexSave();
+    } catch (error) {
+      console.warn(`Failed to add page ${pageId} to ANN index:`, error);
+    }
+  }
 
-              if (embedding && embedding.length === queryEmbedding.length) {
-                const similarity = this.cosineSimilarity(queryEmbedding, embedding);
-
-                results.push({
-                  pageId: pageId,
-                  pageTitle: page.title,
-                  pageUrl: page.url,
-                  chunkId: chunk.id,
-                  chunkText: chunk.text,
-                  similarity: similarity,
-                  timestamp: page.timestamp,
-                });
-              } else if (embedding) {
-              }
-            }
-          }
-        } catch (error) {
-          console.warn(`Failed to search page ${pageId}:`, error);
-          // Continue with other pages
-        }
-      }
+  /**
+   * Drop the in-memory search index when vector caching is disabled
+   * Pending index changes are saved first; the next search loads the index again.
+   */
+  async releaseSearchCaches() {
+    if (this.settings.enableCaching) {
+      return;
+    }
 
-      // Sort by similarity and return top results
-      const sortedResults = results.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+    this.queryEmbeddingCache = null;
+    const annIndex = this.annIndex;
+    this.annIndex = null;
 
-      return sortedResults;
-    } catch (error) {
-      console.error('Real embedding search failed:', error);
-      throw error;
+    if (annIndex && this.annSaveTimer) {
+      clearTimeout(this.annSaveTimer);
+      this.annSaveTimer = null;
+      try {
+        await annIndex.save();
+      } catch (error) {
+        console.error('Failed to save ANN index:', error);
+      }
     }
   }
 
+  /**
+   * Persist the nearest-neighbour index after a burst of updates
+   */
+  scheduleAnnIndexSave() {
+    clearTimeout(this.annSaveTimer);
+    this.annSaveTimer = setTimeout(() => {
+      this.annSaveTimer = null;
+      this.annIndex?.save().catch(error => {
+        console.error('Failed to save ANN index:', error);
+      });
+    }, this.ANN_SAVE_DELAY);
+  }
+
   /**
    * Calculate text similarity between query and chunk
    * @param {string} query - Search query
@@ -910,23 +2630,70 @@ class BackgroundService {
         const page = data.pages[pageId];
         if (page) {
           delete data.pages[pageId];
-          delete data.urlIndex[page.url];
+          if (data.urlIndex[page.url] === pageId) {
+            delete data.urlIndex[page.url];
+          }
           await chrome.storage.local.set({ offlineIndexer: data });
         }
       }
+
+      if (this.annIndex) {
+        this.annIndex.removePage(pageId);
+        this.scheduleAnnIndexSave();
+      }
+
+      // Remove chunks and vectors; orphaned vectors are never searched, so don't fail on them
+      await this.removePageChunks(pageId);
+      try {
+        await this.sendToOffscreen({ type: 'DELETE_PAGE_VECTORS', data: { pageId } });
+      } catch (error) {
+        console.warn(`Failed to delete vectors for page ${pageId}:`, error);
+      }
     } catch (error) {
       console.error('Failed to delete page:', error);
       throw error;
     }
   }
 
+  /**
+   * Remove a page's chunks from OPFS
+   * @param {string} pageId - Page ID
+   */
+  async removePageChunks(pageId) {
+    try {
+      const opfsRoot = await navigator.storage.getDirectory();
+      const chunksDir = await opfsRoot.getDirectoryHandle('chunks');
+      await chunksDir.removeEntry(pageId, { recursive: true });
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        console.warn(`Failed to remove chunks for page ${pageId}:`, error);
+      }
+    }
+  }
+
   /**
    * Clear all data
    */
   async clearAllData() {
     try {
       this.pages.clear();
+      await this.backfill.cancel();
+      await this.rechunkJob.cancel();
+      await this.captureQueue.clear();
       await chrome.storage.local.clear();
+
+      // Remove chunks and vectors, keeping the downloaded model
+      const opfsRoot = await navigator.storage.getDirectory();
+      for (const name of ['chunks', 'hnsw']) {
+        try {
+          await opfsRoot.removeEntry(name, { recursive: true });
+        } catch (error) {
+          if (error.name !== 'NotFoundError') throw error;
+        }
+      }
+      clearTimeout(this.annSaveTimer);
+      this.annIndex = null;
+      await this.sendToOffscreen({ type: 'CLEAR_VECTORS' });
     } catch (error) {
       console.error('Failed to clear all data:', error);
       throw error;
@@ -961,8 +2728,108 @@ class BackgroundService {
    * @param {any} value - Setting value
    */
   async updateSetting(key, value) {
+    if (key === 'urlRules') {
+      // Reject invalid patterns before they are saved
+      value = UrlRules.validate(value);
+    }
+    if (key === 'chunkSize' || key === 'overlapSize') {
+      // Reject chunks the model cannot take, or overlap that does not fit them
+      validateChunkingConfig({ ...this.getChunkingConfig(), [key]: value });
+    }
+    if (key === 'vectorQuantization' && !VectorStore.QUANTIZATIONS.includes(value)) {
+      throw new Error(`Unknown vector quantization: ${value}`);
+    }
+
+    const previous = this.settings[key];
     this.settings[key] = value;
     await this.saveSettings();
+
+    if (key === 'vectorQuantization' && value !== previous) {
+      await this.requantizeVectors(value);
+    }
+
+    if (key === 'enableCaching' && !value) {
+      await this.releaseSearchCaches();
+    }
+
+    if (key === 'urlRules' || key === 'urlRulesDefaultAction') {
+      this.loadUrlRules();
+    }
+
+    if (key === 'captureConcurrency') {
+      this.captureQueue.setConcurrency(value);
+    }
+
+    if (key === 'backfillMaxTabs') {
+      this.backfill.setMaxTabs(value);
+    }
+
+    if ((key === 'chunkSize' || key === 'overlapSize') && value !== previous) {
+      // Settings pages show how many pages now need re-chunking
+      this.rechunkJob.onChange(this.rechunkJob.snapshot());
+    }
+
+    if (key === 'revisionsToKeep' && value < previous) {
+      const urls = new Set(
+        Array.from(this.pages.values())
+          .filter(page => page.kind === 'revision')
+          .map(page => page.url)
+      );
+      for (const url of urls) {
+        await this.pruneRevisions(url);
+      }
+    }
+
+    if (key === 'enableReranking' && value) {
+      // Retry a copy that failed before, e.g. after the models were downloaded
+      this.rerankerAvailable = null;
+      await this.ensureRerankerAvailable();
+    }
+  }
+
+  /**
+   * Re-encode stored vectors after the quantization setting changes
+   * Pages quantized more coarsely than the new setting are embedded again from their source.
+   * @param {string} encoding - 'none' or 'int8'
+   */
+  async requantizeVectors(encoding) {
+    try {
+      const { reembed, ...stats } = await this.sendToOffscreen({
+        type: 'REQUANTIZE_VECTORS',
+        data: { encoding },
+      });
+      console.log('Vectors requantized:', stats);
+
+      // Graph vectors come from the store, so reload them in their new precision
+      this.annIndex = null;
+      await this.vectorStore.open();
+
+      await this.rechunkJob.load();
+      // A running job lists the pages afresh before each page, so it picks these up too
+      if (reembed.length > 0 && this.rechunkJob.status.state !== 'running') {
+        console.log(`Re-embedding ${reembed.length} pages quantized more coarsely`);
+        await this.rechunkJob.start();
+      }
+    } catch (error) {
+      console.error('Failed to requantize vectors:', error);
+    }
+  }
+
+  /**
+   * Compression achieved by the vector store's quantization
+   * @returns {Promise<Object>} Compression statistics
+   */
+  async getVectorStorageStats() {
+    try {
+      await this.vectorStore.open();
+      return {
+        quantization: this.settings.vectorQuantization,
+        ...this.vectorStore.getCompressionStats(),
+      };
+    } catch (error) {
+      console.warn('Failed to read vector store stats:', error);
+      return null;
+    }
   }
 
   /**
@@ -971,36 +2838,14 @@ class BackgroundService {
    */
   async calculateRealStorageUsage() {
     try {
-      const opfsRoot = await navigator.storage.getDirectory();
       let totalSize = 0;
 
-      // Calculate size of all stored embeddings using new format
+      // Calculate size of all stored embeddings in the vector store
       try {
-        const embeddingsDir = await opfsRoot.getDirectoryHandle('embeddings');
-
-        // Get all files in embeddings directory
-        const files = [];
-        for await (const [name, handle] of embeddingsDir.entries()) {
-          if (handle.kind === 'file' && name.endsWith('.json')) {
-            files.push({ name, handle });
-          }
-        }
-
-        // Calculate total size of embedding files
-        for (const file of files) {
-          try {
-            const fileData = await file.handle.getFile();
-            totalSize += fileData.size;
-          } catch (error) {
-            console.warn(`Failed to calculate size for embedding file ${file.name}:`, error);
-          }
-        }
-
-        console.log(
-          `Calculated storage usage: ${totalSize} bytes from ${files.length} embedding files`
-        );
+        await this.vectorStore.open();
+        totalSize += await this.vectorStore.getStorageSize();
       } catch (error) {
-        console.warn('Failed to access embeddings directory:', error);
+        console.warn('Failed to access vector store:', error);
       }
 
       return totalSize;
@@ -1025,6 +2870,7 @@ class BackgroundService {
       pageCount: pages.length,
       totalChunks,
       storageUsage: await this.calculateRealStorageUsage(),
+      vectorStorage: await this.getVectorStorageStats(),
       model: modelStatus,
       pages: pages.map(p => ({
         url: p.url,
@@ -1297,6 +3143,9 @@ const backgroundService = new BackgroundService();
 // Initialize on startup
 backgroundService.init().catch(console.error);
 
+// Exported for the tests; the extension loads this file as the service worker
+export { BackgroundService, backgroundService };
+
 // Handle messages from content scripts and UI
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   const { type, data } = request;
@@ -1318,15 +3167,100 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       // Respond immediately to prevent message channel timeout
       sendResponse({ success: true, message: 'Page capture initiated' });
 
-      // Process asynchronously without blocking the response
+      // Queue the capture; the queue retries failures and survives worker restarts
       backgroundService
-        .captureAndProcess(sender.tab.id, data.url, data.title)
-        .then(() => {})
+        .enqueueCapture(sender.tab.id, data.url, data.title, {
+          incognito: sender.tab.incognito,
+          signals: data.sensitivity || [],
+          canonicalUrl: data.canonicalUrl,
+        })
         .catch(error => {
-          console.error('Page processing failed:', error);
+          console.error('Failed to queue page capture:', error);
         });
       return false; // Response already sent
 
+    case 'CAPTURE_TAB':
+      chrome.tabs
+        .get(data.tabId)
+        .then(tab => backgroundService.captureTab(tab, { reindex: data.reindex }))
+        .then(result => sendResponse({ success: true, data: result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_QUEUE':
+      backgroundService.captureQueue
+        .getSnapshot()
+        .then(queue => sendResponse({ success: true, data: queue }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_BOOKMARK_FOLDERS':
+      backgroundService
+        .getBookmarkFolders()
+        .then(folders => sendResponse({ success: true, data: folders }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'START_BACKFILL':
+      backgroundService
+        .startBackfill(data)
+        .then(progress => sendResponse({ success: true, data: progress }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_BACKFILL':
+      backgroundService.backfill
+        .getSnapshot()
+        .then(progress => sendResponse({ success: true, data: progress }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'PAUSE_BACKFILL':
+      backgroundService.backfill
+        .pause()
+        .then(() => backgroundService.backfill.getSnapshot())
+        .then(progress => sendResponse({ success: true, data: progress }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'RESUME_BACKFILL':
+      backgroundService.backfill
+        .resume()
+        .then(() => backgroundService.backfill.getSnapshot())
+        .then(progress => sendResponse({ success: true, data: progress }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_RECHUNK':
+      backgroundService
+        .getRechunkProgress()
+        .then(progress => sendResponse({ success: true, data: progress }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'START_RECHUNK':
+      backgroundService
+        .startRechunk()
+        .then(progress => sendResponse({ success: true, data: progress }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'CANCEL_RECHUNK':
+      backgroundService.rechunkJob
+        .cancel()
+        .then(() => backgroundService.rechunkJob.getSnapshot())
+        .then(progress => sendResponse({ success: true, data: progress }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'CANCEL_BACKFILL':
+      backgroundService.backfill
+        .cancel()
+        .then(() => backgroundService.backfill.getSnapshot())
+        .then(progress => sendResponse({ success: true, data: progress }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'GET_STATS':
       backgroundService
         .getStats()
@@ -1378,14 +3312,54 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
     case 'SEMANTIC_SEARCH':
       backgroundService
-        .semanticSearch(data.query, data.limit || 10)
-        .then(results => sendResponse({ success: true, data: results }))
+        .semanticSearch(data.query, data.limit || 10, {
+          mode: data.mode,
+          groupByPage: data.groupByPage,
+          aggregation: data.aggregation,
+          chunksPerPage: data.chunksPerPage,
+          mmrLambda: data.mmrLambda,
+        })
+        .then(results =>
+          sendResponse({
+            success: true,
+            data: results,
+            filters: SearchQuery.parse(data.query).filters,
+          })
+        )
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_CLIPS':
+      backgroundService
+        .getClips(data.url)
+        .then(clips => sendResponse({ success: true, data: clips }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'DELETE_CLIP':
+      backgroundService
+        .deleteClip(data.clipId)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_REVISIONS':
+      backgroundService
+        .getRevisions(data.url)
+        .then(revisions => sendResponse({ success: true, data: revisions }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'DIFF_REVISIONS':
+      backgroundService
+        .diffRevisions(data.beforeId, data.afterId)
+        .then(diff => sendResponse({ success: true, data: diff }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
 
     case 'DELETE_PAGE':
       backgroundService
-        .deletePage(data.pageId)
+        .deletePageWithRevisions(data.pageId)
         .then(() => sendResponse({ success: true }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
@@ -1445,9 +3419,61 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   }
 });
 
+// Search the index from the address bar ("pi <query>")
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+  backgroundService.handleOmniboxInput(text, suggest);
+});
+
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+  backgroundService.handleOmniboxEnter(text, disposition);
+});
+
+// Manual capture from the context menu and the keyboard shortcut
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  let capture;
+  if (info.menuItemId === 'index-page') {
+    capture = backgroundService.captureTab(tab);
+  } else if (info.menuItemId === 'reindex-page') {
+    capture = backgroundService.captureTab(tab, { reindex: true });
+  } else if (info.menuItemId === 'index-selection') {
+    capture = backgroundService.clipSelection(tab, info.selectionText);
+  } else {
+    return;
+  }
+
+  backgroundService.reportManualCapture(tab, capture);
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command !== 'index-page') return;
+
+  backgroundService.reportManualCapture(tab, backgroundService.captureTab(tab));
+});
+
+// Capture retries wake the worker with an alarm; timers do not survive its suspension
+chrome.alarms.onAlarm.addListener(alarm => {
+  backgroundService.captureQueue.handleAlarm(alarm).catch(error => {
+    console.error('Failed to resume capture queue:', error);
+  });
+});
+
 // Handle extension lifecycle
 chrome.runtime.onInstalled.addListener(() => {
   backgroundService.init().catch(console.error);
+
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: 'index-page', title: 'Index this page', contexts: ['page'] });
+    chrome.contextMenus.create({
+      id: 'reindex-page',
+      title: 'Re-index this page',
+      contexts: ['page'],
+    });
+    chrome.contextMenus.create({
+      id: 'index-selection',
+      title: 'Index selected text',
+      contexts: ['selection'],
+    });
+  });
 });
 
 chrome.runtime.onSuspend.addListener(() => {});
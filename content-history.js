@@ -0,0 +1,17 @@
+/**
+ * History Hook
+ * Runs in the page's main world and reports client-side navigations to the content script,
+ * which lives in an isolated world and cannot see the page's history.pushState/replaceState
+ * calls
+ */
+
+(() => {
+  for (const method of ['pushState', 'replaceState']) {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event('offline-indexer:locationchange'));
+      return result;
+    };
+  }
+})();
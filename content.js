@@ -1,6 +1,7 @@
 /**
  * Content Script
- * Triggers page capture on page load and handles status updates
+ * Triggers page capture on page load and on client-side navigation, handles status updates and
+ * supplies selection clips
  */
 
 class ContentScript {
@@ -9,6 +10,15 @@ class ContentScript {
     this.pageTitle = document.title;
     this.isProcessing = false;
     this.processingStartTime = null;
+    // Single-page app navigation (see watchNavigation)
+    this.SPA_SETTLE_MS = 1000; // Quiet period after a route change before capturing
+    this.SPA_MAX_WAIT_MS = 5000; // Capture anyway if the page keeps changing
+    this.MAX_SPA_CAPTURES = 20; // Route changes captured per tab before giving up
+    this.spaCaptures = 0;
+    this.settleTimer = null;
+    this.settleObserver = null;
+    this.staleCanonicalUrl = null; // Canonical link of the route before the last navigation
+    this.sensitivity = null; // lib/sensitivity.js, loaded on first use
   }
 
   /**
@@ -26,6 +36,112 @@ class ContentScript {
     } else {
       this.handlePageLoad();
     }
+
+    this.watchNavigation();
+  }
+
+  /**
+   * Capture each new route of single-page apps
+   * pushState/replaceState are reported by content-history.js, which runs in the page's world.
+   */
+  watchNavigation() {
+    const onLocationChange = () => this.handleLocationChange();
+    window.addEventListener('offline-indexer:locationchange', onLocationChange);
+    window.addEventListener('popstate', onLocationChange);
+    window.addEventListener('hashchange', onLocationChange);
+  }
+
+  /**
+   * Handle a client-side URL change
+   * Captures wait until the DOM has settled, and a newer change cancels a pending capture.
+   */
+  handleLocationChange() {
+    this.cancelSettle();
+
+    if (this.getLogicalUrl(window.location.href) === this.getLogicalUrl(this.pageUrl)) {
+      return;
+    }
+    if (this.spaCaptures >= this.MAX_SPA_CAPTURES) {
+      return;
+    }
+
+    // The route content (and any canonical link update) has not rendered yet
+    this.staleCanonicalUrl = this.readCanonicalLink();
+
+    this.waitForSettle(() => this.handleRouteChange());
+  }
+
+  /**
+   * Call back once the DOM has stopped changing for SPA_SETTLE_MS, or after SPA_MAX_WAIT_MS
+   * @param {Function} callback - Called when settled
+   */
+  waitForSettle(callback) {
+    const started = Date.now();
+    const schedule = () => {
+      clearTimeout(this.settleTimer);
+      const remaining = Math.max(0, this.SPA_MAX_WAIT_MS - (Date.now() - started));
+      this.settleTimer = setTimeout(
+        () => {
+          this.cancelSettle();
+          callback();
+        },
+        Math.min(this.SPA_SETTLE_MS, remaining)
+      );
+    };
+
+    // Route content and the <title> are usually rendered after the URL changes
+    this.settleObserver = new MutationObserver(schedule);
+    this.settleObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+    });
+    schedule();
+  }
+
+  /**
+   * Stop waiting for the DOM to settle
+   */
+  cancelSettle() {
+    clearTimeout(this.settleTimer);
+    this.settleTimer = null;
+    if (this.settleObserver) {
+      this.settleObserver.disconnect();
+      this.settleObserver = null;
+    }
+  }
+
+  /**
+   * Capture the route the page has settled on
+   */
+  async handleRouteChange() {
+    if (this.getLogicalUrl(window.location.href) === this.getLogicalUrl(this.pageUrl)) {
+      return;
+    }
+
+    this.pageUrl = window.location.href;
+    this.pageTitle = document.title;
+    this.spaCaptures++;
+
+    try {
+      await this.requestCapture();
+    } catch (error) {
+      console.error('Failed to capture route change:', error);
+    }
+  }
+
+  /**
+   * URL without in-page anchors; hash routes such as `#/inbox` or `#!/inbox` are kept
+   * (the same rule as lib/url-normalizer.js, which content scripts cannot import)
+   * @param {string} url - Page URL
+   * @returns {string} URL identifying the logical page
+   */
+  getLogicalUrl(url) {
+    const parsed = new URL(url);
+    if (!/^#!?\//.test(parsed.hash)) {
+      parsed.hash = '';
+    }
+    return parsed.href;
   }
 
   /**
@@ -53,24 +169,99 @@ class ContentScript {
       this.isProcessing = true;
       this.processingStartTime = Date.now();
 
-      // Send message to background script to capture page
-      const response = await this.sendMessage({
-        type: 'CAPTURE_PAGE',
-        data: {
-          url: this.pageUrl,
-          title: this.pageTitle,
-        },
-      });
-
-      if (!response.success) {
-        throw new Error(response.error || 'Failed to trigger page capture');
-      }
+      // Single-page apps may have changed route or title while waiting
+      this.pageUrl = window.location.href;
+      this.pageTitle = document.title;
+      await this.requestCapture();
     } catch (error) {
       console.error('Failed to handle page load:', error);
       this.isProcessing = false;
     }
   }
 
+  /**
+   * Ask the background script to capture the current page
+   */
+  async requestCapture() {
+    const response = await this.sendMessage({
+      type: 'CAPTURE_PAGE',
+      data: {
+        url: this.pageUrl,
+        title: this.pageTitle,
+        canonicalUrl: this.getCanonicalUrl(),
+        sensitivity: await this.detectSensitivity(),
+      },
+    });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to trigger page capture');
+    }
+  }
+
+  /**
+   * Detect login/payment forms and noindex markers on the page
+   * The selectors live in lib/sensitivity.js, which also checks the captured HTML; content
+   * scripts cannot be modules, so it is imported as a web-accessible resource.
+   * @returns {Promise<string[]>} Sensitive page signals
+   */
+  async detectSensitivity() {
+    try {
+      if (!this.sensitivity) {
+        this.sensitivity = import(chrome.runtime.getURL('lib/sensitivity.js'));
+      }
+      const { detectDocumentSignals } = await this.sensitivity;
+      return detectDocumentSignals(document);
+    } catch (error) {
+      // The captured HTML is checked again in the offscreen document
+      console.warn('Failed to check page sensitivity:', error);
+      this.sensitivity = null;
+      return [];
+    }
+  }
+
+  /**
+   * Collect the current selection and the headings it sits under, for indexing as a clip
+   * @returns {Object|null} { text, headings } with outermost heading first, or null
+   */
+  getSelectionClip() {
+    const selection = window.getSelection();
+    const text = selection ? selection.toString().trim() : '';
+    if (!text) {
+      return null;
+    }
+
+    return { text, headings: this.getHeadingContext(selection.getRangeAt(0).startContainer) };
+  }
+
+  /**
+   * Find the heading trail (h1 > h2 > ...) leading to a node
+   * @param {Node} node - Node in the document
+   * @returns {string[]} Heading texts, outermost first
+   */
+  getHeadingContext(node) {
+    const trail = [];
+
+    for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+      const position = heading.compareDocumentPosition(node);
+      const before =
+        position & Node.DOCUMENT_POSITION_FOLLOWING ||
+        position & Node.DOCUMENT_POSITION_CONTAINED_BY;
+      if (!before) break;
+
+      // A heading closes every open heading of the same or a lower level
+      const level = Number(heading.tagName[1]);
+      while (trail.length > 0 && trail[trail.length - 1].level >= level) {
+        trail.pop();
+      }
+      const text = heading.textContent.replace(/\s+/g, ' ').trim();
+      if (text) {
+        trail.push({ level, text });
+      }
+    }
+
+    return trail.map(heading => heading.text);
+  }
+
   /**
    * Send message to background script
    * @param {Object} message - Message to send
@@ -125,6 +316,10 @@ class ContentScript {
         this.handleAlreadyIndexed();
         break;
 
+      case 'INDEXING_SKIPPED':
+        this.handleIndexingSkipped(data.skipped);
+        break;
+
       case 'CAPTURE_ERROR':
         this.handleCaptureError(error);
         break;
@@ -161,6 +356,15 @@ class ContentScript {
     this.showNotification('Page already indexed', 'info');
   }
 
+  /**
+   * Handle a capture that indexed nothing, e.g. a private or sensitive page
+   * @param {string} reason - Why the page was skipped
+   */
+  handleIndexingSkipped(reason) {
+    this.isProcessing = false;
+    this.showNotification(`Page not indexed: ${reason}`, 'info');
+  }
+
   /**
    * Handle capture error
    * @param {string} error - Error message
@@ -189,6 +393,26 @@ class ContentScript {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Read the page's canonical link
+   * Apps that don't update the link on route changes would merge every route into the first
+   * one, so a link left over from the previous route is ignored.
+   * @returns {string|null} Absolute canonical URL, or null if the page has none
+   */
+  getCanonicalUrl() {
+    const canonicalUrl = this.readCanonicalLink();
+    return canonicalUrl === this.staleCanonicalUrl ? null : canonicalUrl;
+  }
+
+  /**
+   * Read the canonical link as it is in the document
+   * @returns {string|null} Absolute canonical URL, or null if the page has none
+   */
+  readCanonicalLink() {
+    const link = document.querySelector('link[rel~="canonical" i][href]');
+    return link ? link.href : null;
+  }
+
   /**
    * Get current page information
    * @returns {Object} Page information
@@ -197,6 +421,7 @@ class ContentScript {
     return {
       url: this.pageUrl,
       title: this.pageTitle,
+      canonicalUrl: this.getCanonicalUrl(),
       isProcessing: this.isProcessing,
       processingTime: this.isProcessing ? Date.now() - this.processingStartTime : null,
     };
@@ -211,6 +436,15 @@ contentScript.init();
 
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'GET_SELECTION_CLIP') {
+    sendResponse({ clip: contentScript.getSelectionClip() });
+    return;
+  }
+  if (message.type === 'GET_PAGE_INFO') {
+    sendResponse(contentScript.getPageInfo());
+    return;
+  }
+
   contentScript.handleStatusUpdate(message);
   sendResponse({ received: true });
 });
@@ -0,0 +1,327 @@
+/**
+ * Backfill
+ * Indexes pages from browser history or bookmarks by opening each URL in a background tab and
+ * handing the tab to the capture queue. Progress is persisted in chrome.storage.local, so a
+ * backfill survives service worker restarts.
+ *
+ * URLs are opened in batches of at most maxTabs tabs, with a pause between batches. States:
+ * idle -> running <-> paused -> done | cancelled. Pausing or cancelling lets the open tabs finish.
+ */
+
+const STORAGE_KEY = 'offlineIndexerBackfill';
+
+export class Backfill {
+  /**
+   * @param {Object} options - Backfill options
+   * @param {Function} options.check - url => reason the URL must not be opened, or null
+   * @param {Function} options.capture - async (tab, item) => { skipped } | undefined once the
+   *   loaded tab has been captured; throw if the capture failed
+   * @param {Function} options.onChange - Called with a progress snapshot whenever it changes
+   * @param {number} options.maxTabs - Background tabs open at once
+   * @param {number} options.batchDelayMs - Pause between batches
+   * @param {number} options.loadTimeoutMs - Time a tab gets to finish loading
+   */
+  constructor({
+    check,
+    capture,
+    onChange = () => {},
+    maxTabs = 2,
+    batchDelayMs = 2000,
+    loadTimeoutMs = 30000,
+  }) {
+    this.check = check;
+    this.capture = capture;
+    this.onChange = onChange;
+    this.maxTabs = maxTabs;
+    this.batchDelayMs = batchDelayMs;
+    this.loadTimeoutMs = loadTimeoutMs;
+    this.status = Backfill.emptyStatus();
+    this.tabIds = new Set(); // Tabs opened by this worker
+    this.loaded = null;
+    this.running = false;
+  }
+
+  /**
+   * Progress of a backfill that has not started
+   * @returns {Object} Status
+   */
+  static emptyStatus() {
+    return {
+      state: 'idle',
+      source: null,
+      pending: [], // { url, title } not opened yet
+      current: [], // { url, title, tabId } of the batch being captured
+      total: 0,
+      indexed: 0,
+      skipped: 0,
+      failed: 0,
+      startedAt: null,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Load persisted progress and continue a running backfill (once per worker lifetime)
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const result = await chrome.storage.local.get([STORAGE_KEY]);
+          this.status = { ...Backfill.emptyStatus(), ...result[STORAGE_KEY] };
+        } catch (error) {
+          console.error('Failed to load backfill:', error);
+        }
+
+        // A batch cut short by a worker restart is opened again; its tabs are orphaned
+        for (const item of this.status.current) {
+          if (item.tabId != null) {
+            chrome.tabs.remove(item.tabId).catch(() => {});
+          }
+        }
+        this.status.pending = [
+          ...this.status.current.map(({ url, title }) => ({ url, title })),
+          ...this.status.pending,
+        ];
+        this.status.current = [];
+        await this.save();
+
+        if (this.status.state === 'running') {
+          this.runBatches();
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Start a backfill, replacing a finished one
+   * @param {Object[]} items - { url, title } to index, in order
+   * @param {Object} source - Description of what was selected, kept for display
+   */
+  async start(items, source) {
+    await this.load();
+    if (this.status.state === 'running' || this.status.state === 'paused') {
+      throw new Error('A backfill is already in progress');
+    }
+
+    this.status = {
+      ...Backfill.emptyStatus(),
+      state: 'running',
+      source,
+      pending: items.map(({ url, title }) => ({ url, title })),
+      total: items.length,
+      startedAt: Date.now(),
+    };
+    await this.update();
+    this.runBatches();
+  }
+
+  /**
+   * Stop opening tabs; the current batch still finishes
+   */
+  async pause() {
+    await this.load();
+    if (this.status.state === 'running') {
+      this.status.state = 'paused';
+      await this.update();
+    }
+  }
+
+  /**
+   * Continue a paused backfill
+   */
+  async resume() {
+    await this.load();
+    if (this.status.state === 'paused') {
+      this.status.state = 'running';
+      await this.update();
+      this.runBatches();
+    }
+  }
+
+  /**
+   * Drop the URLs not opened yet; the current batch still finishes
+   */
+  async cancel() {
+    await this.load();
+    if (this.status.state === 'running' || this.status.state === 'paused') {
+      this.status.state = 'cancelled';
+      this.status.pending = [];
+      await this.update();
+    }
+  }
+
+  /**
+   * Change how many tabs are opened at once, from the next batch on
+   * @param {number} maxTabs - Background tabs open at once
+   */
+  setMaxTabs(maxTabs) {
+    this.maxTabs = Math.max(1, maxTabs);
+  }
+
+  /**
+   * Whether a tab was opened by the backfill
+   * @param {number} tabId - Tab ID
+   * @returns {boolean} True for backfill tabs
+   */
+  ownsTab(tabId) {
+    return this.tabIds.has(tabId);
+  }
+
+  /**
+   * Progress for display
+   * @returns {Promise<Object>} { state, source, total, done, indexed, skipped, failed, ... }
+   */
+  async getSnapshot() {
+    await this.load();
+    return this.snapshot();
+  }
+
+  /**
+   * Progress without the URL lists
+   * @returns {Object} Snapshot
+   */
+  snapshot() {
+    const { pending, current, ...progress } = this.status;
+    return {
+      ...progress,
+      done: progress.indexed + progress.skipped + progress.failed,
+      remaining: pending.length + current.length,
+      currentUrls: current.map(item => item.url),
+    };
+  }
+
+  /**
+   * Open and capture batches until the backfill is paused, cancelled or done
+   */
+  async runBatches() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.status.state === 'running' && this.status.pending.length > 0) {
+        this.status.current = this.status.pending.splice(0, this.maxTabs);
+        await this.update();
+
+        await Promise.all(this.status.current.map(item => this.processItem(item)));
+        this.status.current = [];
+        await this.update();
+
+        if (this.status.state === 'running' && this.status.pending.length > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.batchDelayMs));
+        }
+      }
+
+      if (this.status.state === 'running') {
+        this.status.state = 'done';
+        await this.update();
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Open one URL in a background tab, capture it and close the tab
+   * @param {Object} item - { url, title }; the tab ID is recorded on it
+   */
+  async processItem(item) {
+    const skipReason = this.check(item.url);
+    if (skipReason) {
+      this.status.skipped++;
+      return;
+    }
+
+    try {
+      const tab = await chrome.tabs.create({ url: item.url, active: false });
+      item.tabId = tab.id;
+      this.tabIds.add(tab.id);
+      await this.save();
+
+      const loadedTab = await this.waitForLoad(tab.id);
+      const outcome = await this.capture(loadedTab, item);
+      if (outcome?.skipped) {
+        this.status.skipped++;
+      } else {
+        this.status.indexed++;
+      }
+    } catch (error) {
+      console.warn(`Backfill failed for ${item.url}:`, error);
+      this.status.failed++;
+    } finally {
+      if (item.tabId != null) {
+        this.tabIds.delete(item.tabId);
+        chrome.tabs.remove(item.tabId).catch(() => {});
+      }
+      this.onChange(this.snapshot());
+    }
+  }
+
+  /**
+   * Wait for a tab to finish loading
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Object>} The loaded tab
+   */
+  waitForLoad(tabId) {
+    return new Promise((resolve, reject) => {
+      const finish = (error, tab) => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        chrome.tabs.onRemoved.removeListener(onRemoved);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(tab);
+        }
+      };
+      const onUpdated = (id, changeInfo, tab) => {
+        if (id === tabId && changeInfo.status === 'complete') {
+          finish(null, tab);
+        }
+      };
+      const onRemoved = id => {
+        if (id === tabId) {
+          finish(new Error('Tab was closed before it loaded'));
+        }
+      };
+      const timer = setTimeout(
+        () => finish(new Error('Page did not finish loading')),
+        this.loadTimeoutMs
+      );
+
+      chrome.tabs.onUpdated.addListener(onUpdated);
+      chrome.tabs.onRemoved.addListener(onRemoved);
+
+      // The tab may have loaded before the listeners were added
+      chrome.tabs
+        .get(tabId)
+        .then(tab => {
+          if (tab.status === 'complete') {
+            finish(null, tab);
+          }
+        })
+        .catch(() => {});
+    });
+  }
+
+  /**
+   * Save the progress and tell listeners
+   */
+  async update() {
+    this.status.updatedAt = Date.now();
+    await this.save();
+    this.onChange(this.snapshot());
+  }
+
+  /**
+   * Persist the progress
+   */
+  async save() {
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEY]: this.status });
+    } catch (error) {
+      console.error('Failed to save backfill:', error);
+    }
+  }
+}
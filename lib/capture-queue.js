@@ -0,0 +1,276 @@
+/**
+ * Capture Queue
+ * Durable job queue for page captures, persisted in chrome.storage.local so pending work
+ * survives service worker restarts
+ *
+ * Job states: queued -> capturing -> embedding -> done | failed. A failed attempt goes back to
+ * `queued` with an exponential backoff delay until the attempts run out. Jobs that were running
+ * when the worker stopped count that run as a failed attempt on load, so a page that crashes the
+ * worker cannot retry forever.
+ *
+ * Retries are woken up by a chrome.alarms alarm rather than a timer, since a suspended worker
+ * never fires its timers; the service worker passes the alarm to handleAlarm.
+ */
+
+const STORAGE_KEY = 'offlineIndexerQueue';
+const RETRY_ALARM = 'offlineIndexerQueueRetry';
+const ACTIVE_STATES = ['capturing', 'embedding'];
+const FINISHED_STATES = ['done', 'failed'];
+
+export class CaptureQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {Function} options.run - async (job, setState) => { skipped } | undefined; throw to
+   *   fail the attempt, with `error.permanent = true` to skip the remaining retries
+   * @param {Function} options.onChange - Called with a copy of a job whenever its state changes
+   * @param {number} options.concurrency - Jobs processed at once
+   * @param {number} options.maxAttempts - Attempts before a job fails
+   * @param {number} options.baseDelayMs - Delay before the first retry, doubled per attempt
+   *   (Chrome fires alarms 30 seconds apart at the most)
+   * @param {number} options.maxDelayMs - Retry delay cap
+   * @param {number} options.keepFinished - Finished jobs kept for display
+   */
+  constructor({
+    run,
+    onChange = () => {},
+    concurrency = 2,
+    maxAttempts = 4,
+    baseDelayMs = 30 * 1000,
+    maxDelayMs = 5 * 60 * 1000,
+    keepFinished = 50,
+  }) {
+    this.run = run;
+    this.onChange = onChange;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.keepFinished = keepFinished;
+    this.jobs = [];
+    this.running = new Set(); // IDs of jobs being processed by this worker
+    this.loaded = null;
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Load persisted jobs and start processing (once per worker lifetime)
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const result = await chrome.storage.local.get([STORAGE_KEY]);
+          this.jobs = result[STORAGE_KEY]?.jobs || [];
+        } catch (error) {
+          console.error('Failed to load capture queue:', error);
+          this.jobs = [];
+        }
+
+        // Attempts cut short by a worker restart count as failed ones
+        const interrupted = this.jobs.filter(job => ACTIVE_STATES.includes(job.state));
+        for (const job of interrupted) {
+          job.error = 'The service worker stopped during the capture';
+          job.updatedAt = Date.now();
+          if (job.attempts >= this.maxAttempts) {
+            console.error(`Capture failed for ${job.url}: ${job.error}`);
+            job.state = 'failed';
+          } else {
+            job.state = 'queued';
+            job.nextAttemptAt = Date.now() + this.getRetryDelay(job.attempts);
+          }
+        }
+        await this.save();
+        for (const job of interrupted) {
+          this.onChange({ ...job });
+        }
+        this.pump();
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Add a capture job, or refresh the pending job for the same key (the URL by default)
+   * @param {Object} details - { url, key, tabId, title, ... }, stored on the job for `run`
+   * @returns {Promise<Object>} The queued job
+   */
+  async enqueue({ url, ...details }) {
+    await this.load();
+
+    const key = details.key || url;
+    const pending = this.jobs.find(
+      job => (job.key || job.url) === key && !FINISHED_STATES.includes(job.state)
+    );
+    if (pending) {
+      if (pending.state === 'queued') {
+        Object.assign(pending, details, { updatedAt: Date.now() });
+        await this.save();
+      }
+      return pending;
+    }
+
+    const now = Date.now();
+    const job = {
+      ...details,
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      url,
+      state: 'queued',
+      attempts: 0,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: 0,
+    };
+    this.jobs.push(job);
+    await this.save();
+    this.onChange({ ...job });
+    this.pump();
+    return job;
+  }
+
+  /**
+   * Change how many jobs run at once
+   * @param {number} concurrency - Jobs processed at once
+   */
+  setConcurrency(concurrency) {
+    this.concurrency = Math.max(1, concurrency);
+    this.pump();
+  }
+
+  /**
+   * Process the jobs due when the retry alarm fires
+   * @param {Object} alarm - chrome.alarms alarm
+   */
+  async handleAlarm(alarm) {
+    if (alarm.name !== RETRY_ALARM) return;
+    await this.load();
+    this.pump();
+  }
+
+  /**
+   * Delay before retrying a job
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Start due jobs up to the concurrency limit, and set the alarm for the next retry
+   */
+  pump() {
+    const now = Date.now();
+    for (const job of this.jobs) {
+      if (this.running.size >= this.concurrency) break;
+      if (job.state === 'queued' && job.nextAttemptAt <= now && !this.running.has(job.id)) {
+        this.process(job);
+      }
+    }
+
+    const nextRetry = Math.min(
+      ...this.jobs
+        .filter(job => job.state === 'queued' && job.nextAttemptAt > now)
+        .map(job => job.nextAttemptAt)
+    );
+    const alarm = Number.isFinite(nextRetry)
+      ? chrome.alarms.create(RETRY_ALARM, { when: nextRetry })
+      : chrome.alarms.clear(RETRY_ALARM);
+    alarm.catch(error => console.error('Failed to set capture retry alarm:', error));
+  }
+
+  /**
+   * Run one attempt of a job and record the outcome
+   * @param {Object} job - Queued job
+   */
+  async process(job) {
+    this.running.add(job.id);
+    job.attempts++;
+
+    const setState = async state => {
+      job.state = state;
+      job.updatedAt = Date.now();
+      await this.save();
+      this.onChange({ ...job });
+    };
+
+    try {
+      await setState('capturing');
+      const outcome = await this.run(job, setState);
+      job.skipped = outcome?.skipped || null; // Why a finished job indexed nothing
+      job.error = null;
+      await setState('done');
+    } catch (error) {
+      job.error = error.message;
+      if (error.permanent || job.attempts >= this.maxAttempts) {
+        console.error(`Capture failed for ${job.url}:`, error);
+        await setState('failed');
+      } else {
+        const delay = this.getRetryDelay(job.attempts);
+        console.warn(`Capture attempt ${job.attempts} failed for ${job.url}, retrying:`, error);
+        job.nextAttemptAt = Date.now() + delay;
+        await setState('queued');
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.prune();
+      this.pump();
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs beyond keepFinished
+   */
+  prune() {
+    const finished = this.jobs.filter(job => FINISHED_STATES.includes(job.state));
+    if (finished.length <= this.keepFinished) return;
+
+    const dropped = new Set(
+      finished
+        .sort((a, b) => a.updatedAt - b.updatedAt)
+        .slice(0, finished.length - this.keepFinished)
+        .map(job => job.id)
+    );
+    this.jobs = this.jobs.filter(job => !dropped.has(job.id));
+    this.save();
+  }
+
+  /**
+   * Snapshot of the queue for display
+   * @returns {Promise<Object>} { jobs, counts, concurrency }
+   */
+  async getSnapshot() {
+    await this.load();
+
+    const counts = { queued: 0, capturing: 0, embedding: 0, done: 0, failed: 0 };
+    for (const job of this.jobs) {
+      counts[job.state]++;
+    }
+    return {
+      jobs: this.jobs.map(job => ({ ...job })).sort((a, b) => b.createdAt - a.createdAt),
+      counts,
+      concurrency: this.concurrency,
+    };
+  }
+
+  /**
+   * Remove every job (running attempts still finish)
+   */
+  async clear() {
+    await this.load();
+    this.jobs = [];
+    await this.save();
+  }
+
+  /**
+   * Persist the jobs
+   * Saves are serialized, and each one writes the state at the time it runs.
+   */
+  save() {
+    const run = this.saveQueue.then(() =>
+      chrome.storage.local.set({ [STORAGE_KEY]: { jobs: this.jobs } })
+    );
+    this.saveQueue = run.catch(error => console.error('Failed to save capture queue:', error));
+    return this.saveQueue;
+  }
+}
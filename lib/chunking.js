@@ -0,0 +1,102 @@
+/**
+ * Chunking Settings
+ * Checks the chunk size and overlap settings against the embedding model, and describes how a
+ * page was chunked so that pages chunked with other settings can be found and re-chunked.
+ *
+ * The chunk size counts the whole model input, including the [CLS] and [SEP] tokens.
+ */
+
+// all-MiniLM-L6-v2 has 512 position embeddings
+export const MODEL_MAX_SEQUENCE_LENGTH = 512;
+// 1: fixed token windows, 2: structure-aware (lib/structured-chunker.js), 3: BERT tokenization
+// (lib/wordpiece-tokenizer.js)
+export const CHUNKER_VERSION = 3;
+export const SPECIAL_TOKENS = 2;
+export const MIN_CHUNK_SIZE = 64;
+// Shorter repeats between neighbouring chunks are taken as chance, not overlap
+const MIN_OVERLAP_WORDS = 3;
+
+/**
+ * Validate chunking settings
+ * @param {Object} config - { chunkSize, overlapSize } in tokens
+ * @param {number} maxSequenceLength - Longest input the model accepts
+ * @returns {Object} { chunkSize, overlapSize }
+ * @throws {Error} If the chunk size does not fit the model or the overlap does not fit the chunk
+ */
+export function validateChunkingConfig(
+  { chunkSize, overlapSize },
+  maxSequenceLength = MODEL_MAX_SEQUENCE_LENGTH
+) {
+  if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > maxSequenceLength) {
+    throw new Error(
+      `Chunk size must be between ${MIN_CHUNK_SIZE} and ${maxSequenceLength} tokens, the model's maximum input`
+    );
+  }
+
+  // More overlap than half a chunk would embed most text twice
+  const maxOverlap = Math.floor((chunkSize - SPECIAL_TOKENS) / 2);
+  if (!Number.isInteger(overlapSize) || overlapSize < 0 || overlapSize > maxOverlap) {
+    throw new Error(
+      `Overlap must be between 0 and ${maxOverlap} tokens for ${chunkSize}-token chunks`
+    );
+  }
+
+  return { chunkSize, overlapSize };
+}
+
+/**
+ * Describe how a page is chunked, for storing with the page
+ * @param {Object} config - Validated { chunkSize, overlapSize }
+ * @returns {Object} { version, chunkSize, overlapSize }
+ */
+export function describeChunking({ chunkSize, overlapSize }) {
+  return { version: CHUNKER_VERSION, chunkSize, overlapSize };
+}
+
+/**
+ * Whether a page was chunked with the given settings by the current chunker
+ * @param {Object|undefined} chunking - The page's stored chunking description
+ * @param {Object} config - { chunkSize, overlapSize }
+ * @returns {boolean} False for pages chunked otherwise or before chunking was recorded
+ */
+export function isChunkedWith(chunking, config) {
+  return (
+    chunking?.version === CHUNKER_VERSION &&
+    chunking.chunkSize === config.chunkSize &&
+    chunking.overlapSize === config.overlapSize
+  );
+}
+
+/**
+ * Rebuild a page's text from its stored chunks, dropping the overlap between neighbours
+ * Used for pages indexed before their chunking source was stored.
+ * @param {Object[]} chunks - Stored chunks with text
+ * @returns {string} Text of the page
+ */
+export function mergeChunkTexts(chunks) {
+  let words = [];
+  for (const chunk of chunks) {
+    const chunkWords = (chunk.text || '').split(/\s+/).filter(Boolean);
+    words = words.concat(chunkWords.slice(overlapLength(words, chunkWords)));
+  }
+  return words.join(' ');
+}
+
+/**
+ * Number of words at the end of one chunk repeated at the start of the next
+ * @param {string[]} previous - Words so far
+ * @param {string[]} next - Words of the next chunk
+ * @returns {number} Length of the longest suffix of previous that starts next
+ */
+function overlapLength(previous, next) {
+  for (let length = Math.min(previous.length, next.length); length >= MIN_OVERLAP_WORDS; length--) {
+    let matches = true;
+    for (let i = 0; i < length && matches; i++) {
+      matches = previous[previous.length - length + i] === next[i];
+    }
+    if (matches) {
+      return length;
+    }
+  }
+  return 0;
+}
@@ -0,0 +1,23 @@
+/**
+ * Hash
+ * Fast non-cryptographic 64-bit string hash (cyrb53 construction, both 32-bit lanes kept), used
+ * for page IDs and near-duplicate fingerprints
+ */
+
+/**
+ * Hash a string
+ * @param {string} text - Text to hash
+ * @returns {number[]} [high, low] unsigned 32-bit halves
+ */
+export function hash64(text) {
+  let high = 0xdeadbeef;
+  let low = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    high = Math.imul(high ^ char, 2654435761);
+    low = Math.imul(low ^ char, 1597334677);
+  }
+  high = Math.imul(high ^ (high >>> 16), 2246822507) ^ Math.imul(low ^ (low >>> 13), 3266489909);
+  low = Math.imul(low ^ (low >>> 16), 2246822507) ^ Math.imul(high ^ (high >>> 13), 3266489909);
+  return [high >>> 0, low >>> 0];
+}
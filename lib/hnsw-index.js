@@ -0,0 +1,617 @@
+/**
+ * HNSW Index
+ * Approximate nearest-neighbour search over chunk embeddings (cosine similarity)
+ *
+ * Only the graph is persisted (`hnsw/graph.json` + `hnsw/links.bin` in OPFS); node vectors
+ * come from the vector store when the index is loaded, so nothing is stored twice.
+ * The service worker is the only writer.
+ *
+ * Removed nodes become tombstones: they still route searches but are never returned or linked
+ * to by new nodes. Relinking their neighbours and renumbering the nodes takes a pass over the
+ * whole graph, so it runs in one batch once COMPACTION_DEAD_RATIO of the nodes are dead, and
+ * when the graph is loaded.
+ */
+
+const INDEX_DIRECTORY = 'hnsw';
+const GRAPH_FILE = 'graph.json';
+const LINKS_FILE = 'links.bin';
+const FORMAT_VERSION = 1;
+const COMPACTION_DEAD_RATIO = 0.25;
+
+/**
+ * Binary heap ordered by a comparator
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      while (true) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0)
+          smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+export class HnswIndex {
+  /**
+   * @param {Object} options - Graph parameters
+   * @param {number} options.M - Links per node on upper layers (2 * M on layer 0)
+   * @param {number} options.efConstruction - Candidate list size while inserting
+   */
+  constructor({ M = 16, efConstruction = 100 } = {}) {
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.levelMultiplier = 1 / Math.log(M);
+    this.reset();
+  }
+
+  /**
+   * Drop all nodes
+   */
+  reset() {
+    this.labels = []; // { pageId, chunkIndex } per node
+    this.vectors = []; // Normalized Float32Array per node
+    this.levels = [];
+    this.links = []; // links[node][level] -> neighbour node ids
+    this.pageNodes = new Map(); // pageId -> node ids
+    this.deleted = new Set(); // Tombstoned node ids, dropped by the next compaction
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  /**
+   * Number of live indexed vectors
+   */
+  get size() {
+    return this.labels.length - this.deleted.size;
+  }
+
+  /**
+   * Check whether a page is in the graph
+   * @param {string} pageId - Page ID
+   * @returns {boolean} True if the page has live nodes
+   */
+  hasPage(pageId) {
+    return this.pageNodes.has(pageId);
+  }
+
+  /**
+   * Insert all chunk vectors of a page, replacing any previous version
+   * @param {string} pageId - Page ID
+   * @param {Float32Array[]} embeddings - One vector per chunk
+   */
+  addPage(pageId, embeddings) {
+    this.removePage(pageId);
+
+    const nodeIds = [];
+    embeddings.forEach((embedding, chunkIndex) => {
+      nodeIds.push(this.insert(embedding, { pageId, chunkIndex }));
+    });
+    this.pageNodes.set(pageId, nodeIds);
+  }
+
+  /**
+   * Remove a page, leaving tombstones for its nodes
+   * @param {string} pageId - Page ID
+   */
+  removePage(pageId) {
+    this.removePages([pageId]);
+  }
+
+  /**
+   * Remove several pages, compacting once enough of the graph is dead
+   * @param {string[]} pageIds - Page IDs
+   */
+  removePages(pageIds) {
+    for (const pageId of pageIds) {
+      for (const nodeId of this.pageNodes.get(pageId) || []) {
+        this.deleted.add(nodeId);
+      }
+      this.pageNodes.delete(pageId);
+    }
+
+    if (this.deleted.size > 0 && this.deleted.size >= this.labels.length * COMPACTION_DEAD_RATIO) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Drop the tombstoned nodes, reconnecting nodes that linked to them through their neighbours
+   */
+  compact() {
+    const removed = this.deleted;
+    if (removed.size === 0) return;
+
+    for (let nodeId = 0; nodeId < this.links.length; nodeId++) {
+      if (removed.has(nodeId)) continue;
+
+      this.links[nodeId].forEach((levelLinks, level) => {
+        if (!levelLinks.some(n => removed.has(n))) return;
+
+        // Replace links to removed nodes with those nodes' own live neighbours
+        const candidates = new Set(levelLinks.filter(n => !removed.has(n)));
+        for (const n of levelLinks) {
+          if (!removed.has(n)) continue;
+          for (const second of this.links[n][level] || []) {
+            if (second !== nodeId && !removed.has(second)) candidates.add(second);
+          }
+        }
+
+        const maxLinks = level === 0 ? this.M * 2 : this.M;
+        this.links[nodeId][level] = this.selectNeighbours(
+          [...candidates].map(id => ({ id, distance: this.distance(this.vectors[nodeId], id) })),
+          maxLinks
+        ).map(c => c.id);
+      });
+    }
+
+    this.compactNodes(removed);
+    this.deleted = new Set();
+  }
+
+  /**
+   * Drop removed nodes and renumber the rest so ids stay dense
+   * @param {Set<number>} removed - Node ids to drop
+   */
+  compactNodes(removed) {
+    const newIds = new Int32Array(this.labels.length).fill(-1);
+    let next = 0;
+    for (let nodeId = 0; nodeId < this.labels.length; nodeId++) {
+      if (!removed.has(nodeId)) newIds[nodeId] = next++;
+    }
+
+    const keep = (_, nodeId) => !removed.has(nodeId);
+    this.labels = this.labels.filter(keep);
+    this.vectors = this.vectors.filter(keep);
+    this.levels = this.levels.filter(keep);
+    this.links = this.links
+      .filter(keep)
+      .map(nodeLinks => nodeLinks.map(levelLinks => levelLinks.map(n => newIds[n])));
+
+    for (const [pageId, nodeIds] of this.pageNodes) {
+      this.pageNodes.set(
+        pageId,
+        nodeIds.map(n => newIds[n])
+      );
+    }
+
+    if (this.labels.length === 0) {
+      this.entryPoint = -1;
+      this.maxLevel = -1;
+    } else if (newIds[this.entryPoint] === -1) {
+      // Promote the highest remaining node to entry point
+      this.entryPoint = 0;
+      for (let nodeId = 1; nodeId < this.levels.length; nodeId++) {
+        if (this.levels[nodeId] > this.levels[this.entryPoint]) this.entryPoint = nodeId;
+      }
+      this.maxLevel = this.levels[this.entryPoint];
+    } else {
+      this.entryPoint = newIds[this.entryPoint];
+    }
+  }
+
+  /**
+   * Insert a single vector
+   * @param {Float32Array} embedding - Vector
+   * @param {Object} label - Node label
+   * @returns {number} Node id
+   */
+  insert(embedding, label) {
+    const vector = this.normalize(embedding);
+    const nodeId = this.labels.length;
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+
+    this.labels.push(label);
+    this.vectors.push(vector);
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = nodeId;
+      this.maxLevel = level;
+      return nodeId;
+    }
+
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.greedyClosest(vector, entry, l);
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(vector, [entry], this.efConstruction, l);
+      const maxLinks = l === 0 ? this.M * 2 : this.M;
+      // Link to live nodes only, unless tombstones are all this layer has around the node
+      const live = candidates.filter(({ id }) => !this.deleted.has(id));
+      const neighbours = this.selectNeighbours(live.length > 0 ? live : candidates, this.M);
+
+      this.links[nodeId][l] = neighbours.map(c => c.id);
+      for (const { id } of neighbours) {
+        const neighbourLinks = this.links[id][l];
+        neighbourLinks.push(nodeId);
+        if (neighbourLinks.length > maxLinks) {
+          this.links[id][l] = this.selectNeighbours(
+            neighbourLinks.map(n => ({ id: n, distance: this.distance(this.vectors[id], n) })),
+            maxLinks
+          ).map(c => c.id);
+        }
+      }
+      entry = candidates[0].id;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = nodeId;
+    }
+
+    return nodeId;
+  }
+
+  /**
+   * Find the k nearest live chunks
+   * @param {Float32Array} query - Query vector
+   * @param {number} k - Number of results
+   * @param {number} ef - Candidate list size (higher = better recall, slower)
+   * @param {Function} filter - Optional (label) => boolean predicate
+   * @returns {Object[]} { pageId, chunkIndex, similarity } sorted by similarity
+   */
+  search(query, k, ef = 64, filter = null) {
+    if (this.entryPoint === -1) return [];
+
+    const vector = this.normalize(query);
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = this.greedyClosest(vector, entry, l);
+    }
+
+    const accept = id => !this.deleted.has(id) && (!filter || filter(this.labels[id]));
+    const candidates = this.searchLayer(vector, [entry], Math.max(ef, k), 0, accept);
+
+    return candidates.slice(0, k).map(({ id, distance }) => ({
+      ...this.labels[id],
+      similarity: 1 - distance,
+    }));
+  }
+
+  /**
+   * Exact k nearest live chunks by scanning every node (used for small indexes)
+   * @param {Float32Array} query - Query vector
+   * @param {number} k - Number of results
+   * @param {Function} filter - Optional (label) => boolean predicate
+   * @returns {Object[]} { pageId, chunkIndex, similarity } sorted by similarity
+   */
+  searchExact(query, k, filter = null) {
+    const vector = this.normalize(query);
+    // Min-heap on similarity holding the best k seen so far
+    const results = new Heap((a, b) => a.similarity - b.similarity);
+
+    for (let nodeId = 0; nodeId < this.labels.length; nodeId++) {
+      if (this.deleted.has(nodeId) || (filter && !filter(this.labels[nodeId]))) continue;
+
+      const similarity = 1 - this.distance(vector, nodeId);
+      if (results.size < k) {
+        results.push({ id: nodeId, similarity });
+      } else if (similarity > results.peek().similarity) {
+        results.pop();
+        results.push({ id: nodeId, similarity });
+      }
+    }
+
+    return results.items
+      .sort((a, b) => b.similarity - a.similarity)
+      .map(({ id, similarity }) => ({ ...this.labels[id], similarity }));
+  }
+
+  /**
+   * Cosine similarity between a query and one indexed chunk
+   * @param {Float32Array} query - Query vector
+   * @param {string} pageId - Page ID
+   * @param {number} chunkIndex - Chunk index within the page
+   * @returns {number|null} Similarity, or null if the chunk is not indexed
+   */
+  similarity(query, pageId, chunkIndex) {
+    const nodeId = this.pageNodes.get(pageId)?.[chunkIndex];
+    if (nodeId === undefined || !this.vectors[nodeId]) return null;
+    return 1 - this.distance(this.normalize(query), nodeId);
+  }
+
+  /**
+   * Normalized vector of one indexed chunk
+   * @param {string} pageId - Page ID
+   * @param {number} chunkIndex - Chunk index within the page
+   * @returns {Float32Array|null} Vector, or null if the chunk is not indexed
+   */
+  getVector(pageId, chunkIndex) {
+    const nodeId = this.pageNodes.get(pageId)?.[chunkIndex];
+    return nodeId === undefined ? null : this.vectors[nodeId] || null;
+  }
+
+  /**
+   * Greedy walk towards the query on one layer
+   */
+  greedyClosest(vector, entry, level) {
+    let current = entry;
+    let currentDistance = this.distance(vector, current);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbour of this.links[current][level] || []) {
+        const distance = this.distance(vector, neighbour);
+        if (distance < currentDistance) {
+          current = neighbour;
+          currentDistance = distance;
+          improved = true;
+        }
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Best-first search on one layer
+   * @param {Float32Array} vector - Normalized query
+   * @param {number[]} entries - Entry node ids
+   * @param {number} ef - Result list size
+   * @param {number} level - Layer
+   * @param {Function} accept - Optional predicate for nodes allowed in the results
+   * @returns {Object[]} { id, distance } sorted by distance
+   */
+  searchLayer(vector, entries, ef, level, accept = null) {
+    const visited = new Set(entries);
+    const candidates = new Heap((a, b) => a.distance - b.distance);
+    const results = new Heap((a, b) => b.distance - a.distance);
+
+    for (const id of entries) {
+      const item = { id, distance: this.distance(vector, id) };
+      candidates.push(item);
+      if (!accept || accept(id)) results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop();
+      if (results.size >= ef && closest.distance > results.peek().distance) break;
+
+      for (const neighbour of this.links[closest.id][level] || []) {
+        if (visited.has(neighbour)) continue;
+        visited.add(neighbour);
+
+        const distance = this.distance(vector, neighbour);
+        if (results.size < ef || distance < results.peek().distance) {
+          candidates.push({ id: neighbour, distance });
+          if (!accept || accept(neighbour)) {
+            results.push({ id: neighbour, distance });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are not closer to an already
+   * selected neighbour than to the base node, which keeps the graph navigable
+   * @param {Object[]} candidates - { id, distance } sorted by distance
+   * @param {number} count - Maximum neighbours
+   * @returns {Object[]} Selected neighbours
+   */
+  selectNeighbours(candidates, count) {
+    const sorted = [...candidates].sort((a, b) => a.distance - b.distance);
+    const selected = [];
+    const skipped = [];
+
+    for (const candidate of sorted) {
+      if (selected.length >= count) break;
+      const dominated = selected.some(
+        s => this.distance(this.vectors[candidate.id], s.id) < candidate.distance
+      );
+      (dominated ? skipped : selected).push(candidate);
+    }
+
+    // Top up with the closest skipped candidates so nodes keep enough links
+    for (const candidate of skipped) {
+      if (selected.length >= count) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Cosine distance between a normalized vector and a node
+   */
+  distance(vector, nodeId) {
+    const other = this.vectors[nodeId];
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += vector[i] * other[i];
+    }
+    return 1 - dot;
+  }
+
+  /**
+   * Copy and L2-normalize a vector
+   */
+  normalize(vector) {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < normalized.length; i++) {
+      norm += normalized[i] * normalized[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+      for (let i = 0; i < normalized.length; i++) {
+        normalized[i] /= norm;
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * Persist the graph to OPFS
+   */
+  async save() {
+    const opfsRoot = await navigator.storage.getDirectory();
+    const directory = await opfsRoot.getDirectoryHandle(INDEX_DIRECTORY, { create: true });
+
+    // links.bin: per node, per level: u32 count followed by u32 neighbour ids
+    let linkCount = 0;
+    for (const nodeLinks of this.links) {
+      for (const levelLinks of nodeLinks) {
+        linkCount += 1 + levelLinks.length;
+      }
+    }
+    const links = new Uint32Array(linkCount);
+    let offset = 0;
+    for (const nodeLinks of this.links) {
+      for (const levelLinks of nodeLinks) {
+        links[offset++] = levelLinks.length;
+        links.set(levelLinks, offset);
+        offset += levelLinks.length;
+      }
+    }
+
+    const graph = {
+      version: FORMAT_VERSION,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      labels: this.labels.map(label => [label.pageId, label.chunkIndex]),
+      levels: this.levels,
+      deleted: [...this.deleted],
+    };
+
+    // Write links first: a graph.json is only ever paired with a complete links.bin
+    const linksHandle = await directory.getFileHandle(LINKS_FILE, { create: true });
+    const linksWritable = await linksHandle.createWritable();
+    await linksWritable.write(links.buffer);
+    await linksWritable.close();
+
+    const graphHandle = await directory.getFileHandle(GRAPH_FILE, { create: true });
+    const graphWritable = await graphHandle.createWritable();
+    await graphWritable.write(JSON.stringify(graph));
+    await graphWritable.close();
+  }
+
+  /**
+   * Load the graph from OPFS and reconcile it with the vector store
+   * Pages missing from the store are removed; pages missing from the graph are inserted.
+   * @param {VectorStore} vectorStore - Opened vector store
+   * @returns {Promise<boolean>} True if the graph changed and should be saved
+   */
+  async load(vectorStore) {
+    this.reset();
+    const vectorsByPage = await vectorStore.readPages();
+    let changed = false;
+
+    try {
+      const opfsRoot = await navigator.storage.getDirectory();
+      const directory = await opfsRoot.getDirectoryHandle(INDEX_DIRECTORY);
+      const graphFile = await (await directory.getFileHandle(GRAPH_FILE)).getFile();
+      const linksFile = await (await directory.getFileHandle(LINKS_FILE)).getFile();
+      const graph = JSON.parse(await graphFile.text());
+      const links = new Uint32Array(await linksFile.arrayBuffer());
+
+      if (graph.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported HNSW graph version: ${graph.version}`);
+      }
+
+      this.M = graph.M;
+      this.efConstruction = graph.efConstruction;
+      this.levelMultiplier = 1 / Math.log(this.M);
+      this.entryPoint = graph.entryPoint;
+      this.maxLevel = graph.maxLevel;
+      this.levels = graph.levels;
+      this.deleted = new Set(graph.deleted || []);
+
+      let offset = 0;
+      for (let nodeId = 0; nodeId < graph.labels.length; nodeId++) {
+        const [pageId, chunkIndex] = graph.labels[nodeId];
+        const nodeLinks = [];
+        for (let l = 0; l <= this.levels[nodeId]; l++) {
+          const count = links[offset++];
+          nodeLinks.push(Array.from(links.subarray(offset, offset + count)));
+          offset += count;
+        }
+
+        const vector = vectorsByPage.get(pageId)?.[chunkIndex];
+        this.labels.push({ pageId, chunkIndex });
+        this.links.push(nodeLinks);
+        this.vectors.push(vector ? this.normalize(vector) : null);
+        if (this.deleted.has(nodeId)) continue;
+
+        if (!this.pageNodes.has(pageId)) {
+          this.pageNodes.set(pageId, []);
+        }
+        this.pageNodes.get(pageId).push(nodeId);
+      }
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        console.warn('Failed to load HNSW graph, rebuilding:', error);
+      }
+      this.reset();
+      changed = true;
+    }
+
+    // Drop pages that were deleted or re-chunked since the graph was saved, and the tombstones,
+    // whose vectors may be gone from the store
+    const stalePages = [...this.pageNodes]
+      .filter(([pageId, nodeIds]) => vectorsByPage.get(pageId)?.length !== nodeIds.length)
+      .map(([pageId]) => pageId);
+    if (stalePages.length > 0 || this.deleted.size > 0) {
+      this.removePages(stalePages);
+      this.compact();
+      changed = true;
+    }
+
+    for (const [pageId, embeddings] of vectorsByPage) {
+      if (!this.pageNodes.has(pageId) && embeddings.length > 0) {
+        this.addPage(pageId, embeddings);
+        changed = true;
+      }
+    }
+
+    return changed;
+  }
+}
@@ -0,0 +1,623 @@
+/**
+ * Lexical Index
+ * BM25 inverted index over chunk text, for exact terms (error codes, function names,
+ * ticket IDs) that embedding search tends to miss
+ *
+ * Persisted as an append-only log in OPFS (`lexical/`), so a capture writes only its own page:
+ *   manifest.json    - { version, generation, nextSegment, segments: [names in log order] }
+ *   log_000001.jsonl - one change per line:
+ *                        { add: pageId, lengths: [chunk lengths], terms: { term: [chunkIndex, tf, ...] } }
+ *                        { remove: pageId }
+ *                        { rename: pageId, to: pageId }
+ * A new segment is started past maxSegmentBytes. Once more than half of the log is superseded,
+ * the live pages are rewritten into fresh segments under a new generation.
+ *
+ * The offscreen document builds the index at capture time and is the only writer; the service
+ * worker applies the lines appended since it last looked, and reloads after a compaction.
+ */
+
+const INDEX_DIRECTORY = 'lexical';
+const MANIFEST_FILE = 'manifest.json';
+const LEGACY_INDEX_FILE = 'index.json'; // Whole index in one file, written by version 1
+const FORMAT_VERSION = 2;
+const DEFAULT_MAX_SEGMENT_BYTES = 4 * 1024 * 1024;
+const COMPACTION_DEAD_RATIO = 0.5;
+const MAX_TERM_LENGTH = 64;
+// Letters/digits, optionally joined by the separators used in identifiers and codes
+const TERM_PATTERN = /[\p{L}\p{N}]+(?:[._\-:/#][\p{L}\p{N}]+)*/gu;
+const SEPARATOR_PATTERN = /[._\-:/#]+/;
+
+export class LexicalIndex {
+  /**
+   * @param {Object} options - BM25 parameters
+   * @param {number} options.k1 - Term frequency saturation
+   * @param {number} options.b - Length normalization strength
+   * @param {number} options.maxSegmentBytes - Size after which a new log segment is started
+   */
+  constructor({ k1 = 1.2, b = 0.75, maxSegmentBytes = DEFAULT_MAX_SEGMENT_BYTES } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.maxSegmentBytes = maxSegmentBytes;
+    this.directory = null;
+    this.manifest = LexicalIndex.emptyManifest();
+    this.segmentOffsets = new Map(); // Segment name -> bytes applied or written
+    this.pendingLines = []; // Log lines not saved yet
+    this.rewriteNeeded = false; // Cleared, or loaded from a version 1 file
+    this.saveQueue = Promise.resolve();
+    this.reset();
+  }
+
+  /**
+   * Manifest of an index that has not been saved
+   * @returns {Object} Manifest
+   */
+  static emptyManifest() {
+    return { version: FORMAT_VERSION, generation: 0, nextSegment: 1, segments: [] };
+  }
+
+  /**
+   * Split text into lowercase index terms
+   * Compound tokens such as `ERR_CONNECTION_RESET`, `foo.bar()` or `PROJ-123` are kept whole
+   * and also indexed by their parts.
+   * @param {string} text - Text to tokenize
+   * @returns {string[]} Terms in document order
+   */
+  static tokenize(text) {
+    const terms = [];
+    for (const [word] of (text || '').normalize('NFKC').toLowerCase().matchAll(TERM_PATTERN)) {
+      if (word.length > MAX_TERM_LENGTH) continue;
+      terms.push(word);
+
+      if (SEPARATOR_PATTERN.test(word)) {
+        for (const part of word.split(SEPARATOR_PATTERN)) {
+          if (part) terms.push(part);
+        }
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * Drop all documents
+   */
+  reset() {
+    this.pages = new Map(); // pageId -> term count per chunk
+    this.pageTerms = new Map(); // pageId -> distinct terms, to remove a page without a full scan
+    this.postings = new Map(); // term -> Map(pageId -> [chunkIndex, tf, chunkIndex, tf, ...])
+    this.recordBytes = new Map(); // pageId -> size of the log line holding the page
+    this.chunkCount = 0;
+    this.totalLength = 0;
+  }
+
+  /**
+   * Drop all documents, and their log on the next save
+   */
+  clear() {
+    this.reset();
+    this.pendingLines = [];
+    this.rewriteNeeded = true;
+  }
+
+  /**
+   * Check whether a page is indexed
+   * @param {string} pageId - Page ID
+   * @returns {boolean} True if the page has indexed chunks
+   */
+  hasPage(pageId) {
+    return this.pages.has(pageId);
+  }
+
+  /**
+   * Index the chunk texts of a page, replacing any previous version
+   * @param {string} pageId - Page ID
+   * @param {string[]} texts - One text per chunk
+   */
+  addPage(pageId, texts) {
+    const lengths = [];
+    const terms = {};
+    texts.forEach((text, chunkIndex) => {
+      const chunkTerms = LexicalIndex.tokenize(text);
+      const frequencies = new Map();
+      for (const term of chunkTerms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+      }
+
+      for (const [term, tf] of frequencies) {
+        if (!Object.hasOwn(terms, term)) {
+          terms[term] = [];
+        }
+        terms[term].push(chunkIndex, tf);
+      }
+      lengths.push(chunkTerms.length);
+    });
+
+    this.dropPage(pageId);
+    this.insertPage(pageId, lengths, terms);
+    this.recordBytes.set(pageId, this.log({ add: pageId, lengths, terms }));
+  }
+
+  /**
+   * Remove a page from the index
+   * @param {string} pageId - Page ID
+   * @returns {boolean} True if the page was indexed
+   */
+  removePage(pageId) {
+    if (!this.dropPage(pageId)) return false;
+    this.log({ remove: pageId });
+    return true;
+  }
+
+  /**
+   * Move a page's postings to another page ID, replacing any page already stored there
+   * @param {string} fromId - Current page ID
+   * @param {string} toId - New page ID
+   * @returns {boolean} True if the page was indexed
+   */
+  renamePage(fromId, toId) {
+    if (!this.movePage(fromId, toId)) return false;
+    this.log({ rename: fromId, to: toId });
+    return true;
+  }
+
+  /**
+   * Add a page's postings to the in-memory index
+   * @param {string} pageId - Page ID, not indexed yet
+   * @param {number[]} lengths - Term count per chunk
+   * @param {Object} terms - term -> [chunkIndex, tf, ...]
+   */
+  insertPage(pageId, lengths, terms) {
+    for (const [term, entries] of Object.entries(terms)) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(pageId, entries);
+    }
+
+    this.pages.set(pageId, lengths);
+    this.pageTerms.set(pageId, Object.keys(terms));
+    this.chunkCount += lengths.length;
+    this.totalLength += lengths.reduce((sum, length) => sum + length, 0);
+  }
+
+  /**
+   * Remove a page's postings from the in-memory index
+   * @param {string} pageId - Page ID
+   * @returns {boolean} True if the page was indexed
+   */
+  dropPage(pageId) {
+    const lengths = this.pages.get(pageId);
+    if (!lengths) return false;
+
+    for (const term of this.pageTerms.get(pageId)) {
+      const termPages = this.postings.get(term);
+      if (termPages.delete(pageId) && termPages.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.pages.delete(pageId);
+    this.pageTerms.delete(pageId);
+    this.recordBytes.delete(pageId);
+    this.chunkCount -= lengths.length;
+    this.totalLength -= lengths.reduce((sum, length) => sum + length, 0);
+    return true;
+  }
+
+  /**
+   * Move a page's postings to another page ID in the in-memory index
+   * @param {string} fromId - Current page ID
+   * @param {string} toId - New page ID
+   * @returns {boolean} True if the page was indexed
+   */
+  movePage(fromId, toId) {
+    const lengths = this.pages.get(fromId);
+    if (!lengths) return false;
+
+    this.dropPage(toId);
+    const terms = this.pageTerms.get(fromId);
+    for (const term of terms) {
+      const termPages = this.postings.get(term);
+      termPages.set(toId, termPages.get(fromId));
+      termPages.delete(fromId);
+    }
+
+    const recordBytes = this.recordBytes.get(fromId);
+    this.pages.delete(fromId);
+    this.pageTerms.delete(fromId);
+    this.recordBytes.delete(fromId);
+    this.pages.set(toId, lengths);
+    this.pageTerms.set(toId, terms);
+    this.recordBytes.set(toId, recordBytes);
+    return true;
+  }
+
+  /**
+   * BM25 inverse document frequency of a term (0 for unknown terms)
+   * @param {string} term - Index term
+   * @returns {number} IDF weight
+   */
+  idf(term) {
+    const termPages = this.postings.get(term);
+    if (!termPages) return 0;
+
+    let documentFrequency = 0;
+    for (const entries of termPages.values()) {
+      documentFrequency += entries.length / 2;
+    }
+    return Math.log(1 + (this.chunkCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * Rank chunks against a query with BM25
+   * @param {string} query - Query text
+   * @param {number} k - Number of results
+   * @param {Function} filter - Optional (label) => boolean predicate
+   * @returns {Object[]} { pageId, chunkIndex, score } sorted by score
+   */
+  search(query, k, filter = null) {
+    if (this.chunkCount === 0) return [];
+
+    const averageLength = this.totalLength / this.chunkCount || 1;
+    const scores = new Map(); // pageId -> Map(chunkIndex -> score)
+
+    for (const term of new Set(LexicalIndex.tokenize(query))) {
+      const termPages = this.postings.get(term);
+      if (!termPages) continue;
+
+      const idf = this.idf(term);
+
+      for (const [pageId, entries] of termPages) {
+        const lengths = this.pages.get(pageId);
+        for (let i = 0; i < entries.length; i += 2) {
+          const chunkIndex = entries[i];
+          const tf = entries[i + 1];
+          const norm = this.k1 * (1 - this.b + (this.b * lengths[chunkIndex]) / averageLength);
+
+          if (!scores.has(pageId)) {
+            scores.set(pageId, new Map());
+          }
+          const pageScores = scores.get(pageId);
+          pageScores.set(
+            chunkIndex,
+            (pageScores.get(chunkIndex) || 0) + (idf * tf * (this.k1 + 1)) / (tf + norm)
+          );
+        }
+      }
+    }
+
+    const results = [];
+    for (const [pageId, pageScores] of scores) {
+      for (const [chunkIndex, score] of pageScores) {
+        if (filter && !filter({ pageId, chunkIndex })) continue;
+        results.push({ pageId, chunkIndex, score });
+      }
+    }
+
+    return results.sort((a, b) => b.score - a.score).slice(0, k);
+  }
+
+  /**
+   * Find chunks that contain every given term
+   * @param {string[]} terms - Index terms (see tokenize)
+   * @returns {Map<string, Set<number>>} pageId -> chunk indexes
+   */
+  findChunks(terms) {
+    let result = null;
+
+    for (const term of new Set(terms)) {
+      const termPages = this.postings.get(term);
+      const found = new Map();
+      for (const [pageId, entries] of termPages || []) {
+        if (result && !result.has(pageId)) continue;
+
+        const chunks = new Set();
+        for (let i = 0; i < entries.length; i += 2) {
+          if (!result || result.get(pageId).has(entries[i])) chunks.add(entries[i]);
+        }
+        if (chunks.size > 0) found.set(pageId, chunks);
+      }
+      result = found;
+    }
+
+    return result || new Map();
+  }
+
+  /**
+   * Bring the index up to date with the log in OPFS
+   * Readers should call this before every search to pick up writes from other contexts; only
+   * the lines appended since the last call are read, unless the log was compacted.
+   */
+  async open() {
+    let manifest;
+    try {
+      manifest = await this.readJson(MANIFEST_FILE);
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return this.openLegacy();
+      }
+      console.error('Failed to open lexical index:', error);
+      return this;
+    }
+
+    try {
+      if (manifest.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported lexical index version: ${manifest.version}`);
+      }
+      if (manifest.generation !== this.manifest.generation) {
+        this.reset();
+        this.segmentOffsets.clear();
+      }
+      this.manifest = manifest;
+
+      for (const name of manifest.segments) {
+        await this.readSegment(name);
+      }
+    } catch (error) {
+      // A compaction in another context may have replaced the segments; reload next time
+      console.warn('Failed to read lexical index:', error);
+      this.reset();
+      this.manifest = LexicalIndex.emptyManifest();
+      this.segmentOffsets.clear();
+    }
+
+    return this;
+  }
+
+  /**
+   * Load the single-file index written by version 1, to be rewritten as a log on the next save
+   */
+  async openLegacy() {
+    this.reset();
+    this.manifest = LexicalIndex.emptyManifest();
+    this.segmentOffsets.clear();
+
+    try {
+      const data = await this.readJson(LEGACY_INDEX_FILE);
+      for (const [pageId, lengths] of Object.entries(data.pages)) {
+        this.pages.set(pageId, lengths);
+        this.pageTerms.set(pageId, []);
+        this.chunkCount += lengths.length;
+        this.totalLength += lengths.reduce((sum, length) => sum + length, 0);
+      }
+      for (const [term, termPages] of Object.entries(data.postings)) {
+        this.postings.set(term, new Map(Object.entries(termPages)));
+        for (const pageId of Object.keys(termPages)) {
+          this.pageTerms.get(pageId)?.push(term);
+        }
+      }
+      this.rewriteNeeded = true;
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        console.error('Failed to read lexical index:', error);
+      }
+      this.reset();
+    }
+
+    return this;
+  }
+
+  /**
+   * Apply the complete lines of a log segment that have not been applied yet
+   * @param {string} name - Segment file name
+   */
+  async readSegment(name) {
+    const directory = await this.getDirectory();
+    const file = await (await directory.getFileHandle(name)).getFile();
+    const start = this.segmentOffsets.get(name) || 0;
+    if (file.size <= start) return;
+
+    const bytes = new Uint8Array(await file.slice(start).arrayBuffer());
+    // A write in progress may have left a partial last line
+    const end = bytes.lastIndexOf(0x0a) + 1;
+    const encoder = new TextEncoder();
+    for (const line of new TextDecoder().decode(bytes.subarray(0, end)).split('\n')) {
+      if (!line) continue;
+
+      const record = JSON.parse(line);
+      if (record.add !== undefined) {
+        this.dropPage(record.add);
+        this.insertPage(record.add, record.lengths, record.terms);
+        this.recordBytes.set(record.add, encoder.encode(line).byteLength + 1);
+      } else if (record.remove !== undefined) {
+        this.dropPage(record.remove);
+      } else if (record.rename !== undefined) {
+        this.movePage(record.rename, record.to);
+      }
+    }
+    this.segmentOffsets.set(name, start + end);
+  }
+
+  /**
+   * Read and parse a JSON file from the index directory
+   * @param {string} name - File name
+   * @returns {Promise<any>} Parsed contents
+   */
+  async readJson(name) {
+    const directory = await this.getDirectory();
+    const file = await (await directory.getFileHandle(name)).getFile();
+    return JSON.parse(await file.text());
+  }
+
+  /**
+   * Get (and create) the index directory
+   * @returns {Promise<FileSystemDirectoryHandle>} Directory handle
+   */
+  async getDirectory() {
+    if (!this.directory) {
+      const opfsRoot = await navigator.storage.getDirectory();
+      this.directory = await opfsRoot.getDirectoryHandle(INDEX_DIRECTORY, { create: true });
+    }
+    return this.directory;
+  }
+
+  /**
+   * Queue a change for the log
+   * @param {Object} record - Log record
+   * @returns {number} Size of its line in bytes
+   */
+  log(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    this.pendingLines.push(line);
+    return new TextEncoder().encode(line).byteLength;
+  }
+
+  /**
+   * Check whether there are changes to save
+   * @returns {boolean} True if save() would write anything
+   */
+  hasUnsavedChanges() {
+    return this.rewriteNeeded || this.pendingLines.length > 0;
+  }
+
+  /**
+   * Persist the changes made since the last save
+   * Saves are serialized, and each one writes the state at the time it runs: the queued lines
+   * are appended to the log, or the log is compacted when most of it is superseded.
+   */
+  save() {
+    const run = this.saveQueue.then(async () => {
+      const lines = this.pendingLines.splice(0);
+      try {
+        if (this.rewriteNeeded || this.shouldCompact(lines)) {
+          await this.compact();
+        } else if (lines.length > 0) {
+          await this.append(lines.join(''));
+        }
+      } catch (error) {
+        this.pendingLines.unshift(...lines);
+        throw error;
+      }
+    });
+    // Keep the queue alive even if this save fails
+    this.saveQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Check whether enough of the log is superseded to rewrite it
+   * @param {string[]} lines - Lines about to be appended
+   * @returns {boolean} True to compact
+   */
+  shouldCompact(lines) {
+    const encoder = new TextEncoder();
+    let totalBytes = lines.reduce((sum, line) => sum + encoder.encode(line).byteLength, 0);
+    for (const bytes of this.segmentOffsets.values()) {
+      totalBytes += bytes;
+    }
+    let liveBytes = 0;
+    for (const bytes of this.recordBytes.values()) {
+      liveBytes += bytes;
+    }
+    return totalBytes > this.maxSegmentBytes && 1 - liveBytes / totalBytes > COMPACTION_DEAD_RATIO;
+  }
+
+  /**
+   * Append lines to the last segment, starting a new one when it is full
+   * @param {string} text - Complete log lines
+   */
+  async append(text) {
+    const bytes = new TextEncoder().encode(text);
+    const directory = await this.getDirectory();
+    let name = this.manifest.segments[this.manifest.segments.length - 1];
+    let offset = name ? this.segmentOffsets.get(name) || 0 : 0;
+
+    if (!name || (offset > 0 && offset + bytes.byteLength > this.maxSegmentBytes)) {
+      name = this.nextSegmentName();
+      offset = 0;
+      await directory.getFileHandle(name, { create: true });
+      this.manifest.segments.push(name);
+      await this.writeManifest();
+    }
+
+    const handle = await directory.getFileHandle(name);
+    const writable = await handle.createWritable({ keepExistingData: true });
+    await writable.seek(offset);
+    await writable.write(bytes);
+    await writable.close();
+    this.segmentOffsets.set(name, offset + bytes.byteLength);
+  }
+
+  /**
+   * Rewrite the live pages into fresh segments under a new generation, then delete the old
+   * segments and any version 1 index file
+   */
+  async compact() {
+    const directory = await this.getDirectory();
+    const oldSegments = this.manifest.segments;
+    this.manifest = {
+      ...this.manifest,
+      generation: this.manifest.generation + 1,
+      segments: [],
+    };
+    this.segmentOffsets.clear();
+
+    const encoder = new TextEncoder();
+    let chunks = [];
+    let size = 0;
+    const flush = async () => {
+      const name = this.nextSegmentName();
+      const writable = await (
+        await directory.getFileHandle(name, { create: true })
+      ).createWritable();
+      for (const chunk of chunks) {
+        await writable.write(chunk);
+      }
+      await writable.close();
+      this.manifest.segments.push(name);
+      this.segmentOffsets.set(name, size);
+      chunks = [];
+      size = 0;
+    };
+
+    for (const pageId of this.pages.keys()) {
+      const terms = {};
+      for (const term of this.pageTerms.get(pageId)) {
+        terms[term] = this.postings.get(term).get(pageId);
+      }
+      const line = encoder.encode(
+        `${JSON.stringify({ add: pageId, lengths: this.pages.get(pageId), terms })}\n`
+      );
+      if (size > 0 && size + line.byteLength > this.maxSegmentBytes) {
+        await flush();
+      }
+      chunks.push(line);
+      size += line.byteLength;
+      this.recordBytes.set(pageId, line.byteLength);
+    }
+    if (size > 0) {
+      await flush();
+    }
+
+    await this.writeManifest();
+    this.rewriteNeeded = false;
+
+    for (const name of [...oldSegments, LEGACY_INDEX_FILE]) {
+      try {
+        await directory.removeEntry(name);
+      } catch (error) {
+        if (error.name !== 'NotFoundError') {
+          console.warn(`Failed to remove lexical index file ${name}:`, error);
+        }
+      }
+    }
+  }
+
+  /**
+   * Name for a new log segment
+   * @returns {string} File name
+   */
+  nextSegmentName() {
+    return `log_${String(this.manifest.nextSegment++).padStart(6, '0')}.jsonl`;
+  }
+
+  /**
+   * Persist the manifest
+   */
+  async writeManifest() {
+    const directory = await this.getDirectory();
+    const handle = await directory.getFileHandle(MANIFEST_FILE, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(JSON.stringify(this.manifest));
+    await writable.close();
+  }
+}
@@ -0,0 +1,276 @@
+/**
+ * MHTML Parser
+ * Reads the MIME multipart/related archives written by chrome.pageCapture (RFC 2557) and
+ * decodes the page's HTML with the right transfer encoding and character set
+ *
+ * The archive is handled as a binary string (one char per byte) so that part bodies can be
+ * decoded in their own charset: Blink saves the main document as quoted-printable text in the
+ * page's original encoding (Shift_JIS, windows-1252, ...), named by its `<meta charset>`.
+ */
+
+const HEADER_END_PATTERN = /\r?\n\r?\n/;
+const PARAM_PATTERN = /;\s*([\w!#$%&'*+.^`|~-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;\s]*))/g;
+const META_CHARSET_PATTERN = /<meta\b[^>]*?\bcharset\s*=\s*["']?\s*([\w.:-]+)/i;
+const CHARSET_SNIFF_BYTES = 1024;
+const BINARY_STRING_CHUNK = 0x8000;
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * Split an MHTML archive into its parts
+ * Nested multiparts are flattened; a single-part document yields one part.
+ * @param {Uint8Array} bytes - MHTML archive
+ * @returns {Object} { headers, parts } where parts are { headers, type, params, content }
+ *   with the still-encoded body as a binary string
+ */
+export function parseMhtml(bytes) {
+  const root = parseEntity(toBinaryString(bytes));
+  const parts = [];
+  const collect = entity => {
+    if (entity.type.startsWith('multipart/')) {
+      splitMultipart(entity).forEach(collect);
+    } else {
+      parts.push(entity);
+    }
+  };
+  collect(root);
+  return { headers: root.headers, params: root.params, parts };
+}
+
+/**
+ * Extract the main document of an MHTML archive as text
+ * @param {Uint8Array} bytes - MHTML archive
+ * @returns {Object} { html, charset, location } of the root HTML part
+ */
+export function extractMhtmlHtml(bytes) {
+  const { params, parts } = parseMhtml(bytes);
+
+  // The multipart's `start` names the root by Content-ID; otherwise it is the first part
+  const start = params.start && stripAngleBrackets(params.start);
+  const root =
+    (start && parts.find(part => stripAngleBrackets(part.headers['content-id'] || '') === start)) ||
+    (HTML_TYPES.includes(parts[0]?.type)
+      ? parts[0]
+      : parts.find(part => HTML_TYPES.includes(part.type)));
+  if (!root) {
+    throw new Error('No HTML document found in MHTML');
+  }
+
+  const { text, charset } = decodePartText(root);
+  return { html: text, charset, location: root.headers['content-location'] || null };
+}
+
+/**
+ * Decode a part's body according to its Content-Transfer-Encoding
+ * @param {Object} part - Part from parseMhtml
+ * @returns {Uint8Array} Body bytes
+ */
+export function decodePartBody(part) {
+  const encoding = (part.headers['content-transfer-encoding'] || '7bit').trim().toLowerCase();
+  switch (encoding) {
+    case 'quoted-printable':
+      return decodeQuotedPrintable(part.content);
+    case 'base64':
+      return fromBinaryString(atob(part.content.replace(/[^A-Za-z0-9+/]/g, '')));
+    default:
+      // 7bit, 8bit and binary bodies are stored as they are
+      return fromBinaryString(part.content);
+  }
+}
+
+/**
+ * Decode a text part's body to a string
+ * The charset comes from a byte order mark, the Content-Type header, a `<meta>` charset
+ * declaration in an HTML part, or whether the bytes are valid UTF-8, in that order.
+ * @param {Object} part - Part from parseMhtml
+ * @returns {Object} { text, charset }
+ */
+export function decodePartText(part) {
+  const bytes = decodePartBody(part);
+  const charset =
+    sniffByteOrderMark(bytes) ||
+    part.params.charset ||
+    (HTML_TYPES.includes(part.type) && sniffMetaCharset(bytes)) ||
+    (isUtf8(bytes) ? 'utf-8' : 'windows-1252');
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch (error) {
+    // Unknown label
+    console.warn(`Unsupported charset ${charset}, decoding as UTF-8`);
+    decoder = new TextDecoder('utf-8');
+  }
+  return { text: decoder.decode(bytes), charset: decoder.encoding };
+}
+
+/**
+ * Parse the headers and body of a MIME entity
+ * @param {string} raw - Entity as a binary string
+ * @returns {Object} { headers, type, params, content }
+ */
+function parseEntity(raw) {
+  let headerText = '';
+  let content = raw;
+  if (!/^\r?\n/.test(raw)) {
+    const match = HEADER_END_PATTERN.exec(raw);
+    headerText = match ? raw.slice(0, match.index) : raw;
+    content = match ? raw.slice(match.index + match[0].length) : '';
+  } else {
+    content = raw.replace(/^\r?\n/, '');
+  }
+
+  // Folded header lines continue with whitespace
+  const headers = {};
+  for (const line of headerText.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+
+  const contentType = headers['content-type'] || 'text/plain';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+  const params = {};
+  for (const [, name, quoted, token] of contentType.matchAll(PARAM_PATTERN)) {
+    params[name.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token;
+  }
+  return { headers, type, params, content };
+}
+
+/**
+ * Split a multipart entity at its boundary
+ * The line break before each delimiter belongs to the delimiter, and anything before the first
+ * delimiter or after the closing one is ignored.
+ * @param {Object} entity - Multipart entity
+ * @returns {Object[]} Parsed body parts
+ */
+function splitMultipart(entity) {
+  const boundary = entity.params.boundary;
+  if (!boundary) {
+    throw new Error(`Multipart without a boundary (${entity.type})`);
+  }
+
+  const delimiter = `--${boundary}`;
+  const body = entity.content;
+  const parts = [];
+  let partStart = -1;
+  let index = body.indexOf(delimiter);
+  while (index !== -1) {
+    const atLineStart = index === 0 || body[index - 1] === '\n';
+    if (atLineStart) {
+      if (partStart !== -1) {
+        const partEnd = index - (body[index - 2] === '\r' ? 2 : 1);
+        parts.push(parseEntity(body.slice(partStart, Math.max(partStart, partEnd))));
+      }
+      if (body.startsWith('--', index + delimiter.length)) {
+        break; // Closing delimiter
+      }
+      const lineEnd = body.indexOf('\n', index);
+      if (lineEnd === -1) {
+        break;
+      }
+      partStart = lineEnd + 1;
+    }
+    index = body.indexOf(delimiter, index + delimiter.length);
+  }
+
+  // A truncated archive ends without a closing delimiter
+  if (index === -1 && partStart !== -1 && partStart < body.length) {
+    parts.push(parseEntity(body.slice(partStart)));
+  }
+  return parts;
+}
+
+/**
+ * Decode a quoted-printable body (RFC 2045)
+ * Soft line breaks are removed; malformed escapes are kept as they are.
+ * @param {string} content - Encoded body as a binary string
+ * @returns {Uint8Array} Body bytes
+ */
+function decodeQuotedPrintable(content) {
+  const text = content.replace(/[ \t]+(?=\r?\n)/g, '').replace(/=\r?\n/g, '');
+  const bytes = new Uint8Array(text.length);
+  let length = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(i + 1, i + 3))) {
+      bytes[length++] = parseInt(text.slice(i + 1, i + 3), 16);
+      i += 2;
+    } else {
+      bytes[length++] = text.charCodeAt(i) & 0xff;
+    }
+  }
+  return bytes.subarray(0, length);
+}
+
+/**
+ * Charset given by a byte order mark
+ * @param {Uint8Array} bytes - Body bytes
+ * @returns {string|null} Charset, or null without a BOM
+ */
+function sniffByteOrderMark(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  return null;
+}
+
+/**
+ * Charset declared by a `<meta>` tag near the start of an HTML document
+ * @param {Uint8Array} bytes - Body bytes
+ * @returns {string|null} Charset, or null if none is declared
+ */
+function sniffMetaCharset(bytes) {
+  const head = toBinaryString(bytes.subarray(0, CHARSET_SNIFF_BYTES));
+  const charset = head.match(META_CHARSET_PATTERN)?.[1].toLowerCase();
+  // A document that could be read this far is not UTF-16, whatever it says
+  return charset && !charset.startsWith('utf-16') ? charset : null;
+}
+
+/**
+ * Check whether bytes are valid UTF-8
+ * @param {Uint8Array} bytes - Body bytes
+ * @returns {boolean} True if they decode without errors
+ */
+function isUtf8(bytes) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove the angle brackets around a Content-ID
+ * @param {string} id - Content-ID or `start` parameter
+ * @returns {string} Bare ID
+ */
+function stripAngleBrackets(id) {
+  return id.trim().replace(/^<|>$/g, '');
+}
+
+/**
+ * Map bytes to a string with one char per byte
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} Binary string
+ */
+function toBinaryString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += BINARY_STRING_CHUNK) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + BINARY_STRING_CHUNK));
+  }
+  return result;
+}
+
+/**
+ * Map a binary string back to bytes
+ * @param {string} text - Binary string
+ * @returns {Uint8Array} Bytes
+ */
+function fromBinaryString(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i);
+  }
+  return bytes;
+}
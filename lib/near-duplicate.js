@@ -0,0 +1,74 @@
+/**
+ * Near-Duplicate Detection
+ * 64-bit SimHash fingerprints of page text over 3-word shingles. Pages whose fingerprints
+ * differ in at most MAX_DISTANCE bits are treated as the same page (print views, session or
+ * sort parameters, URL variants with a changing footer or timestamp).
+ *
+ * Fingerprints are 16-character hex strings.
+ */
+
+import { hash64 } from './hash.js';
+
+const SHINGLE_WORDS = 3;
+const MIN_WORDS = 50; // Shorter texts give unstable fingerprints
+const MAX_DISTANCE = 3;
+
+/**
+ * Fingerprint a text
+ * @param {string} text - Page text
+ * @returns {string|null} Hex fingerprint, or null if the text is too short to compare
+ */
+export function simhash(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length < MIN_WORDS) {
+    return null;
+  }
+
+  const weights = new Int32Array(64);
+  for (let i = 0; i + SHINGLE_WORDS <= words.length; i++) {
+    const [high, low] = hash64(words.slice(i, i + SHINGLE_WORDS).join(' '));
+    for (let bit = 0; bit < 32; bit++) {
+      weights[bit] += (high >>> bit) & 1 ? 1 : -1;
+      weights[bit + 32] += (low >>> bit) & 1 ? 1 : -1;
+    }
+  }
+
+  let high = 0;
+  let low = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    if (weights[bit] > 0) high |= 1 << bit;
+    if (weights[bit + 32] > 0) low |= 1 << bit;
+  }
+  return toHex(high) + toHex(low);
+}
+
+/**
+ * Whether two fingerprints belong to near-identical texts
+ * @param {string|null} a - Fingerprint
+ * @param {string|null} b - Fingerprint
+ * @returns {boolean} True if both exist and differ in at most MAX_DISTANCE bits
+ */
+export function isNearDuplicate(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+
+  let distance = 0;
+  for (let i = 0; i < 16; i += 8) {
+    let bits = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+    while (bits) {
+      bits &= bits - 1;
+      distance++;
+    }
+  }
+  return distance <= MAX_DISTANCE;
+}
+
+/**
+ * Format a 32-bit value as 8 hex digits
+ * @param {number} value - 32-bit value
+ * @returns {string} Hex digits
+ */
+function toHex(value) {
+  return (value >>> 0).toString(16).padStart(8, '0');
+}
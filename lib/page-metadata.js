@@ -0,0 +1,239 @@
+/**
+ * Page Metadata
+ * Collects author, dates, site name, language and description of a captured page from
+ * Readability's article, schema.org JSON-LD, OpenGraph and other `<meta>` tags
+ *
+ * Readability already reads JSON-LD and meta tags for the fields it knows, so its values come
+ * first; the structured data fills in what it leaves out. Missing fields are omitted, and dates
+ * are stored as timestamps.
+ */
+
+const MAX_EXCERPT_LENGTH = 300;
+const MAX_KEYWORDS = 10;
+// schema.org types describing the page's main content, preferred over WebSite, Organization...
+const CONTENT_TYPE_PATTERN =
+  /(Article|Posting|Report|Review|Recipe|Product|Event|Book|Movie|VideoObject|Course|Question)$/;
+const PAGE_TYPE_PATTERN = /Page$/;
+
+/**
+ * Extract metadata from a parsed page
+ * @param {Document} doc - Parsed HTML document
+ * @param {Object|null} article - Readability result, if it found an article
+ * @returns {Object} { author, publishedAt, modifiedAt, siteName, lang, excerpt, type, image,
+ *   keywords }, each present only if found
+ */
+export function extractPageMetadata(doc, article = null) {
+  const meta = readMetaTags(doc);
+  const entity = findMainEntity(readJsonLd(doc));
+
+  const metadata = {
+    author: firstText(
+      article?.byline,
+      personNames(entity?.author),
+      meta.author,
+      meta['citation_author'],
+      meta['dc.creator']
+    ),
+    publishedAt: firstDate(
+      article?.publishedTime,
+      entity?.datePublished,
+      meta['article:published_time'],
+      meta['citation_publication_date'],
+      meta['dc.date']
+    ),
+    modifiedAt: firstDate(
+      entity?.dateModified,
+      meta['article:modified_time'],
+      meta['og:updated_time']
+    ),
+    siteName: firstText(
+      article?.siteName,
+      meta['og:site_name'],
+      personNames(entity?.publisher),
+      meta['application-name']
+    ),
+    lang: normalizeLang(
+      firstText(
+        article?.lang,
+        doc.documentElement?.getAttribute('lang'),
+        entity?.inLanguage,
+        meta['og:locale'],
+        meta['content-language']
+      )
+    ),
+    excerpt: truncate(
+      firstText(article?.excerpt, meta['og:description'], entity?.description, meta.description),
+      MAX_EXCERPT_LENGTH
+    ),
+    type: firstText(schemaType(entity), meta['og:type']),
+    image: firstText(imageUrl(entity?.image), meta['og:image']),
+    keywords: readKeywords(entity?.keywords ?? meta.keywords),
+  };
+
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value === null || (Array.isArray(value) && value.length === 0)) {
+      delete metadata[key];
+    }
+  }
+  return metadata;
+}
+
+/**
+ * Read `<meta>` tags by lower-cased name or property (the first of each wins)
+ * @param {Document} doc - Parsed HTML document
+ * @returns {Object} Name -> content
+ */
+function readMetaTags(doc) {
+  const tags = {};
+  for (const element of doc.querySelectorAll('meta[content]')) {
+    const name = (
+      element.getAttribute('property') ||
+      element.getAttribute('name') ||
+      element.getAttribute('http-equiv') ||
+      ''
+    ).toLowerCase();
+    if (name && !(name in tags)) {
+      tags[name] = element.getAttribute('content');
+    }
+  }
+  return tags;
+}
+
+/**
+ * Read every JSON-LD entity on the page, flattening arrays and @graph lists
+ * Invalid JSON-LD blocks are ignored.
+ * @param {Document} doc - Parsed HTML document
+ * @returns {Object[]} Entities in document order
+ */
+function readJsonLd(doc) {
+  const entities = [];
+  const collect = value => {
+    if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      entities.push(value);
+      if (value['@graph']) collect(value['@graph']);
+    }
+  };
+
+  for (const script of doc.querySelectorAll('script[type="application/ld+json" i]')) {
+    try {
+      collect(JSON.parse(script.textContent));
+    } catch (error) {
+      // Pages often ship JSON-LD with trailing commas or raw newlines
+    }
+  }
+  return entities;
+}
+
+/**
+ * Pick the entity describing the page's content
+ * @param {Object[]} entities - JSON-LD entities
+ * @returns {Object|null} An article-like entity, else a web page entity, else null
+ */
+function findMainEntity(entities) {
+  const ofType = pattern =>
+    entities.find(entity => [].concat(entity['@type'] || []).some(type => pattern.test(type)));
+  return ofType(CONTENT_TYPE_PATTERN) || ofType(PAGE_TYPE_PATTERN) || null;
+}
+
+/**
+ * Most specific schema.org type of an entity
+ * @param {Object|null} entity - JSON-LD entity
+ * @returns {string|null} Type such as NewsArticle
+ */
+function schemaType(entity) {
+  const types = [].concat(entity?.['@type'] || []);
+  return types.find(type => CONTENT_TYPE_PATTERN.test(type)) || types[0] || null;
+}
+
+/**
+ * Names of JSON-LD people or organizations
+ * @param {*} value - Name, entity, or a list of them
+ * @returns {string|null} Comma-separated names
+ */
+function personNames(value) {
+  const names = []
+    .concat(value || [])
+    .map(item => (typeof item === 'string' ? item : item?.name))
+    .filter(name => typeof name === 'string' && name.trim() && !/^https?:\/\//.test(name));
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+/**
+ * URL of a JSON-LD image
+ * @param {*} value - URL, ImageObject, or a list of them
+ * @returns {string|null} First image URL
+ */
+function imageUrl(value) {
+  const [first] = [].concat(value || []);
+  const url = typeof first === 'string' ? first : first?.url;
+  return typeof url === 'string' ? url : null;
+}
+
+/**
+ * Normalize keywords given as a list or a comma-separated string
+ * @param {*} value - Keywords
+ * @returns {string[]} Up to MAX_KEYWORDS distinct keywords
+ */
+function readKeywords(value) {
+  const keywords = []
+    .concat(value || [])
+    .flatMap(item => (typeof item === 'string' ? item.split(',') : []))
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+  return [...new Set(keywords)].slice(0, MAX_KEYWORDS);
+}
+
+/**
+ * First non-empty string, with whitespace collapsed
+ * @param {...*} values - Candidates
+ * @returns {string|null} Text
+ */
+function firstText(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) {
+      return value.replace(/\s+/g, ' ').trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * First candidate that parses as a date
+ * @param {...*} values - Candidates
+ * @returns {number|null} Timestamp
+ */
+function firstDate(...values) {
+  for (const value of values) {
+    const timestamp = typeof value === 'string' ? Date.parse(value.trim()) : NaN;
+    if (!Number.isNaN(timestamp)) {
+      return timestamp;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize a language tag (en_US -> en-us)
+ * @param {string|null} lang - Language tag
+ * @returns {string|null} Lower-case tag with hyphens
+ */
+function normalizeLang(lang) {
+  return lang ? lang.replace(/_/g, '-').toLowerCase() : null;
+}
+
+/**
+ * Shorten text at a word boundary
+ * @param {string|null} text - Text
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string|null} Text of at most maxLength characters
+ */
+function truncate(text, maxLength) {
+  if (!text || text.length <= maxLength) {
+    return text;
+  }
+  const cut = text.slice(0, maxLength - 1);
+  const boundary = cut.lastIndexOf(' ');
+  return `${boundary > maxLength / 2 ? cut.slice(0, boundary) : cut}…`;
+}
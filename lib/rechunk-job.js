@@ -0,0 +1,199 @@
+/**
+ * Re-chunk Job
+ * Re-chunks and re-embeds, one page at a time, the pages whose stored chunking differs from the
+ * current chunk size and overlap settings. Progress is persisted in chrome.storage.local, so the
+ * job continues after a service worker restart.
+ *
+ * The pages still to do are listed afresh before each page: pages re-captured in the meantime
+ * drop out, and pages that failed or were skipped are not tried again in the same run. A page
+ * still listed after it was re-chunked counts as failed rather than being re-chunked again.
+ * States: idle -> running -> done | cancelled.
+ */
+
+const STORAGE_KEY = 'offlineIndexerRechunk';
+
+export class RechunkJob {
+  /**
+   * @param {Object} options - Job options
+   * @param {Function} options.listPages - () => IDs of the pages chunked with other settings
+   * @param {Function} options.rechunk - async pageId => { skipped } | undefined once the page
+   *   has been re-chunked; throw if it failed
+   * @param {Function} options.onChange - Called with a progress snapshot whenever it changes
+   */
+  constructor({ listPages, rechunk, onChange = () => {} }) {
+    this.listPages = listPages;
+    this.rechunk = rechunk;
+    this.onChange = onChange;
+    this.status = RechunkJob.emptyStatus();
+    this.loaded = null;
+    this.running = false;
+  }
+
+  /**
+   * Progress of a job that has not started
+   * @returns {Object} Status
+   */
+  static emptyStatus() {
+    return {
+      state: 'idle',
+      total: 0,
+      rechunked: 0,
+      skipped: 0,
+      failed: 0,
+      passed: [], // Page IDs skipped or failed in this run
+      completed: [], // Page IDs re-chunked in this run
+      startedAt: null,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Load persisted progress and continue a running job (once per worker lifetime)
+   */
+  load() {
+    if (!this.loaded) {
+      this.loaded = (async () => {
+        try {
+          const result = await chrome.storage.local.get([STORAGE_KEY]);
+          this.status = { ...RechunkJob.emptyStatus(), ...result[STORAGE_KEY] };
+        } catch (error) {
+          console.error('Failed to load re-chunk job:', error);
+        }
+
+        if (this.status.state === 'running') {
+          this.run();
+        }
+      })();
+    }
+    return this.loaded;
+  }
+
+  /**
+   * Start re-chunking every page chunked with other settings
+   */
+  async start() {
+    await this.load();
+    if (this.status.state === 'running') {
+      throw new Error('Pages are already being re-chunked');
+    }
+
+    const pageIds = this.listPages();
+    if (pageIds.length === 0) {
+      throw new Error('Every page is chunked with the current settings');
+    }
+
+    this.status = {
+      ...RechunkJob.emptyStatus(),
+      state: 'running',
+      total: pageIds.length,
+      startedAt: Date.now(),
+    };
+    await this.update();
+    this.run();
+  }
+
+  /**
+   * Stop after the page being re-chunked
+   */
+  async cancel() {
+    await this.load();
+    if (this.status.state === 'running') {
+      this.status.state = 'cancelled';
+      await this.update();
+    }
+  }
+
+  /**
+   * Progress for display
+   * @returns {Promise<Object>} { state, total, done, remaining, rechunked, skipped, failed, ... }
+   */
+  async getSnapshot() {
+    await this.load();
+    return this.snapshot();
+  }
+
+  /**
+   * Progress without the page lists
+   * @returns {Object} Snapshot; outdated counts the pages chunked with other settings
+   */
+  snapshot() {
+    const { passed, completed, ...progress } = this.status;
+    const outdated = this.listPages();
+    return {
+      ...progress,
+      done: progress.rechunked + progress.skipped + progress.failed,
+      remaining: this.pendingPages(outdated).length,
+      outdated: outdated.length,
+    };
+  }
+
+  /**
+   * Pages left in this run
+   * @param {string[]} pageIds - Pages chunked with other settings
+   * @returns {string[]} Those not skipped or failed yet
+   */
+  pendingPages(pageIds = this.listPages()) {
+    const passed = new Set(this.status.passed);
+    return pageIds.filter(pageId => !passed.has(pageId));
+  }
+
+  /**
+   * Re-chunk pages until the job is cancelled or none are left
+   */
+  async run() {
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      while (this.status.state === 'running') {
+        const [pageId] = this.pendingPages();
+        if (!pageId) {
+          this.status.state = 'done';
+          await this.update();
+          break;
+        }
+
+        if (this.status.completed.includes(pageId)) {
+          console.warn(`Page ${pageId} still needs re-chunking after it was re-chunked`);
+          this.status.rechunked--;
+          this.status.failed++;
+          this.status.passed.push(pageId);
+          await this.update();
+          continue;
+        }
+
+        try {
+          const outcome = await this.rechunk(pageId);
+          if (outcome?.skipped) {
+            console.log(`Not re-chunking page ${pageId}: ${outcome.skipped}`);
+            this.status.skipped++;
+            this.status.passed.push(pageId);
+          } else {
+            this.status.rechunked++;
+            this.status.completed.push(pageId);
+          }
+        } catch (error) {
+          console.warn(`Failed to re-chunk page ${pageId}:`, error);
+          this.status.failed++;
+          this.status.passed.push(pageId);
+        }
+        await this.update();
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Save the progress and tell listeners
+   */
+  async update() {
+    this.status.updatedAt = Date.now();
+    try {
+      await chrome.storage.local.set({ [STORAGE_KEY]: this.status });
+    } catch (error) {
+      console.error('Failed to save re-chunk job:', error);
+    }
+    this.onChange(this.snapshot());
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * Search Query
+ * Parses the search box syntax into free text plus filters
+ *
+ *   site:github.com      page host is github.com or a subdomain (several site: filters are OR-ed)
+ *   -site:example.com    page host is not example.com
+ *   after:2026-01-01     indexed on or after the date (YYYY, YYYY-MM or YYYY-MM-DD, local time)
+ *   before:2026-02       indexed before the date
+ *   title:ingress        page title contains the word (title:"two words" for a phrase)
+ *   author:knuth         page author contains the word (author:"two words" for a phrase)
+ *   lang:de              page language is German, any region (several lang: filters are OR-ed)
+ *   "exact phrase"       chunk text contains the phrase
+ *   -term, -"phrase"     chunk text does not contain the term or phrase
+ *   revisions:all        also search older revisions of changed pages (revisions:only for just those)
+ *
+ * Anything else, including quoted phrases, is free text used for ranking.
+ */
+
+const TOKEN_PATTERN =
+  /(-?)(?:(site|after|before|title|author|lang|revisions):)?(?:"([^"]*)"?|(\S+))/gi;
+const REVISION_SCOPES = ['current', 'all', 'only'];
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/;
+
+export class SearchQuery {
+  constructor() {
+    this.text = ''; // Free text for embedding and BM25 ranking
+    this.sites = [];
+    this.excludedSites = [];
+    this.after = null; // Inclusive timestamp
+    this.before = null; // Exclusive timestamp
+    this.titleTerms = [];
+    this.authorTerms = [];
+    this.langs = [];
+    this.phrases = [];
+    this.excludedTerms = [];
+    this.revisions = 'current'; // Which page versions to search
+    this.filters = []; // { type, value, raw } per recognized filter, for display
+  }
+
+  /**
+   * Parse a search box query
+   * @param {string} input - Raw query
+   * @returns {SearchQuery} Parsed query
+   */
+  static parse(input) {
+    const query = new SearchQuery();
+    const words = [];
+
+    for (const match of (input || '').matchAll(TOKEN_PATTERN)) {
+      const [raw, negation, operator, quoted, bare] = match;
+      const negated = negation === '-';
+      const value = (quoted ?? bare ?? '').trim();
+
+      if (!value) {
+        // Lone "-" or empty quotes
+        continue;
+      }
+
+      if (!operator) {
+        if (!/[\p{L}\p{N}]/u.test(value)) {
+          // Nothing searchable to require or exclude
+          words.push(raw);
+        } else if (negated) {
+          query.excludedTerms.push(value);
+          query.filters.push({ type: 'exclude', value, raw });
+        } else if (quoted !== undefined) {
+          query.phrases.push(value);
+          query.filters.push({ type: 'phrase', value, raw });
+          words.push(value);
+        } else {
+          words.push(value);
+        }
+        continue;
+      }
+
+      const type = operator.toLowerCase();
+      if (type === 'site') {
+        const site = value
+          .toLowerCase()
+          .replace(/^[a-z]+:\/\//, '')
+          .replace(/^www\./, '')
+          .split('/')[0];
+        (negated ? query.excludedSites : query.sites).push(site);
+        query.filters.push({ type: negated ? 'exclude-site' : 'site', value: site, raw });
+      } else if (type === 'title' && !negated) {
+        query.titleTerms.push(value.toLowerCase());
+        query.filters.push({ type, value, raw });
+      } else if (type === 'author' && !negated) {
+        query.authorTerms.push(value.toLowerCase());
+        query.filters.push({ type, value, raw });
+      } else if (type === 'lang' && !negated) {
+        const lang = value.replace(/_/g, '-').toLowerCase();
+        query.langs.push(lang);
+        query.filters.push({ type, value: lang, raw });
+      } else if ((type === 'after' || type === 'before') && !negated) {
+        const timestamp = SearchQuery.parseDate(value);
+        if (timestamp === null) {
+          words.push(raw);
+          continue;
+        }
+        query[type] = timestamp;
+        query.filters.push({ type, value, raw });
+      } else if (
+        type === 'revisions' &&
+        !negated &&
+        REVISION_SCOPES.includes(value.toLowerCase())
+      ) {
+        query.revisions = value.toLowerCase();
+        query.filters.push({ type, value: query.revisions, raw });
+      } else {
+        words.push(raw);
+      }
+    }
+
+    query.text = words.join(' ');
+    return query;
+  }
+
+  /**
+   * Parse YYYY, YYYY-MM or YYYY-MM-DD as the start of that period in local time
+   * @param {string} value - Date text
+   * @returns {number|null} Timestamp, or null if invalid
+   */
+  static parseDate(value) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) return null;
+
+    const year = parseInt(match[1]);
+    const month = match[2] ? parseInt(match[2]) : 1;
+    const day = match[3] ? parseInt(match[3]) : 1;
+    const date = new Date(year, month - 1, day);
+
+    // Reject overflowing dates such as 2026-02-31
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return date.getTime();
+  }
+
+  /**
+   * Normalize text for phrase comparison
+   */
+  static normalizeText(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Whether any filter was given
+   */
+  get hasFilters() {
+    return this.filters.length > 0;
+  }
+
+  /**
+   * Whether any filter needs the chunk text
+   */
+  get hasChunkFilters() {
+    return this.phrases.length > 0 || this.excludedTerms.length > 0;
+  }
+
+  /**
+   * Check the page-level filters (site, date, title, author, language, revisions)
+   * @param {Object} page - Page metadata with url, title, timestamp and extracted metadata
+   * @returns {boolean} True if the page passes
+   */
+  matchesPage(page) {
+    const isRevision = page.kind === 'revision';
+    if (this.revisions === 'current' && isRevision) return false;
+    if (this.revisions === 'only' && !isRevision) return false;
+
+    if (this.sites.length > 0 || this.excludedSites.length > 0) {
+      let host;
+      try {
+        host = new URL(page.url).hostname.toLowerCase();
+      } catch (error) {
+        return false;
+      }
+      const onSite = site => host === site || host.endsWith(`.${site}`) || host === `www.${site}`;
+
+      if (this.sites.length > 0 && !this.sites.some(onSite)) return false;
+      if (this.excludedSites.some(onSite)) return false;
+    }
+
+    if (this.after !== null && !(page.timestamp >= this.after)) return false;
+    if (this.before !== null && !(page.timestamp < this.before)) return false;
+
+    if (this.titleTerms.length > 0) {
+      const title = SearchQuery.normalizeText(page.title);
+      if (!this.titleTerms.every(term => title.includes(SearchQuery.normalizeText(term)))) {
+        return false;
+      }
+    }
+
+    if (this.authorTerms.length > 0) {
+      const author = SearchQuery.normalizeText(page.metadata?.author);
+      if (!this.authorTerms.every(term => author.includes(SearchQuery.normalizeText(term)))) {
+        return false;
+      }
+    }
+
+    if (this.langs.length > 0) {
+      const lang = page.metadata?.lang || '';
+      if (!this.langs.some(wanted => lang === wanted || lang.startsWith(`${wanted}-`))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check the chunk-level filters (phrases and excluded terms)
+   * Excluded single words match whole words; excluded phrases match anywhere.
+   * @param {string} text - Chunk text
+   * @returns {boolean} True if the chunk passes
+   */
+  matchesChunkText(text) {
+    const normalized = SearchQuery.normalizeText(text);
+
+    if (!this.phrases.every(phrase => normalized.includes(SearchQuery.normalizeText(phrase)))) {
+      return false;
+    }
+
+    return !this.excludedTerms.some(term => {
+      const needle = SearchQuery.normalizeText(term);
+      if (/\s/.test(needle)) return normalized.includes(needle);
+      return normalized.split(/[^\p{L}\p{N}_-]+/u).some(word => word === needle);
+    });
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Sensitivity
+ * Detects pages that should not be indexed as-is, and redacts personal data from page text
+ *
+ * Page signals (from the DOM, collected by the content script and again from the captured HTML):
+ *   password-field   an <input type="password">
+ *   payment-form     credit card inputs (autocomplete="cc-*", or card number / CVC named inputs)
+ *   noindex          <meta name="robots" content="noindex">
+ *
+ * PII patterns (in the extracted text): email addresses, card numbers (Luhn-checked),
+ * IBANs (mod-97 checked), US social security numbers and phone numbers.
+ */
+
+export const SENSITIVE_ACTIONS = ['skip', 'redact', 'index'];
+
+// Also used by content.js, which imports this module to check the live page
+const SIGNAL_SELECTORS = {
+  'password-field': 'input[type="password" i]',
+  'payment-form': [
+    'input[autocomplete~="cc-number" i]',
+    'input[autocomplete~="cc-csc" i]',
+    'input[autocomplete~="cc-exp" i]',
+    'input[name*="cardnumber" i]',
+    'input[name*="card_number" i]',
+    'input[name*="cvv" i]',
+    'input[name*="cvc" i]',
+  ].join(','),
+  noindex:
+    'meta[name="robots" i][content*="noindex" i], meta[name="googlebot" i][content*="noindex" i]',
+};
+
+const PII_PATTERNS = [
+  { type: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi },
+  { type: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: luhn },
+  { type: 'iban', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, check: ibanChecksum },
+  { type: 'ssn', pattern: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+  {
+    type: 'phone',
+    // +49 30 1234 5678, (030) 1234-5678 or 555-123-4567; other digit groups (10.000.000, dates,
+    // version numbers) are too ambiguous to redact
+    pattern:
+      /(?<![\w.+-])(?:\+\d{1,3}[ .-]?(?:\(\d{1,4}\)[ .-]?)?\d{1,4}(?:[ .-]?\d{2,4}){1,4}|\(\d{2,4}\)[ .-]?\d{3,4}[ .-]?\d{3,4}|\d{3}([.-])\d{3}\1\d{4})(?![\w+]|[.-]\d)/g,
+    check: phoneDigits,
+  },
+];
+
+/**
+ * Detect sensitive page signals in a document
+ * @param {Document} doc - Parsed document
+ * @returns {string[]} Signal names
+ */
+export function detectDocumentSignals(doc) {
+  return Object.entries(SIGNAL_SELECTORS)
+    .filter(([, selector]) => doc.querySelector(selector))
+    .map(([signal]) => signal);
+}
+
+/**
+ * Replace personal data in text with placeholders such as `[email]`
+ * @param {string} text - Text to redact
+ * @returns {Object} { text, counts } where counts maps PII type to redactions
+ */
+export function redactPii(text) {
+  const counts = {};
+  let redacted = text;
+
+  for (const { type, pattern, check } of PII_PATTERNS) {
+    redacted = redacted.replace(pattern, match => {
+      if (check && !check(match)) return match;
+      counts[type] = (counts[type] || 0) + 1;
+      return `[${type}]`;
+    });
+  }
+
+  return { text: redacted, counts };
+}
+
+/**
+ * Luhn checksum, used by card numbers
+ * @param {string} value - Digits, possibly with separators
+ * @returns {boolean} True if the checksum is valid
+ */
+function luhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Digit count of a phone number: at least 7, and at most the 15 of E.164
+ * @param {string} value - Phone number with separators
+ * @returns {boolean} True if the length is plausible
+ */
+function phoneDigits(value) {
+  const count = value.replace(/\D/g, '').length;
+  return count >= 7 && count <= 15;
+}
+
+/**
+ * IBAN mod-97 checksum
+ * @param {string} value - IBAN, possibly with spaces
+ * @returns {boolean} True if the checksum is valid
+ */
+function ibanChecksum(value) {
+  const iban = value.replace(/ /g, '');
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
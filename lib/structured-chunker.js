@@ -0,0 +1,502 @@
+/**
+ * Structured Chunker
+ * Splits a page along its structure instead of into fixed token windows. The article DOM is
+ * flattened into blocks (headings, paragraphs, lists, code and tables), and whole blocks are
+ * packed into chunks under their heading path up to a token budget.
+ *
+ * Only blocks that cannot fit in a chunk on their own are split: prose between sentences, lists
+ * between items, code between lines and tables between rows (repeating the header row). The
+ * sentences and items of a split block are packed one by one like whole blocks.
+ */
+
+const HEADING_TAGS = new Set(['H1', 'H2', 'H3', 'H4', 'H5', 'H6']);
+const LIST_TAGS = new Set(['UL', 'OL', 'DL']);
+const LIST_ITEM_TAGS = new Set(['LI', 'DT', 'DD']);
+const TABLE_SECTION_TAGS = new Set(['THEAD', 'TBODY', 'TFOOT']);
+const CELL_TAGS = new Set(['TD', 'TH']);
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BUTTON', 'SVG']);
+const BLOCK_TAGS = new Set([
+  ...HEADING_TAGS,
+  ...LIST_TAGS,
+  ...LIST_ITEM_TAGS,
+  'ADDRESS',
+  'ARTICLE',
+  'ASIDE',
+  'BLOCKQUOTE',
+  'DETAILS',
+  'DIV',
+  'FIELDSET',
+  'FIGCAPTION',
+  'FIGURE',
+  'FOOTER',
+  'FORM',
+  'HEADER',
+  'HR',
+  'MAIN',
+  'NAV',
+  'P',
+  'PRE',
+  'SECTION',
+  'SUMMARY',
+  'TABLE',
+]);
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+// A section this small is kept together with the subsections that follow it
+const MIN_SECTION_TOKENS = 64;
+const SENTENCE_PATTERN = /[^.!?。！？]+(?:[.!?。！？]+["'”’)\]]*\s*|$)/g;
+
+/**
+ * Flatten an article into blocks in reading order
+ * @param {Element} root - Article root (Readability content or the document body)
+ * @returns {Object[]} { type, text } blocks, where type is 'heading' (with level), 'paragraph',
+ *   'list', 'code' or 'table' (with header when its first line is a header row)
+ */
+export function extractBlocks(root) {
+  const blocks = [];
+  if (root) {
+    collectBlocks(root, blocks);
+  }
+  return blocks;
+}
+
+/**
+ * Pack blocks into chunks of at most maxTokens tokens
+ * Every heading starts a new chunk, unless the open chunk is a short introduction to the
+ * subsection that follows. Chunks filled up in the middle of a section repeat their last
+ * sentences or list items, up to overlapTokens, at the start of the next chunk.
+ * @param {Object[]} blocks - Blocks from extractBlocks
+ * @param {Object} options - Packing options
+ * @param {Function} options.countTokens - text => number of content tokens; counts must add up
+ *   over whitespace-separated parts
+ * @param {number} options.maxTokens - Token budget per chunk, heading path included
+ * @param {number} options.overlapTokens - Tokens repeated between consecutive chunks of a section
+ * @returns {Object[]} { text, headingPath, tokenCount, startToken, endToken } chunks, where
+ *   tokenCount excludes the heading path and the token range counts content only
+ */
+export function packBlocks(blocks, { countTokens, maxTokens, overlapTokens = 0 }) {
+  const chunks = [];
+  const trail = []; // { level, text } of the open headings, outermost first
+  let current = null;
+  let offset = 0;
+
+  const headingPath = () => trail.map(heading => heading.text);
+  const budgetFor = path => {
+    const headingTokens = path.length > 0 ? countTokens(formatHeadingPath(path)) : 0;
+    // Deep or long heading paths never take more than half the budget
+    return Math.max(maxTokens - headingTokens, Math.floor(maxTokens / 2));
+  };
+
+  const open = (carried = []) => {
+    const path = headingPath();
+    current = {
+      headingPath: path,
+      budget: budgetFor(path),
+      units: [...carried],
+      tokens: carried.reduce((sum, unit) => sum + unit.tokens, 0),
+    };
+  };
+
+  const close = () => {
+    if (current && current.units.length > 0) {
+      const last = current.units[current.units.length - 1];
+      chunks.push({
+        text: current.units
+          .map((unit, index) => (index > 0 ? (unit.separator ?? '\n\n') : '') + unit.text)
+          .join(''),
+        headingPath: current.headingPath,
+        tokenCount: current.tokens,
+        startToken: current.units[0].start,
+        endToken: last.start + last.tokens,
+      });
+    }
+    current = null;
+  };
+
+  const add = unit => {
+    unit.start = offset;
+    offset += unit.tokens;
+
+    if (current && current.units.length > 0 && current.tokens + unit.tokens > current.budget) {
+      const carried = unit.prose ? trailingProse(current.units, overlapTokens) : [];
+      const carriedTokens = carried.reduce((sum, item) => sum + item.tokens, 0);
+      close();
+      open(carriedTokens + unit.tokens <= budgetFor(headingPath()) ? carried : []);
+    }
+    if (!current) {
+      open();
+    }
+    current.units.push(unit);
+    current.tokens += unit.tokens;
+  };
+
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      while (trail.length > 0 && trail[trail.length - 1].level >= block.level) {
+        trail.pop();
+      }
+      trail.push({ level: block.level, text: block.text });
+
+      const nested =
+        current &&
+        current.tokens < MIN_SECTION_TOKENS &&
+        trail.length > current.headingPath.length &&
+        current.headingPath.every((text, index) => trail[index].text === text);
+      if (nested) {
+        // Subsection headings inside a chunk stay in its text
+        add({ text: block.text, tokens: countTokens(block.text), prose: false });
+      } else {
+        close();
+      }
+      continue;
+    }
+
+    const budget = current ? current.budget : budgetFor(headingPath());
+    for (const unit of splitBlock(block, budget, countTokens)) {
+      add(unit);
+    }
+  }
+  close();
+
+  return chunks;
+}
+
+/**
+ * Format a heading path as a breadcrumb
+ * @param {string[]} headingPath - Headings, outermost first
+ * @returns {string} Headings separated by " > "
+ */
+export function formatHeadingPath(headingPath) {
+  return headingPath.join(' > ');
+}
+
+/**
+ * Collect the blocks inside an element
+ * Text outside of block elements (loose text, inline elements) forms paragraphs between them.
+ * @param {Element} element - Container element
+ * @param {Object[]} blocks - Blocks collected so far
+ */
+function collectBlocks(element, blocks) {
+  let inline = '';
+  const flush = () => {
+    const text = collapseWhitespace(inline);
+    if (text) {
+      blocks.push({ type: 'paragraph', text });
+    }
+    inline = '';
+  };
+
+  for (const node of element.childNodes) {
+    if (node.nodeType === TEXT_NODE) {
+      inline += node.textContent;
+      continue;
+    }
+    if (node.nodeType !== ELEMENT_NODE) {
+      continue;
+    }
+
+    const tag = node.tagName.toUpperCase();
+    if (SKIPPED_TAGS.has(tag)) {
+      continue;
+    }
+    if (tag === 'BR') {
+      inline += ' ';
+    } else if (HEADING_TAGS.has(tag)) {
+      flush();
+      const text = collapseWhitespace(textOf(node));
+      if (text) {
+        blocks.push({ type: 'heading', level: Number(tag[1]), text });
+      }
+    } else if (tag === 'PRE') {
+      flush();
+      const text = node.textContent.replace(/\r\n?/g, '\n').replace(/^\s*\n|\s+$/g, '');
+      if (text) {
+        blocks.push({ type: 'code', text });
+      }
+    } else if (tag === 'TABLE') {
+      flush();
+      const rows = tableRows(node);
+      if (rows.length > 0) {
+        blocks.push({
+          type: 'table',
+          text: rows.map(row => row.cells.join(' | ')).join('\n'),
+          header: rows[0].header && rows.length > 1,
+        });
+      }
+    } else if (LIST_TAGS.has(tag)) {
+      flush();
+      const lines = listLines(node, 0);
+      if (lines.length > 0) {
+        blocks.push({ type: 'list', text: lines.join('\n') });
+      }
+    } else if (BLOCK_TAGS.has(tag) || containsBlock(node)) {
+      flush();
+      collectBlocks(node, blocks);
+    } else {
+      inline += ` ${textOf(node)} `;
+    }
+  }
+  flush();
+}
+
+/**
+ * Split a block into units that fit the budget
+ * @param {Object} block - Block from extractBlocks
+ * @param {number} budget - Tokens per chunk
+ * @param {Function} countTokens - text => number of tokens
+ * @returns {Object[]} { text, tokens, prose, separator } units in order, where separator joins a
+ *   unit to the previous piece of the same block
+ */
+function splitBlock(block, budget, countTokens) {
+  const prose = block.type === 'paragraph' || block.type === 'list';
+  const tokens = countTokens(block.text);
+  if (tokens <= budget) {
+    return [{ text: block.text, tokens, prose }];
+  }
+
+  const lines = block.text.split('\n');
+  if (prose) {
+    const parts =
+      block.type === 'paragraph' ? block.text.match(SENTENCE_PATTERN) || [block.text] : lines;
+    const separator = block.type === 'paragraph' ? ' ' : '\n';
+    return parts
+      .map(part => (block.type === 'paragraph' ? part.trim() : part))
+      .filter(part => part.trim())
+      .flatMap(part => {
+        const partTokens = countTokens(part);
+        return partTokens > budget
+          ? splitWords(part, budget, countTokens)
+          : [{ text: part, tokens: partTokens }];
+      })
+      .map((unit, index) => ({ ...unit, prose, separator: index > 0 ? separator : undefined }));
+  }
+
+  if (block.type === 'table' && block.header) {
+    // Every piece of a long table repeats its header row
+    const [header, ...rows] = lines;
+    const headerTokens = countTokens(header);
+    if (headerTokens <= budget / 2) {
+      return packParts(rows, '\n', budget - headerTokens, countTokens).map(part => ({
+        text: `${header}\n${part.text}`,
+        tokens: headerTokens + part.tokens,
+        prose,
+      }));
+    }
+  }
+  return packParts(lines, '\n', budget, countTokens).map(part => ({ ...part, prose }));
+}
+
+/**
+ * Join consecutive parts into pieces of at most budget tokens
+ * A part larger than the budget is cut between words.
+ * @param {string[]} parts - Sentences, list items or lines
+ * @param {string} separator - Joins parts within a piece
+ * @param {number} budget - Tokens per piece
+ * @param {Function} countTokens - text => number of tokens
+ * @returns {Object[]} { text, tokens } pieces
+ */
+function packParts(parts, separator, budget, countTokens) {
+  const pieces = [];
+  let texts = [];
+  let tokens = 0;
+  const push = () => {
+    if (texts.length > 0) {
+      pieces.push({ text: texts.join(separator), tokens });
+    }
+    texts = [];
+    tokens = 0;
+  };
+
+  for (const part of parts) {
+    const partTokens = countTokens(part);
+    if (partTokens > budget) {
+      push();
+      pieces.push(...splitWords(part, budget, countTokens));
+      continue;
+    }
+    if (tokens + partTokens > budget) {
+      push();
+    }
+    texts.push(part);
+    tokens += partTokens;
+  }
+  push();
+
+  return pieces;
+}
+
+/**
+ * Cut text between words into pieces of at most budget tokens
+ * A single word longer than the budget becomes a piece of its own.
+ * @param {string} text - Text
+ * @param {number} budget - Tokens per piece
+ * @param {Function} countTokens - text => number of tokens
+ * @returns {Object[]} { text, tokens } pieces
+ */
+function splitWords(text, budget, countTokens) {
+  const pieces = [];
+  let words = [];
+  let tokens = 0;
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const wordTokens = countTokens(word);
+    if (words.length > 0 && tokens + wordTokens > budget) {
+      pieces.push({ text: words.join(' '), tokens });
+      words = [];
+      tokens = 0;
+    }
+    words.push(word);
+    tokens += wordTokens;
+  }
+  if (words.length > 0) {
+    pieces.push({ text: words.join(' '), tokens });
+  }
+  return pieces;
+}
+
+/**
+ * Prose units at the end of a chunk to repeat in the next one
+ * @param {Object[]} units - Units of the full chunk
+ * @param {number} overlapTokens - Tokens to repeat at most
+ * @returns {Object[]} Trailing prose units totalling at most overlapTokens
+ */
+function trailingProse(units, overlapTokens) {
+  const carried = [];
+  let tokens = 0;
+  for (let i = units.length - 1; i >= 0; i--) {
+    const unit = units[i];
+    if (!unit.prose || tokens + unit.tokens > overlapTokens) {
+      break;
+    }
+    carried.unshift(unit);
+    tokens += unit.tokens;
+  }
+  // Repeating a whole chunk would not move forward
+  return carried.length < units.length ? carried : [];
+}
+
+/**
+ * Lines of a list, one per item, with nested lists indented below their item
+ * @param {Element} list - UL, OL or DL element
+ * @param {number} depth - Nesting depth
+ * @returns {string[]} Lines
+ */
+function listLines(list, depth) {
+  const lines = [];
+  const indent = '  '.repeat(depth);
+  const ordered = list.tagName.toUpperCase() === 'OL';
+  let number = 0;
+
+  for (const item of list.childNodes) {
+    if (item.nodeType !== ELEMENT_NODE) {
+      continue;
+    }
+    const tag = item.tagName.toUpperCase();
+    if (LIST_TAGS.has(tag)) {
+      lines.push(...listLines(item, depth + 1));
+      continue;
+    }
+    if (!LIST_ITEM_TAGS.has(tag)) {
+      continue;
+    }
+
+    number++;
+    const text = collapseWhitespace(textOf(item, LIST_TAGS));
+    if (text) {
+      const marker = tag === 'LI' ? (ordered ? `${number}. ` : '- ') : tag === 'DD' ? '  ' : '';
+      lines.push(`${indent}${marker}${text}`);
+    }
+    for (const child of item.childNodes) {
+      if (child.nodeType === ELEMENT_NODE && LIST_TAGS.has(child.tagName.toUpperCase())) {
+        lines.push(...listLines(child, depth + 1));
+      }
+    }
+  }
+  return lines;
+}
+
+/**
+ * Rows of a table with their cell texts
+ * @param {Element} table - TABLE element
+ * @returns {Object[]} { cells, header } rows with at least one non-empty cell
+ */
+function tableRows(table) {
+  const rows = [];
+  const visit = element => {
+    for (const child of element.childNodes) {
+      if (child.nodeType !== ELEMENT_NODE) {
+        continue;
+      }
+      const tag = child.tagName.toUpperCase();
+      if (TABLE_SECTION_TAGS.has(tag)) {
+        visit(child);
+      } else if (tag === 'TR') {
+        const cells = [...child.childNodes].filter(
+          cell => cell.nodeType === ELEMENT_NODE && CELL_TAGS.has(cell.tagName.toUpperCase())
+        );
+        const texts = cells.map(cell => collapseWhitespace(textOf(cell)));
+        if (texts.some(Boolean)) {
+          rows.push({
+            cells: texts,
+            header: cells.every(cell => cell.tagName.toUpperCase() === 'TH'),
+          });
+        }
+      }
+    }
+  };
+  visit(table);
+  return rows;
+}
+
+/**
+ * Text of an element, with block boundaries and line breaks as spaces
+ * @param {Node} node - Element
+ * @param {Set<string>} excludedTags - Tags whose content is left out
+ * @returns {string} Text
+ */
+function textOf(node, excludedTags = null) {
+  let text = '';
+  for (const child of node.childNodes) {
+    if (child.nodeType === TEXT_NODE) {
+      text += child.textContent;
+    } else if (child.nodeType === ELEMENT_NODE) {
+      const tag = child.tagName.toUpperCase();
+      if (SKIPPED_TAGS.has(tag) || excludedTags?.has(tag)) {
+        continue;
+      }
+      text +=
+        tag === 'BR'
+          ? ' '
+          : BLOCK_TAGS.has(tag)
+            ? ` ${textOf(child, excludedTags)} `
+            : textOf(child, excludedTags);
+    }
+  }
+  return text;
+}
+
+/**
+ * Whether an element has block elements inside it
+ * @param {Element} element - Element
+ * @returns {boolean} True if any descendant is a block element
+ */
+function containsBlock(element) {
+  for (const child of element.childNodes) {
+    if (child.nodeType !== ELEMENT_NODE) {
+      continue;
+    }
+    const tag = child.tagName.toUpperCase();
+    if (BLOCK_TAGS.has(tag) || (!SKIPPED_TAGS.has(tag) && containsBlock(child))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Collapse runs of whitespace into single spaces
+ * @param {string} text - Text
+ * @returns {string} Trimmed text
+ */
+function collapseWhitespace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,79 @@
+/**
+ * Text Diff
+ * Line-level diff (longest common subsequence) used to compare page revisions
+ *
+ * The common prefix and suffix are matched first; if the remaining middle is too large for the
+ * LCS table, it is reported as removed and added wholesale rather than exhausting memory.
+ */
+
+const MAX_TABLE_CELLS = 2000 * 2000;
+
+/**
+ * Diff two lists of lines
+ * @param {string[]} before - Old lines
+ * @param {string[]} after - New lines
+ * @returns {Object[]} { type: 'equal' | 'removed' | 'added', lines } runs in document order
+ */
+export function diffLines(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < before.length - prefix &&
+    suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const oldMiddle = before.slice(prefix, before.length - suffix);
+  const newMiddle = after.slice(prefix, after.length - suffix);
+  const edits = [];
+  const push = (type, line) => {
+    const last = edits[edits.length - 1];
+    if (last?.type === type) {
+      last.lines.push(line);
+    } else {
+      edits.push({ type, lines: [line] });
+    }
+  };
+
+  before.slice(0, prefix).forEach(line => push('equal', line));
+
+  if ((oldMiddle.length + 1) * (newMiddle.length + 1) > MAX_TABLE_CELLS) {
+    oldMiddle.forEach(line => push('removed', line));
+    newMiddle.forEach(line => push('added', line));
+  } else {
+    // lengths[i * width + j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+    const width = newMiddle.length + 1;
+    const lengths = new Uint32Array((oldMiddle.length + 1) * width);
+    for (let i = oldMiddle.length - 1; i >= 0; i--) {
+      for (let j = newMiddle.length - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          oldMiddle[i] === newMiddle[j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < oldMiddle.length && j < newMiddle.length) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        push('equal', oldMiddle[i++]);
+        j++;
+      } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+        push('removed', oldMiddle[i++]);
+      } else {
+        push('added', newMiddle[j++]);
+      }
+    }
+    oldMiddle.slice(i).forEach(line => push('removed', line));
+    newMiddle.slice(j).forEach(line => push('added', line));
+  }
+
+  before.slice(before.length - suffix).forEach(line => push('equal', line));
+  return edits;
+}
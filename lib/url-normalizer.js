@@ -0,0 +1,133 @@
+/**
+ * URL Normalizer
+ * Maps the URL variants of a page (tracking parameters, in-page anchors, trailing slashes,
+ * canonical links) to one URL, and derives the page's stable ID from it
+ *
+ *   https://Example.com/docs/?utm_source=x&b=2&a=1#setup  ->  https://example.com/docs?a=1&b=2
+ *
+ * Hash routes (`#/inbox`, `#!/inbox`) identify single-page app views and are kept; content.js
+ * applies the same rule when watching navigation.
+ */
+
+import { hash64 } from './hash.js';
+
+const TRACKING_PARAMS = new Set([
+  'fbclid',
+  'gclid',
+  'gclsrc',
+  'dclid',
+  'gbraid',
+  'wbraid',
+  'msclkid',
+  'yclid',
+  'twclid',
+  'ttclid',
+  'igshid',
+  'li_fat_id',
+  'mc_cid',
+  'mc_eid',
+  'mkt_tok',
+  '_ga',
+  '_gl',
+  '_hsenc',
+  '_hsmi',
+  'oly_anon_id',
+  'oly_enc_id',
+  'vero_id',
+  'ref_src',
+]);
+const TRACKING_PREFIXES = ['utm_'];
+const HASH_ROUTE_PATTERN = /^#!?\//;
+
+/**
+ * Normalize a page URL
+ * Non-HTTP(S) or unparseable URLs are returned unchanged.
+ * @param {string} url - Page URL
+ * @returns {string} Normalized URL
+ */
+export function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return url;
+  }
+
+  // Host case and default ports are already normalized by URL
+  const params = [...parsed.searchParams].filter(([name]) => !isTrackingParam(name));
+  params.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(params).toString();
+
+  if (parsed.pathname.length > 1 && parsed.pathname.endsWith('/')) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  }
+  if (!HASH_ROUTE_PATTERN.test(parsed.hash)) {
+    parsed.hash = '';
+  }
+
+  return parsed.href;
+}
+
+/**
+ * Pick the URL a capture is stored under: the page's canonical link when it is trustworthy,
+ * otherwise the captured URL, normalized either way
+ * A canonical link is ignored if it points to another site, or to the home page from a deeper
+ * page (a common template mistake that would merge a whole site into one page).
+ * @param {string} url - Captured URL
+ * @param {string|null} canonicalUrl - `<link rel="canonical">` target reported by the page
+ * @returns {string} Normalized page URL
+ */
+export function resolvePageUrl(url, canonicalUrl = null) {
+  const normalized = normalizeUrl(url);
+  if (!canonicalUrl) {
+    return normalized;
+  }
+
+  let page;
+  let canonical;
+  try {
+    page = new URL(normalized);
+    // Resolve relative links before normalizing them
+    canonical = new URL(normalizeUrl(new URL(canonicalUrl, page).href));
+  } catch (error) {
+    return normalized;
+  }
+
+  const site = host => host.replace(/^www\./, '');
+  if (
+    (canonical.protocol !== 'http:' && canonical.protocol !== 'https:') ||
+    site(canonical.hostname) !== site(page.hostname) ||
+    (canonical.pathname === '/' && page.pathname !== '/')
+  ) {
+    return normalized;
+  }
+
+  // The canonical link describes the document, so keep the view of a hash-routed app
+  if (HASH_ROUTE_PATTERN.test(page.hash) && !canonical.hash) {
+    canonical.hash = page.hash;
+  }
+  return canonical.href;
+}
+
+/**
+ * Stable page ID for a normalized URL
+ * @param {string} url - Normalized page URL
+ * @returns {string} Page ID such as `page_1k3j9x0a2m7qp`
+ */
+export function getStablePageId(url) {
+  const [high, low] = hash64(url);
+  return `page_${high.toString(36)}${low.toString(36).padStart(7, '0')}`;
+}
+
+/**
+ * Whether a query parameter only tracks where a visit came from
+ * @param {string} name - Parameter name
+ * @returns {boolean} True for tracking parameters
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
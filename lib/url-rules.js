@@ -0,0 +1,118 @@
+/**
+ * URL Rules
+ * Ordered allow/deny rules that decide whether and how a page is indexed
+ *
+ * A rule is { pattern, type, action, enabled }:
+ *   type 'glob'   pattern without '/' matches the host (`*.bank.com` also matches bank.com);
+ *                 with '/', it matches host + path (`mail.google.com/*`). `*` matches any run of
+ *                 characters, and a trailing `/*` also matches the bare path.
+ *   type 'regex'  tested case-insensitively against host + path, e.g. `^intranet\.` or `/admin/`
+ *   action        'index', 'skip' or 'title-only' (store the title and URL, not the content)
+ *
+ * The first enabled rule that matches wins; pages no rule matches get the default action, so a
+ * default of 'skip' turns the 'index' rules into an allowlist.
+ */
+
+export const RULE_TYPES = ['glob', 'regex'];
+export const RULE_ACTIONS = ['index', 'skip', 'title-only'];
+
+export class UrlRules {
+  /**
+   * @param {Object[]} rules - Rules in priority order
+   * @param {string} defaultAction - Action for pages no rule matches
+   */
+  constructor(rules = [], defaultAction = 'index') {
+    this.rules = UrlRules.validate(rules).map(rule => ({
+      ...rule,
+      matcher: UrlRules.compile(rule),
+    }));
+    this.defaultAction = RULE_ACTIONS.includes(defaultAction) ? defaultAction : 'index';
+  }
+
+  /**
+   * Check and normalize rules, e.g. before saving them
+   * @param {Object[]} rules - Rules to check
+   * @returns {Object[]} Normalized rules
+   * @throws {Error} If a rule has an unknown type or action, or an invalid pattern
+   */
+  static validate(rules) {
+    if (!Array.isArray(rules)) {
+      throw new Error('Rules must be an array');
+    }
+
+    return rules.map((rule, index) => {
+      const pattern = String(rule?.pattern || '').trim();
+      const type = rule?.type || 'glob';
+      const action = rule?.action || 'skip';
+
+      if (!pattern) {
+        throw new Error(`Rule ${index + 1} has no pattern`);
+      }
+      if (!RULE_TYPES.includes(type)) {
+        throw new Error(`Rule ${index + 1} has unknown type: ${type}`);
+      }
+      if (!RULE_ACTIONS.includes(action)) {
+        throw new Error(`Rule ${index + 1} has unknown action: ${action}`);
+      }
+      if (type === 'regex') {
+        try {
+          new RegExp(pattern, 'i');
+        } catch (error) {
+          throw new Error(`Rule ${index + 1} has an invalid regular expression: ${error.message}`);
+        }
+      }
+
+      return { pattern, type, action, enabled: rule.enabled !== false };
+    });
+  }
+
+  /**
+   * Build the matcher for a rule
+   * @param {Object} rule - Validated rule
+   * @returns {Function} ({ host, path }) => boolean
+   */
+  static compile(rule) {
+    if (rule.type === 'regex') {
+      const regex = new RegExp(rule.pattern, 'i');
+      return ({ host, path }) => regex.test(host + path);
+    }
+
+    const pattern = rule.pattern.toLowerCase().replace(/^[a-z]+:\/\//, '');
+    const hostOnly = !pattern.includes('/');
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    if (hostOnly) {
+      // `*.example.com` covers the apex domain too
+      const regex = new RegExp(`^${source.replace(/^\.\*\\\./, '(?:.*\\.)?')}$`, 'i');
+      return ({ host }) => regex.test(host);
+    }
+
+    const regex = new RegExp(`^${source.replace(/\/\.\*$/, '(?:/.*)?')}$`, 'i');
+    return ({ host, path }) => regex.test(host + path);
+  }
+
+  /**
+   * Decide what to do with a URL
+   * @param {string} url - Page URL
+   * @returns {Object} { action, rule } where rule is the matching rule or null
+   */
+  evaluate(url) {
+    let target;
+    try {
+      const parsed = new URL(url);
+      target = { host: parsed.hostname.toLowerCase(), path: parsed.pathname };
+    } catch (error) {
+      return { action: this.defaultAction, rule: null };
+    }
+
+    for (const { matcher, ...rule } of this.rules) {
+      if (rule.enabled && matcher(target)) {
+        return { action: rule.action, rule };
+      }
+    }
+    return { action: this.defaultAction, rule: null };
+  }
+}
@@ -0,0 +1,809 @@
+/**
+ * Vector Store
+ * Binary, append-friendly storage for chunk embeddings in OPFS
+ *
+ * Layout (inside the `vector-store/` OPFS directory):
+ *   index.json        - page -> { segment, offset, chunkCount, encoding } lookup table
+ *   seg_000001.bin    - segment files holding page records back to back
+ *
+ * Segment file format (little-endian):
+ *   header (16 bytes): magic "PIVS", u16 version, u16 header size, u32 dimensions, u32 reserved
+ *   record:            u16 pageId byte length, u16 encoding, u32 chunk count,
+ *                      pageId (UTF-8, padded to 4 bytes), chunkCount encoded vectors
+ *
+ * Vector encodings (each vector padded to 4 bytes):
+ *   none   (0) - dimensions * float32
+ *   int8   (1) - float32 scale, then dimensions * int8 (value = code * scale)
+ *   binary (2) - ceil(dimensions / 32) * u32 sign bits (bit set = positive component)
+ *
+ * Only `none` and `int8` are written for the quantization setting. Sign-bit records come from an
+ * earlier binary setting; they are still read and compacted, and since they are coarser than
+ * either setting their pages are listed for re-embedding.
+ *
+ * The offscreen document is the only writer; the service worker opens the store read-only.
+ */
+
+const STORE_DIRECTORY = 'vector-store';
+const INDEX_FILE = 'index.json';
+const SEGMENT_MAGIC = 'PIVS';
+const FORMAT_VERSION = 1;
+const SEGMENT_HEADER_SIZE = 16;
+const RECORD_HEADER_SIZE = 8;
+const DEFAULT_DIMENSIONS = 384;
+const DEFAULT_MAX_SEGMENT_BYTES = 8 * 1024 * 1024;
+const COMPACTION_DEAD_RATIO = 0.5;
+const ENCODINGS = ['none', 'int8', 'binary'];
+const QUANTIZATIONS = ['none', 'int8'];
+
+export class VectorStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {number} options.dimensions - Vector dimensions for new stores
+   * @param {number} options.maxSegmentBytes - Size after which a new segment is started
+   */
+  constructor({
+    dimensions = DEFAULT_DIMENSIONS,
+    maxSegmentBytes = DEFAULT_MAX_SEGMENT_BYTES,
+  } = {}) {
+    this.dimensions = dimensions;
+    this.maxSegmentBytes = maxSegmentBytes;
+    this.directory = null;
+    this.index = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Supported vector encodings, in on-disk id order
+   */
+  static get ENCODINGS() {
+    return ENCODINGS;
+  }
+
+  /**
+   * Encodings the quantization setting can choose
+   */
+  static get QUANTIZATIONS() {
+    return QUANTIZATIONS;
+  }
+
+  /**
+   * Check whether one encoding keeps less precision than another
+   * @param {string} encoding - Encoding of stored vectors
+   * @param {string} than - Encoding to compare with
+   * @returns {boolean} True if vectors in `encoding` cannot be re-encoded as `than` losslessly
+   */
+  static isCoarser(encoding, than) {
+    return ENCODINGS.indexOf(encoding || 'none') > ENCODINGS.indexOf(than || 'none');
+  }
+
+  /**
+   * Open the store directory and (re)load the index from disk
+   * Readers should call this before every read to pick up writes from other contexts
+   */
+  async open() {
+    const opfsRoot = await navigator.storage.getDirectory();
+    this.directory = await opfsRoot.getDirectoryHandle(STORE_DIRECTORY, { create: true });
+    this.index = await this.readIndex();
+    return this;
+  }
+
+  /**
+   * Read index.json, falling back to an empty index
+   * @returns {Promise<Object>} Store index
+   */
+  async readIndex() {
+    try {
+      const handle = await this.directory.getFileHandle(INDEX_FILE);
+      const file = await handle.getFile();
+      const index = JSON.parse(await file.text());
+
+      if (index.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported vector store version: ${index.version}`);
+      }
+      return index;
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        console.error('Failed to read vector store index:', error);
+      }
+      return {
+        version: FORMAT_VERSION,
+        dimensions: this.dimensions,
+        nextSegment: 1,
+        segments: {},
+        pages: {},
+      };
+    }
+  }
+
+  /**
+   * Persist the in-memory index
+   */
+  async writeIndex() {
+    const handle = await this.directory.getFileHandle(INDEX_FILE, { create: true });
+    const writable = await handle.createWritable();
+    await writable.write(JSON.stringify(this.index));
+    await writable.close();
+  }
+
+  /**
+   * Serialize write operations so concurrent page jobs never interleave appends
+   * @param {Function} operation - Async write operation
+   * @returns {Promise<any>} Operation result
+   */
+  enqueue(operation) {
+    const run = this.writeQueue.then(async () => {
+      if (!this.index) {
+        await this.open();
+      }
+      return operation();
+    });
+    // Keep the queue alive even if this operation fails
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Append a page's embeddings, replacing any previous record for the page
+   * @param {string} pageId - Page ID
+   * @param {Float32Array[]} embeddings - One vector per chunk
+   * @param {string} encoding - 'none', 'int8' or 'binary'
+   */
+  writePage(pageId, embeddings, encoding = 'none') {
+    return this.enqueue(async () => {
+      const dimensions = this.index.dimensions;
+      for (const embedding of embeddings) {
+        if (embedding.length !== dimensions) {
+          throw new Error(
+            `Embedding dimension mismatch: expected ${dimensions}, got ${embedding.length}`
+          );
+        }
+      }
+
+      this.releasePageEntry(pageId);
+      await this.appendRecord(pageId, embeddings, encoding);
+      await this.writeIndex();
+    });
+  }
+
+  /**
+   * Remove a page from the store, compacting when enough space is dead
+   * @param {string} pageId - Page ID
+   */
+  removePage(pageId) {
+    return this.enqueue(async () => {
+      if (!this.index.pages[pageId]) return;
+
+      this.releasePageEntry(pageId);
+      await this.writeIndex();
+
+      const { totalBytes, liveBytes } = this.getByteCounts();
+      if (totalBytes > this.maxSegmentBytes && 1 - liveBytes / totalBytes > COMPACTION_DEAD_RATIO) {
+        await this.compactInternal();
+      }
+    });
+  }
+
+  /**
+   * Store a page's vectors under another page ID, replacing any page already stored there
+   * The vectors are re-encoded in their current encoding, which loses nothing further.
+   * @param {string} fromId - Current page ID
+   * @param {string} toId - New page ID
+   */
+  renamePage(fromId, toId) {
+    return this.enqueue(async () => {
+      const entry = this.index.pages[fromId];
+      if (!entry) return;
+
+      const embeddings = (await this.readPagesInternal([fromId])).get(fromId);
+      if (!embeddings) {
+        throw new Error(`Failed to read vectors for page ${fromId}`);
+      }
+
+      this.releasePageEntry(toId);
+      await this.appendRecord(toId, embeddings, entry.encoding || 'none');
+      this.releasePageEntry(fromId);
+      await this.writeIndex();
+    });
+  }
+
+  /**
+   * Drop every stored vector
+   */
+  clear() {
+    return this.enqueue(async () => {
+      for (const name of Object.keys(this.index.segments)) {
+        await this.removeFile(name);
+      }
+      this.index = {
+        version: FORMAT_VERSION,
+        dimensions: this.dimensions,
+        nextSegment: 1,
+        segments: {},
+        pages: {},
+      };
+      await this.writeIndex();
+    });
+  }
+
+  /**
+   * Rewrite live records into fresh segments and delete the old ones
+   */
+  compact() {
+    return this.enqueue(() => this.compactInternal());
+  }
+
+  /**
+   * Re-encode the stored pages, e.g. after the quantization setting changes
+   * Pages stored more coarsely than the target keep their vectors, since re-encoding cannot
+   * bring back the precision quantization dropped; they need to be embedded again.
+   * @param {string} encoding - Target encoding
+   * @returns {Promise<string[]>} IDs of the pages left in a coarser encoding
+   */
+  requantize(encoding) {
+    return this.enqueue(async () => {
+      await this.compactInternal(encoding);
+      return this.getPagesCoarserThan(encoding);
+    });
+  }
+
+  /**
+   * Pages whose vectors keep less precision than an encoding
+   * @param {string} encoding - Encoding to compare with
+   * @returns {string[]} Page IDs
+   */
+  getPagesCoarserThan(encoding) {
+    return Object.keys(this.index.pages).filter(pageId =>
+      VectorStore.isCoarser(this.index.pages[pageId].encoding, encoding)
+    );
+  }
+
+  /**
+   * @param {string} encoding - Target encoding, or null to keep each page's encoding
+   */
+  async compactInternal(encoding = null) {
+    const oldSegments = Object.keys(this.index.segments);
+    const oldPages = this.index.pages;
+    const pages = await this.readPagesInternal(Object.keys(oldPages));
+
+    this.index.segments = {};
+    this.index.pages = {};
+    this.index.activeSegment = null;
+
+    for (const [pageId, embeddings] of pages) {
+      const pageEncoding = oldPages[pageId].encoding || 'none';
+      const target =
+        encoding && !VectorStore.isCoarser(pageEncoding, encoding) ? encoding : pageEncoding;
+      await this.appendRecord(pageId, embeddings, target);
+    }
+
+    await this.writeIndex();
+
+    for (const name of oldSegments) {
+      if (!this.index.segments[name]) {
+        await this.removeFile(name);
+      }
+    }
+  }
+
+  /**
+   * Read the embeddings of one page
+   * @param {string} pageId - Page ID
+   * @returns {Promise<Float32Array[]>} Embedding vectors (empty if the page is unknown)
+   */
+  async readPage(pageId) {
+    const pages = await this.readPages([pageId]);
+    return pages.get(pageId) || [];
+  }
+
+  /**
+   * Read the embeddings of many pages, opening each segment file once
+   * @param {string[]} pageIds - Page IDs to read (defaults to every stored page)
+   * @returns {Promise<Map<string, Float32Array[]>>} Page ID -> embedding vectors
+   */
+  async readPages(pageIds = null) {
+    if (!this.index) {
+      await this.open();
+    }
+    return this.readPagesInternal(pageIds || Object.keys(this.index.pages));
+  }
+
+  async readPagesInternal(pageIds) {
+    const result = new Map();
+    const bySegment = new Map();
+
+    for (const pageId of pageIds) {
+      const entry = this.index.pages[pageId];
+      if (!entry) continue;
+      if (!bySegment.has(entry.segment)) {
+        bySegment.set(entry.segment, []);
+      }
+      bySegment.get(entry.segment).push([pageId, entry]);
+    }
+
+    for (const [segmentName, entries] of bySegment) {
+      let buffer;
+      try {
+        const handle = await this.directory.getFileHandle(segmentName);
+        buffer = await (await handle.getFile()).arrayBuffer();
+      } catch (error) {
+        // A compaction in another context may have replaced this segment
+        console.warn(`Failed to read vector segment ${segmentName}:`, error);
+        continue;
+      }
+
+      const dimensions = this.readSegmentHeader(buffer, segmentName);
+      for (const [pageId, entry] of entries) {
+        try {
+          result.set(pageId, this.decodeRecord(buffer, entry.offset, pageId, dimensions));
+        } catch (error) {
+          console.warn(`Failed to decode vectors for page ${pageId}:`, error);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a page has stored vectors
+   * @param {string} pageId - Page ID
+   * @returns {boolean} True if the page is in the index
+   */
+  hasPage(pageId) {
+    return Boolean(this.index && this.index.pages[pageId]);
+  }
+
+  /**
+   * Total size of all segment files plus the index
+   * @returns {Promise<number>} Size in bytes
+   */
+  async getStorageSize() {
+    if (!this.directory) {
+      await this.open();
+    }
+
+    let totalSize = 0;
+    for await (const [, handle] of this.directory.entries()) {
+      if (handle.kind === 'file') {
+        totalSize += (await handle.getFile()).size;
+      }
+    }
+    return totalSize;
+  }
+
+  /**
+   * Compare stored vector bytes with what the same vectors take as float32
+   * @returns {Object} Vector count, bytes per encoding and overall compression ratio
+   */
+  getCompressionStats() {
+    const dimensions = this.index.dimensions;
+    const byEncoding = {};
+    let vectorCount = 0;
+    let storedBytes = 0;
+
+    for (const entry of Object.values(this.index.pages)) {
+      const encoding = entry.encoding || 'none';
+      const bytes = entry.chunkCount * this.getVectorSize(dimensions, encoding);
+      byEncoding[encoding] = byEncoding[encoding] || { vectorCount: 0, storedBytes: 0 };
+      byEncoding[encoding].vectorCount += entry.chunkCount;
+      byEncoding[encoding].storedBytes += bytes;
+      vectorCount += entry.chunkCount;
+      storedBytes += bytes;
+    }
+
+    const float32Bytes = vectorCount * dimensions * 4;
+    return {
+      vectorCount,
+      float32Bytes,
+      storedBytes,
+      compressionRatio: storedBytes > 0 ? float32Bytes / storedBytes : 1,
+      byEncoding,
+    };
+  }
+
+  /**
+   * Byte counts across all segments
+   * @returns {Object} Total and live record bytes
+   */
+  getByteCounts() {
+    let totalBytes = 0;
+    let liveBytes = 0;
+    for (const segment of Object.values(this.index.segments)) {
+      totalBytes += segment.bytes - SEGMENT_HEADER_SIZE;
+      liveBytes += segment.liveBytes;
+    }
+    return { totalBytes, liveBytes };
+  }
+
+  /**
+   * Forget the index entry for a page and account its bytes as dead
+   * @param {string} pageId - Page ID
+   */
+  releasePageEntry(pageId) {
+    const entry = this.index.pages[pageId];
+    if (!entry) return;
+
+    const segment = this.index.segments[entry.segment];
+    if (segment) {
+      const pageIdBytes = new TextEncoder().encode(pageId).byteLength;
+      segment.liveBytes -= this.getRecordSize(
+        pageIdBytes,
+        entry.chunkCount,
+        this.index.dimensions,
+        entry.encoding || 'none'
+      );
+    }
+    delete this.index.pages[pageId];
+  }
+
+  /**
+   * Encode and append a page record, then point the index at it
+   * @param {string} pageId - Page ID
+   * @param {Float32Array[]} embeddings - Page vectors
+   * @param {string} encoding - Vector encoding
+   */
+  async appendRecord(pageId, embeddings, encoding) {
+    const record = this.encodeRecord(pageId, embeddings, this.index.dimensions, encoding);
+    const { name, offset } = await this.appendToSegment(record);
+    this.index.pages[pageId] = { segment: name, offset, chunkCount: embeddings.length, encoding };
+    this.index.segments[name].liveBytes += record.byteLength;
+  }
+
+  /**
+   * Append bytes to the active segment, starting a new one when it is full
+   * @param {Uint8Array} bytes - Encoded record
+   * @returns {Promise<Object>} Segment name and record offset
+   */
+  async appendToSegment(bytes) {
+    let name = this.index.activeSegment;
+    let segment = name ? this.index.segments[name] : null;
+
+    if (!segment || segment.bytes + bytes.byteLength > this.maxSegmentBytes) {
+      name = `seg_${String(this.index.nextSegment++).padStart(6, '0')}.bin`;
+      segment = { bytes: SEGMENT_HEADER_SIZE, liveBytes: 0 };
+      this.index.segments[name] = segment;
+      this.index.activeSegment = name;
+
+      const handle = await this.directory.getFileHandle(name, { create: true });
+      const writable = await handle.createWritable();
+      await writable.write(this.encodeSegmentHeader(this.index.dimensions));
+      await writable.close();
+    }
+
+    const handle = await this.directory.getFileHandle(name);
+    const offset = (await handle.getFile()).size;
+    const writable = await handle.createWritable({ keepExistingData: true });
+    await writable.seek(offset);
+    await writable.write(bytes);
+    await writable.close();
+
+    segment.bytes = offset + bytes.byteLength;
+    return { name, offset };
+  }
+
+  /**
+   * Remove a file from the store directory, ignoring missing files
+   * @param {string} name - File name
+   */
+  async removeFile(name) {
+    try {
+      await this.directory.removeEntry(name);
+    } catch (error) {
+      if (error.name !== 'NotFoundError') {
+        console.warn(`Failed to remove vector store file ${name}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Encode the fixed segment header
+   * @param {number} dimensions - Vector dimensions
+   * @returns {ArrayBuffer} Header bytes
+   */
+  encodeSegmentHeader(dimensions) {
+    const buffer = new ArrayBuffer(SEGMENT_HEADER_SIZE);
+    const view = new DataView(buffer);
+    for (let i = 0; i < SEGMENT_MAGIC.length; i++) {
+      view.setUint8(i, SEGMENT_MAGIC.charCodeAt(i));
+    }
+    view.setUint16(4, FORMAT_VERSION, true);
+    view.setUint16(6, SEGMENT_HEADER_SIZE, true);
+    view.setUint32(8, dimensions, true);
+    return buffer;
+  }
+
+  /**
+   * Validate a segment header
+   * @param {ArrayBuffer} buffer - Segment bytes
+   * @param {string} name - Segment name for error messages
+   * @returns {number} Vector dimensions
+   */
+  readSegmentHeader(buffer, name) {
+    const view = new DataView(buffer);
+    const magic = String.fromCharCode(...new Uint8Array(buffer, 0, SEGMENT_MAGIC.length));
+    if (magic !== SEGMENT_MAGIC) {
+      throw new Error(`Invalid vector segment ${name}`);
+    }
+
+    const version = view.getUint16(4, true);
+    if (version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported vector segment version ${version} in ${name}`);
+    }
+    return view.getUint32(8, true);
+  }
+
+  /**
+   * Size of one encoded vector
+   * @param {number} dimensions - Vector dimensions
+   * @param {string} encoding - Vector encoding
+   * @returns {number} Size in bytes
+   */
+  getVectorSize(dimensions, encoding) {
+    switch (encoding) {
+      case 'int8':
+        return 4 + Math.ceil(dimensions / 4) * 4;
+      case 'binary':
+        return Math.ceil(dimensions / 32) * 4;
+      default:
+        return dimensions * 4;
+    }
+  }
+
+  /**
+   * Size of an encoded record
+   * @param {number} pageIdBytes - UTF-8 byte length of the page ID
+   * @param {number} chunkCount - Number of vectors
+   * @param {number} dimensions - Vector dimensions
+   * @param {string} encoding - Vector encoding
+   * @returns {number} Record size in bytes
+   */
+  getRecordSize(pageIdBytes, chunkCount, dimensions, encoding) {
+    const paddedId = Math.ceil(pageIdBytes / 4) * 4;
+    return RECORD_HEADER_SIZE + paddedId + chunkCount * this.getVectorSize(dimensions, encoding);
+  }
+
+  /**
+   * Encode a page record
+   * @param {string} pageId - Page ID
+   * @param {Float32Array[]} embeddings - Page vectors
+   * @param {number} dimensions - Vector dimensions
+   * @param {string} encoding - Vector encoding
+   * @returns {Uint8Array} Record bytes
+   */
+  encodeRecord(pageId, embeddings, dimensions, encoding) {
+    const encodingId = ENCODINGS.indexOf(encoding);
+    if (encodingId === -1) {
+      throw new Error(`Unknown vector encoding: ${encoding}`);
+    }
+
+    const pageIdBytes = new TextEncoder().encode(pageId);
+    const size = this.getRecordSize(
+      pageIdBytes.byteLength,
+      embeddings.length,
+      dimensions,
+      encoding
+    );
+    const vectorSize = this.getVectorSize(dimensions, encoding);
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint16(0, pageIdBytes.byteLength, true);
+    view.setUint16(2, encodingId, true);
+    view.setUint32(4, embeddings.length, true);
+    bytes.set(pageIdBytes, RECORD_HEADER_SIZE);
+
+    let offset = size - embeddings.length * vectorSize;
+    for (const embedding of embeddings) {
+      this.encodeVector(view, offset, embedding, dimensions, encoding);
+      offset += vectorSize;
+    }
+
+    return bytes;
+  }
+
+  /**
+   * Write one vector in the given encoding
+   */
+  encodeVector(view, offset, embedding, dimensions, encoding) {
+    if (encoding === 'int8') {
+      // Symmetric scalar quantization: the largest component maps to +/-127
+      let maxAbs = 0;
+      for (let i = 0; i < dimensions; i++) {
+        maxAbs = Math.max(maxAbs, Math.abs(embedding[i] || 0));
+      }
+      const scale = maxAbs / 127;
+      view.setFloat32(offset, scale, true);
+      for (let i = 0; i < dimensions; i++) {
+        view.setInt8(offset + 4 + i, scale > 0 ? Math.round((embedding[i] || 0) / scale) : 0);
+      }
+    } else if (encoding === 'binary') {
+      for (let word = 0; word * 32 < dimensions; word++) {
+        let bits = 0;
+        for (let bit = 0; bit < 32 && word * 32 + bit < dimensions; bit++) {
+          if (embedding[word * 32 + bit] > 0) bits |= 1 << bit;
+        }
+        view.setUint32(offset + word * 4, bits >>> 0, true);
+      }
+    } else {
+      for (let i = 0; i < dimensions; i++) {
+        view.setFloat32(offset + i * 4, embedding[i] || 0, true);
+      }
+    }
+  }
+
+  /**
+   * Read one vector in the given encoding back as float32
+   * Binary vectors decode to +/-1 / sqrt(dimensions), i.e. unit length.
+   */
+  decodeVector(view, offset, dimensions, encoding) {
+    const vector = new Float32Array(dimensions);
+
+    if (encoding === 'int8') {
+      const scale = view.getFloat32(offset, true);
+      for (let i = 0; i < dimensions; i++) {
+        vector[i] = view.getInt8(offset + 4 + i) * scale;
+      }
+    } else if (encoding === 'binary') {
+      const magnitude = 1 / Math.sqrt(dimensions);
+      for (let i = 0; i < dimensions; i++) {
+        const bits = view.getUint32(offset + (i >> 5) * 4, true);
+        vector[i] = bits & (1 << (i & 31)) ? magnitude : -magnitude;
+      }
+    } else {
+      for (let i = 0; i < dimensions; i++) {
+        vector[i] = view.getFloat32(offset + i * 4, true);
+      }
+    }
+
+    return vector;
+  }
+
+  /**
+   * Decode a page record
+   * @param {ArrayBuffer} buffer - Segment bytes
+   * @param {number} offset - Record offset
+   * @param {string} pageId - Expected page ID
+   * @param {number} dimensions - Vector dimensions
+   * @returns {Float32Array[]} Page vectors
+   */
+  decodeRecord(buffer, offset, pageId, dimensions) {
+    const view = new DataView(buffer, offset);
+    const pageIdLength = view.getUint16(0, true);
+    const encoding = ENCODINGS[view.getUint16(2, true)];
+    const chunkCount = view.getUint32(4, true);
+    const storedId = new TextDecoder().decode(
+      new Uint8Array(buffer, offset + RECORD_HEADER_SIZE, pageIdLength)
+    );
+
+    if (storedId !== pageId) {
+      throw new Error(`Record at offset ${offset} belongs to ${storedId}`);
+    }
+    if (!encoding) {
+      throw new Error(`Unknown vector encoding in record for ${pageId}`);
+    }
+
+    const size = this.getRecordSize(pageIdLength, chunkCount, dimensions, encoding);
+    const vectorSize = this.getVectorSize(dimensions, encoding);
+    let vectorOffset = size - chunkCount * vectorSize;
+    const vectors = [];
+
+    for (let i = 0; i < chunkCount; i++) {
+      vectors.push(this.decodeVector(view, vectorOffset, dimensions, encoding));
+      vectorOffset += vectorSize;
+    }
+
+    return vectors;
+  }
+
+  /**
+   * One-time migration of the legacy per-chunk JSON embeddings (`embeddings/`) and
+   * per-page binaries (`vectors/<pageId>/vectors.bin`) into the store
+   * @returns {Promise<number>} Number of migrated pages
+   */
+  migrateLegacyEmbeddings() {
+    return this.enqueue(async () => {
+      const opfsRoot = await navigator.storage.getDirectory();
+      const legacyPages = new Map();
+
+      // Per-chunk JSON files: <pageId>_chunk_<n>.json
+      const embeddingsDir = await this.getLegacyDirectory(opfsRoot, 'embeddings');
+      if (embeddingsDir) {
+        for await (const [name, handle] of embeddingsDir.entries()) {
+          const match = handle.kind === 'file' && name.match(/^(.+)_chunk_(\d+)\.json$/);
+          if (!match) continue;
+
+          try {
+            const data = JSON.parse(await (await handle.getFile()).text());
+            const pageId = data.pageId || match[1];
+            const embedding = Array.isArray(data.embedding)
+              ? data.embedding
+              : Object.keys(data.embedding)
+                  .sort((a, b) => Number(a) - Number(b))
+                  .map(key => data.embedding[key]);
+
+            if (!legacyPages.has(pageId)) {
+              legacyPages.set(pageId, []);
+            }
+            legacyPages.get(pageId)[Number(match[2])] = new Float32Array(embedding);
+          } catch (error) {
+            console.warn(`Skipping unreadable legacy embedding ${name}:`, error);
+          }
+        }
+      }
+
+      // Per-page binaries (big-endian u32 count, u32 size, float32 data)
+      const vectorsDir = await this.getLegacyDirectory(opfsRoot, 'vectors');
+      if (vectorsDir) {
+        for await (const [pageId, pageDir] of vectorsDir.entries()) {
+          if (pageDir.kind !== 'directory' || legacyPages.has(pageId)) continue;
+
+          try {
+            const file = await (await pageDir.getFileHandle('vectors.bin')).getFile();
+            const view = new DataView(await file.arrayBuffer());
+            const vectorCount = view.getUint32(0);
+            const vectorSize = view.getUint32(4);
+            const vectors = [];
+            for (let i = 0; i < vectorCount; i++) {
+              const vector = new Float32Array(vectorSize);
+              for (let j = 0; j < vectorSize; j++) {
+                vector[j] = view.getFloat32(8 + (i * vectorSize + j) * 4);
+              }
+              vectors.push(vector);
+            }
+            legacyPages.set(pageId, vectors);
+          } catch (error) {
+            console.warn(`Skipping unreadable legacy vectors for ${pageId}:`, error);
+          }
+        }
+      }
+
+      let migrated = 0;
+      for (const [pageId, sparseEmbeddings] of legacyPages) {
+        // Stop at the first gap, matching the old sequential loader
+        const embeddings = [];
+        for (let i = 0; i < sparseEmbeddings.length && sparseEmbeddings[i]; i++) {
+          embeddings.push(sparseEmbeddings[i]);
+        }
+        if (embeddings.length === 0 || this.index.pages[pageId]) continue;
+        if (embeddings.some(embedding => embedding.length !== this.index.dimensions)) {
+          console.warn(`Skipping legacy vectors with unexpected dimensions for ${pageId}`);
+          continue;
+        }
+
+        await this.appendRecord(pageId, embeddings, 'none');
+        migrated++;
+      }
+
+      if (migrated > 0) {
+        await this.writeIndex();
+      }
+
+      // Only drop legacy data once the index pointing at its replacement is on disk
+      for (const name of ['embeddings', 'vectors']) {
+        try {
+          await opfsRoot.removeEntry(name, { recursive: true });
+        } catch (error) {
+          if (error.name !== 'NotFoundError') {
+            console.warn(`Failed to remove legacy ${name} directory:`, error);
+          }
+        }
+      }
+
+      return migrated;
+    });
+  }
+
+  /**
+   * Get a legacy directory handle if it exists
+   * @param {FileSystemDirectoryHandle} opfsRoot - OPFS root
+   * @param {string} name - Directory name
+   * @returns {Promise<FileSystemDirectoryHandle|null>} Directory handle or null
+   */
+  async getLegacyDirectory(opfsRoot, name) {
+    try {
+      return await opfsRoot.getDirectoryHandle(name);
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * WordPiece Tokenizer
+ * BERT tokenization matching HuggingFace's fast BertTokenizer (the tokenizers library, which
+ * sentence-transformers loads for all-MiniLM-L6-v2), so that token IDs, and therefore
+ * embeddings, are those of the reference model. test/fixtures/tokenizer holds its outputs.
+ *
+ * Basic tokenization: control characters and U+FFFD removed, whitespace unified, CJK ideographs
+ * split into single characters, accents stripped (NFD without combining marks), lowercasing and
+ * punctuation split off. WordPiece then splits each token by greedy longest match; a token
+ * longer than maxInputCharsPerWord, or with any part missing from the vocabulary, becomes a
+ * single [UNK].
+ *
+ * Character classes come from the JavaScript engine's Unicode tables; the tokenizers library
+ * uses older ones, so marks and punctuation of scripts added since Unicode 8 can differ.
+ */
+
+const SPECIAL_TOKENS = ['[UNK]', '[SEP]', '[PAD]', '[CLS]', '[MASK]'];
+// Whitespace that is not removed as a control character: tab, line breaks, Zs, Zl and Zp
+const WHITESPACE_PATTERN = /[\t\n\r\p{Zs}\u2028\u2029]/u;
+const WORD_PATTERN = /[^\t\n\r\p{Zs}\u2028\u2029]+/gu;
+// Other control, format, private use and surrogate characters (\v, \f, zero-width and bidi
+// marks...) are removed; unassigned code points are kept, as the tokenizers library does
+const CONTROL_PATTERN = /[\p{Cc}\p{Cf}\p{Co}\p{Cs}]/u;
+const PUNCTUATION_PATTERN = /\p{P}/u;
+const COMBINING_MARK_PATTERN = /\p{Mn}/gu;
+
+export class WordPieceTokenizer {
+  /**
+   * @param {string[]} vocab - Tokens, one per ID (see parseVocab)
+   * @param {Object} options - Tokenizer options
+   * @param {boolean} options.doLowerCase - Lowercase and strip accents (uncased models)
+   * @param {number} options.maxInputCharsPerWord - Longer tokens become [UNK]
+   */
+  constructor(vocab, { doLowerCase = true, maxInputCharsPerWord = 100 } = {}) {
+    this.vocab = vocab;
+    this.vocabMap = new Map(vocab.map((token, id) => [token, id]));
+    this.doLowerCase = doLowerCase;
+    this.maxInputCharsPerWord = maxInputCharsPerWord;
+
+    this.unkId = this.vocabMap.get('[UNK]') ?? 100;
+    this.clsId = this.vocabMap.get('[CLS]') ?? 101;
+    this.sepId = this.vocabMap.get('[SEP]') ?? 102;
+    this.padId = this.vocabMap.get('[PAD]') ?? 0;
+
+    // Special tokens in the text are kept whole, as BertTokenizer never splits them
+    const specials = SPECIAL_TOKENS.filter(token => this.vocabMap.has(token));
+    this.specialPattern =
+      specials.length > 0
+        ? new RegExp(`(${specials.map(token => token.replace(/[[\]]/g, '\\$&')).join('|')})`)
+        : null;
+  }
+
+  /**
+   * Encode text as model input
+   * @param {string} text - Text
+   * @returns {number[]} Token IDs framed by [CLS] and [SEP]
+   */
+  encode(text) {
+    return [this.clsId, ...this.tokenize(text).map(token => this.vocabMap.get(token)), this.sepId];
+  }
+
+  /**
+   * Encode text word by word, keeping track of which tokens each word became
+   * Words are the whitespace-separated parts of the original text; tokenizing them one by one
+   * gives the same tokens as tokenizing the whole text.
+   * @param {string} text - Text
+   * @returns {Object} { ids, words } where ids has no special tokens and words are
+   *   { word, start, end } with start and end indexes into ids
+   */
+  encodeWords(text) {
+    const ids = [];
+    const words = [];
+    for (const [word] of text.matchAll(WORD_PATTERN)) {
+      const start = ids.length;
+      for (const token of this.tokenize(word)) {
+        ids.push(this.vocabMap.get(token));
+      }
+      words.push({ word, start, end: ids.length });
+    }
+    return { ids, words };
+  }
+
+  /**
+   * Split text into WordPiece tokens
+   * @param {string} text - Text
+   * @returns {string[]} Tokens, all in the vocabulary
+   */
+  tokenize(text) {
+    return this.basicTokenize(text).flatMap(token =>
+      SPECIAL_TOKENS.includes(token) ? [token] : this.wordpieceTokenize(token)
+    );
+  }
+
+  /**
+   * BERT basic tokenization: cleaning, CJK and punctuation splitting, lowercasing
+   * @param {string} text - Text
+   * @returns {string[]} Basic tokens
+   */
+  basicTokenize(text) {
+    const tokens = [];
+    const parts = this.specialPattern ? text.split(this.specialPattern) : [text];
+    parts.forEach((part, index) => {
+      // Odd parts are the special tokens captured by the split
+      if (index % 2 === 1) {
+        tokens.push(part);
+        return;
+      }
+
+      for (let token of splitWhitespace(spaceCjkCharacters(cleanText(part)))) {
+        if (this.doLowerCase) {
+          token = lowercase(stripAccents(token));
+        }
+        tokens.push(...splitPunctuation(token));
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * Split a basic token into WordPiece tokens by greedy longest match
+   * @param {string} token - Basic token
+   * @returns {string[]} Word pieces (continuations prefixed with ##), or [UNK] if the token is
+   *   too long or cannot be covered by the vocabulary
+   */
+  wordpieceTokenize(token) {
+    const chars = Array.from(token);
+    if (chars.length > this.maxInputCharsPerWord) {
+      return ['[UNK]'];
+    }
+
+    const pieces = [];
+    let start = 0;
+    while (start < chars.length) {
+      let end = chars.length;
+      let piece = null;
+      while (start < end) {
+        const substr = chars.slice(start, end).join('');
+        const candidate = start > 0 ? `##${substr}` : substr;
+        if (this.vocabMap.has(candidate)) {
+          piece = candidate;
+          break;
+        }
+        end--;
+      }
+      if (piece === null) {
+        return ['[UNK]'];
+      }
+      pieces.push(piece);
+      start = end;
+    }
+    return pieces;
+  }
+}
+
+/**
+ * Parse a vocab.txt file
+ * Every line is a token and its line number is its ID, so no line may be dropped.
+ * @param {string} text - File content
+ * @returns {string[]} Tokens by ID
+ */
+export function parseVocab(text) {
+  const lines = text.split('\n').map(line => line.replace(/\r$/, ''));
+  if (lines[lines.length - 1] === '') {
+    lines.pop(); // Trailing newline
+  }
+  return lines;
+}
+
+/**
+ * Remove NUL, U+FFFD and control characters, and turn whitespace into spaces
+ * @param {string} text - Text
+ * @returns {string} Cleaned text
+ */
+function cleanText(text) {
+  let output = '';
+  for (const char of text) {
+    const codePoint = char.codePointAt(0);
+    if (codePoint === 0 || codePoint === 0xfffd || isControl(char)) {
+      continue;
+    }
+    output += WHITESPACE_PATTERN.test(char) ? ' ' : char;
+  }
+  return output;
+}
+
+/**
+ * Put spaces around CJK ideographs so each becomes a token
+ * Hangul, hiragana and katakana are not in these blocks and are split like other scripts.
+ * @param {string} text - Text
+ * @returns {string} Text
+ */
+function spaceCjkCharacters(text) {
+  let output = '';
+  for (const char of text) {
+    output += isCjkCharacter(char.codePointAt(0)) ? ` ${char} ` : char;
+  }
+  return output;
+}
+
+/**
+ * Split on whitespace
+ * @param {string} text - Cleaned text
+ * @returns {string[]} Non-empty parts
+ */
+function splitWhitespace(text) {
+  return text.split(' ').filter(Boolean);
+}
+
+/**
+ * Remove accents by decomposing characters and dropping the combining marks
+ * @param {string} text - Text
+ * @returns {string} Text without nonspacing marks
+ */
+function stripAccents(text) {
+  return text.normalize('NFD').replace(COMBINING_MARK_PATTERN, '');
+}
+
+/**
+ * Lowercase character by character, as the tokenizers library does
+ * A final capital sigma becomes σ, not the ς that String.prototype.toLowerCase gives.
+ * @param {string} text - Text
+ * @returns {string} Lowercased text
+ */
+function lowercase(text) {
+  let output = '';
+  for (const char of text) {
+    output += char.toLowerCase();
+  }
+  return output;
+}
+
+/**
+ * Split punctuation characters off into tokens of their own
+ * @param {string} token - Basic token
+ * @returns {string[]} Tokens
+ */
+function splitPunctuation(token) {
+  const tokens = [];
+  let current = '';
+  for (const char of token) {
+    if (isPunctuation(char)) {
+      if (current) tokens.push(current);
+      tokens.push(char);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Control characters as the tokenizers library defines them: Unicode categories Cc, Cf, Co and
+ * Cs, except tab and line breaks
+ * @param {string} char - Character
+ * @returns {boolean} True for control characters
+ */
+function isControl(char) {
+  return char !== '\t' && char !== '\n' && char !== '\r' && CONTROL_PATTERN.test(char);
+}
+
+/**
+ * Punctuation as BERT defines it: all non-alphanumeric ASCII symbols (such as $, ^ and `) and
+ * Unicode category P*
+ * @param {string} char - Character
+ * @returns {boolean} True for punctuation
+ */
+function isPunctuation(char) {
+  const codePoint = char.codePointAt(0);
+  return (
+    (codePoint >= 33 && codePoint <= 47) ||
+    (codePoint >= 58 && codePoint <= 64) ||
+    (codePoint >= 91 && codePoint <= 96) ||
+    (codePoint >= 123 && codePoint <= 126) ||
+    PUNCTUATION_PATTERN.test(char)
+  );
+}
+
+/**
+ * CJK Unified Ideographs blocks, as listed by BERT
+ * @param {number} codePoint - Code point
+ * @returns {boolean} True for CJK ideographs
+ */
+function isCjkCharacter(codePoint) {
+  return (
+    (codePoint >= 0x4e00 && codePoint <= 0x9fff) ||
+    (codePoint >= 0x3400 && codePoint <= 0x4dbf) ||
+    (codePoint >= 0x20000 && codePoint <= 0x2a6df) ||
+    (codePoint >= 0x2a700 && codePoint <= 0x2b73f) ||
+    (codePoint >= 0x2b740 && codePoint <= 0x2b81f) ||
+    (codePoint >= 0x2b820 && codePoint <= 0x2ceaf) ||
+    (codePoint >= 0xf900 && codePoint <= 0xfaff) ||
+    (codePoint >= 0x2f800 && codePoint <= 0x2fa1f)
+  );
+}
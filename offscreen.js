@@ -3,6 +3,21 @@
  * Handles page processing, MHTML parsing, text extraction, and embedding computation
  */
 
+import { VectorStore } from './lib/vector-store.js';
+import { LexicalIndex } from './lib/lexical-index.js';
+import { detectDocumentSignals, redactPii } from './lib/sensitivity.js';
+import { simhash, isNearDuplicate } from './lib/near-duplicate.js';
+import { extractMhtmlHtml } from './lib/mhtml-parser.js';
+import { extractPageMetadata } from './lib/page-metadata.js';
+import { extractBlocks, packBlocks, formatHeadingPath } from './lib/structured-chunker.js';
+import {
+  MODEL_MAX_SEQUENCE_LENGTH,
+  SPECIAL_TOKENS,
+  validateChunkingConfig,
+  describeChunking,
+} from './lib/chunking.js';
+import { WordPieceTokenizer, parseVocab } from './lib/wordpiece-tokenizer.js';
+
 /**
  * Logger class for conditional debug logging
  * Uses closures to preserve correct console line numbers
@@ -37,11 +52,17 @@ class OffscreenController {
     this.modelPath = null;
     this.initialized = false;
     this.logger = new Logger(); // Enabled by default
-
-    // Constants for chunking
-    this.MAX_SEQUENCE_LENGTH = 512;
-    this.MAX_CONTENT_TOKENS = 510; // Reserve space for [CLS] and [SEP]
-    this.OVERLAP_TOKENS = 50;
+    this.vectorStore = new VectorStore(); // Sole writer of the binary vector store
+    this.lexicalIndex = new LexicalIndex(); // Sole writer of the BM25 index
+    this.rerankerSession = null; // Cross-encoder session, loaded on first RERANK
+    this.rerankerLoading = null;
+
+    // Chunk size and overlap come with each page job and are checked against the model
+    this.MAX_SEQUENCE_LENGTH = MODEL_MAX_SEQUENCE_LENGTH;
+    this.DEFAULT_CHUNKING = { chunkSize: 512, overlapSize: 50 };
+    this.RERANKER_MODEL = 'ms-marco-MiniLM-L-6-v2';
+    this.SNIPPET_LENGTH = 200; // Characters kept per chunk when page content is not stored
+    this.MAX_QUERY_TOKENS = 64; // Query tokens kept in a re-ranker pair; the passage gets the rest
   }
 
   /**
@@ -53,6 +74,17 @@ class OffscreenController {
       // Initialize ONNX Runtime directly in offscreen document
       await this.initONNXRuntime(vocab);
 
+      // Open the vector store and fold in embeddings written by older versions
+      await this.vectorStore.open();
+      const migrated = await this.vectorStore.migrateLegacyEmbeddings();
+      if (migrated > 0) {
+        this.logger.log(`Migrated ${migrated} pages into the vector store`);
+      }
+
+      // Open the BM25 index and bring it in line with the vector store
+      await this.lexicalIndex.open();
+      await this.syncLexicalIndex();
+
       // Handle messages from service worker
       const messageListener = (message, sender, sendResponse) => {
         const handled = this.handleServiceWorkerMessage(message, sendResponse);
@@ -165,7 +197,20 @@ class OffscreenController {
     const { type, data } = message;
 
     // Only handle specific message types meant for offscreen document
-    if (!['PROCESS_PAGE', 'COMPUTE_QUERY_EMBEDDING', 'INIT_WITH_VOCAB'].includes(type)) {
+    if (
+      ![
+        'PROCESS_PAGE',
+        'COMPUTE_QUERY_EMBEDDING',
+        'INIT_WITH_VOCAB',
+        'DELETE_PAGE_VECTORS',
+        'RENAME_PAGE_VECTORS',
+        'RECHUNK_PAGE',
+        'CLEAR_VECTORS',
+        'REQUANTIZE_VECTORS',
+        'RERANK',
+        'EMBED_TEXTS',
+      ].includes(type)
+    ) {
       return false; // Let other handlers process this message
     }
 
@@ -184,6 +229,34 @@ class OffscreenController {
           this.computeQueryEmbedding(data, sendResponse);
           break;
 
+        case 'DELETE_PAGE_VECTORS':
+          this.deletePageVectors(data, sendResponse);
+          break;
+
+        case 'RENAME_PAGE_VECTORS':
+          this.renamePageVectors(data, sendResponse);
+          break;
+
+        case 'RECHUNK_PAGE':
+          this.rechunkPage(data, sendResponse);
+          break;
+
+        case 'CLEAR_VECTORS':
+          this.clearVectors(sendResponse);
+          break;
+
+        case 'REQUANTIZE_VECTORS':
+          this.requantizeVectors(data, sendResponse);
+          break;
+
+        case 'RERANK':
+          this.rerank(data, sendResponse);
+          break;
+
+        case 'EMBED_TEXTS':
+          this.embedTexts(data, sendResponse);
+          break;
+
         default:
           console.warn('Unknown message type from service worker:', type);
           sendResponse({ success: false, error: 'Unknown message type' });
@@ -234,11 +307,33 @@ class OffscreenController {
         data.mhtmlData,
         data.url,
         data.title,
-        data.pageId
+        data.pageId,
+        {
+          text: data.text,
+          sensitivity: data.sensitivity,
+          previousHash: data.previousHash,
+          duplicateCandidates: data.duplicateCandidates,
+          chunking: data.chunking,
+        }
       );
 
-      // Store embeddings in OPFS to avoid message size limits
-      await this.storeEmbeddingsInOPFS(result.pageId, result.embeddings);
+      if (result.skipped) {
+        sendResponse({ success: true, data: result });
+        return;
+      }
+
+      if (data.storePageContent === false) {
+        // Keep only what search results display; tokens and full text are dropped
+        result.chunks = result.chunks.map(chunk => this.toSnippetChunk(chunk));
+        result.source = null;
+      }
+
+      await this.storePageVectors(
+        result.pageId,
+        result.chunks,
+        result.embeddings,
+        data.vectorQuantization
+      );
 
       // Send data without embeddings (just metadata)
       const metadataData = {
@@ -254,6 +349,79 @@ class OffscreenController {
     }
   }
 
+  /**
+   * Chunk and embed a stored page again with new chunking settings
+   * @param {Object} data - { pageId, source, chunking, vectorQuantization }, where source is the
+   *   { blocks } or { text } a page result was chunked from
+   * @param {Function} sendResponse - Response callback
+   */
+  async rechunkPage(data, sendResponse) {
+    try {
+      const config = validateChunkingConfig(data.chunking, this.MAX_SEQUENCE_LENGTH);
+      const chunks = this.chunkSource(data.source, config);
+      if (chunks.length === 0) {
+        throw new Error('No chunks created from page source');
+      }
+
+      const embeddings = await this.computeEmbeddings(chunks);
+      await this.storePageVectors(data.pageId, chunks, embeddings, data.vectorQuantization);
+
+      sendResponse({
+        success: true,
+        data: {
+          pageId: data.pageId,
+          chunks,
+          dimensions: embeddings[0]?.length || 384,
+          chunking: describeChunking(config),
+        },
+      });
+    } catch (error) {
+      console.error('Failed to re-chunk page:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Store a page's vectors and index its chunk texts for keyword search
+   * Embeddings stay here rather than going back to the service worker, to avoid message size
+   * limits.
+   * @param {string} pageId - Page ID
+   * @param {Object[]} chunks - Chunks as they will be stored
+   * @param {Float32Array[]} embeddings - One vector per chunk
+   * @param {string} quantization - Vector quantization setting ('none' or 'int8')
+   */
+  async storePageVectors(pageId, chunks, embeddings, quantization = 'none') {
+    await this.vectorStore.writePage(pageId, embeddings, quantization);
+
+    this.lexicalIndex.addPage(
+      pageId,
+      chunks.map(chunk => chunk.text)
+    );
+    await this.lexicalIndex.save();
+  }
+
+  /**
+   * Reduce a chunk to a short snippet for when page content is not stored
+   * @param {Object} chunk - Chunk from chunkText
+   * @returns {Object} Chunk with a truncated text and no tokens
+   */
+  toSnippetChunk(chunk) {
+    let text = chunk.text || '';
+    if (text.length > this.SNIPPET_LENGTH) {
+      const cut = text.lastIndexOf(' ', this.SNIPPET_LENGTH);
+      text = `${text.slice(0, cut > 0 ? cut : this.SNIPPET_LENGTH)}…`;
+    }
+
+    return {
+      id: chunk.id,
+      tokenCount: chunk.tokenCount,
+      text,
+      headingPath: chunk.headingPath,
+      startTokenIndex: chunk.startTokenIndex,
+      endTokenIndex: chunk.endTokenIndex,
+    };
+  }
+
   /**
    * Compute query embedding directly
    * @param {Object} data - Query data
@@ -293,6 +461,140 @@ class OffscreenController {
     return `req_${++this.requestId}_${Date.now()}`;
   }
 
+  /**
+   * Compute embeddings for a batch of short texts (e.g. sentences to highlight)
+   * @param {Object} data - { texts }
+   * @param {Function} sendResponse - Response callback
+   */
+  async embedTexts(data, sendResponse) {
+    try {
+      if (!data || !Array.isArray(data.texts)) {
+        throw new Error('Invalid texts data');
+      }
+
+      const embeddings = (await this.computeBatchEmbeddings(data.texts)).map(embedding =>
+        Array.from(embedding)
+      );
+      sendResponse({ success: true, data: { embeddings } });
+    } catch (error) {
+      console.error('Failed to embed texts:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Load the cross-encoder re-ranker from OPFS
+   * ms-marco-MiniLM shares the uncased BERT vocabulary, so the embedding tokenizer is reused.
+   * @returns {Promise<Object>} Inference session
+   */
+  async loadReranker() {
+    if (this.rerankerSession) {
+      return this.rerankerSession;
+    }
+
+    if (!this.rerankerLoading) {
+      this.rerankerLoading = (async () => {
+        const opfsRoot = await navigator.storage.getDirectory();
+        const modelDir = await opfsRoot.getDirectoryHandle('models');
+        const modelSubDir = await modelDir.getDirectoryHandle(this.RERANKER_MODEL);
+        const file = await (await modelSubDir.getFileHandle('model.onnx')).getFile();
+        const modelUrl = URL.createObjectURL(file);
+
+        try {
+          this.rerankerSession = await this.ort.InferenceSession.create(modelUrl, {
+            executionProviders: ['wasm'],
+            graphOptimizationLevel: 'all',
+            enableCpuMemArena: false,
+            enableMemPattern: false,
+            logId: 'chrome-extension-ort-reranker',
+          });
+        } finally {
+          URL.revokeObjectURL(modelUrl);
+        }
+        this.logger.log('Cross-encoder re-ranker loaded');
+        return this.rerankerSession;
+      })().finally(() => {
+        this.rerankerLoading = null;
+      });
+    }
+
+    return this.rerankerLoading;
+  }
+
+  /**
+   * Score query/passage pairs with the cross-encoder, best candidates first
+   * Scoring stops once the time budget is spent; unscored passages get null.
+   * @param {Object} data - { query, passages, budgetMs }
+   * @param {Function} sendResponse - Response callback
+   */
+  async rerank(data, sendResponse) {
+    try {
+      if (!data || !data.query || !Array.isArray(data.passages)) {
+        throw new Error('Invalid rerank data');
+      }
+      if (!this.ort || !this.tokenizer) {
+        throw new Error('ONNX Runtime not initialized. Please ensure the model is downloaded.');
+      }
+
+      const session = await this.loadReranker();
+      // The budget covers scoring only, not the one-time model load
+      const start = Date.now();
+      const scores = new Array(data.passages.length).fill(null);
+
+      for (let i = 0; i < data.passages.length; i++) {
+        if (Date.now() - start > data.budgetMs) break;
+        scores[i] = await this.scorePair(session, data.query, data.passages[i]);
+      }
+
+      sendResponse({ success: true, data: { scores, elapsedMs: Date.now() - start } });
+    } catch (error) {
+      console.error('Failed to rerank passages:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Cross-encoder relevance logit for one query/passage pair
+   * Input is [CLS] query [SEP] passage [SEP]: the query is cut to MAX_QUERY_TOKENS, then the
+   * passage to whatever room is left in MAX_SEQUENCE_LENGTH.
+   * @param {Object} session - Re-ranker session
+   * @param {string} query - Search query
+   * @param {string} passage - Candidate text
+   * @returns {Promise<number>} Relevance logit (higher is more relevant)
+   */
+  async scorePair(session, query, passage) {
+    const { clsId, sepId } = this.tokenizer;
+    const queryTokens = this.tokenizer.encode(query).slice(1, -1).slice(0, this.MAX_QUERY_TOKENS);
+    const tokens = [clsId, ...queryTokens, sepId];
+    const queryLength = tokens.length;
+
+    const passageRoom = this.MAX_SEQUENCE_LENGTH - tokens.length - 1;
+    const passageTokens = this.tokenizer.encode(passage).slice(1, -1).slice(0, passageRoom);
+    tokens.push(...passageTokens, sepId);
+    const length = tokens.length;
+    const tensors = {
+      input_ids: new this.ort.Tensor('int64', new BigInt64Array(tokens.map(t => BigInt(t))), [
+        1,
+        length,
+      ]),
+      attention_mask: new this.ort.Tensor('int64', new BigInt64Array(length).fill(1n), [1, length]),
+      token_type_ids: new this.ort.Tensor(
+        'int64',
+        // Segment 0 for the query, 1 for the passage
+        new BigInt64Array(length).fill(1n, queryLength),
+        [1, length]
+      ),
+    };
+
+    try {
+      const results = await session.run(tensors);
+      const logits = results.logits || Object.values(results)[0];
+      return logits.data[0];
+    } finally {
+      Object.values(tensors).forEach(tensor => tensor.dispose());
+    }
+  }
+
   /**
    * Get model path from OPFS
    * @returns {string|null} Model path or null if not found
@@ -333,7 +635,7 @@ class OffscreenController {
           }
 
           const vocabText = await response.text();
-          vocab = vocabText.split('\n').filter(line => line.trim());
+          vocab = parseVocab(vocabText);
         } catch (error) {
           this.logger.error('Failed to load vocab from URL:', error);
           throw new Error('Vocab must be provided to loadTokenizer');
@@ -342,89 +644,13 @@ class OffscreenController {
 
       this.logger.log('Vocabulary loaded, size:', vocab.length);
 
-      // Create vocab map for O(1) lookup
-      const vocabMap = new Map(vocab.map((token, idx) => [token, idx]));
-
-      // Get special token IDs
-      const clsId = vocabMap.get('[CLS]') || 101;
-      const sepId = vocabMap.get('[SEP]') || 102;
-      const unkId = vocabMap.get('[UNK]') || 100;
-
+      this.tokenizer = new WordPieceTokenizer(vocab);
+      const { clsId, sepId, unkId } = this.tokenizer;
       this.logger.log('Special tokens:', { clsId, sepId, unkId });
 
-      // Create WordPiece tokenizer
-      this.tokenizer = {
-        vocab,
-        vocabMap,
-        clsId,
-        sepId,
-        unkId,
-        encoder: {
-          encode: text => {
-            const tokens = [clsId];
-
-            // Basic preprocessing: lowercase and split by whitespace
-            const words = text
-              .toLowerCase()
-              .replace(/['']/g, "'") // Normalize quotes
-              .split(/\s+/)
-              .filter(w => w.length > 0);
-
-            // WordPiece tokenization for each word
-            for (const word of words) {
-              // Remove punctuation for initial lookup
-              const cleanWord = word.replace(/[^\w]/g, '');
-              if (!cleanWord) continue;
-
-              // Greedy longest-match first
-              if (vocabMap.has(cleanWord)) {
-                tokens.push(vocabMap.get(cleanWord));
-                continue;
-              }
-
-              // Subword tokenization
-              let start = 0;
-              const chars = Array.from(cleanWord);
-              let hasTokens = false;
-
-              while (start < chars.length) {
-                let end = chars.length;
-                let found = false;
-
-                // Try longest match first
-                while (end > start) {
-                  const substr = chars.slice(start, end).join('');
-                  const token = start === 0 ? substr : '##' + substr;
-
-                  if (vocabMap.has(token)) {
-                    tokens.push(vocabMap.get(token));
-                    found = true;
-                    hasTokens = true;
-                    start = end;
-                    break;
-                  }
-                  end--;
-                }
-
-                // No subword found, use UNK and move forward
-                if (!found) {
-                  if (!hasTokens) {
-                    tokens.push(unkId);
-                  }
-                  break;
-                }
-              }
-            }
-
-            tokens.push(sepId);
-            return tokens;
-          },
-        },
-      };
-
       // Test tokenization
       const testText = 'electro';
-      const testTokens = this.tokenizer.encoder.encode(testText);
+      const testTokens = this.tokenizer.encode(testText);
       this.logger.log(`Test: "${testText}" -> tokens:`, testTokens);
 
       return;
@@ -435,93 +661,141 @@ class OffscreenController {
   }
 
   /**
-   * Store embeddings in OPFS to avoid message size limits
-   * @param {string} pageId - Page ID
-   * @param {Float32Array[]} embeddings - Array of embedding vectors
+   * Remove a page's vectors from the vector store and its terms from the BM25 index
+   * @param {Object} data - Data containing pageId
+   * @param {Function} sendResponse - Response callback
    */
-  async storeEmbeddingsInOPFS(pageId, embeddings) {
+  async deletePageVectors(data, sendResponse) {
     try {
-      const opfsRoot = await navigator.storage.getDirectory();
+      if (!data || !data.pageId) {
+        throw new Error('Invalid page data');
+      }
 
-      // Create embeddings directory if it doesn't exist
-      let embeddingsDir;
-      try {
-        embeddingsDir = await opfsRoot.getDirectoryHandle('embeddings');
-      } catch (error) {
-        embeddingsDir = await opfsRoot.getDirectoryHandle('embeddings', { create: true });
+      await this.vectorStore.removePage(data.pageId);
+      if (this.lexicalIndex.removePage(data.pageId)) {
+        await this.lexicalIndex.save();
       }
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error('Failed to delete page vectors:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
 
-      // Store each embedding as a separate file
-      for (let i = 0; i < embeddings.length; i++) {
-        const embedding = embeddings[i];
-        // Sanitize pageId to ensure valid filename
-        const sanitizedPageId = pageId ? pageId.replace(/[^a-zA-Z0-9_-]/g, '_') : 'unknown';
-        const fileName = `${sanitizedPageId}_chunk_${i}.json`;
-
-        // Convert Float32Array to regular array for JSON serialization
-        const embeddingData = {
-          embedding: Array.from(embedding),
-          chunkIndex: i,
-          pageId: pageId,
-          timestamp: Date.now(),
-        };
+  /**
+   * Move a page's vectors and BM25 postings to another page ID
+   * @param {Object} data - { fromId, toId }
+   * @param {Function} sendResponse - Response callback
+   */
+  async renamePageVectors(data, sendResponse) {
+    try {
+      if (!data || !data.fromId || !data.toId) {
+        throw new Error('Invalid page data');
+      }
 
-        // Write to OPFS
-        const fileHandle = await embeddingsDir.getFileHandle(fileName, { create: true });
-        const writable = await fileHandle.createWritable();
-        await writable.write(JSON.stringify(embeddingData));
-        await writable.close();
+      await this.vectorStore.renamePage(data.fromId, data.toId);
+      if (this.lexicalIndex.renamePage(data.fromId, data.toId)) {
+        await this.lexicalIndex.save();
       }
+      sendResponse({ success: true });
     } catch (error) {
-      console.error('Failed to store embeddings in OPFS:', error);
-      throw error;
+      console.error('Failed to rename page vectors:', error);
+      sendResponse({ success: false, error: error.message });
     }
   }
 
   /**
-   * Load embeddings from OPFS
-   * @param {string} pageId - Page ID
-   * @returns {Float32Array[]} Array of embedding vectors
+   * Remove every vector from the vector store and empty the BM25 index
+   * @param {Function} sendResponse - Response callback
    */
-  async loadEmbeddingsFromOPFS(pageId) {
+  async clearVectors(sendResponse) {
     try {
-      const opfsRoot = await navigator.storage.getDirectory();
-      const embeddingsDir = await opfsRoot.getDirectoryHandle('embeddings');
+      await this.vectorStore.clear();
+      this.lexicalIndex.clear();
+      await this.lexicalIndex.save();
+      sendResponse({ success: true });
+    } catch (error) {
+      console.error('Failed to clear vectors:', error);
+      sendResponse({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Index pages captured before the BM25 index existed and drop pages that are gone
+   * Chunk texts are read from the `chunks/` directory written by the service worker.
+   */
+  async syncLexicalIndex() {
+    let changed = false;
 
-      const embeddings = [];
-      let chunkIndex = 0;
+    for (const pageId of [...this.lexicalIndex.pages.keys()]) {
+      if (!this.vectorStore.hasPage(pageId)) {
+        this.lexicalIndex.removePage(pageId);
+        changed = true;
+      }
+    }
+
+    const missing = Object.keys(this.vectorStore.index.pages).filter(
+      pageId => !this.lexicalIndex.hasPage(pageId)
+    );
+    if (missing.length > 0) {
+      const opfsRoot = await navigator.storage.getDirectory();
+      const chunksDir = await opfsRoot.getDirectoryHandle('chunks', { create: true });
 
-      // Load embeddings for this page
-      while (true) {
+      for (const pageId of missing) {
         try {
-          // Sanitize pageId to ensure valid filename
-          const sanitizedPageId = pageId ? pageId.replace(/[^a-zA-Z0-9_-]/g, '_') : 'unknown';
-          const fileName = `${sanitizedPageId}_chunk_${chunkIndex}.json`;
-          const fileHandle = await embeddingsDir.getFileHandle(fileName);
-          const file = await fileHandle.getFile();
-          const text = await file.text();
-          const data = JSON.parse(text);
-
-          // Convert back to Float32Array
-          embeddings.push(new Float32Array(data.embedding));
-          chunkIndex++;
+          const pageDir = await chunksDir.getDirectoryHandle(pageId);
+          const file = await (await pageDir.getFileHandle('chunks.json')).getFile();
+          const chunks = JSON.parse(await file.text());
+          this.lexicalIndex.addPage(
+            pageId,
+            chunks.map(chunk => chunk.text)
+          );
+          changed = true;
         } catch (error) {
-          // No more chunks for this page
-          break;
+          // Chunks are written after processing, so a page may not have them yet
+          if (error.name !== 'NotFoundError') {
+            console.warn(`Failed to add page ${pageId} to the BM25 index:`, error);
+          }
         }
       }
+    }
+
+    if (changed) {
+      this.logger.log(`BM25 index synced: ${this.lexicalIndex.pages.size} pages`);
+    }
+    // Also rewrites an index saved in the single-file format of older versions
+    if (this.lexicalIndex.hasUnsavedChanges()) {
+      await this.lexicalIndex.save();
+    }
+  }
+
+  /**
+   * Re-encode every stored vector with a new quantization mode
+   * @param {Object} data - Data containing the target encoding
+   * @param {Function} sendResponse - Response callback; its data lists in reembed the pages
+   *   whose vectors are coarser than the new mode and must be embedded again
+   */
+  async requantizeVectors(data, sendResponse) {
+    try {
+      if (!data || !VectorStore.QUANTIZATIONS.includes(data.encoding)) {
+        throw new Error('Invalid vector encoding');
+      }
 
-      return embeddings;
+      const reembed = await this.vectorStore.requantize(data.encoding);
+      sendResponse({
+        success: true,
+        data: { ...this.vectorStore.getCompressionStats(), reembed },
+      });
     } catch (error) {
-      console.error('Failed to load embeddings from OPFS:', error);
-      return [];
+      console.error('Failed to requantize vectors:', error);
+      sendResponse({ success: false, error: error.message });
     }
   }
 
   /**
    * Process MHTML and extract text content
    * @param {ArrayBuffer} mhtmlData - MHTML data
-   * @returns {string} Extracted text content
+   * @returns {Object} { text, signals, metadata, blocks }
    */
   async processMHTML(mhtmlData) {
     try {
@@ -546,17 +820,18 @@ class OffscreenController {
         );
       }
 
-      // Convert ArrayBuffer to text
-      const decoder = new TextDecoder('utf-8');
-      const mhtmlText = decoder.decode(arrayBuffer);
+      // Extract HTML from MHTML, decoded in the page's own charset
+      const htmlContent = await this.extractHTMLFromMHTML(new Uint8Array(arrayBuffer));
 
-      // Extract HTML from MHTML
-      const htmlContent = await this.extractHTMLFromMHTML(mhtmlText);
+      // Look for login/payment forms and noindex in the page as captured
+      const signals = detectDocumentSignals(
+        new DOMParser().parseFromString(String(htmlContent), 'text/html')
+      );
 
-      // Parse HTML to extract text using DOMParser + Readability
-      const textContent = await this.extractTextFromHTML(htmlContent);
+      // Parse HTML to extract text and metadata using DOMParser + Readability
+      const { text, metadata, blocks } = await this.extractTextFromHTML(htmlContent);
 
-      return textContent;
+      return { text, signals, metadata, blocks };
     } catch (error) {
       console.error('Failed to process MHTML:', error);
       throw error;
@@ -565,65 +840,47 @@ class OffscreenController {
 
   /**
    * Extract HTML from MHTML content
-   * @param {string} mhtmlText - MHTML text content
+   * @param {Uint8Array} mhtmlBytes - MHTML archive
    * @returns {string} HTML content
    */
-  async extractHTMLFromMHTML(mhtmlText) {
+  async extractHTMLFromMHTML(mhtmlBytes) {
     try {
-      // Import mhtml-to-html dynamically
-      const { convert } = await import('mhtml-to-html');
-
-      // Convert MHTML to HTML using the library
-      const htmlContent = await convert(mhtmlText);
-
-      // Handle different return types from mhtml-to-html
-      if (typeof htmlContent === 'string') {
-        return htmlContent;
-      } else if (htmlContent && typeof htmlContent === 'object') {
-        if (htmlContent.data) {
-          return htmlContent.data;
-        } else if (htmlContent.html) {
-          return htmlContent.html;
-        } else if (htmlContent.content) {
-          return htmlContent.content;
-        } else if (htmlContent.body) {
-          return htmlContent.body;
-        } else {
-          return String(htmlContent);
-        }
-      } else {
-        return String(htmlContent);
-      }
+      return extractMhtmlHtml(mhtmlBytes).html;
     } catch (error) {
-      // Fallback to manual MHTML parsing
-      const lines = mhtmlText.split('\n');
-      let htmlContent = '';
-      let inHtmlSection = false;
-
-      for (const line of lines) {
-        if (line.includes('Content-Type: text/html')) {
-          inHtmlSection = true;
-          continue;
-        }
-        if (inHtmlSection && line.trim() === '') {
-          continue;
-        }
-        if (inHtmlSection && line.startsWith('--')) {
-          break;
-        }
-        if (inHtmlSection) {
-          htmlContent += line + '\n';
-        }
-      }
+      console.warn('Failed to parse MHTML, falling back to mhtml-to-html:', error);
+    }
+
+    // Import mhtml-to-html dynamically
+    const { convert } = await import('mhtml-to-html');
+
+    // Convert MHTML to HTML using the library
+    const htmlContent = await convert(new TextDecoder('utf-8').decode(mhtmlBytes));
 
+    // Handle different return types from mhtml-to-html
+    if (typeof htmlContent === 'string') {
       return htmlContent;
+    } else if (htmlContent && typeof htmlContent === 'object') {
+      if (htmlContent.data) {
+        return htmlContent.data;
+      } else if (htmlContent.html) {
+        return htmlContent.html;
+      } else if (htmlContent.content) {
+        return htmlContent.content;
+      } else if (htmlContent.body) {
+        return htmlContent.body;
+      } else {
+        return String(htmlContent);
+      }
+    } else {
+      return String(htmlContent);
     }
   }
 
   /**
-   * Extract text content from HTML using DOMParser + Readability
+   * Extract text content, page metadata and content blocks from HTML using DOMParser + Readability
    * @param {string} htmlContent - HTML content
-   * @returns {string} Extracted text
+   * @returns {Object} { text, metadata, blocks } (see lib/page-metadata.js and
+   *   lib/structured-chunker.js)
    */
   async extractTextFromHTML(htmlContent) {
     try {
@@ -644,25 +901,98 @@ class OffscreenController {
       // Extract text from Readability article or fallback to body text
       const textContent = article ? article.textContent : doc.body.textContent;
 
-      return textContent.trim();
+      // Headings, paragraphs, lists, code and tables of the same content, for chunking
+      const contentRoot = article
+        ? parser.parseFromString(article.content, 'text/html').body
+        : doc.body;
+
+      return {
+        text: textContent.trim(),
+        metadata: extractPageMetadata(doc, article),
+        blocks: extractBlocks(contentRoot),
+      };
     } catch (error) {
       console.error('Failed to extract text from HTML:', error);
       // Fallback to simple text extraction
-      return htmlContent
+      const text = htmlContent
         .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
         .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
         .replace(/<[^>]+>/g, ' ')
         .replace(/\s+/g, ' ')
         .trim();
+      return { text, metadata: {}, blocks: [] };
     }
   }
 
+  /**
+   * Chunk a page from the blocks or text it was extracted as
+   * @param {Object} source - { blocks } from extractBlocks, or { text } for plain text
+   * @param {Object} config - Validated { chunkSize, overlapSize } (see lib/chunking.js)
+   * @returns {Object[]} Array of chunk objects with pre-computed tokens
+   */
+  chunkSource(source, config) {
+    const limits = {
+      maxTokens: config.chunkSize - SPECIAL_TOKENS,
+      overlapTokens: config.overlapSize,
+    };
+    return source.blocks?.length > 0
+      ? this.chunkBlocks(source.blocks, limits)
+      : this.chunkText(source.text || '', limits);
+  }
+
+  /**
+   * Chunk a page along its headings, paragraphs, lists, code blocks and tables
+   * Each chunk is embedded with its heading path in front of its text.
+   * @param {Object[]} blocks - Blocks from extractBlocks
+   * @param {Object} limits - { maxTokens, overlapTokens } per chunk, without [CLS] and [SEP]
+   * @returns {Object[]} Array of chunk objects with pre-computed tokens and headingPath
+   */
+  chunkBlocks(blocks, { maxTokens, overlapTokens }) {
+    const contentTokens = text => this.tokenizeWithMapping(text).tokens.slice(1, -1);
+    const pieces = packBlocks(blocks, {
+      countTokens: text => contentTokens(text).length,
+      maxTokens,
+      overlapTokens,
+    });
+
+    const chunks = pieces.map((piece, index) => {
+      const textTokens = contentTokens(piece.text).slice(0, maxTokens);
+      const headingTokens =
+        piece.headingPath.length > 0
+          ? contentTokens(formatHeadingPath(piece.headingPath)).slice(
+              0,
+              maxTokens - textTokens.length
+            )
+          : [];
+      const finalTokens = [
+        this.tokenizer.clsId,
+        ...headingTokens,
+        ...textTokens,
+        this.tokenizer.sepId,
+      ];
+
+      return {
+        id: `chunk_${index}`,
+        tokens: finalTokens,
+        tokenCount: finalTokens.length,
+        text: piece.text,
+        headingPath: piece.headingPath,
+        startTokenIndex: piece.startToken,
+        endTokenIndex: piece.endToken,
+      };
+    });
+
+    this.logger.log(`Created ${chunks.length} structure-aware chunks from ${blocks.length} blocks`);
+    return chunks;
+  }
+
   /**
    * Chunk text into segments for embedding using token-based chunking
    * @param {string} text - Text to chunk
+   * @param {Object} limits - { maxTokens, overlapTokens } per chunk, without [CLS] and [SEP]
    * @returns {Object[]} Array of chunk objects with pre-computed tokens
    */
-  chunkText(text) {
+  chunkText(text, { maxTokens, overlapTokens }) {
     const chunks = [];
 
     // Step 1: Tokenize the full text with word-to-token mapping
@@ -680,11 +1010,8 @@ class OffscreenController {
     );
 
     // Step 2: Split tokens into overlapping chunks
-    for (let i = 0; i < contentTokens.length; i += this.MAX_CONTENT_TOKENS - this.OVERLAP_TOKENS) {
-      const chunkTokens = contentTokens.slice(
-        i,
-        Math.min(i + this.MAX_CONTENT_TOKENS, contentTokens.length)
-      );
+    for (let i = 0; i < contentTokens.length; i += maxTokens - overlapTokens) {
+      const chunkTokens = contentTokens.slice(i, Math.min(i + maxTokens, contentTokens.length));
 
       // Add [CLS] (101) at start and [SEP] (102) at end
       const finalTokens = [this.tokenizer.clsId, ...chunkTokens, this.tokenizer.sepId];
@@ -705,7 +1032,7 @@ class OffscreenController {
         tokenCount: finalTokens.length,
         text: chunkText,
         startTokenIndex: i,
-        endTokenIndex: Math.min(i + this.MAX_CONTENT_TOKENS, contentTokens.length),
+        endTokenIndex: Math.min(i + maxTokens, contentTokens.length),
       });
     }
 
@@ -719,7 +1046,7 @@ class OffscreenController {
    * @returns {number[]} Token IDs
    */
   tokenize(text) {
-    if (!this.tokenizer || !this.tokenizer.encoder) {
+    if (!this.tokenizer) {
       throw new Error('Tokenizer not loaded. Please ensure tokenizer.json is properly downloaded.');
     }
 
@@ -728,7 +1055,7 @@ class OffscreenController {
         'Tokenizing text:',
         text.substring(0, 100) + (text.length > 100 ? '...' : '')
       );
-      const tokens = this.tokenizer.encoder.encode(text);
+      const tokens = this.tokenizer.encode(text);
 
       this.logger.log('Number of tokens:', tokens.length);
       if (tokens.length > 0) {
@@ -751,84 +1078,22 @@ class OffscreenController {
    * @returns {Object} Object with tokens, words, and wordToTokens mapping
    */
   tokenizeWithMapping(text) {
-    if (!this.tokenizer || !this.tokenizer.encoder) {
+    if (!this.tokenizer) {
       throw new Error('Tokenizer not loaded. Please ensure tokenizer.json is properly downloaded.');
     }
 
     try {
-      const tokens = [this.tokenizer.clsId];
-      const words = text
-        .toLowerCase()
-        .replace(/['']/g, "'")
-        .split(/\s+/)
-        .filter(w => w.length > 0);
-
-      const wordToTokens = [];
-      let tokenIndex = 1; // Start after [CLS]
-
-      // Tokenize each word and track mapping
-      for (let wordIdx = 0; wordIdx < words.length; wordIdx++) {
-        const word = words[wordIdx];
-        const wordStartTokenIndex = tokenIndex;
-
-        // Remove punctuation for initial lookup
-        const cleanWord = word.replace(/[^\w]/g, '');
-        if (!cleanWord) {
-          wordToTokens.push({ start: tokenIndex, end: tokenIndex, word: word });
-          continue;
-        }
-
-        // Greedy longest-match first
-        if (this.tokenizer.vocabMap.has(cleanWord)) {
-          tokens.push(this.tokenizer.vocabMap.get(cleanWord));
-          tokenIndex++;
-          wordToTokens.push({ start: wordStartTokenIndex, end: tokenIndex, word: word });
-          continue;
-        }
-
-        // Subword tokenization
-        let start = 0;
-        const chars = Array.from(cleanWord);
-        let hasTokens = false;
-
-        while (start < chars.length) {
-          let end = chars.length;
-          let found = false;
-
-          // Try longest match first
-          while (end > start) {
-            const substr = chars.slice(start, end).join('');
-            const token = start === 0 ? substr : '##' + substr;
-
-            if (this.tokenizer.vocabMap.has(token)) {
-              tokens.push(this.tokenizer.vocabMap.get(token));
-              tokenIndex++;
-              found = true;
-              hasTokens = true;
-              start = end;
-              break;
-            }
-            end--;
-          }
-
-          // No subword found, use UNK and move forward
-          if (!found) {
-            if (!hasTokens) {
-              tokens.push(this.tokenizer.unkId);
-              tokenIndex++;
-            }
-            break;
-          }
-        }
-
-        wordToTokens.push({ start: wordStartTokenIndex, end: tokenIndex, word: word });
-      }
-
-      tokens.push(this.tokenizer.sepId);
+      const { ids, words } = this.tokenizer.encodeWords(text);
+      // Token ranges are shifted past [CLS]
+      const wordToTokens = words.map(({ word, start, end }) => ({
+        start: start + 1,
+        end: end + 1,
+        word,
+      }));
 
       return {
-        tokens,
-        words,
+        tokens: [this.tokenizer.clsId, ...ids, this.tokenizer.sepId],
+        words: words.map(({ word }) => word),
         wordToTokens,
       };
     } catch (error) {
@@ -1130,33 +1395,172 @@ class OffscreenController {
     return embedding;
   }
 
+  /**
+   * Compute embeddings for several texts with one inference run
+   * Inputs are padded to the longest text and mean-pooled over their own tokens only, which
+   * gives the same vectors as embedding each text on its own.
+   * @param {string[]} texts - Texts to embed
+   * @returns {Promise<Float32Array[]>} One embedding per text
+   */
+  async computeBatchEmbeddings(texts) {
+    if (!this.ort || !this.session) {
+      throw new Error('ONNX Runtime not initialized. Please ensure the model is downloaded.');
+    }
+    if (texts.length === 0) {
+      return [];
+    }
+
+    const sequences = texts.map(text => this.tokenize(text).slice(0, this.MAX_SEQUENCE_LENGTH));
+    const batchSize = sequences.length;
+    const seqLength = Math.max(...sequences.map(tokens => tokens.length));
+
+    const inputIds = new BigInt64Array(batchSize * seqLength).fill(BigInt(this.tokenizer.padId));
+    const attentionMask = new BigInt64Array(batchSize * seqLength);
+    sequences.forEach((tokens, row) => {
+      tokens.forEach((token, position) => {
+        inputIds[row * seqLength + position] = BigInt(token);
+        attentionMask[row * seqLength + position] = 1n;
+      });
+    });
+
+    const dims = [batchSize, seqLength];
+    const tensors = {
+      input_ids: new this.ort.Tensor('int64', inputIds, dims),
+      attention_mask: new this.ort.Tensor('int64', attentionMask, dims),
+      token_type_ids: new this.ort.Tensor('int64', new BigInt64Array(batchSize * seqLength), dims),
+    };
+
+    try {
+      const results = await this.session.run(tensors);
+      const hiddenState = results.last_hidden_state;
+      const hiddenSize = hiddenState?.dims?.[2];
+      if (!hiddenState?.data || hiddenState.data.length !== batchSize * seqLength * hiddenSize) {
+        throw new Error('ONNX inference returned unexpected output structure');
+      }
+
+      return sequences.map((tokens, row) => {
+        const sums = new Float64Array(hiddenSize);
+        for (let position = 0; position < tokens.length; position++) {
+          const offset = (row * seqLength + position) * hiddenSize;
+          for (let i = 0; i < hiddenSize; i++) {
+            sums[i] += hiddenState.data[offset + i];
+          }
+        }
+        return Float32Array.from(sums, sum => sum / tokens.length);
+      });
+    } finally {
+      Object.values(tensors).forEach(tensor => tensor.dispose());
+    }
+  }
+
   /**
    * Process a complete page: MHTML -> text -> chunks -> embeddings
    * @param {ArrayBuffer} mhtmlData - MHTML array buffer
    * @param {string} url - Page URL
    * @param {string} title - Page title
    * @param {string} pageId - Page ID (optional, will be generated if not provided)
-   * @returns {Object} Processing result
+   * @param {Object} options - Optional settings
+   * @param {string} options.text - Text to index instead of the MHTML content
+   * @param {Object} options.sensitivity - { action, redactPii, signals } (see lib/sensitivity.js)
+   * @param {Object} options.chunking - { chunkSize, overlapSize } in tokens
+   * @returns {Object} Processing result, or { pageId, skipped, sensitivity } for a skipped page
    */
-  async processPageInternal(mhtmlData, url, title, pageId) {
+  async processPageInternal(
+    mhtmlData,
+    url,
+    title,
+    pageId,
+    {
+      text = null,
+      sensitivity = {},
+      previousHash = null,
+      duplicateCandidates = [],
+      chunking = this.DEFAULT_CHUNKING,
+    } = {}
+  ) {
     try {
       // Validate inputs
-      if (!mhtmlData) {
+      if (!mhtmlData && !text) {
         throw new Error('No MHTML data provided');
       }
       if (!url || !title) {
         throw new Error('Missing URL or title');
       }
+      const chunkingConfig = validateChunkingConfig(chunking, this.MAX_SEQUENCE_LENGTH);
 
       // Extract text from MHTML
-      const textContent = await this.processMHTML(mhtmlData);
+      const extracted = text
+        ? { text, signals: [], metadata: {}, blocks: [] }
+        : await this.processMHTML(mhtmlData);
+      let textContent = extracted.text;
 
       if (!textContent || textContent.length === 0) {
         throw new Error('No text content extracted from MHTML');
       }
 
-      // Chunk the text
-      const chunks = this.chunkText(textContent);
+      // Use provided pageId or generate one
+      const finalPageId = pageId || this.generatePageId(url);
+
+      // Sensitive pages are skipped or redacted before anything is chunked
+      const { action = 'skip', signals: pageSignals = [] } = sensitivity;
+      const signals = [...new Set([...pageSignals, ...extracted.signals])];
+      const sensitive = signals.length > 0 && action !== 'index';
+      if (sensitive && action === 'skip') {
+        return {
+          pageId: finalPageId,
+          skipped: `sensitive page (${signals.join(', ')})`,
+          sensitivity: { signals, decision: 'skipped', redactions: {} },
+        };
+      }
+
+      let redactions = {};
+      const metadata = { ...extracted.metadata };
+      let blocks = extracted.blocks;
+      if (sensitive || sensitivity.redactPii) {
+        ({ text: textContent, counts: redactions } = redactPii(textContent));
+        blocks = blocks.map(block => ({ ...block, text: redactPii(block.text).text }));
+        // The description is page text too
+        if (metadata.excerpt) {
+          metadata.excerpt = redactPii(metadata.excerpt).text;
+        }
+      }
+      const redacted = Object.keys(redactions).length > 0;
+      const sensitivityResult = {
+        signals,
+        decision: sensitive || redacted ? 'redacted' : 'indexed',
+        redactions,
+      };
+
+      // Unchanged pages are not embedded again
+      const contentHash = await this.hashText(textContent);
+      if (previousHash && contentHash === previousHash) {
+        return {
+          pageId: finalPageId,
+          skipped: 'unchanged',
+          contentHash,
+          sensitivity: sensitivityResult,
+        };
+      }
+
+      // Near-identical to a page indexed under another URL: merged into it, not embedded
+      const fingerprint = simhash(textContent);
+      const duplicate = duplicateCandidates.find(candidate =>
+        isNearDuplicate(fingerprint, candidate.simhash)
+      );
+      if (duplicate) {
+        return {
+          pageId: finalPageId,
+          skipped: 'duplicate',
+          duplicateOf: duplicate.pageId,
+          contentHash,
+          simhash: fingerprint,
+          sensitivity: sensitivityResult,
+        };
+      }
+
+      // Chunk along the page structure; plain text (clips, title-only pages) in token windows
+      const source = blocks.length > 0 ? { blocks } : { text: textContent };
+      const chunks = this.chunkSource(source, chunkingConfig);
 
       if (chunks.length === 0) {
         throw new Error('No chunks created from text content');
@@ -1171,9 +1575,6 @@ class OffscreenController {
         );
       }
 
-      // Use provided pageId or generate one
-      const finalPageId = pageId || this.generatePageId(url);
-
       return {
         pageId: finalPageId,
         url,
@@ -1182,6 +1583,12 @@ class OffscreenController {
         embeddings,
         timestamp: Date.now(),
         dimensions: embeddings[0]?.length || 384,
+        contentHash,
+        simhash: fingerprint,
+        metadata,
+        sensitivity: sensitivityResult,
+        chunking: describeChunking(chunkingConfig),
+        source, // Kept with the chunks so the page can be re-chunked without capturing it again
       };
     } catch (error) {
       console.error('Failed to process page:', error);
@@ -1189,6 +1596,16 @@ class OffscreenController {
     }
   }
 
+  /**
+   * SHA-256 of the text a page is indexed from, used to detect changed pages
+   * @param {string} text - Extracted (and redacted) page text
+   * @returns {Promise<string>} Hex digest
+   */
+  async hashText(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
   /**
    * Generate unique page ID
    * @param {string} url - Page URL
@@ -1214,6 +1631,11 @@ class OffscreenController {
       this.session = null;
     }
 
+    if (this.rerankerSession) {
+      await this.rerankerSession.release();
+      this.rerankerSession = null;
+    }
+
     if (this.modelPath) {
       URL.revokeObjectURL(this.modelPath);
       this.modelPath = null;
@@ -1228,6 +1650,9 @@ class OffscreenController {
 const offscreenController = new OffscreenController();
 offscreenController.init();
 
+// Exported for the tests; the bundle for offscreen.html drops it
+export { OffscreenController };
+
 // Expose ORT globally for bundled context
 if (typeof window !== 'undefined') {
   window.ort = null; // Will be set when ORT is initialized
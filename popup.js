@@ -11,6 +11,9 @@ class PopupController {
       storageUsage: 0,
     };
     this.recentPages = [];
+    this.queueCounts = null;
+    this.captureJobId = null;
+    this.reindexCurrentPage = false;
   }
 
   /**
@@ -20,6 +23,7 @@ class PopupController {
     try {
       await this.loadStats();
       await this.loadRecentPages();
+      await this.loadQueue();
       this.setupEventListeners();
       this.updateUI();
     } catch (error) {
@@ -63,11 +67,40 @@ class PopupController {
     }
   }
 
+  /**
+   * Load the capture queue state
+   */
+  async loadQueue() {
+    try {
+      const response = await this.sendMessage({ type: 'GET_QUEUE' });
+      if (response.success) {
+        this.queueCounts = response.data.counts;
+      }
+    } catch (error) {
+      console.error('Failed to load capture queue:', error);
+    }
+  }
+
   /**
    * Setup event listeners
    */
   setupEventListeners() {
     // Action buttons
+    document.getElementById('indexCurrentPage').addEventListener('click', () => {
+      this.indexCurrentPage();
+    });
+
+    // Progress of the capture started from this popup
+    chrome.runtime.onMessage.addListener(message => {
+      if (
+        message.type === 'CAPTURE_PROGRESS' &&
+        this.captureJobId &&
+        message.data.id === this.captureJobId
+      ) {
+        this.showCaptureProgress(message.data);
+      }
+    });
+
     document.getElementById('viewAllPages').addEventListener('click', () => {
       this.openSidePanel('pages');
     });
@@ -161,7 +194,13 @@ class PopupController {
     const dot = indicator.querySelector('.status-dot');
     const text = indicator.querySelector('.status-text');
 
-    if (this.stats.totalPages > 0) {
+    const counts = this.queueCounts || {};
+    const pending = (counts.queued || 0) + (counts.capturing || 0) + (counts.embedding || 0);
+
+    if (pending > 0) {
+      dot.className = 'status-dot';
+      text.textContent = `Indexing (${pending} pending)`;
+    } else if (this.stats.totalPages > 0) {
       dot.className = 'status-dot';
       text.textContent = 'Active';
     } else {
@@ -170,6 +209,81 @@ class PopupController {
     }
   }
 
+  /**
+   * Queue the active tab for indexing
+   */
+  async indexCurrentPage() {
+    const button = document.getElementById('indexCurrentPage');
+    button.disabled = true;
+
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const response = await this.sendMessage({
+        type: 'CAPTURE_TAB',
+        data: { tabId: tab.id, reindex: this.reindexCurrentPage },
+      });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const { job, skipped } = response.data;
+      if (job) {
+        this.captureJobId = job.id;
+        this.showCaptureProgress(job);
+        return;
+      }
+
+      this.showCaptureProgress({ state: 'done', skipped });
+      if (skipped === 'already indexed') {
+        // Offer to replace the indexed version instead
+        this.reindexCurrentPage = true;
+        button.querySelector('.btn-label').textContent = 'Re-index This Page';
+      }
+      button.disabled = false;
+    } catch (error) {
+      console.error('Failed to index page:', error);
+      this.showError('Failed to index page');
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show the state of the capture started from this popup
+   * @param {Object} job - Capture job (or progress update)
+   */
+  showCaptureProgress(job) {
+    const indicator = document.getElementById('statusIndicator');
+    const dot = indicator.querySelector('.status-dot');
+    const text = indicator.querySelector('.status-text');
+
+    const labels = {
+      queued: 'Queued',
+      capturing: 'Capturing page...',
+      embedding: 'Indexing...',
+      done: job.skipped ? `Not indexed: ${job.skipped}` : 'Page indexed',
+      failed: `Failed: ${job.error}`,
+    };
+    dot.className = `status-dot${job.state === 'failed' ? ' error' : job.skipped ? ' warning' : ''}`;
+    text.textContent = labels[job.state] || job.state;
+
+    if (job.state === 'done' && !job.skipped) {
+      this.refresh();
+    }
+    if (job.state === 'done' || job.state === 'failed') {
+      document.getElementById('indexCurrentPage').disabled = false;
+    }
+  }
+
+  /**
+   * Reload stats and recent pages after a capture
+   */
+  async refresh() {
+    await this.loadStats();
+    await this.loadRecentPages();
+    this.updateStats();
+    this.updateRecentPages();
+  }
+
   /**
    * Open side panel with specific view
    * @param {string} view - View to open
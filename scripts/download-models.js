@@ -1,27 +1,37 @@
 /**
  * Download Model Files
- * Downloads all-MiniLM-L6-v2 model files from HuggingFace to local models/ directory
+ * Downloads the all-MiniLM-L6-v2 embedding model and the ms-marco-MiniLM-L-6-v2 cross-encoder
+ * (optional search re-ranker) from HuggingFace to the local generated/models/ directory
  */
 
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
 
-const MODEL_NAME = 'all-MiniLM-L6-v2';
-const MODEL_BASE = `sentence-transformers/${MODEL_NAME}`;
 const HUGGINGFACE_CDN = 'https://huggingface.co';
-
-// Files to download
-const FILES_TO_DOWNLOAD = [
-  { name: 'model.onnx', path: `${MODEL_BASE}/resolve/main/onnx/model.onnx` },
-  { name: 'tokenizer.json', path: `${MODEL_BASE}/resolve/main/tokenizer.json` },
-  { name: 'config.json', path: `${MODEL_BASE}/resolve/main/config.json` },
-  { name: 'tokenizer_config.json', path: `${MODEL_BASE}/resolve/main/tokenizer_config.json` },
-  { name: 'vocab.txt', path: `${MODEL_BASE}/resolve/main/vocab.txt` },
+const MODELS_DIR = path.join(__dirname, '..', 'generated', 'models');
+
+// Models and the files to download for each
+const MODELS = [
+  {
+    name: 'all-MiniLM-L6-v2',
+    repo: 'sentence-transformers/all-MiniLM-L6-v2',
+    files: [
+      'onnx/model.onnx',
+      'tokenizer.json',
+      'config.json',
+      'tokenizer_config.json',
+      'vocab.txt',
+    ],
+  },
+  {
+    // Shares the uncased BERT vocabulary with the embedding model
+    name: 'ms-marco-MiniLM-L-6-v2',
+    repo: 'cross-encoder/ms-marco-MiniLM-L-6-v2',
+    files: ['onnx/model.onnx', 'config.json'],
+  },
 ];
 
-const OUTPUT_DIR = path.join(__dirname, '..', 'generated', 'models', MODEL_NAME);
-
 /**
  * Download a single file
  */
@@ -108,52 +118,61 @@ function formatBytes(bytes, decimals = 2) {
 }
 
 /**
- * Main download function
+ * Download the files of one model
+ * @returns {Object} Success and failure counts
  */
-async function downloadModel() {
-  console.log(`Downloading model files for ${MODEL_NAME}...`);
-  console.log(`Output directory: ${OUTPUT_DIR}\n`);
+async function downloadModel(model) {
+  const outputDir = path.join(MODELS_DIR, model.name);
+  console.log(`Downloading model files for ${model.name}...`);
+  console.log(`Output directory: ${outputDir}\n`);
 
   // Create output directory
-  if (!fs.existsSync(OUTPUT_DIR)) {
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-    console.log(`Created directory: ${OUTPUT_DIR}`);
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    console.log(`Created directory: ${outputDir}`);
   }
 
   let successCount = 0;
   let failCount = 0;
 
-  for (const file of FILES_TO_DOWNLOAD) {
-    const url = `${HUGGINGFACE_CDN}/${file.path}`;
-    const destPath = path.join(OUTPUT_DIR, file.name);
+  for (const filePath of model.files) {
+    const url = `${HUGGINGFACE_CDN}/${model.repo}/resolve/main/${filePath}`;
+    const fileName = path.basename(filePath);
+    const destPath = path.join(outputDir, fileName);
 
     // Skip if file already exists
     if (fs.existsSync(destPath)) {
-      console.log(`Skipping ${file.name} (already exists)`);
+      console.log(`Skipping ${fileName} (already exists)`);
       continue;
     }
 
-    console.log(`Downloading ${file.name}...`);
+    console.log(`Downloading ${fileName}...`);
     try {
       await downloadFile(url, destPath);
-      console.log(`✓ Successfully downloaded ${file.name}`);
+      console.log(`✓ Successfully downloaded ${fileName}`);
       successCount++;
     } catch (error) {
-      console.error(`✗ Failed to download ${file.name}: ${error.message}`);
+      console.error(`✗ Failed to download ${fileName}: ${error.message}`);
       failCount++;
     }
   }
 
-  console.log(`\nDownload complete: ${successCount} successful, ${failCount} failed`);
-
-  if (failCount > 0) {
-    process.exit(1);
-  }
+  return { successCount, failCount };
 }
 
 async function main() {
-  await downloadModel();
-  process.exit(0);
+  let successCount = 0;
+  let failCount = 0;
+
+  for (const model of MODELS) {
+    const result = await downloadModel(model);
+    successCount += result.successCount;
+    failCount += result.failCount;
+    console.log('');
+  }
+
+  console.log(`Download complete: ${successCount} successful, ${failCount} failed`);
+  process.exit(failCount > 0 ? 1 : 0);
 }
 
 main();
@@ -7,6 +7,17 @@ class SettingsController {
   constructor() {
     this.settings = {};
     this.stats = {};
+    this.RULE_ACTION_LABELS = { index: 'Index', skip: 'Skip', 'title-only': 'Title only' };
+    this.backfill = null; // Latest backfill progress
+    this.rechunk = null; // Latest re-chunk progress
+    this.bookmarkFoldersLoaded = false;
+    this.BACKFILL_DEFAULT_DAYS = 7;
+    this.BACKFILL_STATE_LABELS = {
+      running: 'Running',
+      paused: 'Paused',
+      done: 'Finished',
+      cancelled: 'Cancelled',
+    };
   }
 
   /**
@@ -19,6 +30,8 @@ class SettingsController {
       this.setupEventListeners();
       this.renderSettings();
       this.renderStats();
+      await this.loadBackfill();
+      await this.loadRechunk();
     } catch (error) {
       console.error('Failed to initialize settings:', error);
       this.showError('Failed to load settings');
@@ -42,11 +55,85 @@ class SettingsController {
       this.updateSetting('overlapSize', parseInt(e.target.value));
     });
 
+    document.getElementById('startRechunk').addEventListener('click', () => {
+      this.controlRechunk('START_RECHUNK');
+    });
+
+    document.getElementById('cancelRechunk').addEventListener('click', () => {
+      this.controlRechunk('CANCEL_RECHUNK');
+    });
+
+    document.getElementById('captureConcurrency').addEventListener('change', e => {
+      this.updateSetting('captureConcurrency', Math.max(1, parseInt(e.target.value) || 1));
+    });
+
+    document.getElementById('refreshAfterHours').addEventListener('change', e => {
+      this.updateSetting('refreshAfterHours', Math.max(0, parseInt(e.target.value) || 0));
+    });
+
+    document.getElementById('revisionsToKeep').addEventListener('change', e => {
+      this.updateSetting('revisionsToKeep', Math.max(0, parseInt(e.target.value) || 0));
+    });
+
+    // Backfill
+    document.getElementById('backfillSource').addEventListener('change', e => {
+      this.showBackfillSource(e.target.value);
+    });
+
+    document.getElementById('backfillMaxTabs').addEventListener('change', e => {
+      this.updateSetting(
+        'backfillMaxTabs',
+        Math.min(5, Math.max(1, parseInt(e.target.value) || 1))
+      );
+    });
+
+    document.getElementById('startBackfill').addEventListener('click', () => {
+      this.startBackfill();
+    });
+
+    document.getElementById('pauseBackfill').addEventListener('click', () => {
+      this.controlBackfill(
+        this.backfill?.state === 'paused' ? 'RESUME_BACKFILL' : 'PAUSE_BACKFILL'
+      );
+    });
+
+    document.getElementById('cancelBackfill').addEventListener('click', () => {
+      this.controlBackfill('CANCEL_BACKFILL');
+    });
+
+    chrome.runtime.onMessage.addListener(message => {
+      if (message.type === 'BACKFILL_PROGRESS') {
+        this.renderBackfill(message.data);
+      } else if (message.type === 'RECHUNK_PROGRESS') {
+        this.renderRechunk(message.data);
+      }
+    });
+
     // Search settings
     document.getElementById('defaultSearchLimit').addEventListener('change', e => {
       this.updateSetting('defaultSearchLimit', parseInt(e.target.value));
     });
 
+    document.getElementById('annSearchEf').addEventListener('change', e => {
+      this.updateSetting('annSearchEf', parseInt(e.target.value));
+    });
+
+    document.getElementById('enableReranking').addEventListener('change', e => {
+      this.updateSetting('enableReranking', e.target.checked);
+    });
+
+    document.getElementById('rerankTopN').addEventListener('change', e => {
+      this.updateSetting('rerankTopN', parseInt(e.target.value));
+    });
+
+    document.getElementById('rerankBudgetMs').addEventListener('change', e => {
+      this.updateSetting('rerankBudgetMs', parseInt(e.target.value));
+    });
+
+    document.getElementById('vectorQuantization').addEventListener('change', e => {
+      this.updateSetting('vectorQuantization', e.target.value);
+    });
+
     document.getElementById('enableCaching').addEventListener('change', e => {
       this.updateSetting('enableCaching', e.target.checked);
     });
@@ -60,6 +147,41 @@ class SettingsController {
       this.updateSetting('storePageContent', e.target.checked);
     });
 
+    document.getElementById('sensitivePageAction').addEventListener('change', e => {
+      this.updateSetting('sensitivePageAction', e.target.value);
+    });
+
+    document.getElementById('redactPii').addEventListener('change', e => {
+      this.updateSetting('redactPii', e.target.checked);
+    });
+
+    // Indexing rules
+    document.getElementById('addUrlRule').addEventListener('click', () => {
+      this.renderUrlRules([...this.readUrlRules(), { pattern: '', type: 'glob', action: 'skip' }]);
+    });
+
+    document.getElementById('saveUrlRules').addEventListener('click', () => {
+      this.saveUrlRules();
+    });
+
+    document.getElementById('urlRulesList').addEventListener('click', e => {
+      const button = e.target.closest('[data-rule-action]');
+      if (!button) return;
+
+      const rules = this.readUrlRules();
+      const index = parseInt(button.closest('.url-rule').dataset.index);
+      if (button.dataset.ruleAction === 'remove') {
+        rules.splice(index, 1);
+      } else if (button.dataset.ruleAction === 'up' && index > 0) {
+        [rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+      }
+      this.renderUrlRules(rules);
+    });
+
+    document.getElementById('urlRulesDefaultAction').addEventListener('change', e => {
+      this.updateSetting('urlRulesDefaultAction', e.target.value);
+    });
+
     // Advanced settings
     document.getElementById('enableDebugLogging').addEventListener('change', e => {
       this.updateSetting('enableDebugLogging', e.target.checked);
@@ -115,6 +237,19 @@ class SettingsController {
       storePageContent: true,
       enableDebugLogging: false,
       enableVisualization: false,
+      annSearchEf: 64,
+      vectorQuantization: 'none',
+      enableReranking: false,
+      rerankTopN: 20,
+      rerankBudgetMs: 300,
+      captureConcurrency: 2,
+      urlRules: [],
+      urlRulesDefaultAction: 'index',
+      sensitivePageAction: 'skip',
+      redactPii: true,
+      refreshAfterHours: 24,
+      revisionsToKeep: 5,
+      backfillMaxTabs: 2,
     };
   }
 
@@ -140,14 +275,38 @@ class SettingsController {
     document.getElementById('autoIndexing').checked = this.settings.autoIndexing;
     document.getElementById('chunkSize').value = this.settings.chunkSize;
     document.getElementById('overlapSize').value = this.settings.overlapSize;
+    document.getElementById('captureConcurrency').value = this.settings.captureConcurrency;
+    document.getElementById('refreshAfterHours').value = this.settings.refreshAfterHours;
+    document.getElementById('revisionsToKeep').value = this.settings.revisionsToKeep;
+
+    // Backfill
+    document.getElementById('backfillMaxTabs').value = this.settings.backfillMaxTabs;
+    const today = new Date();
+    const start = new Date(today);
+    start.setDate(start.getDate() - this.BACKFILL_DEFAULT_DAYS);
+    document.getElementById('backfillStartDate').value = this.formatDateInput(start);
+    document.getElementById('backfillEndDate').value = this.formatDateInput(today);
 
     // Search settings
     document.getElementById('defaultSearchLimit').value = this.settings.defaultSearchLimit;
+    document.getElementById('annSearchEf').value = this.settings.annSearchEf;
+    document.getElementById('enableReranking').checked = this.settings.enableReranking;
+    document.getElementById('rerankTopN').value = this.settings.rerankTopN;
+    document.getElementById('rerankBudgetMs').value = this.settings.rerankBudgetMs;
     document.getElementById('enableCaching').checked = this.settings.enableCaching;
 
+    // Storage settings
+    document.getElementById('vectorQuantization').value = this.settings.vectorQuantization;
+
     // Privacy settings
     document.getElementById('indexPrivatePages').checked = this.settings.indexPrivatePages;
     document.getElementById('storePageContent').checked = this.settings.storePageContent;
+    document.getElementById('sensitivePageAction').value = this.settings.sensitivePageAction;
+    document.getElementById('redactPii').checked = this.settings.redactPii;
+
+    // Indexing rules
+    this.renderUrlRules(this.settings.urlRules || []);
+    document.getElementById('urlRulesDefaultAction').value = this.settings.urlRulesDefaultAction;
 
     // Advanced settings
     document.getElementById('enableDebugLogging').checked = this.settings.enableDebugLogging;
@@ -161,6 +320,7 @@ class SettingsController {
     const storage = this.stats.storage || {};
     const opfs = this.stats.opfs || {};
     const model = this.stats.model || {};
+    const vectorStorage = this.stats.vectorStorage || {};
 
     // Storage stats
     document.getElementById('storagePages').textContent = storage.pageCount || 0;
@@ -169,6 +329,8 @@ class SettingsController {
       storage.storageUsage || 0
     );
     document.getElementById('opfsUsage').textContent = this.formatStorageSize(opfs.totalSize || 0);
+    document.getElementById('vectorCompression').textContent =
+      `${(vectorStorage.compressionRatio || 1).toFixed(1)}x`;
 
     // Model info
     document.getElementById('modelName').textContent = model.modelName || 'all-MiniLM-L6-v2';
@@ -196,6 +358,7 @@ class SettingsController {
    * @param {any} value - Setting value
    */
   async updateSetting(key, value) {
+    const previous = this.settings[key];
     try {
       this.settings[key] = value;
 
@@ -206,7 +369,10 @@ class SettingsController {
 
       if (!response.success) {
         console.error('Failed to update setting:', response.error);
-        this.showError('Failed to update setting');
+        this.showError(response.error || 'Failed to update setting');
+        // Show the value that is still in effect
+        this.settings[key] = previous;
+        this.renderSettings();
       }
     } catch (error) {
       console.error('Failed to update setting:', error);
@@ -214,6 +380,310 @@ class SettingsController {
     }
   }
 
+  /**
+   * Render the editable list of indexing rules
+   * @param {Object[]} rules - Rules in priority order
+   */
+  renderUrlRules(rules) {
+    const container = document.getElementById('urlRulesList');
+    container.innerHTML = '';
+
+    if (rules.length === 0) {
+      container.innerHTML =
+        '<p class="setting-description">No rules: every page is handled by the default below</p>';
+      return;
+    }
+
+    rules.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'url-rule';
+      row.dataset.index = index;
+      row.innerHTML = `
+        <input type="checkbox" class="rule-enabled" title="Enabled">
+        <input type="text" class="setting-input rule-pattern" placeholder="*.example.com or ^intranet\\.">
+        <select class="setting-select rule-type">
+          <option value="glob">Glob</option>
+          <option value="regex">Regex</option>
+        </select>
+        <select class="setting-select rule-action">
+          ${Object.entries(this.RULE_ACTION_LABELS)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('')}
+        </select>
+        <button class="btn secondary" data-rule-action="up" title="Move up">↑</button>
+        <button class="btn secondary" data-rule-action="remove" title="Remove">✕</button>
+      `;
+      row.querySelector('.rule-enabled').checked = rule.enabled !== false;
+      row.querySelector('.rule-pattern').value = rule.pattern;
+      row.querySelector('.rule-type').value = rule.type || 'glob';
+      row.querySelector('.rule-action').value = rule.action || 'skip';
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Read the rules currently shown in the editor
+   * @returns {Object[]} Rules in priority order
+   */
+  readUrlRules() {
+    return Array.from(document.querySelectorAll('#urlRulesList .url-rule')).map(row => ({
+      pattern: row.querySelector('.rule-pattern').value.trim(),
+      type: row.querySelector('.rule-type').value,
+      action: row.querySelector('.rule-action').value,
+      enabled: row.querySelector('.rule-enabled').checked,
+    }));
+  }
+
+  /**
+   * Save the edited rules; the background rejects invalid patterns
+   */
+  async saveUrlRules() {
+    const rules = this.readUrlRules().filter(rule => rule.pattern);
+
+    try {
+      const response = await this.sendMessage({
+        type: 'UPDATE_SETTING',
+        data: { key: 'urlRules', value: rules },
+      });
+
+      if (response.success) {
+        this.settings.urlRules = rules;
+        this.renderUrlRules(rules);
+        this.showSuccess('Indexing rules saved');
+      } else {
+        this.showError(response.error || 'Failed to save indexing rules');
+      }
+    } catch (error) {
+      console.error('Failed to save indexing rules:', error);
+      this.showError('Failed to save indexing rules');
+    }
+  }
+
+  /**
+   * Load the progress of the latest backfill
+   */
+  async loadBackfill() {
+    try {
+      const response = await this.sendMessage({ type: 'GET_BACKFILL' });
+      if (response.success) {
+        this.renderBackfill(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to load backfill:', error);
+    }
+  }
+
+  /**
+   * Show the options for a backfill source
+   * @param {string} source - 'history' or 'bookmarks'
+   */
+  async showBackfillSource(source) {
+    document.getElementById('backfillHistoryOptions').hidden = source !== 'history';
+    document.getElementById('backfillBookmarkOptions').hidden = source !== 'bookmarks';
+
+    if (source === 'bookmarks' && !this.bookmarkFoldersLoaded) {
+      await this.loadBookmarkFolders();
+    }
+  }
+
+  /**
+   * Render the bookmark folders as checkboxes
+   */
+  async loadBookmarkFolders() {
+    const container = document.getElementById('backfillFolders');
+    try {
+      const response = await this.sendMessage({ type: 'GET_BOOKMARK_FOLDERS' });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      this.bookmarkFoldersLoaded = true;
+      container.innerHTML = '';
+      for (const folder of response.data) {
+        const label = document.createElement('label');
+        label.className = 'backfill-folder';
+        label.innerHTML = `
+          <input type="checkbox" value="">
+          <span class="checkbox-custom"></span>
+          <span class="folder-path"></span>
+          <span class="folder-count"></span>
+        `;
+        label.querySelector('input').value = folder.id;
+        label.querySelector('.folder-path').textContent = folder.path || folder.title;
+        label.querySelector('.folder-count').textContent = `(${folder.count})`;
+        container.appendChild(label);
+      }
+    } catch (error) {
+      console.error('Failed to load bookmark folders:', error);
+      container.textContent = 'Bookmarks could not be read';
+    }
+  }
+
+  /**
+   * Start a backfill with the chosen source and range
+   */
+  async startBackfill() {
+    const source = document.getElementById('backfillSource').value;
+    const data = { source };
+
+    if (source === 'history') {
+      const startDate = document.getElementById('backfillStartDate').value;
+      const endDate = document.getElementById('backfillEndDate').value;
+      data.startTime = startDate ? new Date(`${startDate}T00:00`).getTime() : 0;
+      // The end date is inclusive
+      data.endTime = endDate
+        ? new Date(`${endDate}T00:00`).getTime() + 24 * 60 * 60 * 1000
+        : Date.now();
+      if (data.startTime >= data.endTime) {
+        this.showError('The start date must be before the end date');
+        return;
+      }
+    } else {
+      data.folderIds = Array.from(
+        document.querySelectorAll('#backfillFolders input:checked'),
+        input => input.value
+      );
+      if (data.folderIds.length === 0) {
+        this.showError('Select at least one bookmark folder');
+        return;
+      }
+    }
+
+    try {
+      const response = await this.sendMessage({ type: 'START_BACKFILL', data });
+      if (response.success) {
+        this.renderBackfill(response.data);
+      } else {
+        this.showError(response.error || 'Failed to start backfill');
+      }
+    } catch (error) {
+      console.error('Failed to start backfill:', error);
+      this.showError('Failed to start backfill');
+    }
+  }
+
+  /**
+   * Pause, resume or cancel the backfill
+   * @param {string} type - PAUSE_BACKFILL, RESUME_BACKFILL or CANCEL_BACKFILL
+   */
+  async controlBackfill(type) {
+    try {
+      const response = await this.sendMessage({ type });
+      if (response.success) {
+        this.renderBackfill(response.data);
+      } else {
+        this.showError(response.error || 'Failed to update backfill');
+      }
+    } catch (error) {
+      console.error('Failed to update backfill:', error);
+      this.showError('Failed to update backfill');
+    }
+  }
+
+  /**
+   * Render backfill progress and the buttons that apply to it
+   * @param {Object} progress - Backfill progress from the background script
+   */
+  renderBackfill(progress) {
+    this.backfill = progress;
+    const { state, total = 0, done = 0, indexed = 0, skipped = 0, failed = 0 } = progress || {};
+    const active = state === 'running' || state === 'paused';
+
+    const bar = document.getElementById('backfillProgress');
+    bar.max = Math.max(1, total);
+    bar.value = done;
+
+    const label = this.BACKFILL_STATE_LABELS[state];
+    document.getElementById('backfillStatus').textContent = label
+      ? `${label}: ${done} of ${total} pages ` +
+        `(${indexed} indexed, ${skipped} skipped, ${failed} failed)`
+      : 'No backfill yet';
+
+    document.getElementById('startBackfill').disabled = active;
+    const pauseButton = document.getElementById('pauseBackfill');
+    pauseButton.disabled = !active;
+    pauseButton.textContent = state === 'paused' ? 'Resume' : 'Pause';
+    document.getElementById('cancelBackfill').disabled = !active;
+  }
+
+  /**
+   * Load the re-chunk progress and how many pages use other chunk settings
+   */
+  async loadRechunk() {
+    try {
+      const response = await this.sendMessage({ type: 'GET_RECHUNK' });
+      if (response.success) {
+        this.renderRechunk(response.data);
+      }
+    } catch (error) {
+      console.error('Failed to load re-chunk progress:', error);
+    }
+  }
+
+  /**
+   * Start or cancel re-chunking
+   * @param {string} type - START_RECHUNK or CANCEL_RECHUNK
+   */
+  async controlRechunk(type) {
+    try {
+      const response = await this.sendMessage({ type });
+      if (response.success) {
+        this.renderRechunk(response.data);
+      } else {
+        this.showError(response.error || 'Failed to update re-chunking');
+      }
+    } catch (error) {
+      console.error('Failed to update re-chunking:', error);
+      this.showError('Failed to update re-chunking');
+    }
+  }
+
+  /**
+   * Render re-chunk progress, or how many pages are chunked with other settings
+   * @param {Object} progress - Re-chunk progress from the background script
+   */
+  renderRechunk(progress) {
+    this.rechunk = progress;
+    const {
+      state,
+      total = 0,
+      done = 0,
+      rechunked = 0,
+      skipped = 0,
+      failed = 0,
+      outdated = 0,
+    } = progress || {};
+    const running = state === 'running';
+
+    const bar = document.getElementById('rechunkProgress');
+    bar.max = Math.max(1, total);
+    bar.value = running || state === 'done' ? done : 0;
+
+    const label = this.BACKFILL_STATE_LABELS[state];
+    const pending =
+      outdated > 0
+        ? `${outdated} ${outdated === 1 ? 'page uses' : 'pages use'} other chunk settings`
+        : 'All pages use the current chunk settings';
+    document.getElementById('rechunkStatus').textContent = label
+      ? `${label}: ${done} of ${total} pages ` +
+        `(${rechunked} re-chunked, ${skipped} skipped, ${failed} failed)` +
+        (running ? '' : ` • ${pending}`)
+      : pending;
+
+    document.getElementById('startRechunk').disabled = running || outdated === 0;
+    document.getElementById('cancelRechunk').disabled = !running;
+  }
+
+  /**
+   * Format a date for a date input
+   * @param {Date} date - Date
+   * @returns {string} YYYY-MM-DD in local time
+   */
+  formatDateInput(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
   /**
    * Refresh statistics
    */
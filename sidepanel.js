@@ -8,9 +8,14 @@ class SidePanelController {
     this.currentView = 'pages';
     this.pages = [];
     this.filteredPages = [];
+    this.pagesQuery = '';
+    this.pagesLang = ''; // Primary language subtag, or '' for all
     this.currentPage = 1;
     this.itemsPerPage = 10;
     this.searchResults = [];
+    this.searchFilters = [];
+    this.SNIPPET_CONTEXT = 120; // Characters of context shown before a highlighted passage
+    this.DIFF_CONTEXT_LINES = 2; // Unchanged sentences shown around each change
     this.embeddingWorker = null;
   }
 
@@ -21,7 +26,10 @@ class SidePanelController {
     try {
       this.setupEventListeners();
       await this.loadInitialData();
-      this.showView('pages');
+
+      // Opened from the omnibox as sidepanel.html?view=search&q=...
+      const params = new URLSearchParams(location.search);
+      this.showView(params.get('view') || 'pages', { query: params.get('q') });
     } catch (error) {
       console.error('Failed to initialize side panel:', error);
       this.showError('Failed to initialize side panel');
@@ -45,6 +53,11 @@ class SidePanelController {
       this.filterPages(e.target.value);
     });
 
+    document.getElementById('pagesLang').addEventListener('change', e => {
+      this.pagesLang = e.target.value;
+      this.filterPages(this.pagesQuery);
+    });
+
     document.getElementById('pagesSort').addEventListener('change', e => {
       this.sortPages(e.target.value);
     });
@@ -54,6 +67,20 @@ class SidePanelController {
       this.performSearch();
     });
 
+    document.getElementById('searchResults').addEventListener('click', e => {
+      const snippet = e.target.closest('.result-text.snippet');
+      if (snippet) {
+        snippet.classList.toggle('expanded');
+      }
+    });
+
+    document.getElementById('searchFilters').addEventListener('click', e => {
+      const chip = e.target.closest('.filter-chip-remove');
+      if (chip) {
+        this.removeSearchFilter(parseInt(chip.dataset.index));
+      }
+    });
+
     document.getElementById('searchQuery').addEventListener('keypress', e => {
       if (e.key === 'Enter') {
         this.performSearch();
@@ -61,6 +88,13 @@ class SidePanelController {
     });
 
     // Settings view
+    document.getElementById('autoIndexing').addEventListener('change', e => {
+      this.sendMessage({
+        type: 'UPDATE_SETTING',
+        data: { key: 'autoIndexing', value: e.target.checked },
+      }).catch(error => console.error('Failed to update setting:', error));
+    });
+
     document.getElementById('clearAllData').addEventListener('click', () => {
       this.clearAllData();
     });
@@ -77,6 +111,10 @@ class SidePanelController {
       } else if (e.target.classList.contains('delete-page-btn')) {
         const pageId = e.target.dataset.pageId;
         this.deletePage(pageId);
+      } else if (e.target.classList.contains('compare-revision-btn')) {
+        this.showRevisionDiff(e.target.dataset.beforeId, e.target.dataset.afterId);
+      } else if (e.target.classList.contains('delete-clip-btn')) {
+        this.deleteClip(e.target.dataset.pageId, e.target.dataset.parentId);
       } else if (e.target.classList.contains('pagination-btn')) {
         const page = parseInt(e.target.dataset.page);
         this.goToPage(page);
@@ -110,8 +148,10 @@ class SidePanelController {
       // Load pages
       const response = await this.sendMessage({ type: 'GET_ALL_PAGES' });
       if (response.success) {
-        this.pages = response.data || [];
+        // Older revisions are reached through their page
+        this.pages = (response.data || []).filter(page => page.kind !== 'revision');
         this.filteredPages = [...this.pages];
+        this.renderLanguageOptions();
       } else {
         console.error('Failed to load pages:', response.error);
         this.pages = [];
@@ -174,6 +214,10 @@ class SidePanelController {
     if (params.pageId) {
       this.showPageDetail(params.pageId);
     }
+    if (view === 'search' && params.query) {
+      document.getElementById('searchQuery').value = params.query;
+      this.performSearch();
+    }
   }
 
   /**
@@ -201,10 +245,10 @@ class SidePanelController {
       <div class="page-item" data-page-id="${page.pageId}">
         <img class="page-favicon" src="${this.getFaviconUrl(page.url)}" alt="Favicon">
         <div class="page-content">
-          <div class="page-title">${this.escapeHtml(page.title)}</div>
+          <div class="page-title">${this.renderClipBadge(page)}${this.escapeHtml(page.title)}</div>
           <div class="page-url">${this.escapeHtml(page.url)}</div>
           <div class="page-meta">
-            ${this.formatDate(page.timestamp)} • ${page.chunkCount} chunks
+            ${this.formatDate(page.timestamp)} • ${page.chunkCount} chunks${this.renderPageByline(page.metadata)}
           </div>
         </div>
         <div class="page-actions">
@@ -227,20 +271,75 @@ class SidePanelController {
   }
 
   /**
-   * Filter pages based on search query
+   * Author, site and publish date of a page, for list rows and results
+   * @param {Object} metadata - Extracted page metadata
+   * @returns {string} HTML starting with a separator, or '' if nothing is known
+   */
+  renderPageByline(metadata = {}) {
+    const parts = [metadata.author, metadata.siteName]
+      .filter(Boolean)
+      .map(text => this.escapeHtml(text));
+    if (metadata.publishedAt) {
+      parts.push(`published ${new Date(metadata.publishedAt).toLocaleDateString()}`);
+    }
+    return parts.map(part => ` • ${part}`).join('');
+  }
+
+  /**
+   * Fill the language filter with the languages of the indexed pages
+   */
+  renderLanguageOptions() {
+    const select = document.getElementById('pagesLang');
+    const langs = [
+      ...new Set(this.pages.map(page => page.metadata?.lang?.split('-')[0]).filter(Boolean)),
+    ].sort();
+    if (this.pagesLang && !langs.includes(this.pagesLang)) {
+      langs.push(this.pagesLang);
+    }
+
+    select.innerHTML = '<option value="">All languages</option>';
+    for (const lang of langs) {
+      const option = document.createElement('option');
+      option.value = lang;
+      option.textContent = this.formatLanguage(lang);
+      select.appendChild(option);
+    }
+    select.value = this.pagesLang;
+  }
+
+  /**
+   * Display name of a language tag
+   * @param {string} lang - Language tag such as de or en-us
+   * @returns {string} Name such as German, or the tag if unknown
+   */
+  formatLanguage(lang) {
+    try {
+      return new Intl.DisplayNames([], { type: 'language' }).of(lang) || lang;
+    } catch (error) {
+      return lang;
+    }
+  }
+
+  /**
+   * Filter pages based on search query and the language filter
+   * The query matches title, URL, author and site name.
    * @param {string} query - Search query
    */
   filterPages(query) {
-    if (!query.trim()) {
-      this.filteredPages = [...this.pages];
-    } else {
-      const lowerQuery = query.toLowerCase();
-      this.filteredPages = this.pages.filter(
-        page =>
-          page.title.toLowerCase().includes(lowerQuery) ||
-          page.url.toLowerCase().includes(lowerQuery)
+    this.pagesQuery = query;
+    const lowerQuery = query.trim().toLowerCase();
+    this.filteredPages = this.pages.filter(page => {
+      const metadata = page.metadata || {};
+      if (this.pagesLang && (metadata.lang || '').split('-')[0] !== this.pagesLang) {
+        return false;
+      }
+      return (
+        !lowerQuery ||
+        [page.title, page.url, metadata.author, metadata.siteName].some(value =>
+          (value || '').toLowerCase().includes(lowerQuery)
+        )
       );
-    }
+    });
     this.currentPage = 1;
     this.renderPagesList();
   }
@@ -268,6 +367,18 @@ class SidePanelController {
           aVal = a.chunkCount;
           bVal = b.chunkCount;
           break;
+        case 'published':
+          aVal = a.metadata?.publishedAt || 0;
+          bVal = b.metadata?.publishedAt || 0;
+          break;
+        case 'author':
+          aVal = (a.metadata?.author || '').toLowerCase();
+          bVal = (b.metadata?.author || '').toLowerCase();
+          break;
+        case 'site':
+          aVal = (a.metadata?.siteName || '').toLowerCase();
+          bVal = (b.metadata?.siteName || '').toLowerCase();
+          break;
         default:
           return 0;
       }
@@ -343,6 +454,13 @@ class SidePanelController {
   async performSearch() {
     const query = document.getElementById('searchQuery').value.trim();
     const limit = parseInt(document.getElementById('searchLimit').value) || 10;
+    const mode = document.getElementById('searchMode').value;
+    const aggregation = document.getElementById('searchAggregation').value;
+    const chunksPerPage = parseInt(document.getElementById('searchChunksPerPage').value) || 3;
+    const lambda = parseFloat(document.getElementById('searchMmrLambda').value);
+    const mmrLambda = document.getElementById('searchDiversify').checked
+      ? Math.min(1, Math.max(0, isNaN(lambda) ? 0.5 : lambda))
+      : null;
 
     if (!query) {
       this.showError('Please enter a search query');
@@ -354,11 +472,13 @@ class SidePanelController {
 
       const response = await this.sendMessage({
         type: 'SEMANTIC_SEARCH',
-        data: { query, limit },
+        data: { query, limit, mode, groupByPage: true, aggregation, chunksPerPage, mmrLambda },
       });
 
       if (response.success) {
         this.searchResults = response.data || [];
+        this.searchFilters = response.filters || [];
+        this.renderSearchFilters();
         this.renderSearchResults();
       } else {
         this.showError(response.error || 'Search failed');
@@ -369,6 +489,21 @@ class SidePanelController {
     }
   }
 
+  /**
+   * Describe how well a search result matched
+   * @param {Object} result - Search result
+   * @returns {string} Match label
+   */
+  formatMatchScore(result) {
+    if (result.similarity !== null && result.similarity !== undefined) {
+      return `${(result.similarity * 100).toFixed(1)}% match`;
+    }
+    if (result.lexicalScore !== null && result.lexicalScore !== undefined) {
+      return `Keyword score ${result.lexicalScore.toFixed(2)}`;
+    }
+    return new Date(result.timestamp).toLocaleDateString();
+  }
+
   /**
    * Show search loading state
    */
@@ -382,7 +517,54 @@ class SidePanelController {
   }
 
   /**
-   * Render search results
+   * Render the filters parsed from the query as removable chips
+   */
+  renderSearchFilters() {
+    const labels = {
+      site: 'Site',
+      'exclude-site': 'Not site',
+      after: 'After',
+      before: 'Before',
+      title: 'Title',
+      author: 'Author',
+      lang: 'Language',
+      phrase: 'Phrase',
+      exclude: 'Without',
+      revisions: 'Revisions',
+    };
+
+    document.getElementById('searchFilters').innerHTML = this.searchFilters
+      .map(
+        (filter, index) => `
+      <span class="filter-chip">
+        ${labels[filter.type] || filter.type}: ${this.escapeHtml(filter.value)}
+        <button class="filter-chip-remove" data-index="${index}" title="Remove filter">×</button>
+      </span>
+    `
+      )
+      .join('');
+  }
+
+  /**
+   * Remove a filter from the query text and search again
+   * @param {number} index - Index into the current filters
+   */
+  removeSearchFilter(index) {
+    const filter = this.searchFilters[index];
+    if (!filter) return;
+
+    const input = document.getElementById('searchQuery');
+    input.value = input.value.replace(filter.raw, ' ').replace(/\s+/g, ' ').trim();
+
+    if (input.value) {
+      this.performSearch();
+    } else {
+      this.clearSearchResults();
+    }
+  }
+
+  /**
+   * Render search results, one card per page with its best chunks
    */
   renderSearchResults() {
     const container = document.getElementById('searchResults');
@@ -398,34 +580,136 @@ class SidePanelController {
     }
 
     container.innerHTML = this.searchResults
-      .map(
-        result => `
+      .map(result => {
+        const [best, ...more] = result.chunks;
+        return `
       <div class="search-result">
         <div class="result-header">
           <div class="result-source">
-            <a href="${result.pageUrl}" target="_blank">${this.escapeHtml(result.pageTitle)}</a>
+            ${this.renderClipBadge(result)}<a href="${this.escapeHtml(result.fragmentUrl || result.pageUrl)}" target="_blank">${this.escapeHtml(result.pageTitle)}</a>
           </div>
           <div class="result-similarity">
-            ${(result.similarity * 100).toFixed(1)}% match
+            ${this.formatMatchScore(best)}
           </div>
         </div>
-        <div class="result-text">
-          ${this.escapeHtml(result.chunkText)}
-        </div>
+        ${this.renderSnippet(best)}
+        ${
+          more.length > 0
+            ? `
+        <details class="result-more">
+          <summary>${more.length} more matching ${more.length === 1 ? 'section' : 'sections'}</summary>
+          ${more.map(chunk => this.renderResultChunk(chunk)).join('')}
+        </details>`
+            : ''
+        }
         <div class="result-source">
-          Chunk ${result.chunkId} • ${this.escapeHtml(result.pageUrl)}
+          ${result.matchCount} matching ${result.matchCount === 1 ? 'chunk' : 'chunks'} • ${this.escapeHtml(result.pageUrl)}${this.renderPageByline(result.metadata)}
         </div>
       </div>
-    `
-      )
+    `;
+      })
       .join('');
   }
 
+  /**
+   * Render the badge that marks clips in page lists and search results
+   * @param {Object} item - Page or search result
+   * @returns {string} HTML
+   */
+  renderClipBadge(item) {
+    return item.kind === 'clip' ? '<span class="clip-badge">Clip</span>' : '';
+  }
+
+  /**
+   * Render one additional chunk of a page result
+   * @param {Object} chunk - Chunk result
+   * @returns {string} HTML
+   */
+  renderResultChunk(chunk) {
+    return `
+      <div class="result-chunk">
+        <div class="result-chunk-score">${this.formatMatchScore(chunk)}</div>
+        ${this.renderSnippet(chunk)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the headings a chunk sits under
+   * @param {string[]} headingPath - Headings, outermost first
+   * @returns {string} HTML, or '' for chunks without headings
+   */
+  renderHeadingPath(headingPath = []) {
+    if (headingPath.length === 0) {
+      return '';
+    }
+    return `<div class="result-heading-path">${this.escapeHtml(headingPath.join(' > '))}</div>`;
+  }
+
+  /**
+   * Render chunk text with its matched passages highlighted
+   * Collapsed, the snippet starts shortly before the first highlight; expanded, it shows the
+   * whole chunk.
+   * @param {Object} chunk - Chunk result with chunkText and highlights
+   * @returns {string} HTML
+   */
+  renderSnippet(chunk) {
+    const text = chunk.chunkText || '';
+    const highlights = chunk.highlights || [];
+    const excerptStart =
+      highlights.length > 0 ? this.findExcerptStart(text, highlights[0].start) : 0;
+
+    const excerpt = this.highlightText(
+      text.slice(excerptStart),
+      highlights.map(({ start, end }) => ({ start: start - excerptStart, end: end - excerptStart }))
+    );
+    const full = this.highlightText(text, highlights);
+
+    return `
+      ${this.renderHeadingPath(chunk.headingPath)}
+      <div class="result-text snippet" title="Click to expand">
+        <span class="snippet-excerpt">${excerptStart > 0 ? '…' : ''}${excerpt}</span>
+        <span class="snippet-full">${full}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Find where a collapsed snippet should start so the highlight is visible
+   * @param {string} text - Chunk text
+   * @param {number} offset - Start of the first highlight
+   * @returns {number} Word boundary at most SNIPPET_CONTEXT characters before the highlight
+   */
+  findExcerptStart(text, offset) {
+    if (offset <= this.SNIPPET_CONTEXT) return 0;
+    const boundary = text.indexOf(' ', offset - this.SNIPPET_CONTEXT);
+    return boundary === -1 || boundary >= offset ? offset : boundary + 1;
+  }
+
+  /**
+   * Escape text and wrap the given ranges in <mark>
+   * @param {string} text - Text to render
+   * @param {Object[]} ranges - Non-overlapping { start, end } ranges in text order
+   * @returns {string} HTML
+   */
+  highlightText(text, ranges) {
+    let html = '';
+    let position = 0;
+    for (const { start, end } of ranges) {
+      html += this.escapeHtml(text.slice(position, start));
+      html += `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+      position = end;
+    }
+    return html + this.escapeHtml(text.slice(position));
+  }
+
   /**
    * Clear search results
    */
   clearSearchResults() {
     document.getElementById('searchQuery').value = '';
+    this.searchFilters = [];
+    this.renderSearchFilters();
     document.getElementById('searchResults').innerHTML = `
       <div class="empty-state">
         <div class="empty-icon">🔍</div>
@@ -476,6 +760,7 @@ class SidePanelController {
                     <strong>Chunk ${chunk.id || 'Unknown'}</strong>
                     <span class="chunk-meta">${chunk.tokenCount || 0} tokens</span>
                   </div>
+                  ${this.renderHeadingPath(chunk.headingPath)}
                   <div class="chunk-text">${this.escapeHtml(chunk.text || 'No text available')}</div>
                 </div>
               `;
@@ -489,14 +774,23 @@ class SidePanelController {
           chunksHTML = '<div class="empty-state">Failed to load chunks</div>';
         }
 
+        const clipsHTML = page.kind === 'clip' ? '' : await this.renderPageClips(page);
+        const revisionsHTML = page.kind === 'clip' ? '' : await this.renderPageRevisions(page);
+
         document.getElementById('modalPageContent').innerHTML = `
           <div class="page-detail">
             <div class="page-info">
+              ${page.kind === 'clip' ? `<div><strong>Clip</strong> from this page${page.headings?.length ? `, under ${this.escapeHtml(page.headings.join(' > '))}` : ''}</div>` : ''}
               <div><strong>URL:</strong> <a href="${page.url || '#'}" target="_blank">${page.url || 'Unknown URL'}</a></div>
               <div><strong>Indexed:</strong> ${this.formatDate(page.timestamp || Date.now())}</div>
-              <div><strong>Chunks:</strong> ${page.chunkCount || 0}</div>
+              ${this.renderPageMetadata(page.metadata)}
+              ${page.revision ? `<div><strong>Revision:</strong> ${page.revision}${page.kind === 'revision' ? ' (older version)' : ''}</div>` : ''}
+              <div><strong>Chunks:</strong> ${page.chunkCount || 0}${page.chunking ? ` (up to ${page.chunking.chunkSize} tokens, ${page.chunking.overlapSize} overlap)` : ''}</div>
               <div><strong>Dimensions:</strong> ${page.dimensions || 384}</div>
+              ${page.sensitivity ? `<div><strong>Privacy:</strong> ${this.escapeHtml(this.formatSensitivity(page.sensitivity))}</div>` : ''}
             </div>
+            ${clipsHTML}
+            ${revisionsHTML}
             <div class="chunks-section">
               <h4>Content Chunks</h4>
               ${chunksHTML}
@@ -515,6 +809,171 @@ class SidePanelController {
     }
   }
 
+  /**
+   * Render the clips taken from a page, for the page detail view
+   * @param {Object} page - Page metadata
+   * @returns {Promise<string>} HTML, empty if the page has no clips
+   */
+  async renderPageClips(page) {
+    try {
+      const response = await this.sendMessage({ type: 'GET_CLIPS', data: { url: page.url } });
+      const clips = response.success ? response.data : [];
+      if (clips.length === 0) {
+        return '';
+      }
+
+      return `
+        <div class="clips-section">
+          <h4>Clips</h4>
+          ${clips
+            .map(
+              clip => `
+          <div class="clip-item">
+            <div class="clip-info">
+              <div>${this.escapeHtml(clip.headings?.join(' > ') || clip.title)}</div>
+              <div class="chunk-meta">${this.formatDate(clip.timestamp)} • ${clip.chunkCount} chunks</div>
+            </div>
+            <button class="btn view-page-btn" data-page-id="${clip.pageId}">View</button>
+            <button class="btn danger delete-clip-btn" data-page-id="${clip.pageId}" data-parent-id="${page.pageId}">Delete</button>
+          </div>`
+            )
+            .join('')}
+        </div>
+      `;
+    } catch (error) {
+      console.error('Failed to load clips:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Render the versions of a page, each with a comparison to the next newer one
+   * @param {Object} page - Page metadata (any version)
+   * @returns {Promise<string>} HTML, empty if the page never changed
+   */
+  async renderPageRevisions(page) {
+    try {
+      const response = await this.sendMessage({ type: 'GET_REVISIONS', data: { url: page.url } });
+      const versions = response.success ? response.data : [];
+      if (versions.length <= 1) {
+        return '';
+      }
+
+      return `
+        <div class="revisions-section">
+          <h4>Revisions</h4>
+          ${versions
+            .map((version, index) => {
+              const newer = versions[index - 1];
+              return `
+          <div class="revision-item">
+            <div class="revision-info">
+              <div>Revision ${version.revision || 1}${version.kind === 'revision' ? '' : ' (current)'}</div>
+              <div class="chunk-meta">${this.formatDate(version.timestamp)} • ${version.chunkCount} chunks</div>
+            </div>
+            ${newer ? `<button class="btn compare-revision-btn" data-before-id="${version.pageId}" data-after-id="${newer.pageId}">Changes in ${newer.revision}</button>` : ''}
+            ${version.pageId === page.pageId ? '' : `<button class="btn view-page-btn" data-page-id="${version.pageId}">View</button>`}
+          </div>`;
+            })
+            .join('')}
+        </div>
+      `;
+    } catch (error) {
+      console.error('Failed to load revisions:', error);
+      return '';
+    }
+  }
+
+  /**
+   * Show what changed between two versions of a page
+   * Long unchanged stretches are collapsed to their first and last sentences.
+   * @param {string} beforeId - Page ID of the older version
+   * @param {string} afterId - Page ID of the newer version
+   */
+  async showRevisionDiff(beforeId, afterId) {
+    try {
+      const response = await this.sendMessage({
+        type: 'DIFF_REVISIONS',
+        data: { beforeId, afterId },
+      });
+      if (!response.success) {
+        throw new Error(response.error);
+      }
+
+      const { before, after, contentStored, edits } = response.data;
+      const line = (type, text) =>
+        `<div class="diff-line diff-${type}">${this.escapeHtml(text)}</div>`;
+      const editsHTML = edits
+        .map(({ type, lines }) => {
+          if (type !== 'equal') {
+            return lines.map(text => line(type, text)).join('');
+          }
+          if (lines.length <= this.DIFF_CONTEXT_LINES * 2 + 1) {
+            return lines.map(text => line(type, text)).join('');
+          }
+          return [
+            ...lines.slice(0, this.DIFF_CONTEXT_LINES).map(text => line(type, text)),
+            `<div class="diff-skipped">${lines.length - this.DIFF_CONTEXT_LINES * 2} unchanged sentences</div>`,
+            ...lines.slice(-this.DIFF_CONTEXT_LINES).map(text => line(type, text)),
+          ].join('');
+        })
+        .join('');
+
+      document.getElementById('modalPageContent').innerHTML = `
+        <div class="page-detail">
+          <div class="page-info">
+            <div><strong>Changes:</strong> revision ${before.revision} (${this.formatDate(before.timestamp)}) → revision ${after.revision} (${this.formatDate(after.timestamp)})</div>
+            ${contentStored ? '' : '<div>Page content is not stored, so only the stored snippets are compared.</div>'}
+            <div><button class="btn view-page-btn" data-page-id="${after.pageId}">Back to revision ${after.revision}</button></div>
+          </div>
+          <div class="diff">${editsHTML || '<div class="empty-state">No differences</div>'}</div>
+        </div>
+      `;
+    } catch (error) {
+      console.error('Failed to compare revisions:', error);
+      this.showError(`Failed to compare revisions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the extracted metadata of a page for its detail view
+   * @param {Object} metadata - Extracted page metadata
+   * @returns {string} HTML rows for the known fields
+   */
+  renderPageMetadata(metadata = {}) {
+    const rows = [
+      ['Author', metadata.author],
+      ['Site', metadata.siteName],
+      ['Published', metadata.publishedAt && this.formatDate(metadata.publishedAt)],
+      ['Updated', metadata.modifiedAt && this.formatDate(metadata.modifiedAt)],
+      ['Language', metadata.lang && this.formatLanguage(metadata.lang)],
+      ['Type', metadata.type],
+      ['Keywords', metadata.keywords?.join(', ')],
+      ['Description', metadata.excerpt],
+    ];
+    return rows
+      .filter(([, value]) => value)
+      .map(([label, value]) => `<div><strong>${label}:</strong> ${this.escapeHtml(value)}</div>`)
+      .join('');
+  }
+
+  /**
+   * Describe the sensitivity decision recorded for a page
+   * @param {Object} sensitivity - { signals, decision, redactions }
+   * @returns {string} Summary
+   */
+  formatSensitivity({ signals = [], decision, redactions = {} }) {
+    const parts = [decision];
+    if (signals.length > 0) {
+      parts.push(`signals: ${signals.join(', ')}`);
+    }
+    const redacted = Object.entries(redactions).map(([type, count]) => `${count} ${type}`);
+    if (redacted.length > 0) {
+      parts.push(`redacted: ${redacted.join(', ')}`);
+    }
+    return parts.join(' • ');
+  }
+
   /**
    * Close modal
    */
@@ -551,6 +1010,36 @@ class SidePanelController {
     }
   }
 
+  /**
+   * Delete a clip and refresh the detail view of its page
+   * @param {string} clipId - Clip page ID
+   * @param {string} parentId - ID of the page whose detail view lists the clip
+   */
+  async deleteClip(clipId, parentId) {
+    if (!confirm('Are you sure you want to delete this clip?')) {
+      return;
+    }
+
+    try {
+      const response = await this.sendMessage({
+        type: 'DELETE_CLIP',
+        data: { clipId },
+      });
+
+      if (response.success) {
+        this.pages = this.pages.filter(p => p.pageId !== clipId);
+        this.filteredPages = this.filteredPages.filter(p => p.pageId !== clipId);
+        this.renderPagesList();
+        await this.showPageDetail(parentId);
+      } else {
+        this.showError('Failed to delete clip');
+      }
+    } catch (error) {
+      console.error('Failed to delete clip:', error);
+      this.showError('Failed to delete clip');
+    }
+  }
+
   /**
    * Load settings
    */
@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.mjs';
+import { CaptureQueue } from '../lib/capture-queue.js';
+
+const STORAGE_KEY = 'offlineIndexerQueue';
+
+/**
+ * Let pending promise callbacks and storage writes run
+ */
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('CaptureQueue', () => {
+  let chrome;
+
+  beforeEach(() => {
+    chrome = installChrome();
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('schedules retries with an alarm and runs them when it fires', async () => {
+    let attempts = 0;
+    const queue = new CaptureQueue({
+      run: async () => {
+        if (++attempts === 1) throw new Error('offscreen document closed');
+      },
+    });
+
+    const job = await queue.enqueue({ url: 'https://example.com/' });
+    await settle();
+
+    assert.equal(job.state, 'queued');
+    assert.equal(job.attempts, 1);
+    const alarm = await chrome.alarms.get('offlineIndexerQueueRetry');
+    assert.equal(alarm.when, job.nextAttemptAt);
+    assert.ok(job.nextAttemptAt - Date.now() > 25 * 1000);
+
+    job.nextAttemptAt = Date.now(); // The alarm fires once the delay is over
+    await queue.handleAlarm({ name: 'offlineIndexerQueueRetry' });
+    await settle();
+
+    assert.equal(job.state, 'done');
+    assert.equal(attempts, 2);
+    assert.equal(await chrome.alarms.get('offlineIndexerQueueRetry'), undefined);
+  });
+
+  it('ignores other alarms', async () => {
+    const run = mock.fn(async () => {});
+    const queue = new CaptureQueue({ run });
+    await queue.load();
+    const pump = mock.method(queue, 'pump');
+
+    await queue.handleAlarm({ name: 'somethingElse' });
+
+    assert.equal(pump.mock.callCount(), 0);
+  });
+
+  describe('after a worker restart', () => {
+    const interruptedJob = attempts => ({
+      id: 'job_1',
+      url: 'https://example.com/crash',
+      state: 'embedding',
+      attempts,
+      error: null,
+      createdAt: 1,
+      updatedAt: 1,
+      nextAttemptAt: 0,
+    });
+
+    it('counts the interrupted run as an attempt and retries after a delay', async () => {
+      await chrome.storage.local.set({ [STORAGE_KEY]: { jobs: [interruptedJob(1)] } });
+      const run = mock.fn(async () => {});
+      const queue = new CaptureQueue({ run });
+
+      await queue.load();
+
+      const [job] = queue.jobs;
+      assert.equal(job.state, 'queued');
+      assert.equal(job.attempts, 1);
+      assert.ok(job.nextAttemptAt > Date.now());
+      assert.equal(run.mock.callCount(), 0);
+    });
+
+    it('fails a job whose last attempt was interrupted', async () => {
+      await chrome.storage.local.set({ [STORAGE_KEY]: { jobs: [interruptedJob(4)] } });
+      const onChange = mock.fn();
+      const run = mock.fn(async () => {});
+      const queue = new CaptureQueue({ run, onChange, maxAttempts: 4 });
+
+      await queue.load();
+
+      const [job] = queue.jobs;
+      assert.equal(job.state, 'failed');
+      assert.match(job.error, /service worker stopped/);
+      assert.equal(run.mock.callCount(), 0);
+      assert.equal(onChange.mock.calls[0].arguments[0].state, 'failed');
+      assert.equal(chrome.storage.local.data[STORAGE_KEY].jobs[0].state, 'failed');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Chrome API Stub
+ * In-memory stand-in for the chrome.* APIs used by the service worker and the offscreen
+ * document, installed as a global before either script is imported. Event listeners are kept
+ * so tests can dispatch messages, alarms and clicks.
+ */
+
+/**
+ * Extension event with addListener / removeListener
+ * @returns {Object} Event; dispatch(...args) calls every listener and returns their results
+ */
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: listener => listeners.push(listener),
+    removeListener: listener => {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener: listener => listeners.includes(listener),
+    dispatch: (...args) => listeners.map(listener => listener(...args)),
+  };
+}
+
+/**
+ * Storage area keeping JSON copies, like chrome.storage
+ * @returns {Object} { get, set, remove, clear, data }
+ */
+function createStorageArea() {
+  const data = {};
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    data,
+    async get(keys) {
+      if (keys === null || keys === undefined) return copy(data);
+      const names =
+        typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const name of names) {
+        if (name in data) result[name] = copy(data[name]);
+      }
+      return result;
+    },
+    async set(items) {
+      Object.assign(data, copy(items));
+    },
+    async remove(keys) {
+      for (const name of [].concat(keys)) delete data[name];
+    },
+    async clear() {
+      for (const name of Object.keys(data)) delete data[name];
+    },
+  };
+}
+
+/**
+ * Create a chrome API stub
+ * @returns {Object} chrome; calls to tabs, action and alarms are recorded in chrome.calls
+ */
+export function createChrome() {
+  const calls = [];
+  const record =
+    (name, result) =>
+    async (...args) => {
+      calls.push({ name, args });
+      return typeof result === 'function' ? result(...args) : result;
+    };
+  const alarms = new Map();
+
+  return {
+    calls,
+    runtime: {
+      id: 'test-extension',
+      lastError: undefined,
+      getURL: path => `chrome-extension://test-extension/${path}`,
+      sendMessage: record('runtime.sendMessage'),
+      onMessage: createEvent(),
+      onInstalled: createEvent(),
+      onSuspend: createEvent(),
+    },
+    storage: { local: createStorageArea() },
+    tabs: {
+      get: record('tabs.get', tabId => ({ id: tabId, url: 'https://example.com/' })),
+      create: record('tabs.create', options => ({ id: 1000, ...options })),
+      update: record('tabs.update'),
+      remove: record('tabs.remove'),
+      query: record('tabs.query', []),
+      sendMessage: record('tabs.sendMessage'),
+      onRemoved: createEvent(),
+      onUpdated: createEvent(),
+    },
+    action: {
+      setBadgeText: record('action.setBadgeText'),
+      setBadgeBackgroundColor: record('action.setBadgeBackgroundColor'),
+    },
+    alarms: {
+      create: async (name, info) => {
+        calls.push({ name: 'alarms.create', args: [name, info] });
+        alarms.set(name, { name, ...info });
+      },
+      get: async name => alarms.get(name),
+      clear: async name => alarms.delete(name),
+      onAlarm: createEvent(),
+    },
+    contextMenus: {
+      create: () => {},
+      removeAll: callback => callback?.(),
+      onClicked: createEvent(),
+    },
+    commands: { onCommand: createEvent() },
+    omnibox: {
+      setDefaultSuggestion: () => {},
+      onInputChanged: createEvent(),
+      onInputEntered: createEvent(),
+    },
+    offscreen: {
+      hasDocument: async () => false,
+      createDocument: record('offscreen.createDocument'),
+      closeDocument: record('offscreen.closeDocument'),
+    },
+    pageCapture: {
+      saveAsMHTML: record('pageCapture.saveAsMHTML', new Blob(['MIME-Version: 1.0'])),
+    },
+    history: { search: record('history.search', []) },
+    bookmarks: {
+      getTree: record('bookmarks.getTree', []),
+      getSubTree: record('bookmarks.getSubTree', []),
+    },
+  };
+}
+
+/**
+ * Install a fresh chrome stub as the global chrome
+ * @returns {Object} The stub
+ */
+export function installChrome() {
+  globalThis.chrome = createChrome();
+  return globalThis.chrome;
+}
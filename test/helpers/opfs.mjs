@@ -0,0 +1,151 @@
+/**
+ * OPFS Stub
+ * In-memory Origin Private File System behind navigator.storage.getDirectory(), with the
+ * handle and writable stream methods the vector store and indexes use.
+ */
+
+class NotFoundError extends Error {
+  constructor(name) {
+    super(`${name} not found`);
+    this.name = 'NotFoundError';
+  }
+}
+
+class FileHandle {
+  constructor(name) {
+    this.kind = 'file';
+    this.name = name;
+    this.data = new Uint8Array(0);
+    this.lastModified = Date.now();
+  }
+
+  async getFile() {
+    const data = this.data;
+    return {
+      size: data.byteLength,
+      lastModified: this.lastModified,
+      arrayBuffer: async () => data.slice().buffer,
+      text: async () => new TextDecoder().decode(data),
+      slice: (start, end) => new Blob([data.slice(start, end)]),
+    };
+  }
+
+  async createWritable({ keepExistingData = false } = {}) {
+    const handle = this;
+    let bytes = keepExistingData ? Array.from(handle.data) : [];
+    let position = 0;
+
+    const write = async chunk => {
+      if (chunk && chunk.type === 'write') {
+        position = chunk.position ?? position;
+        return write(chunk.data);
+      }
+      const data =
+        typeof chunk === 'string'
+          ? new TextEncoder().encode(chunk)
+          : chunk instanceof ArrayBuffer
+            ? new Uint8Array(chunk)
+            : chunk instanceof Blob
+              ? new Uint8Array(await chunk.arrayBuffer())
+              : new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      for (let i = 0; i < data.length; i++) {
+        bytes[position + i] = data[i];
+      }
+      position += data.length;
+    };
+
+    return {
+      write,
+      seek: async offset => {
+        position = offset;
+      },
+      truncate: async size => {
+        bytes.length = size;
+      },
+      close: async () => {
+        handle.data = Uint8Array.from(bytes, byte => byte || 0);
+        handle.lastModified = Date.now();
+      },
+    };
+  }
+}
+
+class DirectoryHandle {
+  constructor(name) {
+    this.kind = 'directory';
+    this.name = name;
+    this.children = new Map();
+  }
+
+  async getDirectoryHandle(name, { create = false } = {}) {
+    return this.getChild(name, create, DirectoryHandle);
+  }
+
+  async getFileHandle(name, { create = false } = {}) {
+    return this.getChild(name, create, FileHandle);
+  }
+
+  getChild(name, create, Type) {
+    let child = this.children.get(name);
+    if (!child) {
+      if (!create) throw new NotFoundError(name);
+      child = new Type(name);
+      this.children.set(name, child);
+    }
+    if (!(child instanceof Type)) {
+      throw new TypeError(`${name} is not a ${Type === FileHandle ? 'file' : 'directory'}`);
+    }
+    return child;
+  }
+
+  async removeEntry(name) {
+    if (!this.children.delete(name)) throw new NotFoundError(name);
+  }
+
+  async *entries() {
+    yield* [...this.children];
+  }
+
+  async *keys() {
+    yield* [...this.children.keys()];
+  }
+
+  async *values() {
+    yield* [...this.children.values()];
+  }
+}
+
+/**
+ * Install an empty OPFS as navigator.storage
+ * @returns {DirectoryHandle} Root directory
+ */
+export function installOpfs() {
+  const root = new DirectoryHandle('');
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { ...globalThis.navigator, storage: { getDirectory: async () => root } },
+    configurable: true,
+    writable: true,
+  });
+  return root;
+}
+
+/**
+ * Read a file from an OPFS stub
+ * @param {DirectoryHandle} root - Root directory
+ * @param {string} path - Slash-separated path
+ * @returns {Promise<string|null>} File text, or null if it does not exist
+ */
+export async function readText(root, path) {
+  const parts = path.split('/');
+  let directory = root;
+  try {
+    for (const part of parts.slice(0, -1)) {
+      directory = await directory.getDirectoryHandle(part);
+    }
+    const file = await (await directory.getFileHandle(parts[parts.length - 1])).getFile();
+    return file.text();
+  } catch (error) {
+    if (error.name === 'NotFoundError') return null;
+    throw error;
+  }
+}
@@ -0,0 +1,144 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { installChrome } from './helpers/chrome.mjs';
+import { installOpfs } from './helpers/opfs.mjs';
+import { WordPieceTokenizer, parseVocab } from '../lib/wordpiece-tokenizer.js';
+
+installChrome();
+installOpfs();
+
+const { backgroundService } = await import('../background.js');
+// The offscreen document cannot load ONNX Runtime here; its failed start-up is expected
+const quiet = mock.method(console, 'error', () => {});
+const { OffscreenController } = await import('../offscreen.js');
+await new Promise(resolve => setTimeout(resolve, 0));
+quiet.mock.restore();
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Stub the offscreen document: the query embeds to [1, 0], sentences mentioning "cat" to [1, 0]
+ * and any other sentence to [0, 1]
+ * @returns {Object[]} The texts of each EMBED_TEXTS request
+ */
+function stubEmbeddings() {
+  const requests = [];
+  mock.method(backgroundService, 'computeQueryEmbedding', async () => [1, 0]);
+  mock.method(backgroundService, 'sendToOffscreen', async ({ type, data }) => {
+    assert.equal(type, 'EMBED_TEXTS');
+    requests.push(data.texts);
+    return { embeddings: data.texts.map(text => (text.includes('cat') ? [1, 0] : [0, 1])) };
+  });
+  return requests;
+}
+
+const result = (chunkText, lexicalScore = null) => ({
+  pageUrl: 'https://example.com/',
+  chunkText,
+  lexicalScore,
+});
+
+describe('BackgroundService.highlightResults', () => {
+  it('highlights term matches without embedding anything', async () => {
+    const requests = stubEmbeddings();
+    const results = [
+      result('Intro text. The kitten sleeps. More text.', 1.5),
+      result('Nothing here. A kitten again.'),
+    ];
+
+    await backgroundService.highlightResults('kitten', results);
+
+    assert.equal(requests.length, 0);
+    assert.deepEqual(results[0].highlights, [{ start: 12, end: 30 }]);
+    assert.deepEqual(results[1].highlights, [{ start: 14, end: 29 }]);
+  });
+
+  it('embeds the distinct sentences of all semantic matches in one batch', async () => {
+    const requests = stubEmbeddings();
+    const results = [
+      result('A dog barks. The cat sleeps.'),
+      // Chunk overlap repeats the last sentence of the previous chunk
+      result('The cat sleeps. A bird sings.'),
+    ];
+
+    await backgroundService.highlightResults('feline', results);
+
+    assert.deepEqual(requests, [['A dog barks.', 'The cat sleeps.', 'A bird sings.']]);
+    assert.deepEqual(results[0].highlights, [{ start: 13, end: 28 }]);
+    assert.deepEqual(results[1].highlights, [{ start: 0, end: 15 }]);
+  });
+
+  it('stops embedding once the sentence budget is used up', async () => {
+    const requests = stubEmbeddings();
+    const sentences = count =>
+      Array.from({ length: count }, (_, i) => `Sentence ${i} about a cat.`).join(' ');
+    const results = [
+      result(sentences(backgroundService.HIGHLIGHT_EMBED_LIMIT - 1)),
+      result('Two more. Sentences here.'),
+    ];
+
+    await backgroundService.highlightResults('feline', results);
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].length, backgroundService.HIGHLIGHT_EMBED_LIMIT - 1);
+    assert.ok(results[0].highlights.length > 0);
+    assert.deepEqual(results[1].highlights, []);
+    assert.equal(results[1].fragmentUrl, 'https://example.com/');
+  });
+});
+
+describe('OffscreenController.computeBatchEmbeddings', () => {
+  const vocab = parseVocab(
+    readFileSync(new URL('./fixtures/tokenizer/vocab.txt', import.meta.url), 'utf8')
+  );
+
+  /**
+   * Controller whose model maps each token to a vector derived from its id and position
+   * @returns {Object} { controller, runs } with the number of inference runs
+   */
+  function createController() {
+    const controller = new OffscreenController();
+    controller.logger = { log() {}, warn() {}, error() {} };
+    controller.tokenizer = new WordPieceTokenizer(vocab);
+    controller.ort = {
+      Tensor: class {
+        constructor(type, data, dims) {
+          Object.assign(this, { type, data, dims });
+        }
+        dispose() {}
+      },
+    };
+
+    const hiddenSize = 4;
+    const runs = { count: 0 };
+    controller.session = {
+      run: async ({ input_ids: inputIds }) => {
+        runs.count++;
+        const [batchSize, seqLength] = inputIds.dims;
+        const data = new Float32Array(batchSize * seqLength * hiddenSize);
+        for (let token = 0; token < batchSize * seqLength; token++) {
+          for (let i = 0; i < hiddenSize; i++) {
+            data[token * hiddenSize + i] =
+              (Number(inputIds.data[token]) % 97) * (i + 1) + (token % seqLength);
+          }
+        }
+        return { last_hidden_state: { data, dims: [batchSize, seqLength, hiddenSize] } };
+      },
+    };
+    return { controller, runs };
+  }
+
+  it('matches embedding each text on its own, in a single run', async () => {
+    const texts = ['The cat sleeps.', 'Hi', 'A much longer sentence with several more words.'];
+    const { controller, runs } = createController();
+
+    const batch = await controller.computeBatchEmbeddings(texts);
+    assert.equal(runs.count, 1);
+
+    for (const [i, text] of texts.entries()) {
+      const single = await controller.computeSingleEmbedding(text);
+      assert.deepEqual(Array.from(batch[i]), Array.from(single), text);
+    }
+  });
+});
@@ -0,0 +1,314 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.mjs';
+import { installOpfs } from './helpers/opfs.mjs';
+import { HnswIndex } from '../lib/hnsw-index.js';
+import { VectorStore } from '../lib/vector-store.js';
+
+installChrome();
+installOpfs();
+
+const { backgroundService } = await import('../background.js');
+
+const DIMENSIONS = 16;
+
+/**
+ * Seeded pseudo-random numbers in [0, 1)
+ * @param {number} seed - Seed
+ * @returns {Function} Generator
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+const random = createRandom(42);
+const randomVector = () => Float32Array.from({ length: DIMENSIONS }, () => random() - 0.5);
+
+/**
+ * Pages of random chunk vectors
+ * @param {number} pageCount - Number of pages
+ * @param {number} chunksPerPage - Vectors per page
+ * @returns {Map<string, Float32Array[]>} pageId -> vectors
+ */
+function createPages(pageCount, chunksPerPage) {
+  const pages = new Map();
+  for (let i = 0; i < pageCount; i++) {
+    pages.set(
+      `page_${i}`,
+      Array.from({ length: chunksPerPage }, () => randomVector())
+    );
+  }
+  return pages;
+}
+
+/**
+ * Build an index over pages
+ * @param {Map<string, Float32Array[]>} pages - pageId -> vectors
+ * @returns {HnswIndex} Index
+ */
+function buildIndex(pages) {
+  const index = new HnswIndex({ M: 8, efConstruction: 64 });
+  for (const [pageId, vectors] of pages) {
+    index.addPage(pageId, vectors);
+  }
+  return index;
+}
+
+const key = ({ pageId, chunkIndex }) => `${pageId}#${chunkIndex}`;
+
+/**
+ * Share of the exact top k that the graph search finds
+ * @param {HnswIndex} index - Index
+ * @param {number} queries - Number of random queries
+ * @returns {number} Recall
+ */
+function recall(index, queries = 20) {
+  let found = 0;
+  for (let i = 0; i < queries; i++) {
+    const query = randomVector();
+    const exact = new Set(index.searchExact(query, 10).map(key));
+    found += index.search(query, 10, 64).filter(match => exact.has(key(match))).length;
+  }
+  return found / (queries * 10);
+}
+
+/**
+ * Check that every link points at an existing node on a level that node has
+ * @param {HnswIndex} index - Index
+ */
+function assertLinksValid(index) {
+  index.links.forEach((nodeLinks, nodeId) => {
+    assert.equal(nodeLinks.length, index.levels[nodeId] + 1);
+    nodeLinks.forEach((levelLinks, level) => {
+      for (const neighbour of levelLinks) {
+        assert.ok(neighbour >= 0 && neighbour < index.labels.length, `link ${neighbour}`);
+        assert.ok(index.levels[neighbour] >= level);
+        assert.notEqual(neighbour, nodeId);
+      }
+    });
+  });
+}
+
+beforeEach(() => {
+  // Node levels are drawn with Math.random; keep the graphs reproducible
+  mock.method(Math, 'random', createRandom(7));
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('HnswIndex', () => {
+  it('finds the exact nearest neighbours for most queries', () => {
+    const index = buildIndex(createPages(40, 10));
+
+    assert.equal(index.size, 400);
+    assertLinksValid(index);
+    assert.ok(recall(index) >= 0.9);
+
+    const [pageId, vectors] = [...createPages(1, 1)][0];
+    index.addPage(pageId.replace('page', 'extra'), vectors);
+    const [best] = index.search(vectors[0], 1);
+    assert.deepEqual(
+      { pageId: best.pageId, chunkIndex: best.chunkIndex },
+      { pageId: 'extra_0', chunkIndex: 0 }
+    );
+    assert.ok(best.similarity > 0.999);
+  });
+
+  it('never returns removed pages, and keeps them as tombstones until enough are dead', () => {
+    const pages = createPages(40, 10);
+    const index = buildIndex(pages);
+    const nodeCount = index.labels.length;
+
+    index.removePages(['page_0', 'page_1', 'page_2']);
+
+    assert.equal(index.size, 370);
+    assert.equal(index.labels.length, nodeCount, 'nodes are not renumbered on every removal');
+    assert.equal(index.hasPage('page_1'), false);
+    for (const vector of pages.get('page_1')) {
+      assert.ok(index.search(vector, 20).every(match => !/^page_[012]$/.test(match.pageId)));
+      assert.ok(index.searchExact(vector, 20).every(match => !/^page_[012]$/.test(match.pageId)));
+    }
+    assert.ok(recall(index) >= 0.9);
+  });
+
+  it('does not rebuild the graph when a page is replaced', () => {
+    const pages = createPages(40, 10);
+    const index = buildIndex(pages);
+    const compact = mock.method(index, 'compact');
+
+    index.addPage('page_3', createPages(1, 10).get('page_0'));
+
+    assert.equal(compact.mock.callCount(), 0);
+    assert.equal(index.size, 400);
+    assert.equal(index.pageNodes.get('page_3').length, 10);
+    assert.ok(index.pageNodes.get('page_3').every(nodeId => nodeId >= 400));
+  });
+
+  it('relinks and renumbers the live nodes once a quarter of them are dead', () => {
+    const pages = createPages(40, 10);
+    const index = buildIndex(pages);
+    const removed = [...pages.keys()].slice(0, 10);
+
+    index.removePages(removed);
+
+    assert.equal(index.deleted.size, 0);
+    assert.equal(index.labels.length, 300);
+    assertLinksValid(index);
+    assert.ok(index.labels.every(label => !removed.includes(label.pageId)));
+    for (const [pageId, nodeIds] of index.pageNodes) {
+      assert.deepEqual(
+        nodeIds.map(nodeId => index.labels[nodeId]),
+        nodeIds.map((_, chunkIndex) => ({ pageId, chunkIndex }))
+      );
+    }
+    assert.ok(recall(index) >= 0.9);
+  });
+
+  it('promotes the highest remaining node when the entry point is removed', () => {
+    const index = buildIndex(createPages(20, 5));
+    const entryPage = index.labels[index.entryPoint].pageId;
+
+    index.removePage(entryPage);
+    index.compact();
+
+    const topLevel = Math.max(...index.levels);
+    assert.notEqual(index.labels[index.entryPoint].pageId, entryPage);
+    assert.equal(index.levels[index.entryPoint], topLevel);
+    assert.equal(index.maxLevel, topLevel);
+    assert.equal(index.search(randomVector(), 5).length, 5);
+  });
+
+  it('becomes empty when every page is removed', () => {
+    const pages = createPages(3, 2);
+    const index = buildIndex(pages);
+
+    index.removePages([...pages.keys()]);
+
+    assert.equal(index.size, 0);
+    assert.equal(index.entryPoint, -1);
+    assert.deepEqual(index.search(randomVector(), 5), []);
+  });
+});
+
+describe('HnswIndex.save and load', () => {
+  let store;
+
+  beforeEach(async () => {
+    installOpfs();
+    store = await new VectorStore({ dimensions: DIMENSIONS }).open();
+  });
+
+  it('rebuilds a missing graph from the vector store', async () => {
+    for (const [pageId, vectors] of createPages(5, 4)) {
+      await store.writePage(pageId, vectors);
+    }
+
+    const index = new HnswIndex();
+    assert.equal(await index.load(store), true);
+    assert.equal(index.size, 20);
+  });
+
+  it('reloads a saved graph as it was', async () => {
+    const pages = createPages(10, 4);
+    for (const [pageId, vectors] of pages) {
+      await store.writePage(pageId, vectors);
+    }
+    const index = buildIndex(pages);
+    await index.save();
+
+    const loaded = new HnswIndex();
+    assert.equal(await loaded.load(store), false);
+    assert.deepEqual(loaded.labels, index.labels);
+    assert.deepEqual(loaded.links, index.links);
+    assert.equal(loaded.entryPoint, index.entryPoint);
+    const query = randomVector();
+    assert.deepEqual(loaded.search(query, 5).map(key), index.search(query, 5).map(key));
+  });
+
+  it('applies pages added, re-chunked and deleted while it was not loaded', async () => {
+    const pages = createPages(10, 4);
+    for (const [pageId, vectors] of pages) {
+      await store.writePage(pageId, vectors);
+    }
+    const index = buildIndex(pages);
+    await index.save();
+
+    await store.removePage('page_0');
+    await store.writePage('page_1', createPages(1, 6).get('page_0'));
+    await store.writePage('page_new', createPages(1, 3).get('page_0'));
+
+    const loaded = new HnswIndex();
+    assert.equal(await loaded.load(store), true);
+    assert.equal(loaded.hasPage('page_0'), false);
+    assert.equal(loaded.pageNodes.get('page_1').length, 6);
+    assert.equal(loaded.pageNodes.get('page_new').length, 3);
+    assert.equal(loaded.size, 8 * 4 + 6 + 3);
+    assertLinksValid(loaded);
+  });
+
+  it('drops saved tombstones on load', async () => {
+    const pages = createPages(10, 4);
+    for (const [pageId, vectors] of pages) {
+      await store.writePage(pageId, vectors);
+    }
+    const index = buildIndex(pages);
+    index.removePage('page_2');
+    assert.equal(index.deleted.size, 4);
+    await index.save();
+    await store.removePage('page_2');
+
+    const loaded = new HnswIndex();
+    assert.equal(await loaded.load(store), true);
+    assert.equal(loaded.deleted.size, 0);
+    assert.equal(loaded.labels.length, 36);
+    assert.ok(loaded.labels.every(label => label.pageId !== 'page_2'));
+    assertLinksValid(loaded);
+  });
+});
+
+describe('BackgroundService.findNearestChunks', () => {
+  const { ANN_MIN_VECTORS } = backgroundService;
+  let index;
+
+  beforeEach(() => {
+    index = buildIndex(createPages(20, 5));
+    backgroundService.settings.annSearchEf = 64;
+    backgroundService.ANN_MIN_VECTORS = 50;
+  });
+
+  afterEach(() => {
+    backgroundService.ANN_MIN_VECTORS = ANN_MIN_VECTORS;
+  });
+
+  it('uses the graph for large indexes', () => {
+    const exact = mock.method(index, 'searchExact');
+
+    const matches = backgroundService.findNearestChunks(index, randomVector(), 5, () => true);
+
+    assert.equal(matches.length, 5);
+    assert.equal(exact.mock.callCount(), 0);
+  });
+
+  it('scans every node when a filter leaves the graph walk short of results', () => {
+    mock.method(index, 'search', () => []);
+    const onlyPage = label => label.pageId === 'page_7';
+
+    const matches = backgroundService.findNearestChunks(index, randomVector(), 5, onlyPage);
+
+    assert.equal(matches.length, 5);
+    assert.ok(matches.every(onlyPage));
+  });
+
+  it('scans every node for small indexes', () => {
+    backgroundService.ANN_MIN_VECTORS = 5000;
+    const search = mock.method(index, 'search');
+
+    backgroundService.findNearestChunks(index, randomVector(), 5, () => true);
+
+    assert.equal(search.mock.callCount(), 0);
+  });
+});
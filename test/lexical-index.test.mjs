@@ -0,0 +1,167 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installOpfs, readText } from './helpers/opfs.mjs';
+import { LexicalIndex } from '../lib/lexical-index.js';
+
+/**
+ * Lines of a log segment, parsed
+ * @param {Object} root - OPFS root
+ * @param {string} name - Segment file name
+ * @returns {Promise<Object[]>} Records
+ */
+async function readLog(root, name) {
+  const text = await readText(root, `lexical/${name}`);
+  return text === null ? null : text.trim().split('\n').map(JSON.parse);
+}
+
+/**
+ * Search results without scores, for comparing two indexes
+ */
+const matches = (index, query) =>
+  index.search(query, 10).map(({ pageId, chunkIndex }) => `${pageId}#${chunkIndex}`);
+
+describe('LexicalIndex', () => {
+  let root;
+  let writer;
+
+  beforeEach(async () => {
+    root = installOpfs();
+    writer = await new LexicalIndex().open();
+  });
+
+  it('removes and renames pages through their own term lists', () => {
+    writer.addPage('page_1', ['ERR_CONNECTION_RESET in chrome', 'network error']);
+    writer.addPage('page_2', ['chrome settings']);
+
+    writer.renamePage('page_1', 'page_3');
+    assert.deepEqual(matches(writer, 'chrome'), ['page_2#0', 'page_3#0']);
+    assert.deepEqual(writer.pageTerms.get('page_3').sort(), [
+      'chrome',
+      'connection',
+      'err',
+      'err_connection_reset',
+      'error',
+      'in',
+      'network',
+      'reset',
+    ]);
+
+    writer.removePage('page_3');
+    assert.deepEqual(matches(writer, 'chrome network'), ['page_2#0']);
+    assert.equal(writer.postings.has('network'), false);
+    assert.equal(writer.chunkCount, 1);
+  });
+
+  it('appends each change to the log instead of rewriting the index', async () => {
+    writer.addPage('page_1', ['first page']);
+    await writer.save();
+    const [segment] = writer.manifest.segments;
+    const firstLine = await readText(root, `lexical/${segment}`);
+
+    writer.addPage('page_2', ['second page']);
+    writer.removePage('page_1');
+    writer.renamePage('page_2', 'page_3');
+    await writer.save();
+
+    const text = await readText(root, `lexical/${segment}`);
+    assert.ok(text.startsWith(firstLine));
+    assert.deepEqual((await readLog(root, segment)).slice(1), [
+      { add: 'page_2', lengths: [2], terms: { second: [0, 1], page: [0, 1] } },
+      { remove: 'page_1' },
+      { rename: 'page_2', to: 'page_3' },
+    ]);
+    assert.equal(writer.hasUnsavedChanges(), false);
+  });
+
+  it('lets readers apply only the lines appended since they last opened it', async () => {
+    writer.addPage('page_1', ['alpha beta']);
+    await writer.save();
+    const reader = await new LexicalIndex().open();
+    assert.deepEqual(matches(reader, 'alpha'), ['page_1#0']);
+
+    writer.addPage('page_2', ['alpha gamma']);
+    writer.renamePage('page_1', 'page_3');
+    await writer.save();
+    await reader.open();
+
+    assert.deepEqual(matches(reader, 'alpha gamma'), matches(writer, 'alpha gamma'));
+    assert.deepEqual([...reader.pages.keys()].sort(), ['page_2', 'page_3']);
+    assert.equal(reader.totalLength, writer.totalLength);
+  });
+
+  it('starts a new segment when the current one is full', async () => {
+    writer = await new LexicalIndex({ maxSegmentBytes: 150 }).open();
+    writer.addPage('page_1', ['a long enough text '.repeat(4)]);
+    await writer.save();
+    writer.addPage('page_2', ['another long enough text '.repeat(4)]);
+    await writer.save();
+
+    assert.equal(writer.manifest.segments.length, 2);
+    const reader = await new LexicalIndex().open();
+    assert.deepEqual([...reader.pages.keys()], ['page_1', 'page_2']);
+  });
+
+  it('compacts the log once most of it is superseded', async () => {
+    writer = await new LexicalIndex({ maxSegmentBytes: 400 }).open();
+    const reader = await new LexicalIndex().open();
+    writer.addPage('page_2', ['kept page']);
+    await writer.save();
+    await reader.open();
+
+    for (let version = 0; version < 10; version++) {
+      writer.addPage('page_1', [`version ${version} of a page that keeps changing`]);
+      await writer.save();
+    }
+
+    assert.ok(writer.manifest.generation > 0);
+    const records = [];
+    for (const name of writer.manifest.segments) {
+      records.push(...(await readLog(root, name)));
+    }
+    assert.ok(records.length < 10);
+
+    await reader.open();
+    assert.deepEqual(matches(reader, 'version'), ['page_1#0']);
+    assert.deepEqual(matches(reader, '9 kept'), matches(writer, '9 kept'));
+  });
+
+  it('empties the log when cleared', async () => {
+    writer.addPage('page_1', ['alpha']);
+    await writer.save();
+    const [segment] = writer.manifest.segments;
+
+    writer.clear();
+    await writer.save();
+
+    assert.equal(await readText(root, `lexical/${segment}`), null);
+    const reader = await new LexicalIndex().open();
+    assert.equal(reader.pages.size, 0);
+  });
+
+  it('rewrites a version 1 index file as a log', async () => {
+    const directory = await (
+      await root.getDirectoryHandle('lexical')
+    ).getFileHandle('index.json', { create: true });
+    const writable = await directory.createWritable();
+    await writable.write(
+      JSON.stringify({
+        version: 1,
+        pages: { page_1: [2, 1] },
+        postings: { alpha: { page_1: [0, 1, 1, 1] }, beta: { page_1: [0, 1] } },
+      })
+    );
+    await writable.close();
+
+    writer = await new LexicalIndex().open();
+    assert.deepEqual(matches(writer, 'alpha'), ['page_1#1', 'page_1#0']);
+    assert.equal(writer.hasUnsavedChanges(), true);
+
+    await writer.save();
+    assert.equal(await readText(root, 'lexical/index.json'), null);
+
+    writer.removePage('page_1');
+    assert.equal(writer.postings.size, 0);
+    const reader = await new LexicalIndex().open();
+    assert.deepEqual(matches(reader, 'beta'), ['page_1#0']);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import {
+  parseMhtml,
+  extractMhtmlHtml,
+  decodePartBody,
+  decodePartText,
+} from '../lib/mhtml-parser.js';
+
+// Archives laid out like chrome.pageCapture output: Blink's headers and boundaries, CRLF line
+// breaks, quoted-printable text wrapped at 76 columns and base64 resources
+const fixture = name =>
+  new Uint8Array(readFileSync(new URL(`./fixtures/mhtml/${name}`, import.meta.url)));
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Node 20.19+ decodes windows-1252 as ISO-8859-1, unlike browsers
+const decodesWindows1252 = new TextDecoder('windows-1252').decode(new Uint8Array([0x80])) === '€';
+
+describe('MHTML parser', () => {
+  it('decodes a quoted-printable UTF-8 document with soft line breaks', () => {
+    const { html, charset, location } = extractMhtmlHtml(fixture('quoted-printable.mhtml'));
+
+    assert.equal(charset, 'utf-8');
+    assert.equal(location, 'https://example.com/notes');
+    assert.equal(
+      html,
+      '<!DOCTYPE html><html lang="en"><head><meta http-equiv="Content-Type" content="text/html; ' +
+        'charset=UTF-8"><title>Quoted-printable page</title><link rel="stylesheet" ' +
+        'type="text/css" href="cid:css-1@mhtml.blink" /></head><body>\r\n' +
+        '<h1>Café notes — part one</h1>\r\n' +
+        '<p class="note">Equals signs (a=b) and a long line that Blink wraps with soft line ' +
+        'breaks because it runs past seventy-six characters.</p>\r\n' +
+        '<p>Emoji 😀 and naïve résumé.</p>\r\n' +
+        '<img src="https://example.com/pixel.png">\r\n' +
+        '</body></html>\r\n'
+    );
+  });
+
+  it('splits the archive into its document, stylesheet and image parts', () => {
+    const { headers, params, parts } = parseMhtml(fixture('quoted-printable.mhtml'));
+
+    assert.equal(headers['snapshot-content-location'], 'https://example.com/notes');
+    assert.equal(params.type, 'text/html');
+    assert.deepEqual(
+      parts.map(part => part.type),
+      ['text/html', 'text/css', 'image/png']
+    );
+    assert.equal(
+      decodePartText(parts[1]).text,
+      'body { font-family: "Helvetica Neue", sans-serif; }\r\n' +
+        '.note::before { content: "\\2014"; }\r\n\r\n'
+    );
+    assert.deepEqual(Array.from(decodePartBody(parts[2]).subarray(0, 8)), PNG_SIGNATURE);
+  });
+
+  it('decodes a base64 document', () => {
+    const { html, charset, location } = extractMhtmlHtml(fixture('base64.mhtml'));
+
+    assert.equal(charset, 'utf-8');
+    assert.equal(location, 'https://example.de/seite');
+    assert.equal(
+      html,
+      '<!DOCTYPE html><html><head><meta charset="utf-8"><title>Base64 page</title></head><body>\n' +
+        '<h1>Übersicht</h1>\n' +
+        '<p>Grüße aus Köln – ½ Preis.</p>\n' +
+        '</body></html>'
+    );
+
+    const { parts } = parseMhtml(fixture('base64.mhtml'));
+    assert.deepEqual(Array.from(decodePartBody(parts[1]).subarray(0, 8)), PNG_SIGNATURE);
+  });
+
+  it('decodes a Shift_JIS document named by its meta charset', () => {
+    const { html, charset } = extractMhtmlHtml(fixture('shift-jis.mhtml'));
+
+    assert.equal(charset, 'shift_jis');
+    assert.equal(
+      html,
+      '<!DOCTYPE html><html lang="ja"><head><meta http-equiv="Content-Type" content="text/html; ' +
+        'charset=Shift_JIS"><title>テスト</title></head><body>\r\n' +
+        '<h1>日本語ページ</h1>\r\n' +
+        '<p>これはテストです。 ASCII text.</p>\r\n' +
+        '</body></html>\r\n'
+    );
+  });
+
+  it('keeps the windows-1252 bytes of a document and picks its charset', () => {
+    const { parts } = parseMhtml(fixture('windows-1252.mhtml'));
+    const bytes = decodePartBody(parts[0]);
+    const paragraph = Buffer.from(bytes)
+      .toString('latin1')
+      .match(/<p>.*<\/p>/)[0];
+
+    // “Today’s special” – soup for 4 €, with a no-break space before the euro sign
+    assert.deepEqual(
+      Array.from(paragraph, char => char.charCodeAt(0).toString(16)).join(' '),
+      '3c 70 3e 93 54 6f 64 61 79 92 73 20 73 70 65 63 69 61 6c 94 20 96 20 73 6f 75 70 20 66 6f ' +
+        '72 20 34 a0 80 2e 3c 2f 70 3e'
+    );
+    assert.equal(extractMhtmlHtml(fixture('windows-1252.mhtml')).charset, 'windows-1252');
+  });
+
+  it(
+    'decodes a windows-1252 document',
+    { skip: !decodesWindows1252 && 'this Node decodes windows-1252 as ISO-8859-1' },
+    () => {
+      const { html } = extractMhtmlHtml(fixture('windows-1252.mhtml'));
+
+      assert.equal(
+        html,
+        '<!DOCTYPE html><html><head><meta http-equiv="Content-Type" content="text/html; ' +
+          'charset=windows-1252"><title>Menu</title></head><body>\r\n' +
+          '<h1>Café menu</h1>\r\n' +
+          '<p>“Today’s special” – soup for 4 €.</p>\r\n' +
+          '</body></html>\r\n'
+      );
+    }
+  );
+
+  it('falls back to windows-1252 for undeclared text that is not UTF-8', () => {
+    const { parts } = parseMhtml(fixture('windows-1252.mhtml'));
+    const undeclared = { ...parts[0], content: parts[0].content.replace(/<meta[^>]*>/, '') };
+
+    assert.equal(decodePartText(undeclared).charset, 'windows-1252');
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { simhash, isNearDuplicate } from '../lib/near-duplicate.js';
+
+const WORDS = (
+  'the quick brown fox jumps over a lazy dog while seven wizards quietly brew strong ' +
+  'coffee near an old river bank and every morning birds sing songs about distant ' +
+  'mountains covered with snow that melts slowly into clear lakes full of silver fish'
+).split(' ');
+
+/**
+ * Text of pseudo-random words
+ * @param {number} count - Number of words
+ * @param {number} seed - Seed; texts with different seeds share almost no word triples
+ * @returns {string} Text
+ */
+function text(count, seed = 1) {
+  let state = seed;
+  return Array.from({ length: count }, () => {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    return WORDS[Math.floor((state / 2 ** 32) * WORDS.length)];
+  }).join(' ');
+}
+
+/**
+ * Fingerprint with some bits inverted
+ * @param {string} fingerprint - Hex fingerprint
+ * @param {number} bits - Number of low bits to flip
+ * @returns {string} Hex fingerprint
+ */
+function flipBits(fingerprint, bits) {
+  const low = (parseInt(fingerprint.slice(8), 16) ^ (2 ** bits - 1)) >>> 0;
+  return fingerprint.slice(0, 8) + low.toString(16).padStart(8, '0');
+}
+
+describe('simhash', () => {
+  it('fingerprints texts of at least 50 words as 16 hex digits', () => {
+    assert.equal(simhash(text(49)), null);
+    assert.equal(simhash(''), null);
+    assert.equal(simhash(null), null);
+    assert.match(simhash(text(50)), /^[0-9a-f]{16}$/);
+  });
+
+  it('ignores case, punctuation and spacing', () => {
+    const plain = text(200);
+    const styled = plain
+      .split(' ')
+      .map((word, i) => (i % 5 === 0 ? `${word.toUpperCase()},\n` : word))
+      .join('  ');
+
+    assert.equal(simhash(styled), simhash(plain));
+  });
+});
+
+describe('isNearDuplicate', () => {
+  it('accepts fingerprints at most three bits apart', () => {
+    const fingerprint = simhash(text(200));
+
+    for (const [bits, expected] of [
+      [0, true],
+      [1, true],
+      [3, true],
+      [4, false],
+      [16, false],
+    ]) {
+      assert.equal(isNearDuplicate(fingerprint, flipBits(fingerprint, bits)), expected, `${bits}`);
+    }
+    assert.equal(isNearDuplicate('ffffffff00000000', '7fffffff00000001'), true);
+    assert.equal(isNearDuplicate('ffffffff00000000', '7ffffffe00000003'), false);
+  });
+
+  it('matches a page whose footer changed but not a different page', () => {
+    const page = text(400);
+
+    assert.ok(isNearDuplicate(simhash(page), simhash(`${page} updated 5 minutes ago`)));
+    assert.ok(!isNearDuplicate(simhash(page), simhash(text(400, 2))));
+  });
+
+  it('never matches a missing fingerprint', () => {
+    const fingerprint = simhash(text(200));
+
+    for (const [a, b] of [
+      [fingerprint, null],
+      [null, fingerprint],
+      [null, null],
+    ]) {
+      assert.equal(isNearDuplicate(a, b), false);
+    }
+  });
+});
@@ -0,0 +1,327 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.mjs';
+import { installOpfs } from './helpers/opfs.mjs';
+
+const chrome = installChrome();
+installOpfs();
+
+const { backgroundService } = await import('../background.js');
+// The offscreen document cannot load ONNX Runtime here; its failed start-up is expected
+const quiet = mock.method(console, 'error', () => {});
+const { OffscreenController } = await import('../offscreen.js');
+await new Promise(resolve => setTimeout(resolve, 0));
+quiet.mock.restore();
+
+await backgroundService.init();
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Send a CAPTURE_PAGE message as the content script of a tab would
+ * @param {Object} tab - Sender tab
+ * @param {string} url - Page URL
+ * @returns {Promise<Object>} What enqueueCapture returned
+ */
+async function captureFromContentScript(tab, url) {
+  const enqueueCapture = mock.method(backgroundService, 'enqueueCapture');
+  try {
+    chrome.runtime.onMessage.dispatch(
+      { type: 'CAPTURE_PAGE', data: { url, title: 'Page' } },
+      { tab },
+      () => {}
+    );
+    assert.equal(enqueueCapture.mock.callCount(), 1);
+    return await enqueueCapture.mock.calls[0].result;
+  } finally {
+    enqueueCapture.mock.restore();
+  }
+}
+
+describe('capture settings', () => {
+  let queued;
+
+  beforeEach(() => {
+    Object.assign(backgroundService.settings, {
+      autoIndexing: true,
+      indexPrivatePages: true,
+      urlRules: [],
+      urlRulesDefaultAction: 'index',
+    });
+    backgroundService.loadUrlRules();
+    backgroundService.pages.clear();
+    queued = [];
+    mock.method(backgroundService.captureQueue, 'enqueue', async job => {
+      queued.push(job);
+      return { id: `job_${queued.length}`, ...job };
+    });
+  });
+
+  it('skips automatic captures when autoIndexing is off', async () => {
+    backgroundService.settings.autoIndexing = false;
+
+    const result = await captureFromContentScript({ id: 1 }, 'https://example.com/a');
+
+    assert.deepEqual(result, { job: null, skipped: 'automatic indexing is disabled' });
+    assert.equal(queued.length, 0);
+  });
+
+  it('still queues manual captures when autoIndexing is off', async () => {
+    backgroundService.settings.autoIndexing = false;
+
+    const { job } = await backgroundService.enqueueCapture(1, 'https://example.com/a', 'Page', {
+      source: 'manual',
+    });
+
+    assert.ok(job);
+    assert.equal(queued.length, 1);
+  });
+
+  it('skips incognito tabs reported by the sender when indexPrivatePages is off', async () => {
+    backgroundService.settings.indexPrivatePages = false;
+
+    const result = await captureFromContentScript(
+      { id: 2, incognito: true },
+      'https://example.com/b'
+    );
+
+    assert.deepEqual(result, { job: null, skipped: 'private pages are not indexed' });
+    assert.equal(queued.length, 0);
+  });
+
+  it('captures normal tabs when indexPrivatePages is off', async () => {
+    backgroundService.settings.indexPrivatePages = false;
+
+    const result = await captureFromContentScript(
+      { id: 3, incognito: false },
+      'https://example.com/c'
+    );
+
+    assert.ok(result.job);
+    assert.equal(queued[0].incognito, false);
+  });
+
+  it('captures incognito tabs when indexPrivatePages is on', async () => {
+    const result = await captureFromContentScript(
+      { id: 4, incognito: true },
+      'https://example.com/d'
+    );
+
+    assert.ok(result.job);
+    assert.equal(queued[0].incognito, true);
+  });
+
+  it('re-checks queued jobs against the current settings', async () => {
+    backgroundService.settings.indexPrivatePages = false;
+
+    await assert.rejects(
+      backgroundService.runCaptureJob(
+        { url: 'https://example.com/e', incognito: true, source: 'auto', tabId: 5 },
+        () => {}
+      ),
+      error => error.permanent && /private pages are not indexed/.test(error.message)
+    );
+  });
+});
+
+describe('storePageContent', () => {
+  const longText = 'word '.repeat(100).trim();
+
+  /**
+   * Run PROCESS_PAGE with a stubbed pipeline and capture what would be stored
+   * @param {boolean} storePageContent - Setting sent by the service worker
+   * @returns {Promise<Object>} { stored, response }
+   */
+  async function processPage(storePageContent) {
+    const controller = new OffscreenController();
+    mock.method(controller, 'processPageInternal', async () => ({
+      pageId: 'page_1',
+      chunks: [
+        {
+          id: 'chunk_0',
+          tokens: [101, 2773, 102],
+          tokenCount: 3,
+          text: longText,
+          headingPath: ['Intro'],
+          startTokenIndex: 0,
+          endTokenIndex: 1,
+        },
+      ],
+      embeddings: [new Float32Array([1, 0])],
+      source: { text: longText },
+    }));
+    let stored = null;
+    mock.method(controller, 'storePageVectors', async (pageId, chunks) => {
+      stored = chunks;
+    });
+
+    const response = await new Promise(resolve =>
+      controller.processPage({ url: 'https://example.com/', storePageContent }, resolve)
+    );
+    assert.equal(response.success, true, response.error);
+    return { stored, response: response.data };
+  }
+
+  it('stores snippet-only chunks without tokens or source when off', async () => {
+    const { stored, response } = await processPage(false);
+
+    assert.equal(stored[0].tokens, undefined);
+    assert.ok(stored[0].text.length <= 201);
+    assert.ok(stored[0].text.endsWith('…'));
+    assert.deepEqual(stored[0].headingPath, ['Intro']);
+    assert.equal(response.source, null);
+    assert.equal(response.chunks[0].tokens, undefined);
+    assert.equal(response.embeddings, null);
+  });
+
+  it('keeps full chunks and their source when on', async () => {
+    const { stored, response } = await processPage(true);
+
+    assert.deepEqual(stored[0].tokens, [101, 2773, 102]);
+    assert.equal(stored[0].text, longText);
+    assert.deepEqual(response.source, { text: longText });
+  });
+
+  it('is sent with every page job by the service worker', async () => {
+    backgroundService.settings.storePageContent = false;
+    const sendToOffscreen = mock.method(backgroundService, 'sendToOffscreen', async () => ({
+      chunks: [],
+    }));
+    try {
+      await backgroundService.processPageWithWorker(null, 'https://example.com/', 'Page', 'p', {
+        text: 'Some text',
+      });
+      assert.equal(sendToOffscreen.mock.calls[0].arguments[0].data.storePageContent, false);
+    } finally {
+      sendToOffscreen.mock.restore();
+      backgroundService.settings.storePageContent = true;
+    }
+  });
+});
+
+describe('enableCaching', () => {
+  let saved;
+
+  beforeEach(() => {
+    saved = 0;
+    backgroundService.annIndex = {
+      save: async () => {
+        saved++;
+      },
+    };
+    backgroundService.annSaveTimer = setTimeout(() => {}, 60000);
+    backgroundService.queryEmbeddingCache = { query: 'q', embedding: new Float32Array(2) };
+  });
+
+  it('drops the search index and query embedding after each search when off', async () => {
+    backgroundService.settings.enableCaching = false;
+
+    await backgroundService.semanticSearch('nothing indexed', 5, { mode: 'lexical' });
+
+    assert.equal(backgroundService.annIndex, null);
+    assert.equal(backgroundService.queryEmbeddingCache, null);
+    assert.equal(saved, 1, 'pending index changes are saved before the index is dropped');
+  });
+
+  it('keeps them between searches when on', async () => {
+    backgroundService.settings.enableCaching = true;
+    const annIndex = backgroundService.annIndex;
+
+    await backgroundService.semanticSearch('nothing indexed', 5, { mode: 'lexical' });
+
+    assert.equal(backgroundService.annIndex, annIndex);
+    assert.ok(backgroundService.queryEmbeddingCache);
+    clearTimeout(backgroundService.annSaveTimer);
+  });
+
+  it('drops them as soon as the setting is turned off', async () => {
+    backgroundService.settings.enableCaching = true;
+    mock.method(backgroundService, 'saveSettings', async () => {});
+
+    await backgroundService.updateSetting('enableCaching', false);
+
+    assert.equal(backgroundService.annIndex, null);
+    assert.equal(backgroundService.queryEmbeddingCache, null);
+    backgroundService.settings.enableCaching = true;
+  });
+});
+
+describe('vectorQuantization', () => {
+  it('moves the former binary setting to int8, which is what it stored', async () => {
+    chrome.storage.local.data.offlineIndexerSettings = {
+      ...backgroundService.settings,
+      vectorQuantization: 'binary',
+    };
+
+    await backgroundService.loadSettings();
+
+    assert.equal(backgroundService.settings.vectorQuantization, 'int8');
+    backgroundService.settings.vectorQuantization = 'none';
+    delete chrome.storage.local.data.offlineIndexerSettings;
+  });
+
+  it('rejects encodings the setting cannot choose', async () => {
+    const requantize = mock.method(backgroundService, 'requantizeVectors', async () => {});
+
+    await assert.rejects(
+      backgroundService.updateSetting('vectorQuantization', 'binary'),
+      /Unknown vector quantization: binary/
+    );
+    assert.equal(backgroundService.settings.vectorQuantization, 'none');
+    assert.equal(requantize.mock.callCount(), 0);
+  });
+});
+
+describe('manual captures', () => {
+  it('report a capture skipped by the settings to the badge and the page', async () => {
+    backgroundService.settings.indexPrivatePages = false;
+    const report = mock.method(backgroundService, 'reportManualCapture');
+    chrome.calls.length = 0;
+
+    try {
+      chrome.contextMenus.onClicked.dispatch(
+        { menuItemId: 'index-page' },
+        { id: 7, url: 'https://example.com/private', title: 'Private', incognito: true }
+      );
+      await report.mock.calls[0].result;
+    } finally {
+      backgroundService.settings.indexPrivatePages = true;
+    }
+
+    const badge = chrome.calls.find(call => call.name === 'action.setBadgeText');
+    assert.deepEqual(badge.args[0], { tabId: 7, text: '–' });
+    const status = chrome.calls.find(
+      call => call.name === 'tabs.sendMessage' && call.args[1].type === 'INDEXING_STATUS'
+    );
+    assert.deepEqual(status.args, [
+      7,
+      {
+        type: 'INDEXING_STATUS',
+        data: {
+          status: 'INDEXING_SKIPPED',
+          url: 'https://example.com/private',
+          error: undefined,
+          skipped: 'private pages are not indexed',
+        },
+      },
+    ]);
+  });
+
+  it('report a capture that fails before it is queued', async () => {
+    const report = mock.method(backgroundService, 'reportManualCapture');
+    mock.method(backgroundService, 'captureTab', async () => {
+      throw new Error('capture queue unavailable');
+    });
+    mock.method(console, 'error', () => {});
+    chrome.calls.length = 0;
+
+    chrome.commands.onCommand.dispatch('index-page', { id: 8, url: 'https://example.com/' });
+    await report.mock.calls[0].result;
+
+    const badge = chrome.calls.find(call => call.name === 'action.setBadgeText');
+    assert.deepEqual(badge.args[0], { tabId: 8, text: '!' });
+    const status = chrome.calls.find(call => call.name === 'tabs.sendMessage');
+    assert.equal(status.args[1].data.status, 'INDEXING_ERROR');
+    assert.equal(status.args[1].data.error, 'capture queue unavailable');
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { installChrome } from './helpers/chrome.mjs';
+import { installOpfs } from './helpers/opfs.mjs';
+import { VectorStore } from '../lib/vector-store.js';
+import { describeChunking } from '../lib/chunking.js';
+import { RechunkJob } from '../lib/rechunk-job.js';
+
+installChrome();
+installOpfs();
+
+const { backgroundService } = await import('../background.js');
+await backgroundService.init();
+
+afterEach(() => mock.restoreAll());
+
+const vector = Float32Array.from({ length: 384 }, (_, i) => Math.sin(i + 1));
+
+/**
+ * Wait until a re-chunk job stops running
+ * @param {RechunkJob} job - Job to wait for
+ * @returns {Promise<string>} Final job state
+ */
+async function jobSettled(job = backgroundService.rechunkJob) {
+  for (let i = 0; i < 1000 && job.status.state === 'running'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  return job.status.state;
+}
+
+describe('RechunkJob', () => {
+  it('re-chunks each listed page once', async () => {
+    const outdated = new Set(['page_1', 'page_2', 'page_3']);
+    const rechunked = [];
+    const job = new RechunkJob({
+      listPages: () => [...outdated],
+      rechunk: async pageId => {
+        rechunked.push(pageId);
+        if (pageId === 'page_2') return { skipped: 'no stored chunks' };
+        outdated.delete(pageId);
+      },
+    });
+    mock.method(console, 'log', () => {});
+
+    await job.start();
+
+    assert.equal(await jobSettled(job), 'done');
+    assert.deepEqual(rechunked, ['page_1', 'page_2', 'page_3']);
+    const snapshot = await job.getSnapshot();
+    assert.equal(snapshot.total, 3);
+    assert.equal(snapshot.rechunked, 2);
+    assert.equal(snapshot.skipped, 1);
+    assert.equal(snapshot.remaining, 0);
+  });
+
+  it('fails a page that is still listed after it was re-chunked', async () => {
+    const rechunked = [];
+    const job = new RechunkJob({
+      listPages: () => ['page_1', 'page_2'],
+      rechunk: async pageId => {
+        rechunked.push(pageId);
+      },
+    });
+    mock.method(console, 'warn', () => {});
+
+    await job.start();
+
+    assert.equal(await jobSettled(job), 'done');
+    assert.deepEqual(rechunked, ['page_1', 'page_2']);
+    assert.equal(job.status.rechunked, 0);
+    assert.equal(job.status.failed, 2);
+  });
+});
+
+describe('BackgroundService.requantizeVectors', () => {
+  it('re-embeds each coarser page once after a switch to a finer setting', async () => {
+    // The offscreen document is the only writer of the vector store
+    const writer = await new VectorStore().open();
+    for (const pageId of ['page_1', 'page_2']) {
+      await writer.writePage(pageId, [vector], 'int8');
+      backgroundService.pages.set(pageId, {
+        pageId,
+        url: `https://example.com/${pageId}`,
+        chunking: describeChunking(backgroundService.getChunkingConfig()),
+      });
+    }
+
+    const rechunked = [];
+    mock.method(backgroundService, 'sendToOffscreen', async ({ type, data }) => {
+      if (type === 'REQUANTIZE_VECTORS') {
+        return { reembed: await writer.requantize(data.encoding) };
+      }
+      assert.equal(type, 'RECHUNK_PAGE');
+      rechunked.push(data.pageId);
+      if (rechunked.length > 10) {
+        // Stop a job that keeps listing the same pages
+        backgroundService.rechunkJob.status.state = 'cancelled';
+      }
+      await writer.writePage(data.pageId, [vector], data.vectorQuantization);
+      return {
+        chunks: [{ text: 'Page text' }],
+        dimensions: 384,
+        chunking: describeChunking(data.chunking),
+      };
+    });
+    mock.method(backgroundService, 'getPageSource', async () => ({ text: 'Page text' }));
+    mock.method(backgroundService, 'ensureModelAvailable', async () => {});
+    mock.method(backgroundService, 'storePageData', async () => {});
+    mock.method(backgroundService, 'savePageToStorage', async () => {});
+
+    backgroundService.settings.vectorQuantization = 'none';
+    await backgroundService.requantizeVectors('none');
+
+    assert.equal(await jobSettled(), 'done');
+    assert.deepEqual(rechunked.sort(), ['page_1', 'page_2']);
+    assert.deepEqual(backgroundService.getPagesToRechunk(), []);
+    assert.equal(backgroundService.rechunkJob.status.rechunked, 2);
+  });
+});
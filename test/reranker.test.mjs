@@ -0,0 +1,77 @@
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { installChrome } from './helpers/chrome.mjs';
+import { installOpfs } from './helpers/opfs.mjs';
+import { WordPieceTokenizer, parseVocab } from '../lib/wordpiece-tokenizer.js';
+
+installChrome();
+installOpfs();
+
+// The offscreen document cannot load ONNX Runtime here; its failed start-up is expected
+const quiet = mock.method(console, 'error', () => {});
+const { OffscreenController } = await import('../offscreen.js');
+await new Promise(resolve => setTimeout(resolve, 0));
+quiet.mock.restore();
+
+const vocab = parseVocab(
+  readFileSync(new URL('./fixtures/tokenizer/vocab.txt', import.meta.url), 'utf8')
+);
+
+/**
+ * Score a pair with a session that records the tensors it is given
+ * @param {string} query - Search query
+ * @param {string} passage - Candidate text
+ * @returns {Promise<Object>} { inputIds, tokenTypeIds } as number arrays
+ */
+async function scoreInputs(query, passage) {
+  const controller = new OffscreenController();
+  controller.tokenizer = new WordPieceTokenizer(vocab);
+  controller.ort = {
+    Tensor: class {
+      constructor(type, data, dims) {
+        Object.assign(this, { type, data, dims });
+      }
+      dispose() {}
+    },
+  };
+
+  let inputs = null;
+  const session = {
+    run: async tensors => {
+      inputs = tensors;
+      return { logits: { data: [0.5] } };
+    },
+  };
+
+  assert.equal(await controller.scorePair(session, query, passage), 0.5);
+  return {
+    inputIds: Array.from(inputs.input_ids.data, Number),
+    tokenTypeIds: Array.from(inputs.token_type_ids.data, Number),
+  };
+}
+
+describe('OffscreenController.scorePair', () => {
+  const { clsId, sepId } = new WordPieceTokenizer(vocab);
+
+  it('builds [CLS] query [SEP] passage [SEP] with segment ids', async () => {
+    const { inputIds, tokenTypeIds } = await scoreInputs('hello world', 'hello');
+
+    assert.deepEqual(inputIds, [clsId, 7592, 2088, sepId, 7592, sepId]);
+    assert.deepEqual(tokenTypeIds, [0, 0, 0, 0, 1, 1]);
+  });
+
+  it('fits long queries and passages in the model sequence length', async () => {
+    const { inputIds, tokenTypeIds } = await scoreInputs(
+      'query '.repeat(600),
+      'passage '.repeat(600)
+    );
+
+    assert.equal(inputIds.length, 512);
+    assert.equal(inputIds[0], clsId);
+    // The query keeps MAX_QUERY_TOKENS tokens; the passage fills the rest
+    assert.equal(inputIds[65], sepId);
+    assert.equal(inputIds[511], sepId);
+    assert.equal(tokenTypeIds.indexOf(1), 66);
+  });
+});
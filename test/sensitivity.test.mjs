@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactPii } from '../lib/sensitivity.js';
+
+describe('redactPii', () => {
+  it('redacts phone numbers written as phone numbers', () => {
+    for (const phone of [
+      '+49 30 1234 5678',
+      '+44 20 7946 0958',
+      '+1 (555) 123-4567',
+      '+33 1 23 45 67 89',
+      '+4930123456',
+      '(030) 1234-5678',
+      '(555) 123 4567',
+      '555-123-4567',
+      '555.123.4567',
+    ]) {
+      const { text, counts } = redactPii(`Call ${phone} today.`);
+      assert.equal(text, 'Call [phone] today.', phone);
+      assert.deepEqual(counts, { phone: 1 }, phone);
+    }
+  });
+
+  it('leaves amounts, dates, versions and other digit groups alone', () => {
+    for (const text of [
+      'Population: 10.000.000 people',
+      'A budget of 1.000.000.000 EUR',
+      '€ 2.500.000,00',
+      'Released 2024-01-15 and updated 15.01.2024',
+      'Chrome 120.0.6099.109',
+      'Version 10.15.7, build 19H2',
+      'Server at 192.168.100.200',
+      'ISBN 978-3-16-148410-0',
+      'Order 030 1234 5678 items',
+      'Range 100-200-300',
+      'Mixed 555-123.4567',
+      'Serial 555-123-45678',
+      'Error 0x80070005 at line 1234',
+      'Tracking 123.456.7890.12',
+    ]) {
+      assert.deepEqual(redactPii(text), { text, counts: {} }, text);
+    }
+  });
+
+  it('still redacts the other kinds of personal data', () => {
+    const { text, counts } = redactPii(
+      'Mail jane.doe@example.com, card 4111 1111 1111 1111, SSN 123-45-6789, ' +
+        'IBAN DE89 3704 0044 0532 0130 00, phone +1 555 123 4567'
+    );
+
+    assert.equal(text, 'Mail [email], card [card], SSN [ssn], IBAN [iban], phone [phone]');
+    assert.deepEqual(counts, { email: 1, card: 1, ssn: 1, iban: 1, phone: 1 });
+  });
+});
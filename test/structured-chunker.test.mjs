@@ -0,0 +1,231 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractBlocks, packBlocks, formatHeadingPath } from '../lib/structured-chunker.js';
+
+/**
+ * Token count stub: one token per started 8 characters of each word, so counts add up over
+ * whitespace-separated parts as packBlocks requires, and long words cost more than one token
+ */
+const countTokens = text =>
+  text
+    .split(/\s+/)
+    .filter(Boolean)
+    .reduce((sum, word) => sum + Math.ceil(word.length / 8), 0);
+
+const heading = (level, text) => ({ type: 'heading', level, text });
+const paragraph = text => ({ type: 'paragraph', text });
+
+/**
+ * Prose of numbered five-token sentences
+ * @param {number} count - Number of sentences
+ * @param {number} first - Number of the first sentence
+ * @returns {string} Sentences separated by spaces
+ */
+const sentences = (count, first = 0) =>
+  Array.from({ length: count }, (_, i) => `Sentence ${first + i} has five words.`).join(' ');
+
+const pack = (blocks, options) => packBlocks(blocks, { countTokens, ...options });
+
+/**
+ * Minimal DOM element for extractBlocks
+ * @param {string} tagName - Tag name
+ * @param {...(Object|string)} children - Child elements or text
+ * @returns {Object} Element-like node
+ */
+function h(tagName, ...children) {
+  const childNodes = children.map(child =>
+    typeof child === 'string' ? { nodeType: 3, textContent: child } : child
+  );
+  return {
+    nodeType: 1,
+    tagName,
+    childNodes,
+    get textContent() {
+      return childNodes.map(child => child.textContent).join('');
+    },
+  };
+}
+
+describe('packBlocks', () => {
+  it('starts a chunk at each heading and records the heading path', () => {
+    const chunks = pack(
+      [
+        heading(1, 'Guide'),
+        paragraph(sentences(14)),
+        heading(2, 'Setup'),
+        paragraph('Install it.'),
+        heading(2, 'Usage'),
+        paragraph('Run it.'),
+      ],
+      { maxTokens: 100 }
+    );
+
+    assert.deepEqual(
+      chunks.map(chunk => [chunk.headingPath, chunk.text]),
+      [
+        [['Guide'], sentences(14)],
+        [['Guide', 'Setup'], 'Install it.'],
+        [['Guide', 'Usage'], 'Run it.'],
+      ]
+    );
+    assert.equal(formatHeadingPath(chunks[1].headingPath), 'Guide > Setup');
+  });
+
+  it('keeps a short section together with the subsection that follows it', () => {
+    const chunks = pack(
+      [
+        heading(1, 'Guide'),
+        paragraph('A short introduction.'),
+        heading(2, 'Setup'),
+        paragraph('Install it.'),
+        heading(1, 'Reference'),
+        paragraph('All options.'),
+      ],
+      { maxTokens: 100 }
+    );
+
+    assert.deepEqual(
+      chunks.map(chunk => [chunk.headingPath, chunk.text]),
+      [
+        [['Guide'], 'A short introduction.\n\nSetup\n\nInstall it.'],
+        [['Reference'], 'All options.'],
+      ]
+    );
+  });
+
+  it('fits the heading path into the token budget', () => {
+    const chunks = pack([heading(1, 'One two three'), paragraph(sentences(4))], {
+      maxTokens: 15,
+    });
+
+    for (const chunk of chunks) {
+      assert.ok(chunk.tokenCount + countTokens(formatHeadingPath(chunk.headingPath)) <= 15);
+    }
+    assert.deepEqual(
+      chunks.map(chunk => chunk.text),
+      [sentences(2), sentences(2, 2)]
+    );
+  });
+
+  it('splits long prose between sentences and repeats the last ones as overlap', () => {
+    const chunks = pack([paragraph(sentences(8))], { maxTokens: 20, overlapTokens: 6 });
+
+    assert.deepEqual(
+      chunks.map(chunk => chunk.text),
+      [sentences(4), sentences(4, 3), sentences(2, 6)]
+    );
+    assert.deepEqual(
+      chunks.map(chunk => [chunk.startToken, chunk.endToken]),
+      [
+        [0, 20],
+        [15, 35],
+        [30, 40],
+      ]
+    );
+  });
+
+  it('does not carry overlap across headings or out of code', () => {
+    const code = { type: 'code', text: 'const a = 1;\nconst b = 2;' };
+    const chunks = pack(
+      [
+        heading(1, 'One'),
+        paragraph(sentences(3)),
+        code,
+        paragraph(sentences(3, 3)),
+        heading(1, 'Two'),
+        paragraph(sentences(3, 6)),
+      ],
+      { maxTokens: 30, overlapTokens: 15 }
+    );
+
+    assert.deepEqual(
+      chunks.map(chunk => [chunk.headingPath, chunk.text]),
+      [
+        [['One'], `${sentences(3)}\n\n${code.text}`],
+        [['One'], sentences(3, 3)],
+        [['Two'], sentences(3, 6)],
+      ]
+    );
+  });
+
+  it('keeps code blocks whole, or splits them between lines', () => {
+    const code = { type: 'code', text: 'line one;\nline two;\nline three;' };
+
+    assert.deepEqual(
+      pack([code], { maxTokens: 10 }).map(chunk => chunk.text),
+      [code.text]
+    );
+    assert.deepEqual(
+      pack([code], { maxTokens: 4 }).map(chunk => chunk.text),
+      ['line one;\nline two;', 'line three;']
+    );
+  });
+
+  it('splits long lists between items', () => {
+    const list = { type: 'list', text: '- first item\n- second item\n- third item' };
+
+    assert.deepEqual(
+      pack([list], { maxTokens: 6 }).map(chunk => chunk.text),
+      ['- first item\n- second item', '- third item']
+    );
+  });
+
+  it('repeats the header row in every piece of a long table', () => {
+    const rows = Array.from({ length: 6 }, (_, i) => `row${i} | v${i}`);
+    const table = { type: 'table', header: true, text: ['Name | Value', ...rows].join('\n') };
+
+    const chunks = pack([table], { maxTokens: 10 });
+
+    assert.deepEqual(
+      chunks.map(chunk => chunk.text),
+      [
+        'Name | Value\nrow0 | v0\nrow1 | v1',
+        'Name | Value\nrow2 | v2\nrow3 | v3',
+        'Name | Value\nrow4 | v4\nrow5 | v5',
+      ]
+    );
+    assert.ok(chunks.every(chunk => chunk.tokenCount <= 10));
+  });
+
+  it('cuts between words, and gives a word longer than the budget a chunk of its own', () => {
+    const longWord = 'x'.repeat(100);
+    const chunks = pack([paragraph(`Before it ${longWord} after it`)], { maxTokens: 6 });
+
+    assert.deepEqual(
+      chunks.map(chunk => [chunk.text, chunk.tokenCount]),
+      [
+        ['Before it', 2],
+        [longWord, 13],
+        ['after it', 2],
+      ]
+    );
+  });
+});
+
+describe('extractBlocks', () => {
+  it('flattens headings, paragraphs, lists, code and tables in reading order', () => {
+    const article = h(
+      'ARTICLE',
+      h('H2', 'Install'),
+      'Loose ',
+      h('EM', 'inline'),
+      ' text',
+      h('UL', h('LI', 'one'), h('LI', 'two', h('OL', h('LI', 'nested')))),
+      h('PRE', '\n  npm install\n'),
+      h(
+        'TABLE',
+        h('THEAD', h('TR', h('TH', 'Key'), h('TH', 'Value'))),
+        h('TBODY', h('TR', h('TD', 'a'), h('TD', '1')))
+      ),
+      h('SCRIPT', 'ignored()')
+    );
+
+    assert.deepEqual(extractBlocks(article), [
+      { type: 'heading', level: 2, text: 'Install' },
+      { type: 'paragraph', text: 'Loose inline text' },
+      { type: 'list', text: '- one\n- two\n  1. nested' },
+      { type: 'code', text: '  npm install' },
+      { type: 'table', text: 'Key | Value\na | 1', header: true },
+    ]);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeUrl, resolvePageUrl, getStablePageId } from '../lib/url-normalizer.js';
+
+describe('normalizeUrl', () => {
+  it('drops tracking parameters and sorts the others', () => {
+    for (const [url, expected] of [
+      ['https://example.com/a?utm_source=x&utm_medium=y', 'https://example.com/a'],
+      ['https://example.com/a?UTM_Campaign=x&id=3', 'https://example.com/a?id=3'],
+      ['https://example.com/a?fbclid=1&gclid=2&msclkid=3&_ga=4', 'https://example.com/a'],
+      ['https://example.com/a?b=2&mc_cid=x&a=1', 'https://example.com/a?a=1&b=2'],
+      ['https://example.com/a?q=utm_source', 'https://example.com/a?q=utm_source'],
+      ['https://example.com/a?ref=home', 'https://example.com/a?ref=home'],
+      ['https://example.com/a?', 'https://example.com/a'],
+    ]) {
+      assert.equal(normalizeUrl(url), expected, url);
+    }
+  });
+
+  it('removes trailing slashes except on the root path', () => {
+    for (const [url, expected] of [
+      ['https://example.com/docs/', 'https://example.com/docs'],
+      ['https://example.com/docs///', 'https://example.com/docs'],
+      ['https://example.com/docs/?a=1', 'https://example.com/docs?a=1'],
+      ['https://example.com/', 'https://example.com/'],
+      ['https://example.com', 'https://example.com/'],
+    ]) {
+      assert.equal(normalizeUrl(url), expected, url);
+    }
+  });
+
+  it('drops in-page anchors but keeps hash routes', () => {
+    for (const [url, expected] of [
+      ['https://example.com/docs#setup', 'https://example.com/docs'],
+      ['https://example.com/docs#', 'https://example.com/docs'],
+      ['https://mail.example.com/#/inbox', 'https://mail.example.com/#/inbox'],
+      ['https://mail.example.com/#!/inbox/42', 'https://mail.example.com/#!/inbox/42'],
+      ['https://example.com/app/?utm_source=x#/view', 'https://example.com/app#/view'],
+    ]) {
+      assert.equal(normalizeUrl(url), expected, url);
+    }
+  });
+
+  it('lowercases the host and drops default ports', () => {
+    assert.equal(
+      normalizeUrl('HTTPS://Example.COM:443/Docs/?utm_source=x&b=2&a=1#setup'),
+      'https://example.com/Docs?a=1&b=2'
+    );
+    assert.equal(normalizeUrl('http://example.com:80/a'), 'http://example.com/a');
+    assert.equal(normalizeUrl('http://example.com:8080/a'), 'http://example.com:8080/a');
+  });
+
+  it('returns other URLs unchanged', () => {
+    for (const url of [
+      'file:///home/me/notes.html/',
+      'chrome-extension://abc/page.html#x',
+      'about:blank',
+      'not a url',
+    ]) {
+      assert.equal(normalizeUrl(url), url);
+    }
+  });
+});
+
+describe('resolvePageUrl', () => {
+  it('uses a canonical link on the same site', () => {
+    for (const [url, canonical, expected] of [
+      ['https://example.com/a?sort=new', 'https://example.com/a', 'https://example.com/a'],
+      ['https://example.com/print/a', '/a/?utm_source=x#top', 'https://example.com/a'],
+      ['https://www.example.com/a', 'https://example.com/b', 'https://example.com/b'],
+      ['https://example.com/a', 'https://www.example.com/b', 'https://www.example.com/b'],
+      ['http://example.com/a', 'https://example.com/a?utm_source=x', 'https://example.com/a'],
+      ['https://example.com/', 'https://example.com/', 'https://example.com/'],
+    ]) {
+      assert.equal(resolvePageUrl(url, canonical), expected, `${url} -> ${canonical}`);
+    }
+  });
+
+  it('ignores canonical links to another site or to the home page of a deeper page', () => {
+    for (const [url, canonical] of [
+      ['https://example.com/a', 'https://other.com/a'],
+      ['https://blog.example.com/a', 'https://example.com/a'],
+      ['https://example.com/a', 'https://example.com/'],
+      ['https://example.com/a', '/'],
+      ['https://example.com/a', 'ftp://example.com/a'],
+      ['https://example.com/a', 'http://[bad'],
+    ]) {
+      assert.equal(resolvePageUrl(url, canonical), normalizeUrl(url), `${url} -> ${canonical}`);
+    }
+  });
+
+  it('normalizes the captured URL when there is no canonical link', () => {
+    assert.equal(resolvePageUrl('https://example.com/a/#top'), 'https://example.com/a');
+    assert.equal(resolvePageUrl('https://example.com/a/', ''), 'https://example.com/a');
+  });
+
+  it('keeps the hash route of the captured view', () => {
+    assert.equal(
+      resolvePageUrl('https://app.example.com/#/inbox', 'https://app.example.com/app'),
+      'https://app.example.com/app#/inbox'
+    );
+    assert.equal(
+      resolvePageUrl('https://app.example.com/#/inbox', 'https://app.example.com/app#/all'),
+      'https://app.example.com/app#/all'
+    );
+  });
+});
+
+describe('getStablePageId', () => {
+  it('gives every URL variant of a page the same ID', () => {
+    const id = getStablePageId(normalizeUrl('https://example.com/docs'));
+
+    assert.match(id, /^page_[0-9a-z]+$/);
+    assert.equal(getStablePageId(normalizeUrl('https://Example.com/docs/?utm_source=x#a')), id);
+    assert.notEqual(getStablePageId(normalizeUrl('https://example.com/docs?page=2')), id);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { UrlRules } from '../lib/url-rules.js';
+
+/**
+ * Check a compiled pattern against URLs
+ * @param {string} pattern - Rule pattern
+ * @param {string} type - Rule type
+ * @param {Object} cases - url -> whether the pattern should match it
+ */
+function assertMatches(pattern, type, cases) {
+  const matcher = UrlRules.compile({ pattern, type });
+  for (const [url, expected] of Object.entries(cases)) {
+    const { hostname, pathname } = new URL(url);
+    assert.equal(matcher({ host: hostname, path: pathname }), expected, `${pattern} ${url}`);
+  }
+}
+
+describe('UrlRules.compile', () => {
+  it('matches host globs against the host only, subdomain wildcards including the apex', () => {
+    assertMatches('*.bank.com', 'glob', {
+      'https://bank.com/': true,
+      'https://www.bank.com/login': true,
+      'https://a.b.bank.com/': true,
+      'https://BANK.com/': true,
+      'https://mybank.com/': false,
+      'https://bank.com.evil.net/': false,
+      'https://evil.net/bank.com': false,
+    });
+    assertMatches('bank.*', 'glob', {
+      'https://bank.com/': true,
+      'https://bank.co.uk/': true,
+      'https://www.bank.com/': false,
+    });
+  });
+
+  it('matches path globs against host and path, a trailing /* including the bare path', () => {
+    assertMatches('mail.google.com/*', 'glob', {
+      'https://mail.google.com/': true,
+      'https://mail.google.com': true,
+      'https://mail.google.com/mail/u/0': true,
+      'https://mail.google.com.evil.net/': false,
+      'https://google.com/': false,
+    });
+    assertMatches('example.com/docs/*', 'glob', {
+      'https://example.com/docs': true,
+      'https://example.com/docs/': true,
+      'https://example.com/docs/a/b': true,
+      'https://example.com/docsets': false,
+      'https://example.com/': false,
+    });
+    assertMatches('https://example.com/*/edit', 'glob', {
+      'https://example.com/page/edit': true,
+      'http://example.com/a/b/edit': true,
+      'https://example.com/page/edit/more': false,
+    });
+  });
+
+  it('treats regular expression characters in globs literally', () => {
+    assertMatches('example.com/a+b(1)$^|[2].html', 'glob', {
+      'https://example.com/a+b(1)$^|[2].html': true,
+      'https://example.com/a+b(1)$^|[2]xhtml': false,
+      'https://example.com/aab1.html': false,
+      'https://example.com/ab2.html': false,
+    });
+    assertMatches('a.b.com', 'glob', {
+      'https://a.b.com/': true,
+      'https://axb.com/': false,
+    });
+  });
+
+  it('tests regex rules case-insensitively against host and path', () => {
+    assertMatches('^intranet\\.', 'regex', {
+      'https://intranet.corp.com/': true,
+      'https://INTRANET.corp.com/': true,
+      'https://www.intranet.com/': false,
+    });
+    assertMatches('/admin/', 'regex', {
+      'https://example.com/admin/users': true,
+      'https://example.com/Admin/': true,
+      'https://admin.example.com/': false,
+    });
+  });
+});
+
+describe('UrlRules.evaluate', () => {
+  it('applies the first enabled rule that matches', () => {
+    const rules = new UrlRules([
+      { pattern: 'example.com/private/*', action: 'skip' },
+      { pattern: 'example.com/private/public', action: 'index', enabled: false },
+      { pattern: '*.example.com', action: 'title-only' },
+      { pattern: 'example.com/*', action: 'index' },
+    ]);
+
+    for (const [url, action, pattern] of [
+      ['https://example.com/private/public', 'skip', 'example.com/private/*'],
+      ['https://example.com/blog', 'title-only', '*.example.com'],
+      ['https://other.com/', 'index', undefined],
+      ['not a url', 'index', undefined],
+    ]) {
+      const result = rules.evaluate(url);
+      assert.equal(result.action, action, url);
+      assert.equal(result.rule?.pattern, pattern, url);
+    }
+  });
+
+  it('uses the default action for pages no rule matches', () => {
+    const rules = new UrlRules([{ pattern: 'docs.example.com', action: 'index' }], 'skip');
+
+    assert.equal(rules.evaluate('https://docs.example.com/a').action, 'index');
+    assert.deepEqual(rules.evaluate('https://example.com/'), { action: 'skip', rule: null });
+    assert.equal(new UrlRules([], 'unknown').defaultAction, 'index');
+  });
+});
+
+describe('UrlRules.validate', () => {
+  it('fills in defaults and trims patterns', () => {
+    assert.deepEqual(UrlRules.validate([{ pattern: ' example.com ' }]), [
+      { pattern: 'example.com', type: 'glob', action: 'skip', enabled: true },
+    ]);
+  });
+
+  it('rejects incomplete and invalid rules', () => {
+    for (const [rules, message] of [
+      [{}, /must be an array/],
+      [[{ pattern: '  ' }], /Rule 1 has no pattern/],
+      [[{ pattern: 'a' }, { pattern: 'b', type: 'wildcard' }], /Rule 2 has unknown type/],
+      [[{ pattern: 'a', action: 'delete' }], /Rule 1 has unknown action/],
+      [[{ pattern: '(', type: 'regex' }], /Rule 1 has an invalid regular expression/],
+    ]) {
+      assert.throws(() => UrlRules.validate(rules), message);
+    }
+  });
+});
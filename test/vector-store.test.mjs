@@ -0,0 +1,65 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installOpfs } from './helpers/opfs.mjs';
+import { VectorStore } from '../lib/vector-store.js';
+
+const DIMENSIONS = 64;
+
+/**
+ * Deterministic unit vector
+ * @param {number} seed - Seed
+ * @returns {Float32Array} Vector
+ */
+function randomVector(seed) {
+  const vector = new Float32Array(DIMENSIONS);
+  let state = seed;
+  let norm = 0;
+  for (let i = 0; i < DIMENSIONS; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    vector[i] = state / 2 ** 32 - 0.5;
+    norm += vector[i] * vector[i];
+  }
+  return vector.map(value => value / Math.sqrt(norm));
+}
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+describe('VectorStore quantization', () => {
+  let store;
+
+  beforeEach(async () => {
+    installOpfs();
+    store = await new VectorStore({ dimensions: DIMENSIONS }).open();
+  });
+
+  it('keeps int8 vectors close to the originals', async () => {
+    const vector = randomVector(1);
+    await store.writePage('page_1', [vector], 'int8');
+
+    const [stored] = await store.readPage('page_1');
+    assert.equal(store.index.pages.page_1.encoding, 'int8');
+    assert.ok(cosine(stored, vector) > 0.999);
+  });
+
+  it('re-encodes pages stored with at least the target precision', async () => {
+    await store.writePage('page_1', [randomVector(1)], 'none');
+
+    assert.deepEqual(await store.requantize('int8'), []);
+    assert.equal(store.index.pages.page_1.encoding, 'int8');
+  });
+
+  it('keeps coarser pages as they are and lists them for re-embedding', async () => {
+    // Sign-bit records come from the former binary setting
+    await store.writePage('page_1', [randomVector(1)], 'int8');
+    await store.writePage('page_2', [randomVector(2)], 'binary');
+    await store.writePage('page_3', [randomVector(3)], 'none');
+
+    assert.deepEqual(await store.requantize('none'), ['page_1', 'page_2']);
+    assert.equal(store.index.pages.page_1.encoding, 'int8');
+    assert.equal(store.index.pages.page_2.encoding, 'binary');
+    assert.equal(store.index.pages.page_3.encoding, 'none');
+
+    assert.deepEqual(await store.requantize('int8'), ['page_2']);
+    assert.equal(store.index.pages.page_3.encoding, 'int8');
+  });
+});
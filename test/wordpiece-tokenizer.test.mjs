@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { WordPieceTokenizer, parseVocab } from '../lib/wordpiece-tokenizer.js';
+
+const readFixture = name =>
+  readFileSync(new URL(`./fixtures/tokenizer/${name}`, import.meta.url), 'utf8');
+
+// bert-base-uncased vocabulary, shared by all-MiniLM-L6-v2 and ms-marco-MiniLM-L-6-v2
+const vocab = parseVocab(readFixture('vocab.txt'));
+const tokenizer = new WordPieceTokenizer(vocab);
+// Expected outputs of the HuggingFace tokenizers library (see golden.json's description)
+const golden = JSON.parse(readFixture('golden.json'));
+
+describe('WordPieceTokenizer golden outputs', () => {
+  for (const { name, text, tokens, ids } of golden.cases) {
+    it(name, () => {
+      assert.deepEqual(tokenizer.encode(text), ids);
+      assert.deepEqual(['[CLS]', ...tokenizer.tokenize(text), '[SEP]'], tokens);
+    });
+  }
+
+  it('gives the same IDs word by word as for the whole text', () => {
+    for (const { text, ids } of golden.cases) {
+      const { ids: wordIds, words } = tokenizer.encodeWords(text);
+      assert.deepEqual(wordIds, ids.slice(1, -1), text);
+      for (const { word, start, end } of words) {
+        assert.deepEqual(wordIds.slice(start, end), tokenizer.encode(word).slice(1, -1), word);
+      }
+    }
+  });
+});
+
+describe('WordPieceTokenizer', () => {
+  it('reads the special token IDs from the vocabulary', () => {
+    assert.equal(vocab.length, 30522);
+    assert.deepEqual([tokenizer.unkId, tokenizer.clsId, tokenizer.sepId], [100, 101, 102]);
+  });
+
+  it('keeps the original words and their token ranges', () => {
+    const { words } = tokenizer.encodeWords('Hello,  Café world!');
+
+    assert.deepEqual(words, [
+      { word: 'Hello,', start: 0, end: 2 },
+      { word: 'Café', start: 2, end: 3 },
+      { word: 'world!', start: 3, end: 5 },
+    ]);
+  });
+
+  it('turns words longer than maxInputCharsPerWord into [UNK]', () => {
+    const short = new WordPieceTokenizer(vocab, { maxInputCharsPerWord: 5 });
+
+    assert.deepEqual(short.tokenize('hello worlds'), ['hello', '[UNK]']);
+    // Characters are counted, not UTF-16 code units
+    assert.deepEqual(short.tokenize('a𝑀𝑀𝑀a'), ['[UNK]']);
+  });
+
+  it('keeps the case and accents of cased vocabularies when doLowerCase is off', () => {
+    const cased = new WordPieceTokenizer(['[UNK]', 'Café', 'cafe'], { doLowerCase: false });
+
+    assert.deepEqual(cased.tokenize('Café cafe CAFE'), ['Café', 'cafe', '[UNK]']);
+  });
+});
+
+describe('parseVocab', () => {
+  it('numbers every line, including CRLF line breaks and a final newline', () => {
+    assert.deepEqual(parseVocab('[PAD]\r\n[UNK]\r\nhello\r\n'), ['[PAD]', '[UNK]', 'hello']);
+    assert.deepEqual(parseVocab('[PAD]\n[UNK]'), ['[PAD]', '[UNK]']);
+  });
+
+  it('keeps blank and whitespace tokens so later IDs do not shift', () => {
+    assert.deepEqual(parseVocab('a\n\n \nb\n'), ['a', '', ' ', 'b']);
+  });
+});